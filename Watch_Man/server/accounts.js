@@ -0,0 +1,320 @@
+// server/accounts.js
+// Booking accounts: the BookMyShow identities a task's booking can be dispatched to.
+//   { id, name, email, phone, upiId, maxSeats, profileDir, storageState, loggedInAt, lastUsedAt, ... }
+// By default an account keeps a persistent Chromium profile under profilesDir/<id>, so a login
+// done once (WatcherManager.startAccountLogin) carries over to every later run. An account can
+// instead be given Playwright storageState JSON (exported elsewhere), which is kept as
+// profilesDir/<id>.json; runs then start from a throwaway profile with its cookies loaded, and a
+// login rewrites the file. Paths are never taken from the API.
+// maxSeats is the account's seat quota per booking. A profile can only be open in one browser at
+// a time, so runs and logins check an account out with `acquire` and hand it back with `release`.
+// email, phone and upiId live in the encrypted SecretStore under the account id, not in the
+// accounts file; views show them masked and only `forBooking` returns them in full.
+//
+// Tasks dispatch through bookingSettings.ACCOUNTS:
+//   ['Ravi', { account: 'Priya', seats: 4, settings: { TARGET_SEAT: 'F10' } }]
+// one booking run per entry, in parallel; `settings` are merged over the task's bookingSettings.
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { SecretStore, maskFields } = require('./secrets');
+
+// BMS sells at most 10 seats per transaction
+const MAX_SEATS = 10;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9]{10,15}$/;
+const UPI_RE = /^[\w.-]{2,}@[A-Za-z][\w]{1,}$/;
+const CONTACT_FIELDS = ['email', 'phone', 'upiId'];
+
+// splits normalized fields into the record part and the secret contact part
+function splitContact(fields) {
+  const record = { ...fields };
+  const contact = {};
+  for (const f of CONTACT_FIELDS) {
+    if (f in record) contact[f] = record[f];
+    delete record[f];
+  }
+  return { record, contact };
+}
+
+function optionalString(input, field, re) {
+  if (input == null || input === '') return null;
+  const s = String(input).trim();
+  if (!re.test(s)) throw new Error(`Invalid ${field}: ${input}`);
+  return s;
+}
+
+function normalizeMaxSeats(input) {
+  if (input == null || input === '') return MAX_SEATS;
+  const n = Number(input);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_SEATS) throw new Error(`maxSeats must be a whole number from 1 to ${MAX_SEATS}: ${input}`);
+  return n;
+}
+
+// storageState JSON (object or string) → { cookies, origins }, or null to clear it
+function normalizeStorageState(input) {
+  if (input == null || input === '') return null;
+  let state = input;
+  if (typeof input === 'string') {
+    try { state = JSON.parse(input); } catch (e) { state = null; }
+  }
+  if (!state || typeof state !== 'object' || Array.isArray(state) || !Array.isArray(state.cookies) || (state.origins != null && !Array.isArray(state.origins))) {
+    throw new Error('storageState must be Playwright storageState JSON ({ cookies: [...], origins: [...] })');
+  }
+  return { cookies: state.cookies, origins: state.origins || [] };
+}
+
+// validates the fields present on `input`; a new account also gets defaults
+function normalizeAccount(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('account must be an object');
+  const has = k => input[k] !== undefined;
+  const out = {};
+  if (has('name') || !partial) {
+    const name = String(input.name == null ? '' : input.name).trim();
+    if (!name) throw new Error('account name required');
+    out.name = name;
+  }
+  if (has('email') || !partial) out.email = optionalString(input.email, 'email', EMAIL_RE);
+  if (has('phone') || !partial) out.phone = optionalString(input.phone == null ? null : String(input.phone).replace(/[\s-]/g, ''), 'phone', PHONE_RE);
+  if (has('upiId') || !partial) out.upiId = optionalString(input.upiId, 'UPI id', UPI_RE);
+  if (has('maxSeats') || !partial) out.maxSeats = normalizeMaxSeats(input.maxSeats);
+  if (has('storageState') || !partial) out.storageState = normalizeStorageState(input.storageState);
+  return out;
+}
+
+// bookingSettings.ACCOUNTS → [{ account (id or name, resolved later), seats, settings }]
+function normalizeAccountDispatch(input) {
+  if (input == null || input === '') return null;
+  const list = Array.isArray(input) ? input : [input];
+  const out = list.map(entry => {
+    const d = typeof entry === 'string' ? { account: entry } : entry;
+    if (!d || typeof d !== 'object' || !d.account || typeof d.account !== 'string') throw new Error('each ACCOUNTS entry needs an account id or name');
+    let seats = null;
+    if (d.seats != null && d.seats !== '') {
+      seats = Number(d.seats);
+      if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS) throw new Error(`seats for ${d.account} must be a whole number from 1 to ${MAX_SEATS}: ${d.seats}`);
+    }
+    if (d.settings != null && (typeof d.settings !== 'object' || Array.isArray(d.settings))) throw new Error(`settings for ${d.account} must be an object`);
+    return { account: d.account.trim(), seats, settings: d.settings || null };
+  });
+  return out.length ? out : null;
+}
+
+class Accounts {
+  constructor({ file = null, profilesDir = null, secrets = null, logger = console, onChange = null } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.profilesDir = profilesDir ? path.resolve(profilesDir) : null;
+    this.secrets = secrets || new SecretStore({ logger });
+    this.logger = logger;
+    this.onChange = onChange;
+    this.accounts = [];
+    this._busy = new Set();      // ids checked out by a booking run or a login
+    if (this.file) this._load();
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const arr = JSON.parse(fs.readFileSync(this.file, 'utf8') || '[]');
+      this.accounts = Array.isArray(arr) ? arr : [];
+      this.logger.log(`Loaded ${this.accounts.length} booking accounts from ${this.file}`);
+      // files written before the secrets store kept contact details in plaintext
+      const plain = this.accounts.filter(a => CONTACT_FIELDS.some(f => f in a));
+      for (const a of plain) {
+        const { record, contact } = splitContact(a);
+        this.secrets.put({ ...(this.secrets.get(a.id) || {}), ...contact }, a.id);
+        this.accounts[this.accounts.indexOf(a)] = record;
+      }
+      if (plain.length) {
+        this._save();
+        this.logger.log(`[Accounts] moved contact details of ${plain.length} accounts into the secrets store`);
+      }
+      // files from before storageState was uploaded could point anywhere on the server
+      const foreign = this.accounts.filter(a => a.storageState && a.storageState !== this._stateFile(a.id));
+      for (const a of foreign) {
+        this.logger.warn(`[Accounts] ignoring storageState ${a.storageState} of ${a.name}: upload it again`);
+        a.storageState = null;
+        a.profileDir = this.profilesDir ? path.join(this.profilesDir, a.id) : null;
+        a.loggedInAt = null;
+      }
+      if (foreign.length) this._save();
+    } catch (e) {
+      this.logger.error('Failed to load accounts file:', e && e.message ? e.message : e);
+      this.accounts = [];
+    }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.accounts, null, 2), 'utf8');
+    } catch (e) {
+      this.logger.error('Failed to save accounts file:', e && e.message ? e.message : e);
+    }
+  }
+
+  _stateFile(id) {
+    return this.profilesDir ? path.join(this.profilesDir, `${id}.json`) : null;
+  }
+
+  // writes (or, for null, deletes) the account's storageState file; returns its path
+  _writeStorageState(id, state) {
+    const file = this._stateFile(id);
+    if (!state) {
+      if (file) fs.rmSync(file, { force: true });
+      return null;
+    }
+    if (!file) throw Object.assign(new Error('storageState accounts need a profiles directory'), { statusCode: 400 });
+    fs.mkdirSync(this.profilesDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state), { encoding: 'utf8', mode: 0o600 });
+    return file;
+  }
+
+  // `owner` is the id of the dashboard user the account belongs to (null = admins only)
+  create(input, { owner = null } = {}) {
+    const { record: fields, contact } = splitContact(normalizeAccount(input));
+    if (this.resolve(fields.name, { owner })) throw Object.assign(new Error(`an account named ${fields.name} already exists`), { statusCode: 409 });
+    const now = new Date().toISOString();
+    const id = `account-${randomUUID()}`;
+    const account = {
+      id,
+      owner,
+      ...fields,
+      storageState: this._writeStorageState(id, fields.storageState),
+      // a storageState account runs from throwaway profiles; the rest get a persistent one
+      profileDir: fields.storageState || !this.profilesDir ? null : path.join(this.profilesDir, id),
+      loggedInAt: null,
+      lastUsedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.secrets.put(contact, id);
+    this.accounts.push(account);
+    this._save();
+    this._changed(account);
+    this.logger.log(`[Accounts] added ${account.name} (${id})`);
+    return this.view(id);
+  }
+
+  update(id, input) {
+    const account = this._get(id);
+    const { record: fields, contact } = splitContact(normalizeAccount(input, { partial: true }));
+    if (fields.name && fields.name.toLowerCase() !== account.name.toLowerCase() && this.resolve(fields.name, { owner: account.owner || null })) {
+      throw Object.assign(new Error(`an account named ${fields.name} already exists`), { statusCode: 409 });
+    }
+    if (Object.keys(contact).length) this.secrets.put({ ...(this.secrets.get(id) || {}), ...contact }, id);
+    if ('storageState' in fields) fields.storageState = this._writeStorageState(id, fields.storageState);
+    Object.assign(account, fields, { updatedAt: new Date().toISOString() });
+    if ('storageState' in fields) {
+      account.profileDir = fields.storageState || !this.profilesDir ? null : path.join(this.profilesDir, id);
+      account.loggedInAt = null;
+    }
+    this._save();
+    this._changed(account);
+    return this.view(id);
+  }
+
+  remove(id) {
+    const account = this._get(id);
+    if (this._busy.has(id)) throw Object.assign(new Error('account is in use by a booking or login'), { statusCode: 409 });
+    this.accounts = this.accounts.filter(a => a.id !== id);
+    this.secrets.remove(id);
+    if (account.storageState) this._writeStorageState(id, null);
+    // only profiles this registry created are deleted
+    if (account.profileDir && this.profilesDir && account.profileDir.startsWith(this.profilesDir + path.sep)) {
+      try { fs.rmSync(account.profileDir, { recursive: true, force: true }); } catch (e) {
+        this.logger.warn(`Failed to remove profile of ${account.name}:`, e && e.message ? e.message : e);
+      }
+    }
+    this._save();
+    this._changed({ ...account, removed: true });
+    this.logger.log(`[Accounts] removed ${account.name} (${id})`);
+    return true;
+  }
+
+  // the stored record (profile paths, no contact details), or null
+  get(id) {
+    return this.accounts.find(a => a.id === id) || null;
+  }
+
+  // the record with its contact details, for the booking automation only
+  forBooking(id) {
+    const account = this.get(id);
+    if (!account) return null;
+    return { ...account, email: null, phone: null, upiId: null, ...(this.secrets.get(id) || {}) };
+  }
+
+  // by id, or by name ignoring case; with `owner` only that user's accounts
+  resolve(ref, { owner } = {}) {
+    const key = String(ref || '').trim().toLowerCase();
+    const list = owner === undefined ? this.accounts : this.accounts.filter(a => (a.owner || null) === owner);
+    return list.find(a => a.id === ref) || list.find(a => a.name.toLowerCase() === key) || null;
+  }
+
+  view(id) {
+    const a = this.get(id);
+    if (!a) return null;
+    const contact = maskFields({ email: null, phone: null, upiId: null, ...(this.secrets.get(id) || {}) }, CONTACT_FIELDS);
+    return {
+      id: a.id, owner: a.owner || null, name: a.name, email: contact.email, phone: contact.phone, upiId: contact.upiId, maxSeats: a.maxSeats,
+      profile: a.storageState ? 'storageState' : (a.profileDir ? 'persistent' : 'none'),
+      loggedInAt: a.loggedInAt, lastUsedAt: a.lastUsedAt, busy: this._busy.has(a.id),
+      createdAt: a.createdAt, updatedAt: a.updatedAt
+    };
+  }
+
+  list() {
+    return this.accounts.map(a => this.view(a.id));
+  }
+
+  // false when the account is already checked out (or gone)
+  acquire(id) {
+    if (!this.get(id) || this._busy.has(id)) return false;
+    this._busy.add(id);
+    this._changed(this.get(id));
+    return true;
+  }
+
+  release(id) {
+    if (!this._busy.delete(id)) return;
+    const account = this.get(id);
+    if (account) this._changed(account);
+  }
+
+  isBusy(id) {
+    return this._busy.has(id);
+  }
+
+  markLoggedIn(id) {
+    this._touch(id, 'loggedInAt');
+  }
+
+  markUsed(id) {
+    this._touch(id, 'lastUsedAt');
+  }
+
+  _touch(id, field) {
+    const account = this.get(id);
+    if (!account) return;
+    account[field] = new Date().toISOString();
+    this._save();
+    this._changed(account);
+  }
+
+  _get(id) {
+    const account = this.get(id);
+    if (!account) throw Object.assign(new Error('account not found'), { statusCode: 404 });
+    return account;
+  }
+
+  _changed(account) {
+    if (!this.onChange) return;
+    try { this.onChange(account.removed ? { id: account.id, owner: account.owner || null, removed: true } : this.view(account.id)); } catch (e) {}
+  }
+}
+
+Accounts.MAX_SEATS = MAX_SEATS;
+
+module.exports = { Accounts, normalizeAccount, normalizeAccountDispatch };
@@ -6,16 +6,104 @@ const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { normalizeSeatPreferences, rowsWorthScanning, pickSeats, describeSeatPreferences, DEFAULT_PREFERENCES } = require('./seatPreferences');
+const { buildSeatMap } = require('./seatMap');
+const { normalizeShowtimeRules, parseShowtime, pickShowtime, explainRejections, describeShowtimeRules } = require('./showtimeRules');
+const { parseBuyticketsUrl } = require('./bmsUrl');
+const { maskFields, maskSecret } = require('./secrets');
+
+// in-page: category / price labels ("RECLINER Rs. 350") and the screen name ("AUDI 2") shown as
+// text around the seat canvas; buttons and links are skipped so "Pay Rs. 380" isn't a category
+function readLayoutLabels() {
+  const PRICE_RE = /^(.{1,40}?)\s*[-:]?\s*(?:Rs\.?|₹|INR)\s*([\d,]+(?:\.\d+)?)$/i;
+  const SCREEN_RE = /^(?:screen|audi(?:torium)?)\s*[-#:]?\s*[A-Z0-9]{1,4}$/i;
+  const categories = [];
+  let screen = null;
+  for (const el of document.querySelectorAll('body *')) {
+    if (el.children.length || ['SCRIPT', 'STYLE'].includes(el.tagName)) continue;
+    if (el.closest('button, a, [role="button"]')) continue;
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > 60) continue;
+    const r = el.getBoundingClientRect();
+    if (!r.width || !r.height) continue;
+    if (!screen && SCREEN_RE.test(text)) { screen = text.toUpperCase(); continue; }
+    const m = text.match(PRICE_RE);
+    if (!m || categories.some(c => c.name === m[1].trim().toUpperCase())) continue;
+    const holder = el.closest('[data-rows]');
+    categories.push({
+      name: m[1].trim().toUpperCase(),
+      price: Number(m[2].replace(/,/g, '')),
+      rows: holder ? holder.getAttribute('data-rows').split(',').map(x => x.trim().toUpperCase()).filter(Boolean) : [],
+      top: r.top + r.height / 2
+    });
+  }
+  return { categories, screen };
+}
+
+const CHROME_ARGS = [
+  '--start-maximized',
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-dev-shm-usage',
+  '--disable-extensions',
+  '--disable-plugins',
+  '--remote-allow-origins=*'
+];
+
+function launchProfile(profileDir, { headless = true, chromeBinary = '' } = {}) {
+  const launchOptions = { headless, viewport: null, args: CHROME_ARGS };
+  if (chromeBinary && fs.existsSync(chromeBinary)) {
+    return chromium.launchPersistentContext(profileDir, { ...launchOptions, executablePath: chromeBinary, ignoreDefaultArgs: false });
+  }
+  return chromium.launchPersistentContext(profileDir, launchOptions);
+}
+
+// persistent contexts take no storageState option: the cookies are added and localStorage is
+// written by an init script on each origin it lists (keys the page already has are left alone)
+async function applyStorageState(context, file) {
+  const state = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+  if (state.cookies && state.cookies.length) await context.addCookies(state.cookies);
+  const origins = (state.origins || []).filter(o => o.localStorage && o.localStorage.length);
+  if (!origins.length) return;
+  await context.addInitScript(list => {
+    const entry = list.find(o => o.origin === location.origin);
+    if (!entry) return;
+    for (const { name, value } of entry.localStorage) {
+      try { if (localStorage.getItem(name) == null) localStorage.setItem(name, value); } catch (e) {}
+    }
+  }, origins);
+}
 
 /**
  * autoBookBMS(options)
  * - options: same as your original (cinemaUrl, movieId, showIndex, seatQuantity, targetSeat, nextSeats, email, phone, gpayNumber, chromeBinary, headless, timeouts)
+ * - options.closeOnFinish: close the browser once the payment step is reached (tests); default leaves it open
+ * - options.onStep(status, details): progress hook — 'showtime-selected', 'seats-selected', 'payment-pending'
+ * - options.artifactsDir: when set, a screenshot is saved there after each major step and on every error
+ * - options.trace: also record a Playwright trace (trace.zip) into artifactsDir
+ * - options.onArtifact({ kind, file, label, url }): called for every file written to artifactsDir
+ * - options.seatPreferences: declarative seat preferences (see seatPreferences.js); used instead of the
+ *   targetSeat / nextSeats walk when given, or when no targetSeat is set
+ * - options.handoff: stop at the payment step (no GPay trigger) and hand the live browser to
+ *   options.onHandoff({ context, page, profileDir }) — whoever receives it owns closing it (and
+ *   removing profileDir, the throwaway profile; null when running in an account's profile)
+ * - options.seatMapOnly: map the whole seat layout instead of booking (see extractSeatMap)
+ * - options.showtimeRules: pick the show by time / window / format / language (see showtimeRules.js)
+ *   instead of the showIndex-th button; the 'showtime-selected' step reports the show and why
+ * - options.profileDir: run in this persistent profile (a logged-in account's) and keep it;
+ *   options.storageState: a Playwright storageState file loaded into the throwaway profile instead
+ * - options.logger: where the run's progress goes (console by default; WatcherManager passes one
+ *   tagged with the task and booking run ids), the page's own console output at debug level
  *
  * This version preserves your workflow exactly but makes every step an explicit awaited promise
  * which verifies the real page / DOM state before moving on (with retries and backoff).
  */
 async function autoBookBMS(options = {}) {
-  console.log('***LINK FOUND NAGA, I"M running with these details' + JSON.stringify(options, null, 2));
+  const log = options.logger || console;
+  // contact and payment details stay out of the logs
+  const { logger: _logger, ...loggedOptions } = options;
+  log.log('***LINK FOUND NAGA, I"M running with these details ' + JSON.stringify(maskFields(loggedOptions, ['email', 'phone', 'gpayNumber'])));
   if (!options || !options.cinemaUrl || !options.movieId) {
     throw new Error('Missing required options: cinemaUrl and movieId');
   }
@@ -24,9 +112,11 @@ async function autoBookBMS(options = {}) {
   const THEATRE_URL = options.cinemaUrl;
   const MOVIE_ID = options.movieId;
   const SHOW_INDEX = Number(options.showIndex || 1);
+  const SHOWTIME_RULES = normalizeShowtimeRules(options.showtimeRules);
   const SEAT_QUANTITY = Math.max(1, Math.min(10, Number(options.seatQuantity || 1)));
   const TARGET_SEAT = options.targetSeat || '';
   const NEXT_SEATS = Array.isArray(options.nextSeats) ? options.nextSeats : (options.nextSeats ? [options.nextSeats] : []);
+  const SEAT_PREFS = normalizeSeatPreferences(options.seatPreferences) || (TARGET_SEAT ? null : normalizeSeatPreferences(DEFAULT_PREFERENCES));
   const EMAIL = options.email || '';
   const PHONE = options.phone || '';
   const GPAY_NUMBER = options.gpayNumber || PHONE || '';
@@ -46,7 +136,8 @@ async function autoBookBMS(options = {}) {
     selectSeatsWaitMs: 10000,
     payAcceptWaitMs: 15000,
     deemedFillWaitMs: 12000,
-    gpayWaitMs: 12000
+    gpayWaitMs: 12000,
+    seatMapScanMs: 120000
   }, options.timeouts || {});
 
   const GRID_SCROLL_STEP = 100;
@@ -54,48 +145,83 @@ async function autoBookBMS(options = {}) {
   const WAIT_AFTER_CLICK = 100; // ms (deterministic small wait after clicks)
 
   function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+  function step(status, details) {
+    try { if (typeof options.onStep === 'function') options.onStep(status, details || null); } catch (e) {}
+  }
+  const ARTIFACTS_DIR = options.artifactsDir || '';
+  let artifactSeq = 0;
+  function artifact(info) {
+    try { if (typeof options.onArtifact === 'function') options.onArtifact(info); } catch (e) {}
+  }
+  // screenshot of the current page as NN-label.png; never throws — a failed capture must not fail the booking
+  async function capture(label) {
+    if (!ARTIFACTS_DIR || !page) return null;
+    const file = `${String(++artifactSeq).padStart(2, '0')}-${label}.png`;
+    try {
+      await page.screenshot({ path: path.join(ARTIFACTS_DIR, file), timeout: 5000 });
+      artifact({ kind: 'screenshot', file, label, url: page.url() });
+      return file;
+    } catch (e) {
+      log.warn(`Screenshot "${label}" failed:`, e && e.message ? e.message : e);
+      return null;
+    }
+  }
+  let tracing = false;
+  async function stopTrace() {
+    if (!tracing) return;
+    tracing = false;
+    try {
+      await context.tracing.stop({ path: path.join(ARTIFACTS_DIR, 'trace.zip') });
+      artifact({ kind: 'trace', file: 'trace.zip', label: 'trace', url: null });
+    } catch (e) {
+      log.warn('Saving Playwright trace failed:', e && e.message ? e.message : e);
+    }
+  }
   function formatMs(ms) { if (ms == null) return '-'; const s = Math.floor(ms / 1000); return `${s}s ${ms % 1000}ms`; }
 
   let context = null;
   let page = null;
+  // only a throwaway profile is removed afterwards; an account's persistent one is kept
   let tmpProfileDir = null;
   const timers = { start: Date.now() };
 
   try {
     // -------------------- Launch browser with persistent profile --------------------
-    const tmpPrefix = path.join(os.tmpdir(), 'bms-chrome-');
-    tmpProfileDir = fs.mkdtempSync(tmpPrefix);
-    console.log('Using temporary Chrome profile dir:', tmpProfileDir);
-
-    const launchOptions = {
-      headless: HEADLESS,
-      viewport: null,
-      args: [
-        '--start-maximized',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-dev-shm-usage',
-        '--disable-extensions',
-        '--disable-plugins',
-        '--remote-allow-origins=*'
-      ],
-    };
-
-    if (CHROME_BINARY && fs.existsSync(CHROME_BINARY)) {
-      context = await chromium.launchPersistentContext(tmpProfileDir, {
-        ...launchOptions,
-        executablePath: CHROME_BINARY,
-        ignoreDefaultArgs: false
-      });
+    let profileDir;
+    if (options.profileDir) {
+      profileDir = path.resolve(options.profileDir);
+      fs.mkdirSync(profileDir, { recursive: true });
+      log.log('Using account Chrome profile dir:', profileDir);
     } else {
-      context = await chromium.launchPersistentContext(tmpProfileDir, launchOptions);
+      tmpProfileDir = profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bms-chrome-'));
+      log.log('Using temporary Chrome profile dir:', tmpProfileDir);
+    }
+
+    context = await launchProfile(profileDir, { headless: HEADLESS, chromeBinary: CHROME_BINARY });
+    if (options.storageState) {
+      await applyStorageState(context, options.storageState);
+      log.log('Loaded storage state from', options.storageState);
+    }
+
+    if (ARTIFACTS_DIR) {
+      fs.mkdirSync(ARTIFACTS_DIR, { recursive: true });
+      log.log('Saving booking artifacts to:', ARTIFACTS_DIR);
+      if (options.trace) {
+        try {
+          await context.tracing.start({ screenshots: true, snapshots: true });
+          tracing = true;
+        } catch (e) {
+          log.warn('Could not start Playwright trace:', e && e.message ? e.message : e);
+        }
+      }
     }
 
     page = await context.newPage();
     page.setDefaultTimeout(Math.max(30000, T.pageGoto));
-    page.on('console', msg => console.log('PAGE LOG:', msg.text ? msg.text() : msg));
-    page.on('pageerror', err => console.error('PAGE ERROR:', err && err.message ? err.message : err));
+    // the page's own console output is debug-level noise
+    const pageLog = typeof log.child === 'function' ? log.child({ source: 'page' }) : log;
+    page.on('console', msg => pageLog.debug('PAGE LOG:', msg.text ? msg.text() : msg));
+    page.on('pageerror', err => log.error('PAGE ERROR:', err && err.message ? err.message : err));
 
     // Resource blocking to speed up (non-invasive): abort images/fonts/obvious trackers
     try {
@@ -231,8 +357,8 @@ async function autoBookBMS(options = {}) {
       return null;
     }
 
-    // -------------------- Click showtime inside gridcell --------------------
-    async function clickShowtimeInGridcell(pageObj, gridcell, showIndex) {
+    // -------------------- Showtime buttons inside gridcell --------------------
+    async function showtimeHandles(gridcell) {
       const SHOW_SEL_PRIMARY = '.sc-19dkgz1-0.cVUDLk .sc-1skzbbo-0.eBWTPs, .sc-1skzbbo-0.eBWTPs';
       const SHOW_SEL_FALLBACK = 'button, a, div[role="button"], span[role="button"]';
       let showHandles = [];
@@ -240,7 +366,31 @@ async function autoBookBMS(options = {}) {
       if (!showHandles || showHandles.length === 0) {
         try { showHandles = await gridcell.$$(SHOW_SEL_FALLBACK); } catch (e) { showHandles = []; }
       }
-      if (!showHandles || showHandles.length === 0) throw new Error('No showtime elements found inside gridcell');
+      return showHandles || [];
+    }
+
+    // parse every showtime button and apply SHOWTIME_RULES → { show, rule, reason }; throws when none fits
+    async function chooseShowtime(gridcell, rules) {
+      const handles = await showtimeHandles(gridcell);
+      const cellText = await gridcell.evaluate(n => n.innerText || n.textContent || '').catch(() => '');
+      const shows = [];
+      for (let i = 0; i < handles.length; i++) {
+        const info = await handles[i].evaluate(el => ({
+          text: el.innerText || el.textContent || '',
+          format: el.getAttribute('data-format') || '',
+          language: el.getAttribute('data-language') || ''
+        })).catch(() => ({ text: '' }));
+        shows.push(parseShowtime({ ...info, index: i + 1, cellText }));
+      }
+      const choice = pickShowtime(shows, rules);
+      if (!choice) throw new Error(`No showtime matches the showtime rules (${describeShowtimeRules(rules)}): ${explainRejections(shows, rules)}`);
+      return choice;
+    }
+
+    // -------------------- Click showtime inside gridcell --------------------
+    async function clickShowtimeInGridcell(pageObj, gridcell, showIndex) {
+      const showHandles = await showtimeHandles(gridcell);
+      if (showHandles.length === 0) throw new Error('No showtime elements found inside gridcell');
       const idx = Math.max(0, showIndex - 1);
       const chosen = showHandles[idx] || showHandles[0];
       const ok = await clickElementByBoundingBox(pageObj, chosen);
@@ -249,7 +399,7 @@ async function autoBookBMS(options = {}) {
       const after = await waitForSeatLayoutOrPopup(pageObj, T.clickNavWaitMs);
       if (after.type === 'none') {
         // if not, try clicking once more
-        console.warn('showtime click did not produce seat UI immediately; retrying once');
+        log.warn('showtime click did not produce seat UI immediately; retrying once');
         const ok2 = await clickElementByBoundingBox(pageObj, chosen);
         if (!ok2) throw new Error('Second click failed');
         const after2 = await waitForSeatLayoutOrPopup(pageObj, T.clickNavWaitMs);
@@ -486,7 +636,7 @@ async function autoBookBMS(options = {}) {
           if (candidate) clickedPay = await clickElementByBoundingBoxLocal(pageObj, candidate);
         }
       } catch (e) {
-        console.warn('Error while attempting to click Pay button:', e && e.message ? e.message : e);
+        log.warn('Error while attempting to click Pay button:', e && e.message ? e.message : e);
       }
 
       if (!clickedPay) {
@@ -697,7 +847,7 @@ async function autoBookBMS(options = {}) {
         if (!foundEmail) {
           const direct = await pageObj.$(emailSel);
           if (!direct) {
-            console.warn('deemed-email input not found within timeout.');
+            log.warn('deemed-email input not found within timeout.');
             return { ok: false, reason: 'email-input-missing' };
           } else {
             foundEmail = { frame: pageObj, handle: direct };
@@ -732,7 +882,7 @@ async function autoBookBMS(options = {}) {
             } catch (e2) {}
           }
         } else {
-          console.warn('deemed-mobile-number input not found; continuing.');
+          log.warn('deemed-mobile-number input not found; continuing.');
         }
 
         // Click Submit (try across frames)
@@ -754,7 +904,7 @@ async function autoBookBMS(options = {}) {
         await sleep(400);
         return { ok: true, clickedSubmit: clicked };
       } catch (e) {
-        console.warn('Error filling deemed email/phone popup:', e && e.message ? e.message : e);
+        log.warn('Error filling deemed email/phone popup:', e && e.message ? e.message : e);
         return { ok: false, reason: 'exception', error: e && e.message ? e.message : e };
       }
     }
@@ -775,7 +925,7 @@ async function autoBookBMS(options = {}) {
           }
           await sleep(300);
         }
-        if (!containerClicked) console.warn('Payment method container not clicked (selector may differ).');
+        if (!containerClicked) log.warn('Payment method container not clicked (selector may differ).');
 
         let providerClicked = false;
         for (let i = 0; i < 5; i++) {
@@ -785,7 +935,7 @@ async function autoBookBMS(options = {}) {
           }
           await sleep(300);
         }
-        if (!providerClicked) console.warn('GPay provider element not clicked (selector may differ).');
+        if (!providerClicked) log.warn('GPay provider element not clicked (selector may differ).');
 
         if (gpayNumber) {
           const start = Date.now();
@@ -802,8 +952,8 @@ async function autoBookBMS(options = {}) {
                 if (el) { el.focus(); el.value = val; el.dispatchEvent(new Event('input', { bubbles: true })); el.dispatchEvent(new Event('change', { bubbles: true })); }
               }, gpayMobileSel, String(gpayNumber)).catch(()=>{});
             }
-          } else console.warn('#mobile input (gpay) not found within timeout.');
-        } else console.warn('gpayNumber empty; skipping mobile fill.');
+          } else log.warn('#mobile input (gpay) not found within timeout.');
+        } else log.warn('gpayNumber empty; skipping mobile fill.');
 
         const startBtnWait = Date.now();
         let clickedVerify = false;
@@ -817,71 +967,89 @@ async function autoBookBMS(options = {}) {
           }
           await sleep(400);
         }
-        if (!clickedVerify) console.warn('Verify & Pay button not clicked (may be disabled or selector changed).');
+        if (!clickedVerify) log.warn('Verify & Pay button not clicked (may be disabled or selector changed).');
         return { ok: true, clickedVerify };
       } catch (e) {
-        console.warn('Error selecting payment method or triggering GPay:', e && e.message ? e.message : e);
+        log.warn('Error selecting payment method or triggering GPay:', e && e.message ? e.message : e);
         return { ok: false, error: e && e.message ? e.message : e };
       }
     }
 
     // -------------------- Orchestration main (preserve exact flow) --------------------
-    console.log('Opening theatre page:', THEATRE_URL);
+    log.log('Opening theatre page:', THEATRE_URL);
     timers.gotoStart = Date.now();
     await page.goto(THEATRE_URL, { waitUntil: 'domcontentloaded', timeout: T.pageGoto }).catch((e) => {
-      console.warn('page.goto warning/timeout:', e && e.message ? e.message : e);
+      log.warn('page.goto warning/timeout:', e && e.message ? e.message : e);
     });
     timers.gotoEnd = Date.now();
 
-    console.log('Waiting for document.readyState === "complete"...');
+    log.log('Waiting for document.readyState === "complete"...');
     timers.waitReadyStart = Date.now();
     await page.waitForFunction(() => document.readyState === 'complete', { timeout: T.readyMs }).catch(() => {});
     timers.waitReadyEnd = Date.now();
-    console.log('Document ready (or timed out).');
+    log.log('Document ready (or timed out).');
+    await capture('theatre-page');
 
     // Step: Find gridcell for given movie
-    console.log('Searching gridcell for movie id:', MOVIE_ID);
+    log.log('Searching gridcell for movie id:', MOVIE_ID);
     timers.findCellStart = Date.now();
     const gridcell = await findGridcellByMovieId(page, MOVIE_ID);
     timers.findCellEnd = Date.now();
     if (!gridcell) throw new Error('Could not find the gridcell for movie id ' + MOVIE_ID);
-    console.log('Found gridcell — attempting fast showtime click.');
+    log.log('Found gridcell — attempting fast showtime click.');
+    let showChoice = null;
+    if (SHOWTIME_RULES) {
+      showChoice = await chooseShowtime(gridcell, SHOWTIME_RULES);
+      log.log(`Showtime rules picked show ${showChoice.show.index} (${showChoice.reason})`);
+    }
+    const showIndex = showChoice ? showChoice.show.index : SHOW_INDEX;
 
     // Step: click showtime and verify seat UI appears
     timers.showtimeClickStart = Date.now();
     let clickedOk = false;
     for (let attempt = 1; attempt <= 2 && !clickedOk; ++attempt) {
       try {
-        await clickShowtimeInGridcell(page, gridcell, SHOW_INDEX);
+        await clickShowtimeInGridcell(page, gridcell, showIndex);
         const state = await waitForSeatLayoutOrPopup(page, T.clickNavWaitMs);
         if (state.type === 'navigation' || state.type === 'popup' || state.type === 'selector') {
-          console.log('Showtime click produced state:', state.type, state.url ? state.url : '');
+          log.log('Showtime click produced state:', state.type, state.url ? state.url : '');
           clickedOk = true; break;
         } else {
-          console.log(`Attempt ${attempt}: click didn't show seat UI; retrying immediately.`);
+          log.log(`Attempt ${attempt}: click didn't show seat UI; retrying immediately.`);
         }
       } catch (e) {
-        console.warn(`Attempt ${attempt} click error:`, e && e.message ? e.message : e);
+        log.warn(`Attempt ${attempt} click error:`, e && e.message ? e.message : e);
       }
     }
     timers.showtimeClickEnd = Date.now();
     if (!clickedOk) throw new Error('Unable to trigger seat layout / popup after showtime clicks');
+    step('showtime-selected', showChoice ? {
+      showIndex,
+      show: { time: showChoice.show.time, formats: showChoice.show.formats, language: showChoice.show.language },
+      rule: showChoice.rule,
+      reason: showChoice.reason,
+      url: page.url()
+    } : { showIndex, reason: `show #${showIndex}`, url: page.url() });
+    await capture('showtime-selected');
 
     // Step: handle seat quantity and click "Select Seats"
-    console.log('Handling seat quantity and clicking Select Seats (fast).');
+    log.log('Handling seat quantity and clicking Select Seats (fast).');
     timers.selectQtyStart = Date.now();
     const seatRes = await handleSeatQuantityAndSelectSeats(page, SEAT_QUANTITY);
     timers.selectQtyEnd = Date.now();
-    if (!seatRes.ok) console.warn('Could not click Select Seats:', seatRes); else console.log('Clicked Select Seats (method):', seatRes.method);
+    if (!seatRes.ok) {
+      log.warn('Could not click Select Seats:', seatRes);
+      await capture('select-seats-failed');
+    } else log.log('Clicked Select Seats (method):', seatRes.method);
 
     // Wait for seat layout (konvajs or canvas) explicitly by checking DOM
-    console.log('Waiting for seat layout (konvajs or canvas) to be present...');
+    log.log('Waiting for seat layout (konvajs or canvas) to be present...');
     timers.waitSeatLayoutStart = Date.now();
     await page.waitForFunction(() => !!document.querySelector('.konvajs-content') || !!document.querySelector('canvas') || window.location.href.includes('/seat-layout/'), { timeout: T.seatLayoutWaitMs }).catch(() => { });
     timers.waitSeatLayoutEnd = Date.now();
     await page.waitForTimeout(300);
 
-    // Run injected scanner (preserved exactly)
+    // Run injected scanner: the preference engine when SEAT_PREFS is set, else the TARGET_SEAT walk
     const injectedConfig = {
       targetSeat: TARGET_SEAT,
       quantity: SEAT_QUANTITY,
@@ -901,11 +1069,8 @@ async function autoBookBMS(options = {}) {
       scanTimeout: T.scanTimeout
     };
 
-    console.log('Injecting in-page seat scanner and executing — TARGET_SEAT:', injectedConfig.targetSeat);
-    timers.injectStart = Date.now();
-
-    const scannerResult = await page.evaluate(async (CFG) => {
-      /* --- injected scanner code (preserved exactly) --- */
+    const seatScanner = async (CFG) => {
+      /* --- injected scanner code; CFG.mode 'rows' / 'seats' / 'click' serve the preference engine --- */
       const sleep = ms => new Promise(r => setTimeout(r, ms));
       function dispatchPointer(target, type, clientX, clientY) {
         try { const ev = new PointerEvent(type, { bubbles:true, cancelable:true, composed:true, pointerType:'mouse', isPrimary:true, clientX, clientY, button:0, buttons:1 }); return target.dispatchEvent(ev); } catch(e){return false;}
@@ -1046,6 +1211,35 @@ async function autoBookBMS(options = {}) {
       const canvasEl = findCanvasElement();
       if (!canvasEl) return { ok:false, why:'no-canvas' };
       const rect = canvasEl.getBoundingClientRect();
+      if (CFG.mode === 'rows') {
+        let ys = await detectRowsWithRecheck(canvasEl, rect, CFG.scanTimeout/2);
+        if (!ys.length) ys = await detectRowsWithRecheck(canvasEl, rect, CFG.scanTimeout);
+        return { ok:true, rows: ys };
+      }
+      if (CFG.mode === 'seats') {
+        const rows = [];
+        for (const r of CFG.rows) {
+          if ((Date.now() - startAll) >= CFG.scanTimeout) break;
+          const cols = await detectColumnsOnRow_improved(canvasEl, rect, r.y, 12000);
+          rows.push({ index: r.index, y: r.y, seats: cols.map(c => ({ x: c.x, y: c.y })) });
+        }
+        return { ok:true, rows };
+      }
+      if (CFG.mode === 'click') {
+        // on BMS one click may select the whole block, so stop as soon as the pay bar shows
+        const done = [];
+        for (const p of CFG.points) {
+          if (payButtonPresent()) break;
+          syntheticClick(canvasEl, p.x, p.y);
+          await sleep(CFG.afterClickWait);
+          const elAfter = document.elementFromPoint(p.x, p.y) || canvasEl;
+          let cursorAfter = '';
+          try { cursorAfter = (window.getComputedStyle(elAfter).cursor || '').toLowerCase(); } catch(e) { cursorAfter = ''; }
+          done.push({ label: p.label, x: p.x, y: p.y, heuristic: cursorAfter !== 'pointer' });
+        }
+        const ok = payButtonPresent() || done.length >= CFG.points.length;
+        return { ok, clicked: done, reason: ok ? 'done-preferences' : 'incomplete' };
+      }
       const primary = parseSeatId(CFG.targetSeat);
       if (!primary) return { ok:false, why:'invalid-target' };
       const desiredQty = Math.max(1, Math.floor(CFG.quantity || 1));
@@ -1166,18 +1360,91 @@ async function autoBookBMS(options = {}) {
       }
       if (payButtonPresent() || clicked.length >= desiredQty) return { ok:true, clicked, reason:'done-final' };
       return { ok:false, reason:'incomplete', clicked, elapsedMs: Date.now() - startAll };
-    }, injectedConfig).catch(e => ({ ok:false, error: e && e.message ? e.message : String(e) }));
+    };
+
+    function runScanner(pageObj, cfg) {
+      return pageObj.evaluate(seatScanner, { ...injectedConfig, ...cfg }).catch(e => ({ ok:false, error: e && e.message ? e.message : String(e) }));
+    }
+
+    // map the seats (rows first, then only the rows some tier could use), score them in
+    // seatPreferences.pickSeats and click the winning block
+    async function selectSeatsByPreference(pageObj, prefs) {
+      const run = cfg => runScanner(pageObj, cfg);
+      const rowsRes = await run({ mode: 'rows' });
+      if (!rowsRes.ok) return rowsRes;
+      if (!rowsRes.rows.length) return { ok:false, why:'no-rows-detected' };
+      const wanted = rowsWorthScanning(prefs, rowsRes.rows.length);
+      const seatsRes = await run({ mode: 'seats', rows: rowsRes.rows.map((y, i) => ({ index: i + 1, y })).filter(r => wanted.includes(r.index)) });
+      if (!seatsRes.ok) return seatsRes;
+      const pick = pickSeats({ totalRows: rowsRes.rows.length, rows: seatsRes.rows }, prefs, SEAT_QUANTITY, { seatSizeEstimate: injectedConfig.seatSizeEstimate });
+      if (!pick) return { ok:false, why:'no-seats-match-preferences', rowsScanned: seatsRes.rows.length };
+      log.log(`Seat preferences picked ${pick.seats.map(s => s.label).join(',')} (tier ${pick.tier}, score ${pick.score})`);
+      const clickRes = await run({ mode: 'click', points: pick.seats.map(s => ({ x: s.x, y: s.y, label: s.label })) });
+      return { ...clickRes, picked: pick.seats.map(s => s.label), tier: pick.tier };
+    }
+
+    // every row of the layout plus the labels around it, as seatMap.js JSON; nothing is clicked
+    async function extractSeatLayout(pageObj) {
+      const rowsRes = await runScanner(pageObj, { mode: 'rows' });
+      if (!rowsRes.ok) return rowsRes;
+      if (!rowsRes.rows.length) return { ok:false, why:'no-rows-detected' };
+      const seatsRes = await runScanner(pageObj, { mode: 'seats', scanTimeout: T.seatMapScanMs, rows: rowsRes.rows.map((y, i) => ({ index: i + 1, y })) });
+      if (!seatsRes.ok) return seatsRes;
+      const labels = await pageObj.evaluate(readLayoutLabels).catch(() => ({ categories: [], screen: null }));
+      const parsed = parseBuyticketsUrl(THEATRE_URL);
+      const seatMap = buildSeatMap({ totalRows: rowsRes.rows.length, rows: seatsRes.rows, ...labels }, {
+        venueCode: parsed ? parsed.venueCode : null,
+        complete: seatsRes.rows.length === rowsRes.rows.length,
+        seatSizeEstimate: injectedConfig.seatSizeEstimate
+      });
+      return { ok:true, seatMap };
+    }
+
+    timers.injectStart = Date.now();
+    if (options.seatMapOnly) {
+      const mapRes = await extractSeatLayout(page);
+      timers.end = Date.now();
+      await capture(mapRes.ok ? 'seat-map' : 'seat-map-failed');
+      await stopTrace();
+      try { await context.close(); } catch (e) {}
+      if (tmpProfileDir) { try { fs.rmSync(tmpProfileDir, { recursive: true, force: true }); } catch (e) {} }
+      if (!mapRes.ok) {
+        return { ok: false, error: `Seat map scan failed: ${mapRes.why || mapRes.reason || mapRes.error}`, artifactsDir: ARTIFACTS_DIR || null, timings: timers };
+      }
+      const { rows, counts } = mapRes.seatMap;
+      log.log(`Seat map: ${rows.length} rows, ${counts.available}/${counts.seats} seats available (${formatMs(timers.end - timers.start)})`);
+      return { ok: true, seatMap: mapRes.seatMap, artifactsDir: ARTIFACTS_DIR || null, timings: timers };
+    }
+
+    let scannerResult;
+    if (SEAT_PREFS) {
+      log.log('Selecting seats by preference:', describeSeatPreferences(SEAT_PREFS));
+      scannerResult = await selectSeatsByPreference(page, SEAT_PREFS);
+    } else {
+      log.log('Injecting in-page seat scanner and executing — TARGET_SEAT:', injectedConfig.targetSeat);
+      scannerResult = await page.evaluate(seatScanner, injectedConfig).catch(e => ({ ok:false, error: e && e.message ? e.message : String(e) }));
+    }
 
     timers.injectEnd = Date.now();
-    console.log('Scanner result:', scannerResult);
+    log.log('Scanner result:', scannerResult);
+    if (scannerResult && scannerResult.ok) {
+      step('seats-selected', { seats: scannerResult.clicked || [], reason: scannerResult.reason || null, tier: scannerResult.tier || null });
+      await capture('seats-selected');
+    } else {
+      log.warn('Seat scanner did not complete:', scannerResult && (scannerResult.reason || scannerResult.why || scannerResult.error));
+      await capture('seat-scan-incomplete');
+    }
 
     // AFTER SCANNER: click Pay & Accept (best-effort)
     try {
-      console.log('Attempting Pay + Accept Terms sequence (best-effort) ...');
+      log.log('Attempting Pay + Accept Terms sequence (best-effort) ...');
       const clickedPay = await clickPayAndAcceptTerms(page);
-      console.log('clickPayAndAcceptTerms ->', clickedPay);
+      log.log('clickPayAndAcceptTerms ->', clickedPay);
+      if (scannerResult && scannerResult.ok) step('payment-pending', { url: page.url() });
+      await capture('pay-accept');
     } catch (e) {
-      console.warn('Unexpected error running Pay + Accept sequence:', e && e.message ? e.message : e);
+      log.warn('Unexpected error running Pay + Accept sequence:', e && e.message ? e.message : e);
+      await capture('pay-accept-error');
     }
 
     // ---- Immediately check redirection URL and handle F&B skip or direct order-summary fill ----
@@ -1192,12 +1459,12 @@ async function autoBookBMS(options = {}) {
       await navOrFormPromise;
 
       const redirectedUrl = page.url();
-      console.log('Redirected URL (post-Accept):', redirectedUrl);
+      log.log('Redirected URL (post-Accept):', redirectedUrl);
 
       if (redirectedUrl && redirectedUrl.includes('food-and-beverages')) {
-        console.log('Detected food-and-beverages page. Attempting to click Skip...');
+        log.log('Detected food-and-beverages page. Attempting to click Skip...');
         const skipRes = await clickSkipIfPresent(page);
-        console.log('clickSkipIfPresent ->', skipRes);
+        log.log('clickSkipIfPresent ->', skipRes);
 
         try {
           await Promise.race([
@@ -1207,103 +1474,184 @@ async function autoBookBMS(options = {}) {
         } catch (err) { /* ignore */ }
 
         const afterSkipUrl = page.url();
-        console.log('URL after Skip attempt:', afterSkipUrl);
+        log.log('URL after Skip attempt:', afterSkipUrl);
 
         if (EMAIL || PHONE) {
           const filled = await fillDeemedEmailAndPhone(page, EMAIL, PHONE);
-          console.log('fillDeemedEmailAndPhone (after Skip) ->', filled);
+          log.log('fillDeemedEmailAndPhone (after Skip) ->', filled);
         } else {
-          console.log('No EMAIL/PHONE provided; skipping deemed-email filling (after Skip).');
+          log.log('No EMAIL/PHONE provided; skipping deemed-email filling (after Skip).');
         }
 
       } else if (redirectedUrl && redirectedUrl.includes('order-summary')) {
-        console.log('Detected order-summary page directly. Filling deemed-email & phone (if present).');
+        log.log('Detected order-summary page directly. Filling deemed-email & phone (if present).');
         if (EMAIL || PHONE) {
           const filled = await fillDeemedEmailAndPhone(page, EMAIL, PHONE);
-          console.log('fillDeemedEmailAndPhone (direct order-summary) ->', filled);
+          log.log('fillDeemedEmailAndPhone (direct order-summary) ->', filled);
         } else {
-          console.log('No EMAIL/PHONE provided; skipping deemed-email filling (direct order-summary).');
+          log.log('No EMAIL/PHONE provided; skipping deemed-email filling (direct order-summary).');
         }
       } else {
         const fallbackFound = await findFrameWithSelector(page, '#deemed-email', 1000).catch(() => ({ frame: null, handle: null }));
         if (fallbackFound && fallbackFound.handle) {
           if (EMAIL || PHONE) {
             const filled = await fillDeemedEmailAndPhone(page, EMAIL, PHONE);
-            console.log('fillDeemedEmailAndPhone (fallback) ->', filled);
+            log.log('fillDeemedEmailAndPhone (fallback) ->', filled);
           }
         } else {
-          console.log('No food-or-order-summary page detected immediately; continuing to payment selection if possible.');
+          log.log('No food-or-order-summary page detected immediately; continuing to payment selection if possible.');
         }
       }
+      await capture('order-summary');
     } catch (e) {
-      console.warn('Error while handling post-Accept redirect (F&B / order-summary):', e && e.message ? e.message : e);
+      log.warn('Error while handling post-Accept redirect (F&B / order-summary):', e && e.message ? e.message : e);
+      await capture('order-summary-error');
+    }
+
+    if (options.handoff) {
+      timers.end = Date.now();
+      await stopTrace();
+      log.log(`Stopping at the payment step after ${formatMs(timers.end - timers.start)}; handing the browser over for manual payment.`);
+      try { if (typeof options.onHandoff === 'function') options.onHandoff({ context, page, profileDir: tmpProfileDir }); } catch (e) {
+        log.warn('onHandoff failed:', e && e.message ? e.message : e);
+      }
+      return {
+        ok: true,
+        handoff: true,
+        tmpProfileDir,
+        artifactsDir: ARTIFACTS_DIR || null,
+        scannerResult,
+        timings: timers,
+        message: 'Automation stopped at the payment step; the browser was handed over for manual payment.'
+      };
     }
 
     // Finally, attempt payment selection/GPay
     try {
       if (GPAY_NUMBER) {
-        console.log('Attempting to select payment method and trigger GPay flow (mobile:', GPAY_NUMBER, ') ...');
+        log.log('Attempting to select payment method and trigger GPay flow (mobile:', maskSecret(GPAY_NUMBER), ') ...');
         const payRes = await selectPaymentMethodAndTriggerGPay(page, GPAY_NUMBER);
-        console.log('selectPaymentMethodAndTriggerGPay result:', payRes);
+        log.log('selectPaymentMethodAndTriggerGPay result:', payRes);
+        await capture(payRes && payRes.ok ? 'gpay' : 'gpay-error');
       } else {
-        console.log('No GPAY_NUMBER provided; skipping GPay trigger step.');
+        log.log('No GPAY_NUMBER provided; skipping GPay trigger step.');
       }
     } catch (e) {
-      console.warn('Error during payment method/GPay step:', e && e.message ? e.message : e);
+      log.warn('Error during payment method/GPay step:', e && e.message ? e.message : e);
+      await capture('gpay-error');
     }
 
     // ---- finalize timers and summary ----
     timers.end = Date.now();
-    console.log('--- TIMING SUMMARY ---');
-    console.log('Total elapsed:', formatMs(timers.end - timers.start));
-    console.log('page.goto():', formatMs((timers.gotoEnd || 0) - (timers.gotoStart || 0)));
-    console.log('waitForReady():', formatMs((timers.waitReadyEnd || 0) - (timers.waitReadyStart || 0)));
-    console.log('findGridcellByMovieId():', formatMs((timers.findCellEnd || 0) - (timers.findCellStart || 0)));
-    console.log('showtimeClick attempts:', formatMs((timers.showtimeClickEnd || 0) - (timers.showtimeClickStart || 0)));
-    console.log('handleSeatQuantityAndSelectSeats():', formatMs((timers.selectQtyEnd || 0) - (timers.selectQtyStart || 0)));
-    console.log('waitForSeatLayout():', formatMs((timers.waitSeatLayoutEnd || 0) - (timers.waitSeatLayoutStart || 0)));
-    console.log('injected scanner run:', formatMs((timers.injectEnd || 0) - (timers.injectStart || 0)));
-
-    console.log('\nAutomation progressed up to payment trigger. Browser is left open for you to manually complete the payment on your device.');
-    console.log('Temporary profile dir (inspect/delete later):', tmpProfileDir);
+    log.log('--- TIMING SUMMARY ---');
+    log.log('Total elapsed:', formatMs(timers.end - timers.start));
+    log.log('page.goto():', formatMs((timers.gotoEnd || 0) - (timers.gotoStart || 0)));
+    log.log('waitForReady():', formatMs((timers.waitReadyEnd || 0) - (timers.waitReadyStart || 0)));
+    log.log('findGridcellByMovieId():', formatMs((timers.findCellEnd || 0) - (timers.findCellStart || 0)));
+    log.log('showtimeClick attempts:', formatMs((timers.showtimeClickEnd || 0) - (timers.showtimeClickStart || 0)));
+    log.log('handleSeatQuantityAndSelectSeats():', formatMs((timers.selectQtyEnd || 0) - (timers.selectQtyStart || 0)));
+    log.log('waitForSeatLayout():', formatMs((timers.waitSeatLayoutEnd || 0) - (timers.waitSeatLayoutStart || 0)));
+    log.log('injected scanner run:', formatMs((timers.injectEnd || 0) - (timers.injectStart || 0)));
+
+    // the trace covers the automation only; whatever happens in the browser left open is the user's
+    await stopTrace();
+    if (options.closeOnFinish) {
+      try { await context.close(); } catch (e) {}
+    } else {
+      log.log('\nAutomation progressed up to payment trigger. Browser is left open for you to manually complete the payment on your device.');
+    }
+    if (tmpProfileDir) log.log('Temporary profile dir (inspect/delete later):', tmpProfileDir);
 
     return {
       ok: true,
       tmpProfileDir,
+      artifactsDir: ARTIFACTS_DIR || null,
       scannerResult,
       timings: timers,
       message: 'Automation completed up to payment trigger. Browser left open for manual completion.'
     };
 
   } catch (err) {
-    console.error('Fatal error:', err && err.message ? err.message : err);
+    log.error('Fatal error:', err && err.message ? err.message : err);
+    await capture('error');
+    await stopTrace();
     try { if (context) { await context.close(); } } catch (e) {}
-    return { ok: false, error: err && err.message ? err.message : err };
+    // the browser is gone and nobody was handed the throwaway profile
+    if (tmpProfileDir) { try { fs.rmSync(tmpProfileDir, { recursive: true, force: true }); } catch (e) {} }
+    return { ok: false, error: err && err.message ? err.message : err, artifactsDir: ARTIFACTS_DIR || null, timings: timers };
+  }
+}
+
+/**
+ * extractSeatMap(options)
+ * - cinemaUrl, movieId, showIndex or showtimeRules (+ chromeBinary, timeouts, artifactsDir) as for autoBookBMS;
+ *   opens that show's seat layout, maps every row and closes the browser without selecting seats
+ * - resolves { ok: true, seatMap } (see seatMap.js) or { ok: false, error }
+ */
+async function extractSeatMap(options = {}) {
+  return autoBookBMS({ ...options, seatQuantity: options.seatQuantity || 1, seatMapOnly: true });
+}
+
+/**
+ * openLoginBrowser({ profileDir, storageState, url, headless, chromeBinary })
+ * - opens BookMyShow in an account's profile for a person to log in; resolves { context, page }
+ *   and leaves closing (and saving the storage state, if any) to the caller
+ */
+async function openLoginBrowser({ profileDir = null, storageState = null, url = 'https://in.bookmyshow.com/', headless = true, chromeBinary = '' } = {}) {
+  const dir = profileDir ? path.resolve(profileDir) : fs.mkdtempSync(path.join(os.tmpdir(), 'bms-login-'));
+  fs.mkdirSync(dir, { recursive: true });
+  const context = await launchProfile(dir, { headless, chromeBinary });
+  try {
+    if (storageState && fs.existsSync(storageState)) await applyStorageState(context, storageState);
+    const page = context.pages()[0] || await context.newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+    return { context, page, profileDir: profileDir ? null : dir };
+  } catch (e) {
+    try { await context.close(); } catch (err) {}
+    if (!profileDir) { try { fs.rmSync(dir, { recursive: true, force: true }); } catch (err) {} }
+    throw e;
   }
 }
 
 /**
- * _runBookingAutomation(task)
- * - wrapper used by your WatcherManager
+ * _runBookingAutomation(task, { onStep, artifactsDir, trace, onArtifact, handoff, onHandoff, account, closeOnFinish, logger })
+ * - wrapper used by your WatcherManager; the hooks, artifact settings and closeOnFinish are passed through to autoBookBMS
+ * - account: the booking account (accounts.js) to run as — its profile / storageState, email and
+ *   phone replace the task's EMAIL / MOBILE_NUMBER / GPAY_NUMBER
  */
-async function _runBookingAutomation(task = {}) {
+async function _runBookingAutomation(task = {}, { onStep = null, artifactsDir = null, trace = false, onArtifact = null, handoff = false, onHandoff = null, account = null, closeOnFinish = false, logger = console } = {}) {
   if (!task) throw new Error('_runBookingAutomation called without task');
   const bs = task.bookingSettings || {};
+  const acct = account || {};
 
   const options = {
-    cinemaUrl: bs.THEATRE_URL || task.cinemaUrl || '',
+    // the page the watcher actually matched on (date-rolled) beats the URL saved at creation
+    cinemaUrl: task.foundCinemaUrl || bs.THEATRE_URL || task.cinemaUrl || '',
     movieId: bs.MOVIE_ID || task.identifier || '',
     showIndex: bs.SHOW_INDEX || bs.SHOW_INDEX === 0 ? Number(bs.SHOW_INDEX) : (bs.SHOW_INDEX ? Number(bs.SHOW_INDEX) : (task.showIndex || 1)),
     seatQuantity: bs.SEAT_QUANTITY || bs.SEAT_QUANTITY === 0 ? Number(bs.SEAT_QUANTITY) : (task.seatQuantity || 1),
     targetSeat: bs.TARGET_SEAT || bs.TARGET_SEAT === '' ? bs.TARGET_SEAT : (task.targetSeat || ''),
     nextSeats: Array.isArray(bs.NEXT_SEATS) ? bs.NEXT_SEATS : (bs.NEXT_SEATS ? bs.NEXT_SEATS : (task.nextSeats || [])),
-    email: bs.EMAIL || task.email || '',
-    phone: bs.MOBILE_NUMBER || bs.PHONE || task.phone || '',
-    gpayNumber: bs.GPAY_NUMBER || bs.GPAY_NUMBER === '' ? bs.GPAY_NUMBER : (bs.MOBILE_NUMBER || bs.phone || task.phone || ''),
+    seatPreferences: bs.SEAT_PREFS || task.seatPreferences || null,
+    showtimeRules: bs.SHOWTIME || task.showtimeRules || null,
+    email: acct.email || bs.EMAIL || task.email || '',
+    phone: acct.phone || bs.MOBILE_NUMBER || bs.PHONE || task.phone || '',
+    // GPay is triggered on a mobile number (the #mobile field); an account's UPI id is not one
+    gpayNumber: acct.phone || (bs.GPAY_NUMBER || bs.GPAY_NUMBER === '' ? bs.GPAY_NUMBER : (bs.MOBILE_NUMBER || bs.phone || task.phone || '')),
+    profileDir: acct.profileDir || null,
+    storageState: acct.storageState || null,
     chromeBinary: process.env.CHROME_PATH || '',
     // headless: (process.env.AUTOMATION_HEADLESS === 'true') || true,
     headless: true,
-    timeouts: bs.timeouts || task.timeouts || {}
+    timeouts: bs.timeouts || task.timeouts || {},
+    onStep,
+    artifactsDir,
+    trace,
+    onArtifact,
+    handoff,
+    onHandoff,
+    closeOnFinish,
+    logger
   };
 
   if (!options.cinemaUrl || !options.movieId) {
@@ -1311,14 +1659,14 @@ async function _runBookingAutomation(task = {}) {
   }
 
   try {
-    console.log(`[autoBook] starting automation for task ${task.id} movie=${options.movieId} url=${options.cinemaUrl}`);
+    logger.log(`[autoBook] starting automation for task ${task.id} movie=${options.movieId} url=${options.cinemaUrl}${account ? ` account=${account.name}` : ''}`);
     const res = await autoBookBMS(options);
-    console.log(`[autoBook] finished for task ${task.id}`, res && res.ok ? 'OK' : 'FAILED', res && res.error ? res.error : '');
+    logger.log(`[autoBook] finished for task ${task.id}`, res && res.ok ? 'OK' : 'FAILED', res && res.error ? res.error : '');
     return { ok: true, result: res };
   } catch (err) {
-    console.error(`[autoBook] error for task ${task.id}:`, err && err.message ? err.message : err);
+    logger.error(`[autoBook] error for task ${task.id}:`, err && err.message ? err.message : err);
     return { ok: false, error: err && err.message ? err.message : String(err) };
   }
 }
 
-module.exports = { _runBookingAutomation };
+module.exports = { _runBookingAutomation, autoBookBMS, extractSeatMap, openLoginBrowser };
@@ -0,0 +1,156 @@
+// server/bmsUrl.js
+// Helpers for BookMyShow cinema "buytickets" URLs, which end in a YYYYMMDD date segment:
+//   https://in.bookmyshow.com/cinemas/<city>/<slug>/buytickets/<VENUE>/<YYYYMMDD>
+
+const BUYTICKETS_RE = /^(.*\/buytickets\/([^/?#]+))(?:\/(\d{8}))?\/?([?#].*)?$/;
+
+// BMS dates are Indian dates regardless of where the server runs
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+function parseBuyticketsUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  const m = url.trim().match(BUYTICKETS_RE);
+  if (!m) return null;
+  return { base: m[1], venueCode: m[2], dateCode: m[3] || null, suffix: m[4] || '' };
+}
+
+// true for http(s) URLs on bookmyshow.com (or a subdomain), or on the origin of `baseUrl`
+// (BMS_BASE_URL pointed at test/mockBms)
+function isBookMyShowUrl(url, baseUrl = null) {
+  let u;
+  try { u = new URL(String(url || '').trim()); } catch (e) { return false; }
+  if (!['https:', 'http:'].includes(u.protocol)) return false;
+  const host = u.hostname.toLowerCase();
+  if (host === 'bookmyshow.com' || host.endsWith('.bookmyshow.com')) return u.protocol === 'https:';
+  if (!baseUrl) return false;
+  try { return new URL(baseUrl).origin === u.origin; } catch (e) { return false; }
+}
+
+function isDateCode(s) {
+  if (!/^\d{8}$/.test(String(s || ''))) return false;
+  const d = dateCodeToUtcDate(s);
+  return !!d && toDateCodeUtc(d) === String(s);
+}
+
+// accepts YYYYMMDD or YYYY-MM-DD, returns YYYYMMDD or null
+function normalizeDateCode(s) {
+  if (s == null) return null;
+  const str = String(s).trim().replace(/-/g, '');
+  return isDateCode(str) ? str : null;
+}
+
+function withDateCode(url, dateCode) {
+  const parsed = parseBuyticketsUrl(url);
+  if (!parsed) throw new Error(`Not a buytickets URL: ${url}`);
+  const code = normalizeDateCode(dateCode);
+  if (!code) throw new Error(`Invalid date: ${dateCode}`);
+  return `${parsed.base}/${code}${parsed.suffix}`;
+}
+
+function dateCodeToUtcDate(dateCode) {
+  const m = String(dateCode || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!m) return null;
+  return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+}
+
+function toDateCodeUtc(d) {
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+// calendar date of `now` in `timeZone`, as YYYYMMDD
+function todayDateCode({ now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(now);
+  const get = type => (parts.find(p => p.type === type) || {}).value;
+  return `${get('year')}${get('month')}${get('day')}`;
+}
+
+function addDays(dateCode, days) {
+  const d = dateCodeToUtcDate(dateCode);
+  if (!d) throw new Error(`Invalid date: ${dateCode}`);
+  d.setUTCDate(d.getUTCDate() + Number(days || 0));
+  return toDateCodeUtc(d);
+}
+
+// inclusive range of date codes; capped so a typo can't expand into thousands of watchers
+function dateRange(from, to, { max = 31 } = {}) {
+  const start = normalizeDateCode(from);
+  const end = normalizeDateCode(to || from);
+  if (!start || !end) throw new Error(`Invalid date range: ${from}..${to}`);
+  if (end < start) throw new Error(`Date range end ${end} is before start ${start}`);
+  const out = [];
+  for (let cur = start; cur <= end; cur = addDays(cur, 1)) {
+    out.push(cur);
+    if (out.length > max) throw new Error(`Date range longer than ${max} days`);
+  }
+  return out;
+}
+
+// Watcher date modes:
+//   { type: 'fixed', date? }   the date in the cinema URL (or `date`); rolls forward to today once it has passed
+//   { type: 'today' }          today's date, recomputed on every reload
+//   { type: 'offset', days }   today + N days
+//   { type: 'list', dates }    cycles through the listed dates (one per reload), skipping past ones
+const DATE_MODE_TYPES = ['fixed', 'today', 'offset', 'list'];
+
+function normalizeDateMode(mode) {
+  if (mode == null || mode === '') return { type: 'fixed' };
+  if (typeof mode === 'string') mode = { type: mode };
+  const type = String(mode.type || 'fixed');
+  if (!DATE_MODE_TYPES.includes(type)) throw new Error(`Unknown date mode: ${type}`);
+
+  if (type === 'fixed') {
+    if (mode.date == null || mode.date === '') return { type };
+    const date = normalizeDateCode(mode.date);
+    if (!date) throw new Error(`Invalid date: ${mode.date}`);
+    return { type, date };
+  }
+  if (type === 'offset') {
+    const days = Number(mode.days);
+    if (!Number.isInteger(days) || days < 0 || days > 30) throw new Error('date mode offset needs days between 0 and 30');
+    return { type, days };
+  }
+  if (type === 'list') {
+    const raw = Array.isArray(mode.dates) ? mode.dates : String(mode.dates || '').split(',');
+    const dates = raw.map(d => String(d).trim()).filter(Boolean).map(d => {
+      const code = normalizeDateCode(d);
+      if (!code) throw new Error(`Invalid date: ${d}`);
+      return code;
+    });
+    if (!dates.length) throw new Error('date mode list needs at least one date');
+    return { type, dates: Array.from(new Set(dates)).sort() };
+  }
+  return { type };
+}
+
+// date code to watch for a (normalized) mode; `cursor` selects the entry in list mode.
+// Returns null when the mode is fixed and the URL carries no date (BMS picks its default).
+function resolveDateCode(mode, { urlDateCode = null, cursor = 0, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const today = todayDateCode({ now, timeZone });
+  switch (mode.type) {
+    case 'today': return today;
+    case 'offset': return addDays(today, mode.days);
+    case 'list': {
+      const upcoming = mode.dates.filter(d => d >= today);
+      return upcoming.length ? upcoming[cursor % upcoming.length] : today;
+    }
+    default: {
+      const fixed = mode.date || urlDateCode;
+      if (!fixed) return null;
+      return fixed >= today ? fixed : today;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  parseBuyticketsUrl,
+  isBookMyShowUrl,
+  isDateCode,
+  normalizeDateCode,
+  withDateCode,
+  todayDateCode,
+  addDays,
+  dateRange,
+  normalizeDateMode,
+  resolveDateCode
+};
@@ -0,0 +1,192 @@
+// server/bookingRuns.js
+// Booking automation runs as records of their own: one per attempt, linked to its task,
+// moving through queued → launching → showtime-selected → seats-selected → payment-pending (→ handoff)
+// and ending in succeeded or failed. Every transition is appended to `steps` (the UI timeline),
+// persisted through `storage` (see storage.js) and reported through `onChange`. Screenshots / traces taken during a
+// run live in `<artifactsDir>/<run id>/` and are listed on the run's `artifacts`. A run dispatched
+// to a booking account records it as `account: { id, name }` with the `seats` it books.
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+// 'handoff' = stopped at payment, waiting for a person to finish it (see handoffSessions.js)
+const RUN_STATUSES = ['queued', 'launching', 'showtime-selected', 'seats-selected', 'payment-pending', 'handoff', 'succeeded', 'failed'];
+const FINAL_STATUSES = ['succeeded', 'failed'];
+// oldest finished runs beyond this are dropped when saving
+const MAX_RUNS = 500;
+
+class BookingRuns {
+  constructor({ storage = null, artifactsDir = null, onChange = null, logger = console } = {}) {
+    this.storage = storage;
+    this.artifactsDir = artifactsDir ? path.resolve(artifactsDir) : null;
+    this.onChange = onChange;
+    this.logger = logger;
+    this.runs = [];
+    this._saveTimer = null;
+    this._dirty = new Set();   // ids of runs changed since the last save
+    if (this.storage) this._load();
+  }
+
+  _load() {
+    try {
+      this.runs = this.storage.loadBookingRuns();
+      // a run that was in flight when the server stopped can't be resumed
+      let interrupted = 0;
+      for (const run of this.runs.filter(r => !FINAL_STATUSES.includes(r.status))) {
+        this._transition(run, 'failed', { error: 'interrupted by server restart' });
+        this._dirty.add(run.id);
+        interrupted++;
+      }
+      if (this.runs.length) this.logger.log(`Loaded ${this.runs.length} booking runs from ${this.storage.file}${interrupted ? ` (${interrupted} interrupted)` : ''}`);
+      if (interrupted) this._saveImmediate();
+    } catch (e) {
+      this.logger.error('Failed to load booking runs:', e && e.message ? e.message : e);
+      this.runs = [];
+    }
+  }
+
+  _saveImmediate() {
+    if (!this.storage) return;
+    try {
+      const finished = this.runs.filter(r => FINAL_STATUSES.includes(r.status));
+      let dropped = [];
+      if (finished.length > MAX_RUNS) {
+        dropped = finished.slice(0, finished.length - MAX_RUNS).map(r => r.id);
+        const drop = new Set(dropped);
+        this.runs = this.runs.filter(r => !drop.has(r.id));
+        for (const id of drop) { this._dirty.delete(id); this._removeArtifacts(id); }
+      }
+      this.storage.saveBookingRuns(this.runs.filter(r => this._dirty.has(r.id)));
+      this.storage.deleteBookingRuns(dropped);
+      this._dirty.clear();
+    } catch (e) {
+      this.logger.error('Failed to save booking runs:', e && e.message ? e.message : e);
+    }
+  }
+
+  _save(run, debounceMs = 300) {
+    if (!this.storage) return;
+    this._dirty.add(run.id);
+    if (this._saveTimer) clearTimeout(this._saveTimer);
+    this._saveTimer = setTimeout(() => this._saveImmediate(), debounceMs);
+  }
+
+  _transition(run, status, { details = null, error = null, result = null } = {}) {
+    const at = new Date().toISOString();
+    run.status = status;
+    run.updatedAt = at;
+    run.steps.push({ status, at, details: details || null });
+    if (error) run.error = error;
+    if (result) run.result = result;
+    if (FINAL_STATUSES.includes(status)) run.finishedAt = at;
+  }
+
+  create(task, { account = null, seats = null } = {}) {
+    const now = new Date().toISOString();
+    const run = {
+      id: `booking-${randomUUID()}`,
+      taskId: task.id,
+      identifier: task.identifier || null,
+      cinemaUrl: task.foundCinemaUrl || task.cinemaUrl || null,
+      account,
+      seats,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      error: null,
+      result: null,
+      steps: [{ status: 'queued', at: now, details: null }],
+      artifacts: []
+    };
+    this.runs.push(run);
+    this._save(run);
+    this._emit(run);
+    return run;
+  }
+
+  // move a run forward; unknown, repeated or backwards steps are ignored so a chatty
+  // automation can't scramble the timeline
+  advance(id, status, details = null) {
+    const run = this.get(id);
+    if (!run || FINAL_STATUSES.includes(run.status)) return null;
+    const from = RUN_STATUSES.indexOf(run.status);
+    const to = RUN_STATUSES.indexOf(status);
+    if (to === -1 || FINAL_STATUSES.includes(status) || to <= from) return null;
+    this._transition(run, status, { details });
+    this._save(run);
+    this._emit(run);
+    return run;
+  }
+
+  finish(id, { ok, error = null, result = null } = {}) {
+    const run = this.get(id);
+    if (!run || FINAL_STATUSES.includes(run.status)) return null;
+    this._transition(run, ok ? 'succeeded' : 'failed', { error: ok ? null : (error || 'booking automation failed'), result });
+    this._save(run);
+    this._emit(run);
+    this.logger.log(`[BookingRuns] ${run.id} for task ${run.taskId} ${run.status}${run.error ? `: ${run.error}` : ''}`);
+    return run;
+  }
+
+  // records a file the automation wrote into artifactDirFor(id); `step` is the status the run was in
+  addArtifact(id, { kind = 'screenshot', file, label = null, url = null } = {}) {
+    const run = this.get(id);
+    if (!run || !file) return null;
+    run.artifacts = run.artifacts || [];
+    run.artifacts.push({ kind, file: path.basename(file), label, step: run.status, url, at: new Date().toISOString() });
+    this._save(run);
+    this._emit(run);
+    return run;
+  }
+
+  artifactDirFor(id) {
+    return this.artifactsDir ? path.join(this.artifactsDir, id) : null;
+  }
+
+  // absolute path of one of the run's artifacts, or null when the run doesn't list it
+  // (the listing is the allow-list, so request paths can't reach outside the run's directory)
+  artifactPath(id, file) {
+    const run = this.get(id);
+    const dir = this.artifactDirFor(id);
+    if (!run || !dir || !(run.artifacts || []).some(a => a.file === file)) return null;
+    const abs = path.join(dir, file);
+    return fs.existsSync(abs) ? abs : null;
+  }
+
+  _removeArtifacts(id) {
+    const dir = this.artifactDirFor(id);
+    if (!dir) return;
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) {
+      this.logger.warn(`Failed to remove artifacts of ${id}:`, e && e.message ? e.message : e);
+    }
+  }
+
+  get(id) {
+    return this.runs.find(r => r.id === id) || null;
+  }
+
+  forTask(taskId) {
+    return this.runs.filter(r => r.taskId === taskId);
+  }
+
+  active() {
+    return this.runs.filter(r => !FINAL_STATUSES.includes(r.status));
+  }
+
+  _emit(run) {
+    if (!this.onChange) return;
+    try { this.onChange(JSON.parse(JSON.stringify(run))); } catch (e) {}
+  }
+
+  flush() {
+    if (this._saveTimer) { clearTimeout(this._saveTimer); this._saveTimer = null; }
+    this._saveImmediate();
+  }
+}
+
+BookingRuns.STATUSES = RUN_STATUSES;
+BookingRuns.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = BookingRuns;
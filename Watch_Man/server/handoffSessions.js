@@ -0,0 +1,228 @@
+// server/handoffSessions.js
+// Human-in-the-loop payment: a booking run that stopped at the payment step hands its live
+// browser context over to a session here. Viewers get the page as CDP screencast frames
+// (JPEG, base64) and send back clicks / keys / scrolls, so a person can finish the payment
+// from their own device. A session ends on explicit release or after `timeoutSeconds`
+// without input; either way the context (and its temp profile) is closed and `done` resolves.
+// The same live view serves account logins (purpose 'login'): a person signs in to a booking
+// account's profile and `beforeClose` saves the result before the browser goes away.
+
+const fs = require('fs');
+const { randomUUID } = require('crypto');
+
+const INPUT_TYPES = ['click', 'move', 'wheel', 'key', 'text'];
+const SCREENCAST = { format: 'jpeg', quality: 60, maxWidth: 1280, maxHeight: 1280, everyNthFrame: 1 };
+// how many ended sessions stay listed so their outcome can still be looked up
+const KEEP_ENDED = 20;
+
+class HandoffSessions {
+  constructor({ timeoutSeconds = 600, logger = console, onChange = null } = {}) {
+    this.timeoutMs = (Number(timeoutSeconds) || 600) * 1000;
+    this.logger = logger;
+    this.onChange = onChange;
+    this.sessions = new Map();    // id -> internal session (context, page, cdp, listeners, ...)
+  }
+
+  // takes ownership of `context`; `page` is the tab the automation left at the payment step.
+  // beforeClose(context, outcome) runs just before the context is closed
+  open({ runId = null, taskId = null, accountId = null, purpose = 'payment', context, page, profileDir = null, beforeClose = null }) {
+    if (!context || !page) throw new Error('handoff needs a browser context and page');
+    const now = Date.now();
+    const s = {
+      id: `handoff-${randomUUID()}`,
+      runId, taskId, accountId, purpose, context, page, profileDir, beforeClose,
+      status: 'active',
+      createdAt: new Date(now).toISOString(),
+      lastInputAt: null,
+      expiresAt: new Date(now + this.timeoutMs).toISOString(),
+      outcome: null,
+      cdp: null,
+      frame: null,               // latest { data, metadata, at }
+      listeners: new Set(),
+      timer: null
+    };
+    s.done = new Promise(resolve => { s._resolve = resolve; });
+    // payment pages like to open popups (UPI / bank pages); follow the newest tab
+    s._onPage = p => { s.page = p; if (s.listeners.size) this._startScreencast(s); };
+    try { context.on('page', s._onPage); } catch (e) {}
+    this._pruneEnded();
+    this.sessions.set(s.id, s);
+    this._armTimer(s);
+    this.logger.log(`[Handoff] ${s.id} opened for ${purpose === 'login' ? `login of ${accountId}` : `run ${runId}`} (expires ${s.expiresAt})`);
+    this._changed(s);
+    return this.view(s.id);
+  }
+
+  view(id) {
+    const s = this.sessions.get(id);
+    if (!s) return null;
+    let url = null;
+    try { url = s.page.url(); } catch (e) {}
+    return {
+      id: s.id, purpose: s.purpose, runId: s.runId, taskId: s.taskId, accountId: s.accountId, status: s.status, url,
+      createdAt: s.createdAt, lastInputAt: s.lastInputAt, expiresAt: s.expiresAt,
+      viewers: s.listeners.size, outcome: s.outcome
+    };
+  }
+
+  list() {
+    return [...this.sessions.keys()].map(id => this.view(id));
+  }
+
+  // resolves with { completed, reason } once the session is released or expires
+  done(id) {
+    const s = this.sessions.get(id);
+    return s ? s.done : Promise.resolve(null);
+  }
+
+  // `fn(frame)` receives every screencast frame, starting with the latest one;
+  // the screencast only runs while somebody is watching. Returns the unsubscribe function.
+  subscribe(id, fn) {
+    const s = this._active(id);
+    s.listeners.add(fn);
+    if (s.frame) { try { fn(s.frame); } catch (e) {} }
+    if (s.listeners.size === 1) this._startScreencast(s);
+    this._changed(s);
+    return () => {
+      if (!s.listeners.delete(fn)) return;
+      if (!s.listeners.size) this._stopScreencast(s);
+      if (s.status === 'active') this._changed(s);
+    };
+  }
+
+  // Forwards one input event. x / y are fractions (0..1) of the frame, so the viewer's
+  // display size doesn't matter; they are mapped onto the page's CSS viewport.
+  async input(id, event = {}) {
+    const s = this._active(id);
+    const type = String(event.type || '');
+    if (!INPUT_TYPES.includes(type)) throw new Error(`Unknown input type: ${event.type}`);
+    const { mouse, keyboard } = s.page;
+    const point = () => {
+      const m = (s.frame && s.frame.metadata) || {};
+      const width = m.deviceWidth || 1280;
+      const height = m.deviceHeight || 720;
+      const fx = Math.min(1, Math.max(0, Number(event.x) || 0));
+      const fy = Math.min(1, Math.max(0, Number(event.y) || 0));
+      return [Math.round(fx * width), Math.round(fy * height)];
+    };
+
+    switch (type) {
+      case 'click': {
+        const [x, y] = point();
+        await mouse.click(x, y, { button: ['left', 'right', 'middle'].includes(event.button) ? event.button : 'left' });
+        break;
+      }
+      case 'move': {
+        const [x, y] = point();
+        await mouse.move(x, y);
+        break;
+      }
+      case 'wheel':
+        if (event.x != null) { const [x, y] = point(); await mouse.move(x, y); }
+        await mouse.wheel(Number(event.deltaX) || 0, Number(event.deltaY) || 0);
+        break;
+      case 'key':
+        if (!event.key) throw new Error('key input needs "key"');
+        await keyboard.press(String(event.key));
+        break;
+      case 'text':
+        await keyboard.type(String(event.text || ''));
+        break;
+    }
+    s.lastInputAt = new Date().toISOString();
+    this._armTimer(s);
+    this._changed(s);
+    return this.view(id);
+  }
+
+  // explicit end of the session; `completed` says whether the person finished the payment (or login)
+  async release(id, { completed = false } = {}) {
+    const s = this._active(id);
+    return this._end(id, 'released', { completed: !!completed, reason: completed ? `${s.purpose} completed` : `released without completing ${s.purpose}` });
+  }
+
+  async closeAll() {
+    for (const s of [...this.sessions.values()]) {
+      if (s.status === 'active') await this._end(s.id, 'closed', { completed: false, reason: 'server shutting down' });
+    }
+  }
+
+  _active(id) {
+    const s = this.sessions.get(id);
+    if (!s) throw Object.assign(new Error('handoff session not found'), { statusCode: 404 });
+    if (s.status !== 'active') throw Object.assign(new Error(`handoff session is ${s.status}`), { statusCode: 409 });
+    return s;
+  }
+
+  _pruneEnded() {
+    const ended = [...this.sessions.values()].filter(s => s.status !== 'active');
+    for (const s of ended.slice(0, Math.max(0, ended.length - KEEP_ENDED))) this.sessions.delete(s.id);
+  }
+
+  _armTimer(s) {
+    if (s.timer) clearTimeout(s.timer);
+    s.expiresAt = new Date(Date.now() + this.timeoutMs).toISOString();
+    s.timer = setTimeout(() => {
+      this.logger.warn(`[Handoff] ${s.id} timed out without input`);
+      this._end(s.id, 'expired', { completed: false, reason: 'handoff timed out' });
+    }, this.timeoutMs);
+    if (s.timer.unref) s.timer.unref();
+  }
+
+  async _startScreencast(s) {
+    await this._stopScreencast(s);
+    const page = s.page;
+    try {
+      const cdp = await s.context.newCDPSession(page);
+      s.cdp = cdp;
+      cdp.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+        cdp.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+        s.frame = { data, metadata: metadata || {}, at: new Date().toISOString() };
+        for (const fn of s.listeners) { try { fn(s.frame); } catch (e) {} }
+      });
+      await cdp.send('Page.startScreencast', SCREENCAST);
+    } catch (e) {
+      this.logger.warn(`[Handoff] ${s.id} screencast failed:`, e && e.message ? e.message : e);
+    }
+  }
+
+  async _stopScreencast(s) {
+    const cdp = s.cdp;
+    if (!cdp) return;
+    s.cdp = null;
+    try { await cdp.send('Page.stopScreencast'); } catch (e) {}
+    try { await cdp.detach(); } catch (e) {}
+  }
+
+  async _end(id, status, outcome) {
+    const s = this.sessions.get(id);
+    if (!s || s.status !== 'active') return this.view(id);
+    s.status = status;
+    s.outcome = outcome;
+    if (s.timer) { clearTimeout(s.timer); s.timer = null; }
+    try { s.context.off && s.context.off('page', s._onPage); } catch (e) {}
+    await this._stopScreencast(s);
+    for (const fn of s.listeners) { try { fn(null); } catch (e) {} }
+    s.listeners.clear();
+    if (s.beforeClose) {
+      try { await s.beforeClose(s.context, outcome); } catch (e) {
+        this.logger.warn(`[Handoff] ${s.id} beforeClose failed:`, e && e.message ? e.message : e);
+      }
+    }
+    try { await s.context.close(); } catch (e) {}
+    if (s.profileDir) { try { fs.rmSync(s.profileDir, { recursive: true, force: true }); } catch (e) {} }
+    this.logger.log(`[Handoff] ${s.id} ${status}: ${outcome.reason}`);
+    this._changed(s);
+    s._resolve(outcome);
+    return this.view(id);
+  }
+
+  _changed(s) {
+    if (!this.onChange) return;
+    try { this.onChange(this.view(s.id)); } catch (e) {}
+  }
+}
+
+HandoffSessions.INPUT_TYPES = INPUT_TYPES;
+
+module.exports = HandoffSessions;
@@ -0,0 +1,236 @@
+// server/httpWatcher.js
+// Browserless Watcher backend: polls the cinema's showtimes data endpoint and the buytickets
+// HTML over plain HTTP, and only opens a Playwright page (via the usual pageFactory) when a
+// check is inconclusive — e.g. the endpoint errors or the page is a client-rendered shell.
+// With borrowPage / returnPage (WatcherManager's page scheduler) an escalation only opens a page
+// when a page slot is free, and holds that slot until the page is closed.
+// Same interface as Watcher, so WatcherManager can swap backends per task.
+
+const axios = require('axios');
+const Watcher = require('./watcher');
+const { parseBuyticketsUrl } = require('./bmsUrl');
+const { findMovieInPayload } = require('./showtimePayload');
+const { classifyPage } = require('./pageClassifier');
+
+// relative to the cinema URL's origin; override per deployment with BMS_SHOWTIMES_API
+const DEFAULT_DATA_URL_TEMPLATE = '/api/movies-data/showtimes-by-venue?venueCode={venueCode}&dateCode={dateCode}';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0 Safari/537.36';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+function findLinkInHtml(html, identifier) {
+  const re = /href\s*=\s*["']([^"']+)["']/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    if (m[1].includes(identifier)) return m[1];
+  }
+  return null;
+}
+
+function absolute(href, base) {
+  if (!href) return null;
+  try { return new URL(href, base).href; } catch (_) { return href; }
+}
+
+class HttpWatcher extends Watcher {
+  constructor({ httpClient = axios, dataUrlTemplate = DEFAULT_DATA_URL_TEMPLATE, requestTimeoutMs = 15000, escalationHoldMs = 10000, escalationCooldownMs = 60000, borrowPage = null, returnPage = null, ...opts } = {}) {
+    super(opts);
+    this.backend = 'http';
+    this.httpClient = httpClient;
+    this.dataUrlTemplate = dataUrlTemplate || null;
+    this.requestTimeoutMs = Number(requestTimeoutMs) || 15000;
+    this.escalationHoldMs = Number(escalationHoldMs) || 0;
+    this.escalationCooldownMs = Number(escalationCooldownMs) || 0;
+    this.borrowPage = borrowPage;     // () => false when no page slot is free
+    this.returnPage = returnPage;
+    this._pageBorrowed = false;
+
+    this.httpChecks = 0;
+    this.escalations = 0;
+    this.lastCheck = null;      // { at, url, outcome: found|not-found|inconclusive, pageStatus, dataStatus, pageKind, reason, escalated }
+    this._lastEscalationAt = 0;
+  }
+
+  async start(onFoundCallback) {
+    if (this.running) return;
+    this.running = true;
+    this.onFoundCallback = onFoundCallback;
+    this.logger.log(`[HttpWatcher ${this.id}] start → ${this.cinemaUrl} (looking for ${this.identifier}, date mode ${this.dateMode.type}, escalation strategy ${this.strategy})`);
+    await this._check();
+    this._scheduleReload();
+  }
+
+  _dataUrl(pageUrl) {
+    if (!this.dataUrlTemplate) return null;
+    const parsed = parseBuyticketsUrl(pageUrl);
+    if (!parsed) return null;
+    const path = this.dataUrlTemplate
+      .replace('{venueCode}', encodeURIComponent(parsed.venueCode))
+      .replace('{dateCode}', encodeURIComponent(this.targetDateCode || parsed.dateCode || ''));
+    return absolute(path, pageUrl);
+  }
+
+  _get(url, accept) {
+    return this.httpClient.get(url, {
+      timeout: this.requestTimeoutMs,
+      maxContentLength: MAX_BODY_BYTES,
+      responseType: 'text',
+      transformResponse: [data => data],
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': accept, 'Accept-Language': 'en-US,en;q=0.9' }
+    });
+  }
+
+  // One cheap poll. Never throws; anything unexpected just makes the check inconclusive.
+  async _check() {
+    const url = this._nextTargetUrl();
+    const check = { at: new Date().toISOString(), url, outcome: 'inconclusive', pageStatus: null, dataStatus: null, pageKind: null, reason: null, escalated: false };
+    this.httpChecks++;
+    let hint = false;
+    let verdict = null;   // page classification, when the page was fetched
+
+    // 1) showtimes data: a parsed payload is conclusive either way
+    const dataUrl = this._dataUrl(url);
+    if (dataUrl) {
+      try {
+        const res = await this._get(dataUrl, 'application/json');
+        check.dataStatus = res.status;
+        if (res.status === 200) {
+          const payload = JSON.parse(res.data);
+          const match = findMovieInPayload(payload, this.identifier);
+          if (match) {
+            check.outcome = 'found';
+            this._handleFound(absolute(match.href, url), 'http data', {
+              responseUrl: dataUrl, name: match.name, showtimes: match.showtimes, formats: match.formats, languages: match.languages
+            });
+          } else {
+            check.outcome = 'not-found';
+          }
+        } else {
+          check.reason = `data endpoint returned ${res.status}`;
+        }
+      } catch (e) {
+        check.reason = `data endpoint: ${e && e.message ? e.message : e}`;
+      }
+    }
+
+    // 2) the page itself, in case the link is server-rendered
+    if (check.outcome === 'inconclusive') {
+      try {
+        const res = await this._get(url, 'text/html');
+        check.pageStatus = res.status;
+        const html = typeof res.data === 'string' ? res.data : '';
+        verdict = classifyPage({ status: res.status, html });
+        check.pageKind = verdict.kind;
+        if (verdict.kind !== 'ok' && verdict.kind !== 'not-found') {
+          check.reason = check.reason || `page is ${verdict.kind} (${verdict.reason})`;
+        } else if (res.status !== 200) {
+          check.reason = check.reason || `page returned ${res.status}`;
+        } else {
+          const href = findLinkInHtml(html, this.identifier);
+          if (href) {
+            check.outcome = 'found';
+            this._handleFound(absolute(href, url), 'http page');
+          } else if (html.includes(this.identifier)) {
+            hint = true;
+            check.reason = 'identifier in page source without a link';
+          } else {
+            check.reason = check.reason || 'page has no link (may be client-rendered)';
+          }
+        }
+      } catch (e) {
+        check.reason = `page: ${e && e.message ? e.message : e}`;
+      }
+    }
+
+    this.lastCheck = check;
+    // a conclusive data response means the site let us in; otherwise go by the page
+    let usable = true;
+    if (check.dataStatus === 200) this._recordAccess({ kind: 'ok', status: 200 });
+    else if (verdict) usable = this._recordAccess(verdict);
+    // reaching either the endpoint or the page counts as healthy, whatever it said — unless it was a block/maintenance page
+    const reached = check.dataStatus === 200 || (check.pageStatus === 200 && usable && check.pageKind !== 'maintenance');
+    if (reached) this._recordSuccess();
+    else this._recordFailure(check.reason || 'cinema unreachable');
+
+    if (check.outcome !== 'inconclusive' || !this.running || !this.pageFactory) return check;
+    // a browser page would only land on the same block; wait for the backoff instead
+    if (!usable) return check;
+
+    // a hint skips the cooldown; otherwise at most one browser check per cooldown window
+    if (hint || Date.now() - this._lastEscalationAt >= this.escalationCooldownMs) {
+      await this._escalate(check);
+    }
+    return check;
+  }
+
+  // open a real page for the same URL, give the observer/response listener a moment, close again
+  async _escalate(check) {
+    if (this.borrowPage && !this._pageBorrowed) {
+      if (!this.borrowPage()) {
+        check.reason = `${check.reason}; no free browser page to check in`;
+        this.logger.log(`[HttpWatcher ${this.id}] inconclusive, but every browser page is taken; trying again next poll`);
+        return;
+      }
+      this._pageBorrowed = true;
+    }
+    this.escalations++;
+    this._lastEscalationAt = Date.now();
+    check.escalated = true;
+    this.logger.log(`[HttpWatcher ${this.id}] inconclusive (${check.reason}) → checking ${check.url} in a browser page`);
+    try {
+      await this._openPageAndAttach({ url: check.url });
+      const deadline = Date.now() + this.escalationHoldMs;
+      while (this.running && !this.found && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 250));
+      }
+      if (this.found) check.outcome = 'found';
+    } catch (e) {
+      this.logger.warn(`[HttpWatcher ${this.id}] browser escalation failed: ${e && e.message ? e.message : e}`);
+    } finally {
+      // keep the page when found so the manager can still read from it
+      if (!this.found) await this._closePageContext().catch(() => {});
+    }
+  }
+
+  async _closePageContext() {
+    await super._closePageContext();
+    if (this._pageBorrowed) {
+      this._pageBorrowed = false;
+      if (this.returnPage) this.returnPage();
+    }
+  }
+
+  _scheduleReload() {
+    if (this.pollIntervalSeconds <= 0 || !this.running || this.found) return;
+    if (this._reloadTimer) clearTimeout(this._reloadTimer);
+    this._reloadTimer = setTimeout(async () => {
+      this._reloadTimer = null;
+      if (!this.running || this.found) return;
+      const startedAt = Date.now();
+      this._count('bms_watcher_reloads_total');
+      try {
+        const check = await this._check();
+        this._emitEvent('reload', { outcome: check.outcome, escalated: check.escalated });
+      } finally {
+        this._observe('bms_watcher_reload_duration_seconds', (Date.now() - startedAt) / 1000, { backend: 'http' });
+        this._scheduleReload();
+      }
+    }, this._nextReloadDelayMs());
+  }
+
+  // nothing long-lived to rotate: escalation pages are closed after each use
+  _scheduleRotate() {}
+
+  debugInfo() {
+    return {
+      ...super.debugInfo(),
+      httpChecks: this.httpChecks,
+      escalations: this.escalations,
+      lastCheck: this.lastCheck
+    };
+  }
+}
+
+HttpWatcher.DEFAULT_DATA_URL_TEMPLATE = DEFAULT_DATA_URL_TEMPLATE;
+
+module.exports = HttpWatcher;
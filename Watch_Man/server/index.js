@@ -6,18 +6,32 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const WatcherManager = require('./watcherManager');
+const Storage = require('./storage');
+const Metrics = require('./metrics');
+const Logger = require('./logger');
+const Watcher = require('./watcher');
+const { resolveBaseUrl } = require('./upcomingScraper');
+const { normalizeDateMode } = require('./bmsUrl');
+const { normalizeReleaseWindows } = require('./releaseWindow');
+const { Notifier, normalizeChannels } = require('./notifier');
+const { checkSeats } = require('./seatMap');
+const { Users, publicView } = require('./users');
+const { normalizeQuotas, effectiveQuotas, RateLimiter } = require('./quotas');
 
 const app = express();
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 3000;
-
-
-const { chromium } = require('playwright');
+// BookMyShow origin used for scraping; override with BMS_BASE_URL to run against test/mockBms
+const BMS_BASE_URL = resolveBaseUrl(process.env.BMS_BASE_URL);
 
 // =======================
 // === Middleware ========
 // =======================
-app.use(cors());
+// the dashboard is same-origin; other origins only if listed in CORS_ORIGINS (comma-separated)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true }));
 app.use(bodyParser.json());
+// behind a reverse proxy set TRUST_PROXY (e.g. 1) so per-IP limits see the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
 
 // =======================
 // === Public folder =====
@@ -28,10 +42,48 @@ app.use(express.static(publicDir));
 // =======================
 // === Data files =======
 // =======================
-const dataDir = path.join(__dirname, 'public', 'data');
-const locationsFile = path.join(dataDir, 'locations.json');
-const cinemasFile = path.join(dataDir, 'cinemas.json');
-const tasksFile = path.join(dataDir, 'tasks.json');
+// static reference data ships with the dashboard; runtime state lives outside the web root
+const publicDataDir = path.join(publicDir, 'data');
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const locationsFile = path.join(publicDataDir, 'locations.json');
+const cinemasFile = path.join(publicDataDir, 'cinemas.json');
+// tasks, groups, status history, booking runs and notification deliveries (SQLite)
+const dbFile = process.env.DB_FILE || path.join(dataDir, 'watcher.db');
+// JSON state files older versions wrote, imported into the database once
+const legacyStateFiles = ['tasks.json', 'groups.json', 'bookings.json'];
+const seatMapsFile = path.join(dataDir, 'seatmaps.json');
+// booking contact / payment details, AES-256-GCM with a key derived from SECRETS_KEY
+const secretsFile = path.join(dataDir, 'secrets.enc.json');
+const secretsKeyFile = path.join(dataDir, 'secrets.key');
+// dashboard / API users (password hashes and API token hashes)
+const usersFile = path.join(dataDir, 'users.json');
+// booking screenshots / traces, one directory per run (served through /api/bookings, not statically)
+const artifactsDir = process.env.BOOKING_ARTIFACTS_DIR || path.join(__dirname, 'artifacts');
+// booking accounts and their logged-in browser profiles; kept out of public/ on purpose
+const accountsDir = process.env.ACCOUNTS_DIR || path.join(__dirname, 'accounts');
+
+// =======================
+// === Logging ===========
+// =======================
+// JSON lines on stdout (LOG_FORMAT=text for a readable console) and in a rotating file
+// (LOG_FILE, LOG_MAX_BYTES, LOG_MAX_FILES; LOG_FILE=off for none). Lines about a task carry its
+// taskId and feed GET /api/tasks/:id/logs and its live tail
+function createLogger() {
+  const options = {
+    format: process.env.LOG_FORMAT || 'json',
+    file: process.env.LOG_FILE === 'off' ? null : (process.env.LOG_FILE || path.join(dataDir, 'logs', 'watcher.log')),
+    maxBytes: parseInt(process.env.LOG_MAX_BYTES || String(10 * 1024 * 1024), 10),
+    maxFiles: parseInt(process.env.LOG_MAX_FILES || '5', 10)
+  };
+  try {
+    return new Logger({ ...options, level: process.env.LOG_LEVEL || 'info' });
+  } catch (e) {
+    const logger = new Logger(options);
+    logger.error('Ignoring LOG_LEVEL:', e.message);
+    return logger;
+  }
+}
+const logger = createLogger();
 
 // =======================
 // === Helper Functions ==
@@ -46,40 +98,377 @@ function ensureJsonFile(file, defaultValue) {
     const raw = fs.readFileSync(file, 'utf-8');
     return JSON.parse(raw || JSON.stringify(defaultValue));
   } catch (e) {
-    console.warn(`Failed to load ${file}:`, e.message);
+    logger.warn(`Failed to load ${file}:`, e.message);
     return defaultValue;
   }
 }
 
+// state files from before they moved out of public/data (where express.static served them)
+function migrateLegacyDataFiles() {
+  for (const file of [...legacyStateFiles.map(name => path.join(dataDir, name)), seatMapsFile]) {
+    const legacy = path.join(publicDataDir, path.basename(file));
+    if (!fs.existsSync(legacy)) continue;
+    try {
+      if (fs.existsSync(file)) {
+        logger.warn(`Both ${legacy} and ${file} exist; keeping ${file}. Delete the public copy.`);
+        continue;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.copyFileSync(legacy, file);
+      fs.unlinkSync(legacy);
+      logger.log(`Moved ${legacy} → ${file}`);
+    } catch (e) {
+      logger.error(`Failed to move ${legacy}:`, e.message);
+    }
+  }
+}
+
+// tasks / groups / booking runs from the JSON files into an empty database; the files are kept
+// as <name>.imported
+function importLegacyStateFiles(storage) {
+  const [tasksFile, groupsFile, bookingsFile] = legacyStateFiles.map(name => path.join(dataDir, name));
+  try {
+    storage.importJson({ tasksFile, groupsFile, bookingsFile });
+  } catch (e) {
+    logger.error('Failed to import the JSON state files:', e.message);
+  }
+}
+
+// SECRETS_KEY, or a random key generated once into the data directory (readable by the owner only)
+function loadSecretsKey() {
+  if (process.env.SECRETS_KEY) return process.env.SECRETS_KEY;
+  try {
+    if (fs.existsSync(secretsKeyFile)) return fs.readFileSync(secretsKeyFile, 'utf8').trim();
+    fs.mkdirSync(path.dirname(secretsKeyFile), { recursive: true });
+    const key = require('crypto').randomBytes(32).toString('base64');
+    fs.writeFileSync(secretsKeyFile, key, { mode: 0o600 });
+    logger.warn(`SECRETS_KEY not set; generated ${secretsKeyFile}. Set SECRETS_KEY to keep the key elsewhere.`);
+    return key;
+  } catch (e) {
+    logger.error('Failed to create a secrets key:', e.message);
+    return null;
+  }
+}
+
 // =======================
 // === Load Data ========
 // =======================
+migrateLegacyDataFiles();
 const locations = ensureJsonFile(locationsFile, []);
 const cinemas = ensureJsonFile(cinemasFile, {});
-ensureJsonFile(tasksFile, []); // ensure tasks file exists
+
+// API errors; quota / rate-limit errors (429) also say which limit was hit and when to retry
+function sendError(res, e, fallbackStatus = 500) {
+  const quota = e && e.quota ? e.quota : null;
+  if (quota && quota.retryAfterSeconds) res.set('Retry-After', String(quota.retryAfterSeconds));
+  res.status((e && e.statusCode) || fallbackStatus).json({ ok: false, error: e && e.message ? e.message : String(e), ...(quota ? { quota } : {}) });
+}
+
+// =======================
+// === Quotas ===========
+// =======================
+// default per-user limits (admins are exempt, PATCH /api/users/:id sets overrides); an empty
+// value means no limit
+function loadQuotaDefaults() {
+  const env = (name, fallback) => (process.env[name] !== undefined ? process.env[name] : fallback);
+  try {
+    return normalizeQuotas({
+      maxActiveTasks: env('QUOTA_MAX_ACTIVE_TASKS', '20'),
+      maxPages: env('QUOTA_MAX_PAGES', '4'),
+      upcomingPerMinute: env('QUOTA_UPCOMING_PER_MINUTE', '3'),
+      seatMapScansPerMinute: env('QUOTA_SEATMAP_PER_MINUTE', '3')
+    });
+  } catch (e) {
+    logger.error('Ignoring QUOTA_* settings:', e.message);
+    return {};
+  }
+}
+const quotaDefaults = loadQuotaDefaults();
+// the same scrapes and scans per client IP (admins are exempt); several users behind one NAT
+// share these, so they sit above the per-user defaults
+function loadIpRateLimits() {
+  const env = (name, fallback) => (process.env[name] !== undefined ? process.env[name] : fallback);
+  try {
+    return normalizeQuotas({
+      upcomingPerMinute: env('QUOTA_UPCOMING_PER_IP_PER_MINUTE', '10'),
+      seatMapScansPerMinute: env('QUOTA_SEATMAP_PER_IP_PER_MINUTE', '10')
+    });
+  } catch (e) {
+    logger.error('Ignoring QUOTA_*_PER_IP_PER_MINUTE settings:', e.message);
+    return {};
+  }
+}
+const ipRateLimits = loadIpRateLimits();
+// /api/upcoming calls that have to scrape (first request for a location, or ?refresh=true);
+// cached answers don't count
+const upcomingLimiter = new RateLimiter({ windowMs: 60 * 1000 });
+// seat map requests that start a scan (each one a Chromium); cached maps don't count
+const seatMapLimiter = new RateLimiter({ windowMs: 60 * 1000 });
+// sign-in attempts per client IP
+const loginLimiter = new RateLimiter({ windowMs: 60 * 1000 });
+const LOGIN_ATTEMPTS_PER_MINUTE = parseInt(process.env.LOGIN_ATTEMPTS_PER_MINUTE || '10', 10);
+
+// one scrape / scan, charged to the user's quota `name` and to its IP
+function chargeRateLimit(limiter, req, name) {
+  const entries = [{ key: `user:${req.user.id}`, limit: effectiveQuotas(quotaDefaults, req.user)[name], name }];
+  if (req.user.role !== 'admin') entries.push({ key: `ip:${req.ip}`, limit: ipRateLimits[name] ?? null, name: `${name}PerIp` });
+  limiter.hitAll(entries);
+}
+
+// =======================
+// === Authentication ====
+// =======================
+// Every /api route, /events and /debug need a user: the dashboard signs in for a session
+// cookie, scripts send `Authorization: Bearer <API token>`. Users see their own tasks, groups
+// and booking accounts; admins see everything.
+const SESSION_COOKIE = 'bmsw_session';
+const users = new Users({
+  file: usersFile,
+  sessionTtlSeconds: parseInt(process.env.SESSION_TTL_SECONDS || String(7 * 24 * 3600), 10),
+  logger
+});
+
+// the first start creates an admin from ADMIN_USERNAME / ADMIN_PASSWORD, or with a generated password
+function bootstrapAdmin() {
+  if (users.count()) return;
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || require('crypto').randomBytes(12).toString('base64url');
+  try {
+    users.create({ username, password, role: 'admin' });
+    if (generated) logger.warn(`Created admin user "${username}" with password ${password} — change it after signing in.`);
+    else logger.log(`Created admin user "${username}".`);
+  } catch (e) {
+    logger.error('Failed to create the admin user:', e.message);
+  }
+}
+bootstrapAdmin();
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function sessionCookie(value, maxAgeSeconds) {
+  const secure = process.env.COOKIE_SECURE === 'true' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+// sets req.user (or leaves it null) from the bearer token or the session cookie
+app.use((req, res, next) => {
+  const auth = String(req.headers.authorization || '');
+  req.user = auth.startsWith('Bearer ') ? users.fromToken(auth.slice(7).trim()) : users.fromSession(readCookie(req, SESSION_COOKIE));
+  next();
+});
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'sign in required' });
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'sign in required' });
+  if (req.user.role !== 'admin') return res.status(403).json({ ok: false, error: 'admin only' });
+  next();
+}
+
+app.post('/api/auth/login', (req, res) => {
+  try { loginLimiter.hit(`ip:${req.ip}`, LOGIN_ATTEMPTS_PER_MINUTE, 'loginPerMinute'); } catch (e) { return sendError(res, e); }
+  const { username, password } = req.body || {};
+  const user = users.authenticate(username, password);
+  if (!user) return res.status(401).json({ ok: false, error: 'wrong username or password' });
+  res.set('Set-Cookie', sessionCookie(users.createSession(user.id), Math.round(users.sessionTtlMs / 1000)));
+  res.json({ ok: true, user: publicView(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const sid = readCookie(req, SESSION_COOKIE);
+  if (sid) users.endSession(sid);
+  res.set('Set-Cookie', sessionCookie('', 0));
+  res.json({ ok: true });
+});
+
+app.use('/api', requireUser);
+app.use('/events', requireUser);
+app.use('/debug', requireAdmin);
+// Prometheus scrapes with an admin's API token (Authorization: Bearer ...)
+app.use('/metrics', requireAdmin);
+
+app.get('/api/auth/me', (req, res) => res.json({ user: publicView(req.user) }));
+
+// { current, password }
+app.post('/api/auth/password', (req, res) => {
+  const { current, password } = req.body || {};
+  if (!users.authenticate(req.user.username, current)) return res.status(403).json({ ok: false, error: 'current password is wrong' });
+  try {
+    users.setPassword(req.user.id, password);
+    res.set('Set-Cookie', sessionCookie(users.createSession(req.user.id), Math.round(users.sessionTtlMs / 1000)));
+    res.json({ ok: true });
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// API tokens for scripts; the token itself is only in the create response
+app.post('/api/auth/tokens', (req, res) => {
+  try {
+    res.json({ ok: true, token: users.createToken(req.user.id, req.body && req.body.name) });
+  } catch (e) { sendError(res, e, 400); }
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  const ok = users.revokeToken(req.user.id, req.params.id);
+  if (!ok) return res.status(404).json({ ok: false, error: 'token not found' });
+  res.json({ ok });
+});
+
+// --- Users (admin) ---
+app.get('/api/users', requireAdmin, (req, res) => res.json({ users: users.list() }));
+
+// { username, password, role: 'user'|'admin' }
+app.post('/api/users', requireAdmin, (req, res) => {
+  try {
+    res.json({ ok: true, user: users.create(req.body || {}) });
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// { role, quotas: { maxActiveTasks, maxPages, upcomingPerMinute, seatMapScansPerMinute } } (null = no limit, {} = defaults)
+app.patch('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    res.json({ ok: true, user: users.update(req.params.id, req.body || {}) });
+  } catch (e) { sendError(res, e, 400); }
+});
+
+// what the signed-in user has used of each limit
+app.get('/api/usage', (req, res) => {
+  const limits = effectiveQuotas(quotaDefaults, req.user);
+  res.json({
+    usage: {
+      ...(manager ? manager.getUsage(req.user) : {}),
+      upcomingPerMinute: { used: upcomingLimiter.used(`user:${req.user.id}`), limit: limits.upcomingPerMinute },
+      seatMapScansPerMinute: { used: seatMapLimiter.used(`user:${req.user.id}`), limit: limits.seatMapScansPerMinute }
+    }
+  });
+});
+
+// the user's booking accounts, groups and tasks are deleted with it
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    if (manager) manager.checkOwnerIdle(req.params.id);
+    const ok = users.remove(req.params.id);
+    const removed = manager ? await manager.removeOwner(req.params.id) : null;
+    res.json({ ok, removed });
+  } catch (e) { sendError(res, e); }
+});
+
+// 404s for things the signed-in user doesn't own, as if they didn't exist
+function owns(kind, param = 'id') {
+  return (req, res, next) => {
+    if (manager && manager.canAccess(kind, req.params[param], req.user)) return next();
+    res.status(404).json({ ok: false, error: `${kind === 'run' ? 'booking run' : kind} not found` });
+  };
+}
 
 // =======================
 // === Watcher Manager ===
 // =======================
+// global notification channels (NOTIFY_CHANNELS, a JSON array) and the default SMTP server
+function createNotifier() {
+  let channels = [];
+  try {
+    channels = normalizeChannels(JSON.parse(process.env.NOTIFY_CHANNELS || '[]'));
+  } catch (e) {
+    logger.error('Ignoring NOTIFY_CHANNELS:', e.message);
+  }
+  const smtp = process.env.SMTP_HOST ? {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || undefined,
+    pass: process.env.SMTP_PASS || undefined,
+    from: process.env.SMTP_FROM || undefined
+  } : null;
+  return new Notifier({
+    channels,
+    smtp,
+    retries: parseInt(process.env.NOTIFY_RETRIES || '3', 10),
+    // hosts ordinary users' url channels may reach, on top of the public push services
+    allowedHosts: [...Notifier.DEFAULT_ALLOWED_HOSTS, ...(process.env.NOTIFY_ALLOWED_HOSTS || '').split(',')],
+    logger
+  });
+}
+
+const secretsKey = loadSecretsKey();
+// reload / detection / booking timings and per-cinema error counts (see metrics.js)
+const metrics = new Metrics();
+
 let manager;
+let storage;
 (async () => {
   try {
+    storage = new Storage({ file: dbFile, logger });
+    importLegacyStateFiles(storage);
     manager = new WatcherManager({
+      notifier: createNotifier(),
       maxPages: parseInt(process.env.MAX_CONCURRENT_PAGES || '6', 10),
       pollIntervalSeconds: parseInt(process.env.POLL_INTERVAL_SECONDS || '3', 10),
-      tasksFile,
-      logger: console
+      storage,
+      metrics,
+      maxConcurrentBookings: parseInt(process.env.MAX_CONCURRENT_BOOKINGS || '2', 10),
+      artifactsDir: process.env.BOOKING_ARTIFACTS === 'false' ? null : artifactsDir,
+      bookingTraces: process.env.BOOKING_TRACE === 'true',
+      bookingHandoff: process.env.BOOKING_HANDOFF === 'true',
+      handoffTimeoutSeconds: parseInt(process.env.HANDOFF_TIMEOUT_SECONDS || '600', 10),
+      seatMapsFile,
+      seatMapTtlSeconds: parseInt(process.env.SEAT_MAP_TTL_SECONDS || '900', 10),
+      maxConcurrentSeatMapScans: parseInt(process.env.MAX_CONCURRENT_SEATMAP_SCANS || '1', 10),
+      // without a key the details are kept in memory only
+      secretsFile: secretsKey ? secretsFile : null,
+      secretsKey,
+      accountsFile: path.join(accountsDir, 'accounts.json'),
+      profilesDir: path.join(accountsDir, 'profiles'),
+      accountLoginHeaded: process.env.ACCOUNT_LOGIN_HEADED === 'true',
+      accountLoginUrl: BMS_BASE_URL,
+      catalogBaseUrl: BMS_BASE_URL,
+      // only the cities the dashboard offers are scraped
+      catalogLocations: Object.keys(cinemas),
+      catalogMaxLocations: parseInt(process.env.CATALOG_MAX_LOCATIONS || '50', 10),
+      catalogRefreshSeconds: parseInt(process.env.CATALOG_REFRESH_SECONDS || '3600', 10),
+      quotas: quotaDefaults,
+      defaultBackend: process.env.WATCHER_BACKEND || 'browser',
+      pageSliceSeconds: parseInt(process.env.PAGE_SLICE_SECONDS || '60', 10),
+      releasePollSeconds: parseInt(process.env.RELEASE_POLL_SECONDS || '2', 10),
+      idlePollSeconds: parseInt(process.env.IDLE_POLL_SECONDS || '60', 10),
+      maxBackoffSeconds: parseInt(process.env.MAX_BACKOFF_SECONDS || '300', 10),
+      degradedAfterFailures: parseInt(process.env.DEGRADED_AFTER_FAILURES || '3', 10),
+      recreateAfterFailures: parseInt(process.env.RECREATE_AFTER_FAILURES || '5', 10),
+      blockPauseSeconds: parseInt(process.env.BLOCK_PAUSE_SECONDS || '600', 10),
+      pauseAfterBlocks: parseInt(process.env.PAUSE_AFTER_BLOCKS || '3', 10),
+      logger
     });
     await manager.init && manager.init(); // in case you later add async init
-    console.log('WatcherManager initialized.');
+    logger.log('WatcherManager initialized.');
   } catch (e) {
-    console.error('WatcherManager init failed:', e.message);
+    logger.error('WatcherManager init failed:', e.message);
   }
 // 
   // Debug
 
   app.get('/debug/watchers', (req,res) => res.json(manager.debugState()));
 
+  // =======================
+  // === Metrics ===========
+  // =======================
+  // Prometheus text format
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+  });
+
+  // the same numbers summarized (p50 / p95 over recent samples) for the dashboard
+  app.get('/api/metrics', requireAdmin, (req, res) => res.json({ time: new Date().toISOString(), metrics: metrics.summary() }));
+
   
   // =======================
   // === SSE Endpoint ======
@@ -97,7 +486,7 @@ let manager;
     };
 
     send({ type: 'connected', time: new Date().toISOString() });
-    const unsubscribe = manager.addSseClient(send);
+    const unsubscribe = manager.addSseClient(send, { user: req.user });
 
     req.on('close', () => unsubscribe());
   });
@@ -113,7 +502,7 @@ let manager;
       const data = fs.readFileSync(locationsPath, 'utf8');
       res.json({ locations: JSON.parse(data) });
     } catch (err) {
-      console.error('Error reading locations.json:', err);
+      logger.error('Error reading locations.json:', err);
       res.status(500).json({ error: 'Failed to load locations' });
     }
   });
@@ -128,7 +517,7 @@ let manager;
       const data = JSON.parse(fs.readFileSync(cinemasPath, 'utf8'));
       res.json({ cinemas: data[loc] || [] });
     } catch (err) {
-      console.error('Error reading cinemas.json:', err);
+      logger.error('Error reading cinemas.json:', err);
       res.status(500).json({ error: 'Failed to load cinemas' });
     }
   });
@@ -137,246 +526,15 @@ let manager;
 app.get('/api/upcoming', async (req, res) => {
   const loc = req.query.location;
   if (!loc) return res.status(400).json({ error: 'location query required' });
-
-  // URLs to check (released + upcoming)
-  const urls = [
-    `https://in.bookmyshow.com/explore/upcoming-movies-${encodeURIComponent(loc)}?referrerBase=movies`,
-    `https://in.bookmyshow.com/explore/movies-${encodeURIComponent(loc)}?languages=tamil`,
-    `https://in.bookmyshow.com/explore/movies-${encodeURIComponent(loc)}?cat=MT`
-  ];
-
-  const pwArgs = [
-    '--start-maximized',
-    '--no-first-run',
-    '--no-default-browser-check',
-    '--disable-blink-features=AutomationControlled',
-    '--disable-dev-shm-usage',
-    '--disable-extensions',
-    '--disable-plugins',
-    '--remote-allow-origins=*'
-  ];
-
-  let browser = null;
-
-  // gentle auto-scroll to trigger lazy loading
-  async function autoScroll(page, maxIterations = 30, step = 600, pauseMs = 350) {
-    try {
-      await page.evaluate(async (step, pauseMs, maxIterations) => {
-        const sleep = ms => new Promise(r => setTimeout(r, ms));
-        let iter = 0;
-        let lastHeight = document.body.scrollHeight;
-        while (iter < maxIterations) {
-          window.scrollBy(0, step);
-          await sleep(pauseMs);
-          const newHeight = document.body.scrollHeight;
-          if (newHeight === lastHeight) break;
-          lastHeight = newHeight;
-          iter++;
-        }
-        await sleep(250);
-      }, step, pauseMs, maxIterations);
-    } catch (e) {
-      // ignore evaluate errors
-    }
-  }
-
-  // extraction inside page: follow the exact nested classes you gave
-  async function extractFromPage(page) {
-    return await page.evaluate(() => {
-      const abs = (href) => {
-        try { return new URL(href, location.href).href; } catch (e) { return href || ''; }
-      };
-
-      const results = [];
-
-      // Top-level movie container selector you specified
-      const topBlockSelector = '.sc-1ljcxl3-0.ldQqlW';
-      // nested selectors as described
-      const blockAnchorSelector = 'a[href]';
-      const nestedBlockSelector = 'div.sc-133848s-3.bbHlLd';
-      const nestedInnerSelector = 'div.sc-133848s-2.sc-133848s-12.ccqrhI.jgYpvq';
-      const titleSelector = 'div.sc-7o7nez-0.elfplV';
-
-      try {
-        const topBlocks = Array.from(document.querySelectorAll(topBlockSelector));
-        for (const block of topBlocks) {
-          try {
-            // find all anchors inside this top-level block (usually one per movie card)
-            const anchors = Array.from(block.querySelectorAll(blockAnchorSelector));
-            for (const a of anchors) {
-              try {
-                const href = a.getAttribute('href') || a.href || '';
-                const idMatch = href.match(/(ET\d+)/);
-                const identifier = idMatch ? idMatch[1] : null;
-                // find nested title element inside the anchor following the path you gave
-                let name = '';
-                try {
-                  const nestedBlock = a.querySelector(nestedBlockSelector) || a.querySelector('div.sc-133848s-3');
-                  if (nestedBlock) {
-                    const nestedInner = nestedBlock.querySelector(nestedInnerSelector) || nestedBlock.querySelector('div.sc-133848s-2');
-                    if (nestedInner) {
-                      const titleEl = nestedInner.querySelector(titleSelector) || nestedInner.querySelector('div.elfplV') || nestedInner.querySelector('div');
-                      if (titleEl && titleEl.textContent) name = titleEl.textContent.trim();
-                    } else {
-                      // fallback: maybe title is directly under nestedBlock
-                      const titleEl2 = nestedBlock.querySelector(titleSelector) || nestedBlock.querySelector('div.elfplV');
-                      if (titleEl2 && titleEl2.textContent) name = titleEl2.textContent.trim();
-                    }
-                  }
-                } catch (e) {
-                  // ignore nested parse errors
-                }
-
-                // final fallback: anchor text
-                if (!name) name = (a.textContent || '').trim();
-
-                if (identifier) {
-                  results.push({
-                    identifier,
-                    href: abs(href),
-                    name: name || '',
-                    source: 'block'
-                  });
-                }
-              } catch (e) {
-                // ignore per-anchor errors
-              }
-            } // anchors loop
-          } catch (e) {
-            // ignore per-top-block error
-          }
-        }
-      } catch (e) {
-        // ignore top-block querying errors
-      }
-
-      // If no results found via structured blocks, do a page-wide fallback scan to avoid misses
-      if (results.length === 0) {
-        try {
-          const anchors = Array.from(document.querySelectorAll('a[href]'));
-          for (const a of anchors) {
-            try {
-              const href = a.getAttribute('href') || a.href || '';
-              const idMatch = href.match(/(ET\d+)/) || (a.textContent && a.textContent.match(/(ET\d+)/));
-              const identifier = idMatch ? idMatch[1] : null;
-              if (!identifier) continue;
-
-              // attempt to find nearby title element as best-effort
-              let name = (a.textContent || '').trim();
-              try {
-                // look for nearest title element by walking up then searching inside that ancestor
-                let cur = a;
-                for (let i = 0; i < 5 && cur; i++) {
-                  if (cur.querySelector) {
-                    const titleEl = cur.querySelector(titleSelector) || cur.querySelector('div.elfplV');
-                    if (titleEl && titleEl.textContent) { name = titleEl.textContent.trim(); break; }
-                  }
-                  cur = cur.parentElement;
-                }
-              } catch (e) {}
-              results.push({
-                identifier,
-                href: abs(href),
-                name,
-                source: 'fallback'
-              });
-            } catch (e) {}
-          }
-        } catch (e) {}
-      }
-
-      // dedupe by identifier, keep first
-      const seen = new Set();
-      const unique = [];
-      for (const r of results) {
-        if (!r.identifier) continue;
-        if (!seen.has(r.identifier)) {
-          seen.add(r.identifier);
-          unique.push(r);
-        }
-      }
-      return unique;
-    });
-  }
-
+  const refresh = req.query.refresh === 'true';
   try {
-    browser = await chromium.launch({
-      headless: true, // set false for debugging
-      args: pwArgs
-    });
-
-    const collected = [];
-
-    for (const url of urls) {
-      const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0 Safari/537.36',
-        viewport: null,
-        locale: 'en-US',
-        extraHTTPHeaders: { 'Accept-Language': 'en-US,en;q=0.9' }
-      });
-
-      const page = await context.newPage();
-
-      try {
-        // Navigate and wait for initial DOM. We attach a short extra wait so client-side rendering starts.
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await page.waitForTimeout(700);
-
-        // Gentle scroll to load lazy items
-        await autoScroll(page, 40, 800, 300);
-
-        // Wait best-effort for the top-level blocks or any ET anchors
-        try {
-          await page.waitForFunction(() =>
-            !!document.querySelector('.sc-1ljcxl3-0.ldQqlW') ||
-            !!document.querySelector('.sc-133848s-3.bbHlLd') ||
-            !!document.querySelector('a[href*="ET"]'),
-            { timeout: 20000 }
-          );
-        } catch (e) {
-          // continue — extraction will fallback
-        }
-
-        const pageResults = await extractFromPage(page);
-        pageResults.forEach(r => r.sourceUrl = url);
-        collected.push(...pageResults);
-      } catch (pageErr) {
-        console.warn('Error scraping', url, pageErr && pageErr.message ? pageErr.message : pageErr);
-      } finally {
-        try { await context.close(); } catch (e) {}
-      }
-    }
-
-    // Merge + dedupe globally by identifier, keep first seen
-    const seenIds = new Set();
-    const merged = [];
-    for (const item of collected) {
-      if (!item || !item.identifier) continue;
-      if (seenIds.has(item.identifier)) continue;
-      seenIds.add(item.identifier);
-      merged.push({
-        identifier: item.identifier,
-        name: item.name || '',
-        href: item.href,
-        sourceUrl: item.sourceUrl,
-        sourceHint: item.source || ''
-      });
+    if (manager.catalog.isKnown(loc) && (refresh || !manager.catalog.isCached(loc))) {
+      chargeRateLimit(upcomingLimiter, req, 'upcomingPerMinute');
     }
-
-    try { await browser.close(); } catch (e) {}
-    browser = null;
-
-    return res.json({
-      ok: true,
-      location: loc,
-      queriedUrls: urls,
-      count: merged.length,
-      results: merged
-    });
-  } catch (err) {
-    try { if (browser) await browser.close(); } catch (e) {}
-    console.error('Playwright scraping failed:', err && err.message ? err.message : err);
-    return res.status(500).json({ ok: false, error: (err && err.message) ? err.message : String(err) });
+    const view = await manager.getUpcoming(loc, { refresh });
+    return res.json({ ok: true, ...view });
+  } catch (e) {
+    return sendError(res, e);
   }
 });
 
@@ -394,24 +552,35 @@ app.get('/api/upcoming', async (req, res) => {
 
   // --- Task Management ---
   app.post('/api/tasks', async (req, res) => {
-    const { location, cinemaName, cinemaUrl, identifier, bookingSettings } = req.body;
+    const { location, cinemaName, cinemaUrl, identifier, bookingSettings, dateMode, strategy, backend, priority, releaseWindows, notify } = req.body;
     if (!location || !cinemaUrl || !identifier)
       return res.status(400).json({ error: 'location, cinemaUrl, identifier required' });
 
     try {
-      const id = await manager.createTask({ location, cinemaName, cinemaUrl, identifier, bookingSettings });
+      normalizeDateMode(dateMode);
+      if (strategy && !Watcher.STRATEGIES.includes(strategy)) throw new Error(`Unknown detection strategy: ${strategy}`);
+      if (backend && !WatcherManager.BACKENDS.includes(backend)) throw new Error(`Unknown watcher backend: ${backend}`);
+      WatcherManager.normalizePriority(priority);
+      normalizeReleaseWindows(releaseWindows);
+      if (notify) normalizeChannels(notify.channels);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+
+    try {
+      const id = await manager.createTask({ location, cinemaName, cinemaUrl, identifier, bookingSettings, dateMode, strategy: strategy || 'dom', backend: backend || null, priority, releaseWindows, notify, user: req.user });
       res.json({ ok: true, id });
     } catch (e) {
-      res.status(500).json({ ok: false, error: e.message });
+      sendError(res, e);
     }
   });
 
   app.get('/api/tasks', (req, res) => {
     const all = req.query.all === 'true';
-    res.json({ tasks: manager.getTasks({ all }) });
+    res.json({ tasks: manager.getTasks({ all, user: req.user }) });
   });
 
-  app.post('/api/tasks/:id/stop', async (req, res) => {
+  app.post('/api/tasks/:id/stop', owns('task'), async (req, res) => {
     try {
       const ok = await manager.stopTask(req.params.id);
       res.json({ ok });
@@ -419,7 +588,7 @@ app.get('/api/upcoming', async (req, res) => {
   });
 
   // New: reload/restart watcher for a task (re-inject observer)
-  app.post('/api/tasks/:id/reload', async (req, res) => {
+  app.post('/api/tasks/:id/reload', owns('task'), async (req, res) => {
     try {
       const ok = await manager.reloadTask(req.params.id);
       if (!ok) return res.status(404).json({ ok: false, error: 'task not found or failed' });
@@ -427,13 +596,233 @@ app.get('/api/upcoming', async (req, res) => {
     } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
   });
 
-  app.delete('/api/tasks/:id', async (req, res) => {
+  // booking automation runs for a task (oldest first), each with its step timeline
+  app.get('/api/tasks/:id/bookings', owns('task'), (req, res) => {
+    const runs = manager.getBookingRuns(req.params.id);
+    if (!runs) return res.status(404).json({ ok: false, error: 'task not found' });
+    res.json({ runs });
+  });
+
+  // the task's event journal: ?type=reload|found|... and ?limit=N (newest N, default 200)
+  app.get('/api/tasks/:id/events', owns('task'), (req, res) => {
+    try {
+      const journal = manager.getTaskEvents(req.params.id, { type: req.query.type || null, limit: req.query.limit || 200 });
+      if (!journal) return res.status(404).json({ ok: false, error: 'task not found' });
+      res.json(journal);
+    } catch (e) { sendError(res, e); }
+  });
+
+  // the task's newest log lines (watcher, manager and booking runs), ?level=warn&limit=200
+  app.get('/api/tasks/:id/logs', owns('task'), (req, res) => {
+    try {
+      res.json({ logs: logger.recent(req.params.id, { level: req.query.level || 'debug', limit: req.query.limit || 200 }) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // live tail of the same lines over SSE
+  app.get('/api/tasks/:id/logs/stream', owns('task'), (req, res) => {
+    let min;
+    try { min = Logger.LEVELS[Logger.normalizeLevel(req.query.level || 'debug')]; } catch (e) { return sendError(res, e); }
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    const unsubscribe = logger.subscribe(record => {
+      if (record.taskId !== req.params.id || Logger.LEVELS[record.level] < min) return;
+      try { res.write(`data: ${JSON.stringify(record)}\n\n`); } catch (_) {}
+    });
+    req.on('close', () => unsubscribe());
+  });
+
+  // status changes and notification deliveries recorded for a task
+  app.get('/api/tasks/:id/history', owns('task'), (req, res) => {
+    const history = manager.getTaskHistory(req.params.id);
+    if (!history) return res.status(404).json({ ok: false, error: 'task not found' });
+    res.json(history);
+  });
+
+  app.get('/api/bookings/:runId', owns('run', 'runId'), (req, res) => {
+    const run = manager.getBookingRun(req.params.runId);
+    if (!run) return res.status(404).json({ ok: false, error: 'booking run not found' });
+    res.json({ run });
+  });
+
+  // a screenshot (png) or Playwright trace (zip) captured during a booking run
+  app.get('/api/bookings/:runId/artifacts/:file', owns('run', 'runId'), (req, res) => {
+    const file = manager.getBookingArtifact(req.params.runId, req.params.file);
+    if (!file) return res.status(404).json({ ok: false, error: 'artifact not found' });
+    if (file.endsWith('.zip')) return res.download(file, `${req.params.runId}-${req.params.file}`);
+    res.sendFile(file);
+  });
+
+  // --- Payment handoff (a person finishes the payment through a live view of the run's browser) ---
+  app.get('/api/handoff', (req, res) => res.json({ sessions: manager.getHandoffs({ user: req.user }) }));
+
+  app.get('/api/handoff/:id', owns('handoff'), (req, res) => {
+    const session = manager.getHandoff(req.params.id);
+    if (!session) return res.status(404).json({ ok: false, error: 'handoff session not found' });
+    res.json({ session });
+  });
+
+  // screencast frames as SSE: { type: 'frame', data: <base64 jpeg>, metadata }, then { type: 'ended' }
+  app.get('/api/handoff/:id/stream', owns('handoff'), (req, res) => {
+    const session = manager.getHandoff(req.params.id);
+    if (!session) return res.status(404).json({ ok: false, error: 'handoff session not found' });
+    if (session.status !== 'active') return res.status(409).json({ ok: false, error: `handoff session is ${session.status}` });
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (obj) => {
+      try { res.write(`data: ${JSON.stringify(obj)}\n\n`); } catch (_) {}
+    };
+    const unsubscribe = manager.handoffs.subscribe(req.params.id, frame => {
+      if (!frame) { send({ type: 'ended', session: manager.getHandoff(req.params.id) }); res.end(); return; }
+      send({ type: 'frame', data: frame.data, metadata: frame.metadata, at: frame.at });
+    });
+    req.on('close', () => unsubscribe());
+  });
+
+  // { type: 'click'|'move'|'wheel'|'key'|'text', x, y (0..1 of the frame), button, deltaX, deltaY, key, text }
+  app.post('/api/handoff/:id/input', owns('handoff'), async (req, res) => {
+    try {
+      const session = await manager.handoffs.input(req.params.id, req.body || {});
+      res.json({ ok: true, session });
+    } catch (e) { res.status(e.statusCode || 400).json({ ok:false, error:e.message }); }
+  });
+
+  // { completed: true } when the payment went through; closes the browser either way
+  app.post('/api/handoff/:id/release', owns('handoff'), async (req, res) => {
+    try {
+      const session = await manager.handoffs.release(req.params.id, { completed: !!(req.body && req.body.completed) });
+      res.json({ ok: true, session });
+    } catch (e) { res.status(e.statusCode || 500).json({ ok:false, error:e.message }); }
+  });
+
+  // --- Booking accounts (tasks dispatch runs to them through bookingSettings.ACCOUNTS) ---
+  app.get('/api/accounts', (req, res) => res.json({ accounts: manager.getAccounts({ user: req.user }) }));
+
+  // { name, email, phone, upiId, maxSeats, storageState (Playwright storageState JSON, stored server-side) }
+  app.post('/api/accounts', (req, res) => {
+    try {
+      const account = manager.createAccount(req.body || {}, { user: req.user });
+      res.json({ ok: true, account });
+    } catch (e) { res.status(e.statusCode || 400).json({ ok:false, error:e.message }); }
+  });
+
+  app.patch('/api/accounts/:id', owns('account'), (req, res) => {
+    try {
+      const account = manager.updateAccount(req.params.id, req.body || {});
+      res.json({ ok: true, account });
+    } catch (e) { res.status(e.statusCode || 400).json({ ok:false, error:e.message }); }
+  });
+
+  app.delete('/api/accounts/:id', owns('account'), (req, res) => {
+    try {
+      res.json({ ok: manager.deleteAccount(req.params.id) });
+    } catch (e) { res.status(e.statusCode || 500).json({ ok:false, error:e.message }); }
+  });
+
+  // opens BMS in the account's profile as a handoff session (purpose 'login') to sign in through
+  // the live view; releasing it with { completed: true } keeps the login for later runs
+  app.post('/api/accounts/:id/login', owns('account'), async (req, res) => {
+    try {
+      const session = await manager.startAccountLogin(req.params.id);
+      res.json({ ok: true, session });
+    } catch (e) { res.status(e.statusCode || 500).json({ ok:false, error:e.message }); }
+  });
+
+  // --- Seat maps (every seat of a show's layout as JSON, cached per screen) ---
+  // a request that starts a scan counts against seatMapScansPerMinute, the user's and its IP's
+  const chargeSeatMapScan = req => () => chargeRateLimit(seatMapLimiter, req, 'seatMapScansPerMinute');
+
+  // ?cinemaUrl=&movieId=&show=1[&seats=E05,E06][&refresh=true]; `seats` are checked against the map
+  app.get('/api/seatmap', async (req, res) => {
+    const { cinemaUrl, movieId, show, seats, refresh } = req.query;
+    try {
+      const result = await manager.getSeatMap({ cinemaUrl, movieId, showIndex: show, refresh: refresh === 'true', onScan: chargeSeatMapScan(req) });
+      res.json({ ok: true, ...result, targetSeats: seats ? checkSeats(result.seatMap, String(seats).split(',')) : null });
+    } catch (e) { sendError(res, e); }
+  });
+
+  app.get('/api/seatmaps', (req, res) => res.json({ screens: manager.getCachedSeatMaps() }));
+
+  app.get('/api/seatmaps/:key', (req, res) => {
+    const seatMap = manager.getCachedSeatMap(req.params.key);
+    if (!seatMap) return res.status(404).json({ ok: false, error: 'no seat map cached for that screen' });
+    res.json({ ok: true, seatMap });
+  });
+
+  // the task's show, with its TARGET_SEAT / NEXT_SEATS checked
+  app.get('/api/tasks/:id/seatmap', owns('task'), async (req, res) => {
+    try {
+      const result = await manager.getTaskSeatMap(req.params.id, { refresh: req.query.refresh === 'true', onScan: chargeSeatMapScan(req) });
+      if (!result) return res.status(404).json({ ok: false, error: 'task not found' });
+      res.json({ ok: true, ...result });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // send a test message through the task's notification channels
+  app.post('/api/tasks/:id/notify/test', owns('task'), async (req, res) => {
+    try {
+      const deliveries = await manager.testTaskNotifications(req.params.id);
+      if (!deliveries) return res.status(404).json({ ok: false, error: 'task not found' });
+      res.json({ ok: deliveries.every(d => d.status === 'sent'), deliveries });
+    } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+  });
+
+  app.delete('/api/tasks/:id', owns('task'), async (req, res) => {
     try {
       const ok = await manager.deleteTask(req.params.id);
       res.json({ ok });
     } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
   });
 
+  // --- Watch Groups (one movie across several cinemas / dates) ---
+  app.get('/api/groups', (req, res) => {
+    res.json({ groups: manager.getGroups({ user: req.user }) });
+  });
+
+  app.get('/api/groups/:id', owns('group'), (req, res) => {
+    const group = manager.getGroup(req.params.id);
+    if (!group) return res.status(404).json({ ok: false, error: 'group not found' });
+    res.json({ group });
+  });
+
+  app.post('/api/groups', async (req, res) => {
+    const { name, location, identifier, cinemas, dates, dateFrom, dateTo, minMatches, venueCodes, bookingSettings, strategy, backend, priority, releaseWindows, notify } = req.body || {};
+    if (!identifier || !Array.isArray(cinemas) || cinemas.length === 0)
+      return res.status(400).json({ error: 'identifier and cinemas[] required' });
+
+    try {
+      const id = await manager.createGroup({ name, location, identifier, cinemas, dates, dateFrom, dateTo, minMatches, venueCodes, bookingSettings, strategy: strategy || 'dom', backend: backend || null, priority, releaseWindows, notify, user: req.user });
+      res.json({ ok: true, id, group: manager.getGroup(id) });
+    } catch (e) {
+      sendError(res, e, 400);
+    }
+  });
+
+  app.post('/api/groups/:id/stop', owns('group'), async (req, res) => {
+    try {
+      const ok = await manager.stopGroup(req.params.id);
+      if (!ok) return res.status(404).json({ ok: false, error: 'group not found' });
+      res.json({ ok });
+    } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+  });
+
+  app.delete('/api/groups/:id', owns('group'), async (req, res) => {
+    try {
+      const ok = await manager.deleteGroup(req.params.id);
+      if (!ok) return res.status(404).json({ ok: false, error: 'group not found' });
+      res.json({ ok });
+    } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+  });
+
   // =======================
   // === Fallback ========
   // =======================
@@ -447,8 +836,9 @@ app.get('/api/upcoming', async (req, res) => {
   // === Graceful Shutdown =
   // =======================
   process.on('SIGINT', async () => {
-    console.log('Gracefully shutting down...');
+    logger.log('Gracefully shutting down...');
     if (manager) await manager.shutdown();
+    if (storage) storage.close();
     process.exit(0);
   });
 
@@ -456,6 +846,6 @@ app.get('/api/upcoming', async (req, res) => {
   // === Start Server ======
   // =======================
   app.listen(PORT, () => {
-    console.log(`✅ BMS Watcher running at http://localhost:${PORT}`);
+    logger.log(`✅ BMS Watcher running at http://localhost:${PORT}`);
   });
 })();
@@ -0,0 +1,161 @@
+// server/logger.js
+// Structured logger: one JSON object per line, { time, level, msg, ...fields }, on stdout and
+// (with `file`) in a size-rotated log file: watcher.log → watcher.log.1 … watcher.log.<maxFiles>.
+// It has console's log / info / warn / error / debug, so it goes wherever a `logger` option takes
+// console. child(fields) returns a logger that adds correlation fields to every line; WatcherManager
+// adds taskId (and bookingRunId for booking runs), Watcher adds watcherId and cinema.
+//
+// Lines carrying a taskId are also kept in memory, newest RECENT_PER_TASK per task, for
+// GET /api/tasks/:id/logs; subscribe(fn) sees every line as it is written (live tail over SSE).
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const RECENT_PER_TASK = 500;
+// oldest task's lines are dropped past this many tasks
+const MAX_TASKS_TRACKED = 1000;
+
+function normalizeLevel(level) {
+  const l = String(level || '').toLowerCase();
+  if (!LEVELS[l]) throw Object.assign(new Error(`Unknown log level: ${level} (use ${Object.keys(LEVELS).join(', ')})`), { statusCode: 400 });
+  return l;
+}
+
+function formatArg(a) {
+  if (typeof a === 'string') return a;
+  if (a instanceof Error) return a.message;
+  if (a === undefined) return 'undefined';
+  try { return JSON.stringify(a); } catch (e) { return String(a); }
+}
+
+class RotatingFile {
+  constructor({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.file = file;
+    this.maxBytes = Number(maxBytes) || 10 * 1024 * 1024;
+    this.maxFiles = Math.max(0, Number.isInteger(Number(maxFiles)) ? Number(maxFiles) : 5);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) this._rotate();
+    fs.appendFileSync(this.file, line);
+    this.size += bytes;
+  }
+
+  _rotate() {
+    if (!this.maxFiles) fs.rmSync(this.file, { force: true });
+    else {
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+    }
+    this.size = 0;
+  }
+}
+
+class Logger {
+  /**
+   * new Logger({ level, format, stream, file, maxBytes, maxFiles })
+   * - level: lowest level written (debug | info | warn | error); console.log counts as info
+   * - format: 'json' (default) or 'text' for a human-readable stream; the file is always JSON lines
+   * - file: log file path; rotated once it would grow past maxBytes, keeping maxFiles old ones
+   */
+  constructor({ level = 'info', format = 'json', stream = process.stdout, file = null, maxBytes, maxFiles } = {}) {
+    this._root = {
+      level: LEVELS[normalizeLevel(level)],
+      format: format === 'text' ? 'text' : 'json',
+      stream,
+      file: file ? new RotatingFile({ file, maxBytes, maxFiles }) : null,
+      fileFailed: false,
+      recent: new Map(),      // taskId → newest records
+      listeners: new Set()
+    };
+    this.fields = {};
+  }
+
+  child(fields = {}) {
+    const logger = Object.create(Logger.prototype);
+    logger._root = this._root;
+    logger.fields = { ...this.fields, ...fields };
+    return logger;
+  }
+
+  debug(...args) { this._write('debug', args); }
+  info(...args) { this._write('info', args); }
+  log(...args) { this._write('info', args); }
+  warn(...args) { this._write('warn', args); }
+  error(...args) { this._write('error', args); }
+
+  _write(level, args) {
+    const root = this._root;
+    if (LEVELS[level] < root.level) return;
+    const record = { time: new Date().toISOString(), level, msg: args.map(formatArg).join(' '), ...this.fields };
+    const err = args.find(a => a instanceof Error);
+    if (err && err.stack) record.stack = err.stack;
+    const line = JSON.stringify(record) + '\n';
+
+    if (root.stream) {
+      try { root.stream.write(root.format === 'text' ? this._text(record) : line); } catch (e) {}
+    }
+    if (root.file) {
+      try { root.file.write(line); } catch (e) {
+        // reported once; the stream keeps working
+        if (!root.fileFailed && root.stream) {
+          try { root.stream.write(`log file ${root.file.file} not writable: ${e.message}\n`); } catch (_) {}
+        }
+        root.fileFailed = true;
+      }
+    }
+    if (record.taskId) this._remember(record);
+    for (const fn of root.listeners) {
+      try { fn(record); } catch (e) {}
+    }
+  }
+
+  _text({ time, level, msg, stack, ...fields }) {
+    const tags = Object.entries(fields).map(([k, v]) => `${k}=${v}`).join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${tags ? `[${tags}] ` : ''}${msg}\n`;
+  }
+
+  _remember(record) {
+    const { recent } = this._root;
+    let list = recent.get(record.taskId);
+    if (!list) {
+      list = [];
+      recent.set(record.taskId, list);
+      if (recent.size > MAX_TASKS_TRACKED) recent.delete(recent.keys().next().value);
+    }
+    list.push(record);
+    if (list.length > RECENT_PER_TASK) list.shift();
+  }
+
+  /**
+   * recent(taskId, { level, limit })
+   * - the task's newest lines at `level` or above, oldest first; throws a 400 error for an
+   *   unknown level
+   */
+  recent(taskId, { level = 'debug', limit = 200 } = {}) {
+    const min = LEVELS[normalizeLevel(level)];
+    const n = Math.max(1, Math.min(RECENT_PER_TASK, Number(limit) || 200));
+    return (this._root.recent.get(taskId) || []).filter(r => LEVELS[r.level] >= min).slice(-n);
+  }
+
+  forget(taskId) {
+    this._root.recent.delete(taskId);
+  }
+
+  // fn(record) for every line written from now on; returns the unsubscribe function
+  subscribe(fn) {
+    this._root.listeners.add(fn);
+    return () => this._root.listeners.delete(fn);
+  }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.normalizeLevel = normalizeLevel;
+
+module.exports = Logger;
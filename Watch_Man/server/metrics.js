@@ -0,0 +1,141 @@
+// server/metrics.js
+// In-process metrics for /metrics (Prometheus text format, version 0.0.4) and the dashboard's
+// JSON summary. METRICS below is the whole catalogue; watchers and the manager record into it
+// by name:
+//   metrics.observe(name, seconds, labels)   histograms (durations)
+//   metrics.inc(name, labels, by)             counters
+// Gauges (pages, contexts, tasks per status) are read when scraped, from the `collect`
+// callbacks WatcherManager registers. Recording never throws: a bad name or value is dropped.
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// recent observations kept per series for the JSON summary's percentiles
+const RECENT_SAMPLES = 500;
+
+const METRICS = {
+  bms_watcher_reload_duration_seconds: { type: 'histogram', help: 'Time taken by one watcher reload (navigation + observer, or one HTTP check)', labels: ['backend'] },
+  bms_watcher_observer_injection_seconds: { type: 'histogram', help: 'Time taken to inject the MutationObserver into a loaded page', labels: [], buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5] },
+  bms_detection_delay_seconds: { type: 'histogram', help: 'Time from the movie link first showing up (in the DOM, a response or an HTTP check) to the task being marked found', labels: ['strategy'] },
+  bms_watcher_reloads_total: { type: 'counter', help: 'Watcher reloads', labels: ['cinema'] },
+  bms_watcher_errors_total: { type: 'counter', help: 'Failed watcher loads (errors, blocks, unreachable pages)', labels: ['cinema'] },
+  bms_tasks_found_total: { type: 'counter', help: 'Tasks that found their movie', labels: ['strategy'] },
+  bms_booking_step_duration_seconds: { type: 'histogram', help: 'Duration of booking automation steps (from the automation timers)', labels: ['step'], buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120] },
+  bms_booking_runs_total: { type: 'counter', help: 'Finished booking runs', labels: ['outcome'] },
+  bms_browser_pages: { type: 'gauge', help: 'Open browser pages', labels: [] },
+  bms_browser_contexts: { type: 'gauge', help: 'Open browser contexts', labels: [] },
+  bms_tasks: { type: 'gauge', help: 'Tasks by status', labels: ['status'] }
+};
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  return keys.length ? `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}` : '';
+}
+
+const round = n => Math.round(n * 1000) / 1000;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+class Metrics {
+  constructor() {
+    this.series = new Map();      // metric name → Map(label key → series)
+    this.collectors = new Map();  // gauge name → () => [{ labels, value }]
+    for (const name of Object.keys(METRICS)) this.series.set(name, new Map());
+  }
+
+  _series(name, labels) {
+    const def = METRICS[name];
+    if (!def) return null;
+    const clean = {};
+    for (const l of def.labels) clean[l] = labels && labels[l] != null ? String(labels[l]) : 'unknown';
+    const key = JSON.stringify(clean);
+    const all = this.series.get(name);
+    let s = all.get(key);
+    if (!s) {
+      s = def.type === 'histogram'
+        ? { labels: clean, buckets: (def.buckets || DURATION_BUCKETS).map(() => 0), sum: 0, count: 0, recent: [] }
+        : { labels: clean, value: 0 };
+      all.set(key, s);
+    }
+    return s;
+  }
+
+  inc(name, labels = {}, by = 1) {
+    if (!METRICS[name] || METRICS[name].type !== 'counter' || !(by >= 0)) return;
+    this._series(name, labels).value += by;
+  }
+
+  observe(name, value, labels = {}) {
+    const def = METRICS[name];
+    if (!def || def.type !== 'histogram' || !Number.isFinite(value) || value < 0) return;
+    const s = this._series(name, labels);
+    (def.buckets || DURATION_BUCKETS).forEach((b, i) => { if (value <= b) s.buckets[i]++; });
+    s.sum += value;
+    s.count++;
+    s.recent.push(value);
+    if (s.recent.length > RECENT_SAMPLES) s.recent.shift();
+  }
+
+  // gauges are computed when scraped
+  collect(name, fn) {
+    if (METRICS[name] && METRICS[name].type === 'gauge') this.collectors.set(name, fn);
+  }
+
+  _gauge(name) {
+    const fn = this.collectors.get(name);
+    if (!fn) return [];
+    try { return fn() || []; } catch (e) { return []; }
+  }
+
+  // Prometheus text exposition format
+  render() {
+    const lines = [];
+    for (const [name, def] of Object.entries(METRICS)) {
+      lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+      if (def.type === 'gauge') {
+        for (const g of this._gauge(name)) lines.push(`${name}${formatLabels(g.labels || {})} ${g.value}`);
+        continue;
+      }
+      for (const s of this.series.get(name).values()) {
+        if (def.type === 'counter') { lines.push(`${name}${formatLabels(s.labels)} ${s.value}`); continue; }
+        (def.buckets || DURATION_BUCKETS).forEach((b, i) => lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: b })} ${s.buckets[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${round(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * summary()
+   * - { name: [{ labels, count, avg, p50, p95, max }] } for histograms (percentiles over the
+   *   recent samples), [{ labels, value }] for counters and gauges
+   */
+  summary() {
+    const out = {};
+    for (const [name, def] of Object.entries(METRICS)) {
+      if (def.type === 'gauge') { out[name] = this._gauge(name).map(g => ({ labels: g.labels || {}, value: g.value })); continue; }
+      out[name] = [...this.series.get(name).values()].map(s => {
+        if (def.type === 'counter') return { labels: s.labels, value: s.value };
+        const sorted = [...s.recent].sort((a, b) => a - b);
+        return {
+          labels: s.labels,
+          count: s.count,
+          avg: s.count ? round(s.sum / s.count) : null,
+          p50: sorted.length ? round(percentile(sorted, 0.5)) : null,
+          p95: sorted.length ? round(percentile(sorted, 0.95)) : null,
+          max: sorted.length ? round(sorted[sorted.length - 1]) : null
+        };
+      });
+    }
+    return out;
+  }
+}
+
+Metrics.METRICS = METRICS;
+
+module.exports = Metrics;
@@ -0,0 +1,223 @@
+// server/movieCatalog.js
+// Upcoming / now-showing movies per location, behind GET /api/upcoming. Locations are scraped
+// (upcomingScraper.js) in the background and requests are answered from the cache:
+//   { key, location, requestedAt, attemptedAt, refreshedAt, lastError,
+//     movies: [{ identifier, name, href, sourceUrl, firstSeenAt, lastSeenAt }] }
+// Responses list the movies the latest successful scrape found; one not seen for
+// forgetAfterDays is dropped. A location joins the schedule the first time someone asks for it,
+// is refreshed every refreshSeconds while it keeps being asked for, and is forgotten after
+// forgetAfterDays without a request. Only `locations` (the cities in cinemas.json) can be asked
+// for, and at most maxLocations are kept: a new one pushes out the least recently requested, so
+// the background work stays bounded however many cities users ask about.
+//
+// Scrapes run one at a time, each in a fresh context of the browser getBrowser() resolves to
+// (WatcherManager's shared one), so the catalog never launches a Chromium of its own.
+
+const { scrapeUpcoming } = require('./upcomingScraper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// how often the schedule looks for stale locations
+const CHECK_EVERY_MS = 60 * 1000;
+
+function locationKey(location) {
+  return String(location || '').trim().toLowerCase();
+}
+
+class MovieCatalog {
+  constructor({ storage = null, scrape = scrapeUpcoming, getBrowser = null, baseUrl, locations = null, maxLocations = 50, refreshSeconds = 3600, idleDays = 7, forgetAfterDays = 30, logger = console, clock = () => Date.now() } = {}) {
+    this.storage = storage;
+    this.scrape = scrape;
+    this.getBrowser = getBrowser;
+    this.baseUrl = baseUrl;
+    // key → canonical name; null accepts any location
+    this.locations = locations ? new Map([...locations].map(l => [locationKey(l), String(l).trim()])) : null;
+    this.maxLocations = Number(maxLocations) || 50;
+    this.refreshMs = (Number(refreshSeconds) || 3600) * 1000;
+    // locations nobody asked for in idleDays are no longer refreshed in the background
+    this.idleMs = (Number(idleDays) || 7) * DAY_MS;
+    this.forgetMs = (Number(forgetAfterDays) || 30) * DAY_MS;
+    this.logger = logger;
+    this.clock = clock;
+
+    this.entries = new Map();     // key → entry (see above)
+    this._inFlight = new Map();   // key → refresh promise
+    this._queue = Promise.resolve();
+    this._timer = null;
+    this._stopped = false;
+    if (this.storage) this._load();
+  }
+
+  _load() {
+    try {
+      for (const e of this.storage.loadCatalog()) this.entries.set(e.key, e);
+      // saved before the location list (or a smaller maxLocations) applied
+      this._forget([...this.entries.keys()].filter(key => !this.isKnown(key)));
+      this._trimTo(this.maxLocations);
+      if (this.entries.size) this.logger.log(`Loaded the movie catalog for ${this.entries.size} locations`);
+    } catch (e) {
+      this.logger.error('Failed to load the movie catalog:', e && e.message ? e.message : e);
+    }
+  }
+
+  _save(entry) {
+    if (!this.storage || this._stopped) return;
+    try { this.storage.saveCatalog([entry]); } catch (e) {
+      this.logger.error('Failed to save the movie catalog:', e && e.message ? e.message : e);
+    }
+  }
+
+  _now() { return new Date(this.clock()).toISOString(); }
+
+  _age(at) { return at ? this.clock() - Date.parse(at) : Infinity; }
+
+  start() {
+    if (this._timer) return;
+    this._stopped = false;
+    this._timer = setInterval(() => this._refreshStale(), CHECK_EVERY_MS);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stop() {
+    this._stopped = true;
+    if (this._timer) { clearInterval(this._timer); this._timer = null; }
+  }
+
+  /**
+   * get(location, { refresh })
+   * - the cached movies for `location`; scrapes first when it was never scraped or `refresh` is
+   *   set, and in the background when the cache is older than refreshSeconds
+   * - throws (statusCode 502) only when a scrape fails and there is nothing cached to fall back on
+   */
+  async get(location, { refresh = false } = {}) {
+    const key = locationKey(location);
+    if (!key) throw Object.assign(new Error('location required'), { statusCode: 400 });
+    if (!this.isKnown(key)) throw Object.assign(new Error(`Unknown location: ${location}`), { statusCode: 404 });
+    let entry = this.entries.get(key);
+    if (!entry) {
+      this._makeRoom();
+      entry = { key, location: this.locations ? this.locations.get(key) : String(location).trim(), requestedAt: null, attemptedAt: null, refreshedAt: null, lastError: null, movies: [] };
+      this.entries.set(key, entry);
+    }
+    entry.requestedAt = this._now();
+    this._save(entry);
+
+    if (refresh || !entry.refreshedAt) {
+      try {
+        await this.refresh(key);
+      } catch (e) {
+        if (!entry.refreshedAt) throw Object.assign(new Error(`Scraping ${entry.location} failed: ${e && e.message ? e.message : e}`), { statusCode: 502 });
+      }
+    } else if (this._age(entry.attemptedAt) >= this.refreshMs) {
+      this.refresh(key).catch(() => {});
+    }
+    return this.view(key);
+  }
+
+  // at maxLocations, forgets the least recently requested location(s) that aren't being scraped
+  _makeRoom() {
+    this._trimTo(this.maxLocations - 1);
+  }
+
+  _trimTo(limit) {
+    if (this.entries.size <= limit) return;
+    const idle = [...this.entries.values()].filter(e => !this._inFlight.has(e.key));
+    idle.sort((a, b) => String(a.requestedAt || '').localeCompare(String(b.requestedAt || '')));
+    this._forget(idle.slice(0, this.entries.size - limit).map(e => e.key));
+  }
+
+  _forget(keys) {
+    for (const key of keys) this.entries.delete(key);
+    if (keys.length && this.storage) {
+      try { this.storage.deleteCatalog(keys); } catch (e) {
+        this.logger.error('Failed to prune the movie catalog:', e && e.message ? e.message : e);
+      }
+    }
+  }
+
+  // false for locations outside `locations`, which get() refuses
+  isKnown(location) {
+    return !this.locations || this.locations.has(locationKey(location));
+  }
+
+  // true when get() can answer without scraping first
+  isCached(location) {
+    const entry = this.entries.get(locationKey(location));
+    return !!(entry && entry.refreshedAt);
+  }
+
+  view(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    // what the latest successful scrape found; older movies stay in `movies` until forgotten
+    const results = entry.refreshedAt ? entry.movies.filter(m => m.lastSeenAt >= entry.refreshedAt) : [];
+    return {
+      location: entry.location,
+      refreshedAt: entry.refreshedAt,
+      refreshing: this._inFlight.has(key),
+      stale: this._age(entry.refreshedAt) >= this.refreshMs,
+      lastError: entry.lastError,
+      count: results.length,
+      results
+    };
+  }
+
+  // one scrape of `key`; concurrent calls for the same location share it
+  refresh(key) {
+    if (this._inFlight.has(key)) return this._inFlight.get(key);
+    const run = this._queue.then(() => this._scrape(key));
+    this._queue = run.catch(() => {});
+    const tracked = run.finally(() => this._inFlight.delete(key));
+    this._inFlight.set(key, tracked);
+    return tracked;
+  }
+
+  async _scrape(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this._stopped) return null;
+    entry.attemptedAt = this._now();
+    try {
+      const browser = this.getBrowser ? await this.getBrowser() : null;
+      const out = await this.scrape({ location: entry.location, baseUrl: this.baseUrl, browser, logger: this.logger });
+      // the scraper skips explore pages that fail to load, so an empty list after a full one is
+      // more likely a bad load than every movie leaving at once
+      if (!(out && out.results && out.results.length) && this.view(key).count) throw new Error('scrape found no movies');
+      const now = this._now();
+      const known = new Map(entry.movies.map(m => [m.identifier, m]));
+      let added = 0;
+      for (const r of (out && out.results) || []) {
+        if (!r || !r.identifier) continue;
+        const seen = { name: r.name || '', href: r.href || null, sourceUrl: r.sourceUrl || null, lastSeenAt: now };
+        const movie = known.get(r.identifier);
+        if (movie) Object.assign(movie, seen, { name: seen.name || movie.name });
+        else { known.set(r.identifier, { identifier: r.identifier, ...seen, firstSeenAt: now }); added++; }
+      }
+      entry.movies = [...known.values()].filter(m => this._age(m.lastSeenAt) < this.forgetMs);
+      entry.refreshedAt = now;
+      entry.lastError = null;
+      this.logger.log(`[MovieCatalog] ${entry.location}: ${(out && out.results || []).length} movies listed, ${added} new`);
+      return this.view(key);
+    } catch (e) {
+      entry.lastError = e && e.message ? e.message : String(e);
+      this.logger.warn(`[MovieCatalog] scraping ${entry.location} failed:`, entry.lastError);
+      throw e;
+    } finally {
+      this._save(entry);
+    }
+  }
+
+  // schedule tick: refresh what went stale, forget locations nobody asks for anymore
+  _refreshStale() {
+    const gone = [];
+    for (const [key, entry] of this.entries) {
+      const idle = this._age(entry.requestedAt);
+      if (idle >= this.forgetMs) { gone.push(key); continue; }
+      if (idle >= this.idleMs) continue;
+      if (this._age(entry.attemptedAt) >= this.refreshMs) this.refresh(key).catch(() => {});
+    }
+    this._forget(gone);
+  }
+}
+
+MovieCatalog.locationKey = locationKey;
+
+module.exports = MovieCatalog;
@@ -0,0 +1,214 @@
+// server/notifier.js
+// Pushes "movie found" alerts to channels outside the browser: a generic JSON webhook,
+// Telegram bot, Slack / Discord incoming webhooks, SMTP email and ntfy / Gotify push.
+// Channels are plain objects ({ type, ...config }) so they can live in env JSON, a task or a
+// group. Every delivery is retried with backoff and reported back (status, attempts, error).
+//
+// Channels set up by ordinary users (on their tasks and groups) may only reach https hosts in
+// allowedHosts and use the global SMTP / Telegram endpoints; a custom url host, smtp or apiBase
+// is for admins, since the server would otherwise send to any address a user names.
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const CHANNEL_TYPES = ['webhook', 'telegram', 'slack', 'discord', 'email', 'ntfy', 'gotify'];
+
+// config keys that must not leave the server (task views, SSE, logs)
+const SECRET_KEYS = ['botToken', 'token', 'pass', 'password', 'headers', 'url', 'smtp'];
+
+// public push services ordinary users may point url channels at; NOTIFY_ALLOWED_HOSTS adds more
+const DEFAULT_ALLOWED_HOSTS = ['hooks.slack.com', 'discord.com', 'discordapp.com', 'ntfy.sh'];
+
+const REQUIRED = {
+  webhook: ['url'],
+  telegram: ['botToken', 'chatId'],
+  slack: ['url'],
+  discord: ['url'],
+  email: ['to'],
+  ntfy: ['url'],
+  gotify: ['url', 'token']
+};
+
+// validates a channel list; throws on unknown types / missing settings
+function normalizeChannels(input) {
+  if (input == null || input === '') return [];
+  const list = Array.isArray(input) ? input : [input];
+  return list.map((c, i) => {
+    if (!c || typeof c !== 'object') throw new Error('notification channel must be an object');
+    const type = String(c.type || '').toLowerCase();
+    if (!CHANNEL_TYPES.includes(type)) throw new Error(`Unknown notification channel: ${c.type}`);
+    for (const key of REQUIRED[type]) {
+      if (!c[key]) throw new Error(`${type} channel needs "${key}"`);
+    }
+    return { ...c, type, name: c.name || `${type}-${i + 1}` };
+  });
+}
+
+// what the UI / API may see of a channel
+function describeChannel(c) {
+  const view = {};
+  for (const [k, v] of Object.entries(c)) if (!SECRET_KEYS.includes(k)) view[k] = v;
+  return view;
+}
+
+function formatMessage({ event = 'found', task = {}, group = null } = {}) {
+  const what = group ? `${group.identifier} (group ${group.name || group.id})` : task.identifier;
+  const where = task.cinemaName || task.location || task.cinemaUrl || '';
+  const date = task.matchedDateCode || task.dateCode || null;
+  const link = task.foundHref || task.foundCinemaUrl || task.cinemaUrl || null;
+  const title = event === 'test' ? 'Watch_Man test notification' : `🎬 Bookings open: ${what}`;
+  const lines = [
+    event === 'test' ? 'This channel is configured correctly.' : `${what} is bookable${where ? ` at ${where}` : ''}${date ? ` for ${date}` : ''}.`,
+    link
+  ].filter(Boolean);
+  // structured copy for the generic webhook
+  const payload = {
+    event, taskId: task.id || null, groupId: group ? group.id : task.groupId || null,
+    identifier: group ? group.identifier : task.identifier, cinemaName: task.cinemaName || null, dateCode: date
+  };
+  return { title, text: lines.join('\n'), link, payload };
+}
+
+class Notifier {
+  constructor({ channels = [], httpClient = axios, createTransport = nodemailer.createTransport, smtp = null, retries = 3, retryDelayMs = 2000, timeoutMs = 10000, allowedHosts = DEFAULT_ALLOWED_HOSTS, logger = console } = {}) {
+    this.channels = normalizeChannels(channels);
+    this.allowedHosts = (allowedHosts || []).map(h => String(h).trim().toLowerCase()).filter(Boolean);
+    this.httpClient = httpClient;
+    this.createTransport = createTransport;
+    this.smtp = smtp;     // default SMTP settings for email channels without their own
+    this.retries = Math.max(1, Number(retries) || 3);
+    this.retryDelayMs = Number(retryDelayMs) >= 0 ? Number(retryDelayMs) : 2000;
+    this.timeoutMs = Number(timeoutMs) || 10000;
+    this.logger = logger;
+    this._transports = new Map();
+  }
+
+  // throws (statusCode 403) when a channel of an ordinary user's task/group would send anywhere
+  // but the allowed hosts and the global SMTP / Telegram settings
+  checkDestinations(channels) {
+    const refuse = message => Object.assign(new Error(message), { statusCode: 403 });
+    for (const c of channels || []) {
+      if (c.apiBase) throw refuse(`${c.name}: a custom Telegram apiBase can only be set by an admin`);
+      if (c.smtp) throw refuse(`${c.name}: custom SMTP settings can only be set by an admin`);
+      if (!c.url) continue;
+      let u = null;
+      try { u = new URL(String(c.url)); } catch (e) {}
+      const host = u ? u.hostname.toLowerCase() : '';
+      const allowed = u && u.protocol === 'https:' && !u.port && this.allowedHosts.some(h => host === h || host.endsWith(`.${h}`));
+      if (!allowed) throw refuse(`${c.name}: url must be https on ${this.allowedHosts.join(', ') || 'an allowed host'} (other hosts can only be set by an admin)`);
+    }
+  }
+
+  // channels for one task/group: its own, plus the global ones unless it opted out
+  channelsFor(notify) {
+    const own = notify && Array.isArray(notify.channels) ? notify.channels : [];
+    const useGlobal = !notify || notify.global !== false;
+    return [...(useGlobal ? this.channels : []), ...own];
+  }
+
+  // Sends to every channel in parallel and resolves with one delivery record per channel.
+  // `onUpdate(delivery, index)` fires after each attempt; index is the channel's position.
+  async notify(message, channels, { onUpdate = null } = {}) {
+    return Promise.all(channels.map((channel, i) => this._deliver(channel, message, d => onUpdate && onUpdate(d, i))));
+  }
+
+  async _deliver(channel, message, onUpdate) {
+    const delivery = { channel: channel.name, type: channel.type, status: 'pending', attempts: 0, error: null, sentAt: null };
+    const report = () => { try { onUpdate({ ...delivery }); } catch (e) {} };
+
+    while (delivery.attempts < this.retries) {
+      delivery.attempts++;
+      try {
+        await this._send(channel, message);
+        delivery.status = 'sent';
+        delivery.error = null;
+        delivery.sentAt = new Date().toISOString();
+        this.logger.log(`[Notifier] ${channel.name} (${channel.type}) delivered after ${delivery.attempts} attempt(s)`);
+        report();
+        return delivery;
+      } catch (e) {
+        delivery.error = e && e.message ? e.message : String(e);
+        const last = delivery.attempts >= this.retries;
+        delivery.status = last ? 'failed' : 'retrying';
+        this.logger.warn(`[Notifier] ${channel.name} (${channel.type}) attempt ${delivery.attempts}/${this.retries} failed: ${delivery.error}`);
+        report();
+        if (last) return delivery;
+        await new Promise(r => setTimeout(r, this.retryDelayMs * Math.pow(2, delivery.attempts - 1)));
+      }
+    }
+    return delivery;
+  }
+
+  async _post(url, body, headers = {}) {
+    const res = await this.httpClient.post(url, body, { timeout: this.timeoutMs, headers, validateStatus: () => true });
+    if (res.status < 200 || res.status >= 300) throw new Error(`HTTP ${res.status}`);
+    return res;
+  }
+
+  async _send(channel, { title, text, link, payload }) {
+    switch (channel.type) {
+      case 'webhook':
+        return this._post(channel.url, { title, text, link, ...(payload || {}) }, channel.headers || {});
+      case 'slack':
+        return this._post(channel.url, { text: `*${title}*\n${text}` });
+      case 'discord':
+        return this._post(channel.url, { content: `**${title}**\n${text}` });
+      case 'telegram': {
+        const base = (channel.apiBase || 'https://api.telegram.org').replace(/\/$/, '');
+        return this._post(`${base}/bot${channel.botToken}/sendMessage`, { chat_id: channel.chatId, text: `${title}\n${text}`, disable_web_page_preview: true });
+      }
+      case 'ntfy': {
+        // JSON publishing goes to the server root with the topic in the body (headers can't carry emoji)
+        const u = new URL(channel.url);
+        const topic = u.pathname.split('/').filter(Boolean).pop();
+        if (!topic) throw new Error('ntfy url must end with the topic, e.g. https://ntfy.sh/my-topic');
+        u.pathname = u.pathname.replace(/\/[^/]*\/?$/, '/');
+        const body = { topic, title, message: text, priority: Number(channel.priority) || 4 };
+        if (link) body.click = link;
+        return this._post(u.href, body, channel.token ? { 'Authorization': `Bearer ${channel.token}` } : {});
+      }
+      case 'gotify': {
+        const url = `${channel.url.replace(/\/$/, '')}/message`;
+        return this._post(url, { title, message: text, priority: Number(channel.priority) || 8 }, { 'X-Gotify-Key': channel.token });
+      }
+      case 'email':
+        return this._sendMail(channel, { title, text });
+      default:
+        throw new Error(`Unknown notification channel: ${channel.type}`);
+    }
+  }
+
+  async _sendMail(channel, { title, text }) {
+    const smtp = channel.smtp || this.smtp;
+    if (!smtp || !smtp.host) throw new Error('email channel needs SMTP settings (SMTP_HOST or channel.smtp)');
+    const key = JSON.stringify(smtp);
+    if (!this._transports.has(key)) {
+      this._transports.set(key, this.createTransport({
+        host: smtp.host,
+        port: Number(smtp.port) || 587,
+        secure: !!smtp.secure,
+        ignoreTLS: !!smtp.ignoreTLS,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+        connectionTimeout: this.timeoutMs,
+        greetingTimeout: this.timeoutMs,
+        socketTimeout: this.timeoutMs
+      }));
+    }
+    await this._transports.get(key).sendMail({
+      from: channel.from || smtp.from || smtp.user || 'watch-man@localhost',
+      to: channel.to,
+      subject: title,
+      text
+    });
+  }
+
+  close() {
+    for (const t of this._transports.values()) { try { t.close(); } catch (e) {} }
+    this._transports.clear();
+  }
+}
+
+Notifier.CHANNEL_TYPES = CHANNEL_TYPES;
+Notifier.DEFAULT_ALLOWED_HOSTS = DEFAULT_ALLOWED_HOSTS;
+
+module.exports = { Notifier, normalizeChannels, describeChannel, formatMessage };
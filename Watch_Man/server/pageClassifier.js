@@ -0,0 +1,83 @@
+// server/pageClassifier.js
+// Tells a real cinema page apart from what BookMyShow's CDN serves instead of it:
+// bot challenges (Cloudflare/Akamai interstitials, captchas), outright blocks (403/429,
+// "Access Denied"), error pages and maintenance notices. Works on the HTTP status plus
+// whatever markup/title is at hand, so both watcher backends can use it.
+
+const PAGE_KINDS = ['ok', 'blocked', 'challenge', 'not-found', 'maintenance'];
+// kinds that leave the watcher blind: the observer would only ever see the block page
+const BLOCKING_KINDS = ['blocked', 'challenge'];
+
+// only the start of a page matters; block pages are small and the real page is huge
+const SCAN_CHARS = 200 * 1024;
+// the real app shell is far bigger than this; weak markers only count on small pages
+const SMALL_PAGE_CHARS = 30 * 1024;
+
+// [pattern, reason, strong] — weak markers (e.g. a captcha widget, which the real site also
+// loads for login) only count on an error status or a small page
+const CHALLENGE_PATTERNS = [
+  [/cf-chl-|challenge-platform|cf_chl_opt/i, 'Cloudflare challenge', true],
+  [/<title>\s*just a moment\.\.\.\s*<\/title>/i, 'Cloudflare challenge', true],
+  [/checking (if the site connection is secure|your browser before accessing)/i, 'browser check', true],
+  [/bm-verify|akamai bot manager/i, 'Akamai bot challenge', true],
+  [/px-captcha|captcha-delivery|geo\.captcha/i, 'captcha', true],
+  [/g-recaptcha|recaptcha\/api|hcaptcha\.com|h-captcha/i, 'captcha', false],
+  [/verify (that )?you are (a )?human|are you a robot/i, 'human verification', false]
+];
+
+const BLOCK_PATTERNS = [
+  [/<title>\s*access denied\s*<\/title>|you don't have permission to access/i, 'access denied', true],
+  [/attention required! \| cloudflare|sorry, you have been blocked/i, 'Cloudflare block', true],
+  [/errors\.edgesuite\.net|reference #\d+\.[0-9a-f]+\.\d+/i, 'Akamai block', true],
+  [/too many requests|rate limit(ed)?/i, 'rate limited', false]
+];
+
+const MAINTENANCE_PATTERNS = [
+  [/under (scheduled )?maintenance|down for maintenance|scheduled maintenance/i, 'maintenance notice', false],
+  [/we('|&#39;|’)?ll be back (soon|shortly)/i, 'maintenance notice', false]
+];
+
+const NOT_FOUND_PATTERNS = [
+  [/<title>[^<]*(page not found|404)[^<]*<\/title>/i, 'page not found', true]
+];
+
+function firstMatch(patterns, text, weakAllowed) {
+  for (const [re, reason, strong] of patterns) {
+    if ((strong || weakAllowed) && re.test(text)) return reason;
+  }
+  return null;
+}
+
+// classifyPage({ status, html, title }) → { kind, reason, status }
+// `status` may be null (e.g. a page whose navigation response we never saw).
+function classifyPage({ status = null, html = '', title = '' } = {}) {
+  const code = Number(status) || null;
+  const body = String(html || '');
+  const text = `${title ? `<title>${title}</title>` : ''}${body.slice(0, SCAN_CHARS)}`;
+  const weak = (code && code !== 200) || body.length < SMALL_PAGE_CHARS;
+  const result = (kind, reason) => ({ kind, reason, status: code });
+
+  // challenges first: Cloudflare serves them with 403/503 and they resolve on their own at times
+  const challenge = firstMatch(CHALLENGE_PATTERNS, text, weak);
+  if (challenge) return result('challenge', code ? `${challenge} (${code})` : challenge);
+
+  if (code === 429) return result('blocked', 'rate limited (429)');
+  // block markers on a 200 still count ("Access Denied" bodies sometimes come back as 200)
+  const block = firstMatch(BLOCK_PATTERNS, text, weak);
+  if (code === 403 || block) return result('blocked', block ? `${block}${code ? ` (${code})` : ''}` : 'forbidden (403)');
+
+  const maintenance = firstMatch(MAINTENANCE_PATTERNS, text, weak);
+  if (maintenance) return result('maintenance', maintenance);
+  if (code === 503) return result('maintenance', 'service unavailable (503)');
+
+  if (code === 404 || code === 410) return result('not-found', `page not found (${code})`);
+  if (firstMatch(NOT_FOUND_PATTERNS, text, weak)) return result('not-found', 'page not found');
+
+  return result('ok', null);
+}
+
+function isBlockingKind(kind) {
+  return BLOCKING_KINDS.includes(kind);
+}
+
+module.exports = { classifyPage, isBlockingKind, PAGE_KINDS };
@@ -0,0 +1,185 @@
+// server/pageScheduler.js
+// Time-slices a fixed number of browser pages between watcher tasks.
+// At most `maxPages` tasks are active; the rest wait in a queue ordered by priority (higher
+// first) and arrival. Once an active task has used its slice and someone of equal or higher
+// priority is waiting, it is paused and goes to the back of its priority band.
+// A task can also `borrow` a slot outside the time-slicing for a short check (an http task's
+// browser escalation); borrowed slots count against maxPages until given back.
+// The scheduler only tracks ids — starting/pausing watchers is done by the callbacks.
+
+class PageScheduler {
+  constructor({ maxPages = 6, sliceMs = 60 * 1000, tickMs = 1000, startFn, pauseFn, onChange = null, logger = console, clock = () => Date.now() } = {}) {
+    this.maxPages = Math.max(1, Number(maxPages) || 1);
+    this.sliceMs = Number(sliceMs) || 60 * 1000;
+    this.tickMs = Number(tickMs) || 1000;
+    this.startFn = startFn;       // async (id) => false when the task could not be started
+    this.pauseFn = pauseFn;       // async (id) => false to keep the task on its page
+    this.onChange = onChange;
+    this.logger = logger;
+    this.clock = clock;
+
+    this.active = new Map();      // id -> { id, priority, since (null while starting), pausing }
+    this.queue = [];              // [{ id, priority, seq }]
+    this.borrowed = new Set();    // ids holding a borrowed slot
+    this._seq = 0;
+    this._timer = null;
+  }
+
+  enqueue(id, priority = 0) {
+    priority = Number(priority) || 0;
+    const slot = this.active.get(id);
+    if (slot) { slot.priority = priority; return; }
+    const waiting = this.queue.find(e => e.id === id);
+    if (waiting) waiting.priority = priority;
+    else this.queue.push({ id, priority, seq: ++this._seq });
+    this._sortQueue();
+    this._ensureTimer();
+    this._pump();
+  }
+
+  // forget a task (stopped, deleted, found); frees its page slot for the next in line
+  remove(id) {
+    const hadSlot = this.active.delete(id);
+    const hadBorrowed = this.borrowed.delete(id);
+    const before = this.queue.length;
+    this.queue = this.queue.filter(e => e.id !== id);
+    if (hadSlot || hadBorrowed || before !== this.queue.length) this._pump();
+  }
+
+  clear() {
+    this.active.clear();
+    this.borrowed.clear();
+    this.queue = [];
+    this._changed();
+  }
+
+  // re-rank a task that is already waiting or active; unknown ids are ignored
+  setPriority(id, priority = 0) {
+    priority = Number(priority) || 0;
+    const slot = this.active.get(id);
+    if (slot) { slot.priority = priority; return true; }
+    const waiting = this.queue.find(e => e.id === id);
+    if (!waiting) return false;
+    if (waiting.priority !== priority) {
+      waiting.priority = priority;
+      this._sortQueue();
+      this._changed();
+    }
+    return true;
+  }
+
+  isActive(id) { return this.active.has(id); }
+
+  // a slot for `id` outside the time-slicing; false when none is free or tasks wait for one
+  borrow(id) {
+    if (this.borrowed.has(id) || this.active.has(id)) return true;
+    if (this.active.size + this.borrowed.size >= this.maxPages || this.queue.length) return false;
+    this.borrowed.add(id);
+    this._changed();
+    return true;
+  }
+
+  giveBack(id) {
+    if (this.borrowed.delete(id)) this._pump();
+  }
+
+  // 1-based position in the queue, or null when not waiting
+  position(id) {
+    const idx = this.queue.findIndex(e => e.id === id);
+    return idx === -1 ? null : idx + 1;
+  }
+
+  snapshot() {
+    const now = this.clock();
+    return {
+      maxPages: this.maxPages,
+      sliceSeconds: Math.round(this.sliceMs / 1000),
+      active: Array.from(this.active.values()).map(s => ({
+        id: s.id, priority: s.priority, pausing: !!s.pausing,
+        sliceRemainingMs: s.since != null ? Math.max(0, this.sliceMs - (now - s.since)) : null
+      })),
+      queue: this.queue.map((e, i) => ({ id: e.id, priority: e.priority, position: i + 1 })),
+      borrowed: Array.from(this.borrowed, id => ({ id }))
+    };
+  }
+
+  // rotate expired slices; called from the interval timer (and directly by tests)
+  tick() {
+    if (!this.queue.length) return;
+    const now = this.clock();
+    const expired = Array.from(this.active.values())
+      .filter(s => s.since != null && !s.pausing && now - s.since >= this.sliceMs)
+      .sort((a, b) => a.since - b.since);
+
+    let waiting = this.queue.length;
+    for (const slot of expired) {
+      if (!waiting) break;
+      // never hand a page from a higher-priority task to a lower-priority one
+      if (this.queue[0].priority < slot.priority) continue;
+      waiting--;
+      this._preempt(slot);
+    }
+  }
+
+  stop() {
+    if (this._timer) { clearInterval(this._timer); this._timer = null; }
+  }
+
+  _ensureTimer() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.tick(), this.tickMs);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  _sortQueue() {
+    this.queue.sort((a, b) => (b.priority - a.priority) || (a.seq - b.seq));
+  }
+
+  _pump() {
+    while (this.active.size + this.borrowed.size < this.maxPages && this.queue.length) {
+      const entry = this.queue.shift();
+      const slot = { id: entry.id, priority: entry.priority, since: null, pausing: false };
+      this.active.set(entry.id, slot);
+      this._start(slot);
+    }
+    this._changed();
+  }
+
+  async _start(slot) {
+    let ok = false;
+    try {
+      ok = (await this.startFn(slot.id)) !== false;
+    } catch (e) {
+      this.logger.warn(`[PageScheduler] start failed for ${slot.id}: ${e && e.message ? e.message : e}`);
+    }
+    if (this.active.get(slot.id) !== slot) return;   // removed while starting
+    if (!ok) { this.active.delete(slot.id); this._pump(); return; }
+    slot.since = this.clock();
+    this._changed();
+  }
+
+  async _preempt(slot) {
+    slot.pausing = true;
+    let paused = false;
+    try {
+      paused = (await this.pauseFn(slot.id)) !== false;
+    } catch (e) {
+      this.logger.warn(`[PageScheduler] pause failed for ${slot.id}: ${e && e.message ? e.message : e}`);
+    }
+    if (this.active.get(slot.id) !== slot) return;   // removed while pausing
+    slot.pausing = false;
+    if (!paused) { slot.since = this.clock(); return; }
+
+    this.active.delete(slot.id);
+    this.queue.push({ id: slot.id, priority: slot.priority, seq: ++this._seq });
+    this._sortQueue();
+    this._pump();
+  }
+
+  _changed() {
+    if (!this.onChange) return;
+    try { this.onChange(); } catch (e) {}
+  }
+}
+
+module.exports = PageScheduler;
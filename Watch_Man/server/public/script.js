@@ -11,24 +11,80 @@
 
   const movieInput = document.getElementById('movieInput');
   const movieSug = document.getElementById('movieSuggestions');
+  const movieCatalog = document.getElementById('movieCatalog');
+  const movieCatalogText = document.getElementById('movieCatalogText');
+  const movieRefreshBtn = document.getElementById('movieRefreshBtn');
 
   const createBtn = document.getElementById('createTaskBtn');
   const enableSoundBtn = document.getElementById('enableSoundBtn');
   const stopAllAlarmsBtn = document.getElementById('stopAllAlarmsBtn');
   const tasksList = document.getElementById('tasksList');
+  const groupsList = document.getElementById('groupsList');
   const formStatus = document.getElementById('formStatus');
 
   const alarmAudio = document.getElementById('alarmAudio');
   alarmAudio.loop = true;
 
+  // Signed-in user
+  const userBar = document.getElementById('userBar');
+  const userName = document.getElementById('userName');
+  const signOutBtn = document.getElementById('signOutBtn');
+  const usageText = document.getElementById('usageText');
+  const signInModal = document.getElementById('signInModal');
+  const signInText = document.getElementById('signInText');
+  const signInUser = document.getElementById('signInUser');
+  const signInPassword = document.getElementById('signInPassword');
+  const signInBtn = document.getElementById('signInBtn');
+
   // Booking inputs
   const showIndexInput = document.getElementById('showIndexInput');
+  const showTimeInput = document.getElementById('showTimeInput');
+  const showWindowInput = document.getElementById('showWindowInput');
+  const showFormatsInput = document.getElementById('showFormatsInput');
+  const showLanguageInput = document.getElementById('showLanguageInput');
+  const showAnyFallbackInput = document.getElementById('showAnyFallbackInput');
   const seatQtyInput = document.getElementById('seatQtyInput');
   const targetSeatInput = document.getElementById('targetSeatInput');
   const nextSeatsInput = document.getElementById('nextSeatsInput');
+  const seatRowsInput = document.getElementById('seatRowsInput');
+  const seatFallbackRowsInput = document.getElementById('seatFallbackRowsInput');
+  const seatMaxDistanceInput = document.getElementById('seatMaxDistanceInput');
+  const seatContiguousInput = document.getElementById('seatContiguousInput');
+  const seatAvoidAisleInput = document.getElementById('seatAvoidAisleInput');
+  const seatAvoidLastRowInput = document.getElementById('seatAvoidLastRowInput');
+  const accountsInput = document.getElementById('accountsInput');
   const emailInput = document.getElementById('emailInput');
   const mobileInput = document.getElementById('mobileInput');
 
+  // Date mode inputs
+  const dateModeSelect = document.getElementById('dateModeSelect');
+  const strategySelect = document.getElementById('strategySelect');
+  const backendSelect = document.getElementById('backendSelect');
+  const priorityInput = document.getElementById('priorityInput');
+  const releaseDaysInput = document.getElementById('releaseDaysInput');
+  const releaseStartInput = document.getElementById('releaseStartInput');
+  const releaseEndInput = document.getElementById('releaseEndInput');
+  const notifyGlobalInput = document.getElementById('notifyGlobalInput');
+  const notifyWebhookInput = document.getElementById('notifyWebhookInput');
+  const notifyChatWebhookInput = document.getElementById('notifyChatWebhookInput');
+  const notifyTelegramTokenInput = document.getElementById('notifyTelegramTokenInput');
+  const notifyTelegramChatInput = document.getElementById('notifyTelegramChatInput');
+  const notifyNtfyInput = document.getElementById('notifyNtfyInput');
+  const notifyEmailInput = document.getElementById('notifyEmailInput');
+  const dateOffsetLabel = document.getElementById('dateOffsetLabel');
+  const dateOffsetInput = document.getElementById('dateOffsetInput');
+  const dateListLabel = document.getElementById('dateListLabel');
+  const dateListInput = document.getElementById('dateListInput');
+
+  // Watch group inputs
+  const addGroupCinemaBtn = document.getElementById('addGroupCinemaBtn');
+  const clearGroupCinemasBtn = document.getElementById('clearGroupCinemasBtn');
+  const groupCinemasEl = document.getElementById('groupCinemas');
+  const groupDateFromInput = document.getElementById('groupDateFromInput');
+  const groupDateToInput = document.getElementById('groupDateToInput');
+  const groupMinMatchesInput = document.getElementById('groupMinMatchesInput');
+  const createGroupBtn = document.getElementById('createGroupBtn');
+
   // Modal
   const alarmModal = document.getElementById('alarmModal');
   const alarmModalPlay = document.getElementById('alarmModalPlay');
@@ -36,6 +92,48 @@
   const alarmModalStop = document.getElementById('alarmModalStop');
   const alarmModalTitle = document.getElementById('alarmModalTitle');
   const alarmModalText = document.getElementById('alarmModalText');
+  const artifactViewer = document.getElementById('artifactViewer');
+  const artifactViewerTitle = document.getElementById('artifactViewerTitle');
+  const artifactViewerText = document.getElementById('artifactViewerText');
+  const artifactViewerImage = document.getElementById('artifactViewerImage');
+  const artifactViewerPrev = document.getElementById('artifactViewerPrev');
+  const artifactViewerNext = document.getElementById('artifactViewerNext');
+  const artifactViewerTrace = document.getElementById('artifactViewerTrace');
+  const artifactViewerClose = document.getElementById('artifactViewerClose');
+  const seatMapViewer = document.getElementById('seatMapViewer');
+  const seatMapTitle = document.getElementById('seatMapTitle');
+  const seatMapText = document.getElementById('seatMapText');
+  const seatMapGrid = document.getElementById('seatMapGrid');
+  const seatMapRefresh = document.getElementById('seatMapRefresh');
+  const seatMapClose = document.getElementById('seatMapClose');
+  const timelineViewer = document.getElementById('timelineViewer');
+  const timelineTitle = document.getElementById('timelineTitle');
+  const timelineSummary = document.getElementById('timelineSummary');
+  const timelineList = document.getElementById('timelineList');
+  const timelineRoutine = document.getElementById('timelineRoutine');
+  const timelineClose = document.getElementById('timelineClose');
+  const logViewer = document.getElementById('logViewer');
+  const logTitle = document.getElementById('logTitle');
+  const logText = document.getElementById('logText');
+  const logList = document.getElementById('logList');
+  const logLevel = document.getElementById('logLevel');
+  const logClose = document.getElementById('logClose');
+  const handoffViewer = document.getElementById('handoffViewer');
+  const handoffTitle = document.getElementById('handoffTitle');
+  const handoffText = document.getElementById('handoffText');
+  const handoffScreen = document.getElementById('handoffScreen');
+  const handoffTextInput = document.getElementById('handoffTextInput');
+  const handoffSendText = document.getElementById('handoffSendText');
+  const handoffDone = document.getElementById('handoffDone');
+  const handoffAbandon = document.getElementById('handoffAbandon');
+  const handoffClose = document.getElementById('handoffClose');
+  const accountsList = document.getElementById('accountsList');
+  const accountNameInput = document.getElementById('accountNameInput');
+  const accountEmailInput = document.getElementById('accountEmailInput');
+  const accountPhoneInput = document.getElementById('accountPhoneInput');
+  const accountUpiInput = document.getElementById('accountUpiInput');
+  const accountMaxSeatsInput = document.getElementById('accountMaxSeatsInput');
+  const addAccountBtn = document.getElementById('addAccountBtn');
 
   // =======================
   // === State Variables ===
@@ -48,6 +146,8 @@
   let selectedMovie = null;
   let selectedBookingSettings = null;
   let playingTaskId = null;
+  let groupCinemas = [];
+  let accounts = [];
 
   const AUDIO_FLAG = 'bms_audio_enabled';
 
@@ -62,6 +162,14 @@
     try { return localStorage.getItem(AUDIO_FLAG) === '1'; } catch(e){ return false; }
   }
 
+  // a link that opens in a new tab; only http(s) URLs become hrefs, everything goes in as text
+  function externalLink(url, text) {
+    const a = document.createElement('a');
+    a.innerText = text || url || '';
+    if (/^https?:\/\//i.test(String(url || ''))) { a.href = url; a.target = '_blank'; a.rel = 'noopener'; }
+    return a;
+  }
+
   function showTempStatus(msg, ms=3000) {
     formStatus.innerText = msg;
     if (ms>0) setTimeout(()=> formStatus.innerText='', ms);
@@ -122,12 +230,16 @@
     }
   }
 
-  async function fetchUpcoming(location) {
+  // served from the server's movie catalog; only the first request for a location (or refresh)
+  // waits for a scrape
+  async function fetchUpcoming(location, { refresh = false } = {}) {
     if (!location) return [];
-    movieSug.innerHTML = '<div class="muted">Loading upcoming movies…</div>';
-    movieSug.style.display = 'block';
+    if (refresh || !moviesForLocation.length) {
+      movieSug.innerHTML = '<div class="muted">Loading upcoming movies…</div>';
+      movieSug.style.display = 'block';
+    }
     try {
-      const res = await fetch(`/api/upcoming?location=${encodeURIComponent(location)}`);
+      const res = await fetch(`/api/upcoming?location=${encodeURIComponent(location)}${refresh ? '&refresh=true' : ''}`);
       const data = await res.json();
       if (!data.ok) throw new Error(data.error || 'Failed to fetch upcoming movies');
       moviesForLocation = (data.results || []).map(x => ({
@@ -135,15 +247,38 @@
         href: x.href,
         identifier: x.id || x.identifier
       }));
+      renderMovieCatalog(data);
       return moviesForLocation;
     } catch (e) {
       console.error('Failed to fetch upcoming movies:', e);
       moviesForLocation = [];
-      movieSug.innerHTML = '<div class="muted">Failed to load movies</div>';
+      movieCatalog.style.display = 'none';
+      movieSug.innerHTML = '<div class="muted"></div>';
+      movieSug.firstChild.innerText = 'Failed to load movies: ' + e.message;
       return [];
     }
   }
 
+  function renderMovieCatalog(data) {
+    const parts = [`${data.count} movies`];
+    if (data.refreshedAt) parts.push(`listed ${new Date(data.refreshedAt).toLocaleString()}`);
+    if (data.refreshing) parts.push('refreshing…');
+    if (data.lastError) parts.push(`last refresh failed: ${data.lastError}`);
+    movieCatalogText.innerText = parts.join(' · ');
+    movieCatalog.style.display = 'block';
+  }
+
+  movieRefreshBtn.addEventListener('click', async () => {
+    if (!selectedLocation) { showTempStatus('Select location first'); return; }
+    movieRefreshBtn.disabled = true;
+    try {
+      const movies = await fetchUpcoming(selectedLocation, { refresh: true });
+      if (movies.length) movieSug.style.display = 'none';
+    } finally {
+      movieRefreshBtn.disabled = false;
+    }
+  });
+
   // =======================
   // === Input Handlers ====
   // =======================
@@ -209,14 +344,128 @@
   movieInput.addEventListener('blur', () => setTimeout(()=> movieSug.style.display='none', 150));
 
   // =======================
-  // === Create Task =======
+  // === Date mode =========
   // =======================
-  createBtn.addEventListener('click', async () => {
-    if (!selectedLocation) { showTempStatus('Select location'); return; }
-    if (!selectedCinema) { showTempStatus('Select cinema'); return; }
-    if (!selectedMovie) { showTempStatus('Select movie'); return; }
+  dateModeSelect.addEventListener('change', () => {
+    dateOffsetLabel.style.display = dateModeSelect.value === 'offset' ? 'block' : 'none';
+    dateListLabel.style.display = dateModeSelect.value === 'list' ? 'block' : 'none';
+  });
+
+  function buildDateMode() {
+    const type = dateModeSelect.value || 'today';
+    if (type === 'offset') return { type, days: dateOffsetInput.value ? parseInt(dateOffsetInput.value, 10) : 0 };
+    if (type === 'list') return { type, dates: (dateListInput.value || '').split(',').map(s => s.trim()).filter(Boolean) };
+    return { type };
+  }
+
+  function describeDateMode(m) {
+    if (!m || m.type === 'fixed') return m && m.date ? `date ${m.date}` : 'URL date';
+    if (m.type === 'today') return 'today';
+    if (m.type === 'offset') return `today+${m.days}`;
+    if (m.type === 'list') return `dates ${(m.dates || []).join(',')}`;
+    return m.type;
+  }
+
+  // =======================
+  // === Priority / window ==
+  // =======================
+  function buildReleaseWindows() {
+    const start = releaseStartInput.value, end = releaseEndInput.value;
+    if (!start || !end) return [];
+    const days = (releaseDaysInput.value || '').split(',').map(s => s.trim()).filter(Boolean);
+    return [{ days, start, end, timeZone: 'Asia/Kolkata' }];
+  }
+
+  function describeReleaseWindows(windows) {
+    return (windows || []).map(w => `${w.days.length === 7 ? 'daily' : w.days.join(',')} ${w.start}–${w.end}`).join('; ');
+  }
+
+  // =======================
+  // === Notifications =====
+  // =======================
+  function buildNotify() {
+    const val = el => (el.value || '').trim();
+    const channels = [];
+    if (val(notifyWebhookInput)) channels.push({ type: 'webhook', url: val(notifyWebhookInput) });
+    if (val(notifyChatWebhookInput)) {
+      const url = val(notifyChatWebhookInput);
+      channels.push({ type: /discord(app)?\.com/.test(url) ? 'discord' : 'slack', url });
+    }
+    if (val(notifyTelegramTokenInput) && val(notifyTelegramChatInput)) {
+      channels.push({ type: 'telegram', botToken: val(notifyTelegramTokenInput), chatId: val(notifyTelegramChatInput) });
+    }
+    if (val(notifyNtfyInput)) channels.push({ type: 'ntfy', url: val(notifyNtfyInput) });
+    if (val(notifyEmailInput)) channels.push({ type: 'email', to: val(notifyEmailInput) });
+    return { channels, global: notifyGlobalInput.checked };
+  }
+
+  function describeDeliveries(deliveries) {
+    return (deliveries || []).map(d => `${d.channel}: ${d.status}${d.attempts > 1 ? ' (' + d.attempts + ' tries)' : ''}${d.status === 'failed' && d.error ? ' — ' + d.error : ''}`).join(' | ');
+  }
 
-    // build bookingSettings from inputs
+  // seat preferences (SEAT_PREFS) or null when the form is left at its defaults
+  function buildSeatPrefs() {
+    const rows = (seatRowsInput.value || '').trim();
+    const fallback = (seatFallbackRowsInput.value || '').trim();
+    const maxDistance = seatMaxDistanceInput.value ? parseInt(seatMaxDistanceInput.value, 10) : null;
+    const touched = rows || fallback || maxDistance || !seatContiguousInput.checked || seatAvoidAisleInput.checked || seatAvoidLastRowInput.checked;
+    if (!touched) return null;
+    const prefs = {
+      rows: rows ? rows.split(',').map(s => s.trim()).filter(Boolean) : [],
+      maxScreenDistance: maxDistance,
+      contiguous: seatContiguousInput.checked,
+      avoidAisle: seatAvoidAisleInput.checked,
+      avoidLastRow: seatAvoidLastRowInput.checked
+    };
+    if (fallback) prefs.tiers = [{ rows: fallback.split(',').map(s => s.trim()).filter(Boolean) }];
+    return prefs;
+  }
+
+  function describeSeatPrefs(p) {
+    return [p, ...(p.tiers || [])].map(t => {
+      const rows = t.rows && t.rows.length ? t.rows.join(',') : (t === p ? 'any row' : '');
+      return [rows, t.contiguous === false ? 'apart ok' : '', t.avoidAisle ? 'no aisle' : '', t.avoidLastRow ? 'no last row' : '']
+        .filter(Boolean).join(' ') || 'relaxed';
+    }).join(' → ');
+  }
+
+  // showtime rules (SHOWTIME) or null when none are set
+  function buildShowtimeRules() {
+    const time = (showTimeInput.value || '').trim();
+    const win = (showWindowInput.value || '').trim();
+    const formats = (showFormatsInput.value || '').split(',').map(s => s.trim()).filter(Boolean);
+    const language = (showLanguageInput.value || '').trim();
+    if (!time && !win && !formats.length && !language) return null;
+    const rules = { time: time || null, window: win || null, formats, language: language || null };
+    if (showAnyFallbackInput.checked) rules.fallbacks = [{}];
+    return rules;
+  }
+
+  function describeShowtimeRules(r) {
+    return [r, ...(r.fallbacks || [])].map(f => {
+      const t = { ...r, ...f };
+      const win = t.window ? (typeof t.window === 'object' ? `${t.window.from}-${t.window.to}` : t.window) : '';
+      return [t.time ? `~${t.time}` : '', win, (t.formats || []).join('/'), t.language || '']
+        .filter(Boolean).join(' ') || 'any show';
+    }).join(' → ');
+  }
+
+  // 'Ravi:2, Priya' → ACCOUNTS entries (names are resolved on the server), or null
+  function buildAccountsDispatch() {
+    const entries = (accountsInput.value || '').split(',').map(s => s.trim()).filter(Boolean).map(item => {
+      const [name, seats] = item.split(':').map(s => s.trim());
+      return seats ? { account: name, seats: parseInt(seats, 10) } : { account: name };
+    });
+    return entries.length ? entries : null;
+  }
+
+  function accountName(id) {
+    const a = accounts.find(x => x.id === id);
+    return a ? a.name : id;
+  }
+
+  // build bookingSettings from inputs
+  function buildBookingSettings(theatreUrl) {
     const show_index = showIndexInput.value ? parseInt(showIndexInput.value, 10) : null;
     const seat_quantity = seatQtyInput.value ? parseInt(seatQtyInput.value, 10) : null;
     const target_seat = (targetSeatInput.value || '').trim() || null;
@@ -224,23 +473,43 @@
     const email = (emailInput.value || '').trim() || null;
     const mobile = (mobileInput.value || '').trim() || null;
 
-    const bookingSettings = {
-      THEATRE_URL: selectedCinema.url || selectedCinema, // theatre url = cinema url
-      MOVIE_ID: selectedMovie.identifier || (selectedMovie.href ? selectedMovie.href.split('/').pop() : null),
+    return {
+      THEATRE_URL: theatreUrl,
+      MOVIE_ID: selectedMovie ? (selectedMovie.identifier || (selectedMovie.href ? selectedMovie.href.split('/').pop() : null)) : null,
       SHOW_INDEX: show_index,
+      SHOWTIME: buildShowtimeRules(),
       SEAT_QUANTITY: seat_quantity,
       TARGET_SEAT: target_seat,
       NEXT_SEATS: next_seats,
+      SEAT_PREFS: buildSeatPrefs(),
+      ACCOUNTS: buildAccountsDispatch(),
       EMAIL: email,
       MOBILE_NUMBER: mobile
     };
+  }
+
+  // =======================
+  // === Create Task =======
+  // =======================
+  createBtn.addEventListener('click', async () => {
+    if (!selectedLocation) { showTempStatus('Select location'); return; }
+    if (!selectedCinema) { showTempStatus('Select cinema'); return; }
+    if (!selectedMovie) { showTempStatus('Select movie'); return; }
+
+    const bookingSettings = buildBookingSettings(selectedCinema.url || selectedCinema); // theatre url = cinema url
 
     const payload = {
       location: selectedLocation,
       cinemaName: selectedCinema.name,
       cinemaUrl: selectedCinema.url,
       identifier: selectedMovie.identifier || (selectedMovie.href ? selectedMovie.href.split('/').pop() : null),
-      bookingSettings
+      bookingSettings,
+      dateMode: buildDateMode(),
+      strategy: strategySelect.value || 'dom',
+      backend: backendSelect.value || 'browser',
+      priority: priorityInput.value ? parseInt(priorityInput.value, 10) : 0,
+      releaseWindows: buildReleaseWindows(),
+      notify: buildNotify()
     };
     if (!payload.identifier) { showTempStatus('Cannot determine movie identifier'); return; }
 
@@ -266,14 +535,690 @@
     }
   });
 
+  // =======================
+  // === Watch Groups ======
+  // =======================
+  function renderGroupCinemas() {
+    groupCinemasEl.innerHTML = '';
+    if (!groupCinemas.length) { groupCinemasEl.innerText = 'No cinemas added'; return; }
+    groupCinemas.forEach(c => {
+      const chip = document.createElement('span'); chip.className = 'chip'; chip.innerText = c.name;
+      groupCinemasEl.appendChild(chip);
+    });
+  }
+
+  addGroupCinemaBtn.addEventListener('click', () => {
+    if (!selectedCinema) { showTempStatus('Select cinema'); return; }
+    if (groupCinemas.some(c => c.url === selectedCinema.url)) { showTempStatus('Cinema already in group'); return; }
+    groupCinemas.push({ name: selectedCinema.name, url: selectedCinema.url });
+    renderGroupCinemas();
+  });
+
+  clearGroupCinemasBtn.addEventListener('click', () => { groupCinemas = []; renderGroupCinemas(); });
+
+  createGroupBtn.addEventListener('click', async () => {
+    if (!selectedLocation) { showTempStatus('Select location'); return; }
+    if (!selectedMovie) { showTempStatus('Select movie'); return; }
+    if (!groupCinemas.length) { showTempStatus('Add at least one cinema to the group'); return; }
+
+    const identifier = selectedMovie.identifier || (selectedMovie.href ? selectedMovie.href.split('/').pop() : null);
+    if (!identifier) { showTempStatus('Cannot determine movie identifier'); return; }
+
+    const payload = {
+      location: selectedLocation,
+      identifier,
+      cinemas: groupCinemas,
+      dateFrom: groupDateFromInput.value || null,
+      dateTo: groupDateToInput.value || groupDateFromInput.value || null,
+      minMatches: groupMinMatchesInput.value ? parseInt(groupMinMatchesInput.value, 10) : 1,
+      bookingSettings: buildBookingSettings(null),
+      strategy: strategySelect.value || 'dom',
+      backend: backendSelect.value || 'browser',
+      priority: priorityInput.value ? parseInt(priorityInput.value, 10) : 0,
+      releaseWindows: buildReleaseWindows(),
+      notify: buildNotify()
+    };
+
+    createGroupBtn.disabled = true; createGroupBtn.innerText = 'Creating...';
+    try {
+      const res = await fetch('/api/groups', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(payload)
+      });
+      const data = await res.json();
+      if (data.ok) {
+        showTempStatus(`Group created (${data.group ? data.group.progress.total : 0} watchers)`);
+        groupCinemas = []; renderGroupCinemas();
+        await loadGroups(); await loadTasks();
+      } else {
+        showTempStatus('Create group failed: '+(data.error||'unknown'), 5000);
+      }
+    } catch (e) {
+      console.error('Error creating group:', e);
+      showTempStatus('Network error');
+    } finally {
+      createGroupBtn.disabled=false; createGroupBtn.innerText='Create Watch Group';
+    }
+  });
+
+  async function loadGroups() {
+    try {
+      const res = await fetch('/api/groups');
+      const data = await res.json();
+      renderGroupList(data.groups || []);
+    } catch(e) {
+      console.error('Failed to load groups', e);
+    }
+  }
+
+  function renderGroupList(groups) {
+    groupsList.innerHTML='';
+    if (!groups.length) {
+      const n = document.createElement('div'); n.className='muted'; n.innerText='No watch groups';
+      groupsList.appendChild(n); return;
+    }
+
+    groups.forEach(g => {
+      const el = document.createElement('div'); el.className = 'task '+(g.status==='found'?'found':'');
+      const meta = document.createElement('div'); meta.className='meta';
+      const title = document.createElement('div'); title.className='title';
+      title.innerText = `${g.identifier} — ${g.cinemas.length} cinema(s) × ${g.dates.length || 1} date(s)`;
+      const sub = document.createElement('div'); sub.className='muted small';
+      const p = g.progress;
+      sub.innerText = `${g.status.toUpperCase()} — found ${p.found}/${p.total}, watching ${p.running}, queued ${p.queued || 0}, stopped ${p.stopped}, errors ${p.error} (needs ${g.minMatches})`;
+      const bar = document.createElement('div'); bar.className='group-progress';
+      const fill = document.createElement('span'); fill.style.width = `${p.total ? Math.round((p.found / Math.min(g.minMatches, p.total)) * 100) : 0}%`;
+      bar.appendChild(fill);
+      meta.appendChild(title); meta.appendChild(sub); meta.appendChild(bar);
+
+      g.matches.forEach(m => {
+        const line = document.createElement('div'); line.className='muted tiny';
+        line.textContent = `✅ ${m.cinemaName || ''} ${m.dateCode || ''} — `;
+        line.appendChild(externalLink(m.foundHref, m.foundHref || 'open'));
+        meta.appendChild(line);
+      });
+
+      if (g.notify && g.notify.deliveries && g.notify.deliveries.length) {
+        const nl = document.createElement('div'); nl.className='muted tiny';
+        nl.innerText = 'Notifications: ' + describeDeliveries(g.notify.deliveries);
+        meta.appendChild(nl);
+      }
+
+      const actions = document.createElement('div'); actions.className='actions';
+      if (g.status === 'running') {
+        const stopBtn = document.createElement('button'); stopBtn.className='smallbtn'; stopBtn.style.background='#ffc107'; stopBtn.innerText='Stop Group';
+        stopBtn.onclick = async ()=> {
+          try { await fetch(`/api/groups/${g.id}/stop`, { method:'POST' }); await loadGroups(); await loadTasks(); }
+          catch(e){ console.error(e); showTempStatus('Stop failed'); }
+        };
+        actions.appendChild(stopBtn);
+      }
+      const delBtn = document.createElement('button'); delBtn.className='smallbtn'; delBtn.style.background='#6c757d'; delBtn.innerText='Delete';
+      delBtn.onclick = async ()=> {
+        if (!confirm('Delete this group and all its watchers?')) return;
+        try { await fetch(`/api/groups/${g.id}`, { method:'DELETE' }); await loadGroups(); await loadTasks(); }
+        catch(e){ console.error(e); showTempStatus('Delete failed'); }
+      };
+      actions.appendChild(delBtn);
+
+      el.appendChild(meta); el.appendChild(actions);
+      groupsList.appendChild(el);
+    });
+  }
+
   // =======================
   // === Load & Render Tasks
   // =======================
+  // =======================
+  // === Booking runs ======
+  // =======================
+  const BOOKING_STEPS = ['queued', 'launching', 'showtime-selected', 'seats-selected', 'payment-pending'];
+  const bookingRuns = {};   // taskId → runs; fetched once per task, then kept fresh by 'booking' SSE events
+
+  async function loadBookingRuns(taskId) {
+    try {
+      const r = await fetch(`/api/tasks/${taskId}/bookings`);
+      const d = await r.json();
+      bookingRuns[taskId] = d.runs || [];
+    } catch (e) {
+      console.error('Failed to load booking runs', e);
+      bookingRuns[taskId] = [];
+    }
+  }
+
+  function upsertBookingRun(run) {
+    const list = bookingRuns[run.taskId] || (bookingRuns[run.taskId] = []);
+    const i = list.findIndex(r => r.id === run.id);
+    if (i === -1) list.push(run); else list[i] = run;
+  }
+
+  // one row per run (latest three): reached steps with their time, then the ones still ahead
+  function renderBookingTimeline(taskId) {
+    const wrap = document.createElement('div'); wrap.className = 'booking-runs';
+    (bookingRuns[taskId] || []).slice(-3).forEach(run => {
+      const row = document.createElement('div'); row.className = 'booking-run ' + run.status;
+      const label = document.createElement('span'); label.className = 'muted tiny';
+      label.innerText = run.account ? `Booking (${run.account.name}${run.seats ? ' ×' + run.seats : ''}): ` : 'Booking: ';
+      row.appendChild(label);
+      run.steps.forEach(st => {
+        const chip = document.createElement('span'); chip.className = 'chip step ' + st.status;
+        const picked = st.status === 'showtime-selected' && st.details && st.details.show ? ` ${st.details.show.time}` : '';
+        chip.innerText = `${st.status}${picked} ${new Date(st.at).toLocaleTimeString()}`;
+        if (st.details) chip.title = st.details.reason ? `${st.details.reason}\n${JSON.stringify(st.details)}` : JSON.stringify(st.details);
+        row.appendChild(chip);
+      });
+      if (!['succeeded', 'failed'].includes(run.status)) {
+        BOOKING_STEPS.slice(BOOKING_STEPS.indexOf(run.status) + 1).forEach(name => {
+          const chip = document.createElement('span'); chip.className = 'chip step pending'; chip.innerText = name;
+          row.appendChild(chip);
+        });
+      }
+      if (run.status === 'handoff') {
+        const st = run.steps.find(x => x.status === 'handoff');
+        const take = document.createElement('button'); take.className = 'smallbtn'; take.innerText = 'Take over payment';
+        take.addEventListener('click', () => openHandoff(st && st.details && st.details.sessionId, { title: `Finish payment — ${run.identifier || run.taskId}` }));
+        row.appendChild(take);
+      }
+      if (run.error) {
+        const err = document.createElement('div'); err.className = 'muted tiny health'; err.innerText = run.error;
+        row.appendChild(err);
+      }
+      const shots = (run.artifacts || []).filter(a => a.kind === 'screenshot');
+      const trace = (run.artifacts || []).find(a => a.kind === 'trace');
+      if (shots.length || trace) {
+        const strip = document.createElement('div'); strip.className = 'artifact-strip';
+        shots.forEach((a, i) => {
+          const img = document.createElement('img');
+          img.src = artifactUrl(run, a); img.loading = 'lazy';
+          img.title = `${a.label} (${a.step}) ${new Date(a.at).toLocaleTimeString()}`;
+          img.addEventListener('click', () => openArtifactViewer(run, i));
+          strip.appendChild(img);
+        });
+        if (trace) {
+          const link = document.createElement('a'); link.className = 'muted tiny';
+          link.href = artifactUrl(run, trace); link.innerText = 'trace.zip'; link.download = '';
+          link.title = 'Open with: npx playwright show-trace <file>';
+          strip.appendChild(link);
+        }
+        row.appendChild(strip);
+      }
+      wrap.appendChild(row);
+    });
+    return wrap;
+  }
+
+  function artifactUrl(run, artifact) {
+    return `/api/bookings/${encodeURIComponent(run.id)}/artifacts/${encodeURIComponent(artifact.file)}`;
+  }
+
+  // full-size screenshots of one run, stepped through with prev/next
+  let viewing = null;   // { runId, taskId, index }
+  function openArtifactViewer(run, index) {
+    viewing = { runId: run.id, taskId: run.taskId, index };
+    renderArtifactViewer();
+    artifactViewer.style.display = 'flex';
+  }
+
+  function renderArtifactViewer() {
+    if (!viewing) return;
+    const run = (bookingRuns[viewing.taskId] || []).find(r => r.id === viewing.runId);
+    const shots = run ? (run.artifacts || []).filter(a => a.kind === 'screenshot') : [];
+    const a = shots[viewing.index];
+    if (!a) return;
+    artifactViewerTitle.innerText = `${a.label} — ${run.identifier || run.taskId}`;
+    artifactViewerText.innerText = `Step ${viewing.index + 1}/${shots.length} · run ${run.status} at ${a.step} · ${new Date(a.at).toLocaleString()}${a.url ? ' · ' + a.url : ''}`;
+    artifactViewerImage.src = artifactUrl(run, a);
+    artifactViewerPrev.disabled = viewing.index === 0;
+    artifactViewerNext.disabled = viewing.index >= shots.length - 1;
+    const trace = (run.artifacts || []).find(x => x.kind === 'trace');
+    artifactViewerTrace.style.display = trace ? '' : 'none';
+    if (trace) artifactViewerTrace.href = artifactUrl(run, trace);
+  }
+
+  artifactViewerPrev.addEventListener('click', () => { if (viewing && viewing.index > 0) { viewing.index--; renderArtifactViewer(); } });
+  artifactViewerNext.addEventListener('click', () => { if (viewing) { viewing.index++; renderArtifactViewer(); } });
+  artifactViewerClose.addEventListener('click', () => { viewing = null; artifactViewer.style.display = 'none'; });
+
+  // =======================
+  // === Seat map ==========
+  // =======================
+  // the task's show scanned into rows of seats (cached per screen on the server); TARGET_SEAT /
+  // NEXT_SEATS are outlined so typos and sold seats show up before the booking runs
+  let seatMapTask = null;
+
+  async function openSeatMap(task, refresh = false) {
+    seatMapTask = task;
+    seatMapTitle.innerText = `Seat map — ${task.identifier}`;
+    seatMapText.innerText = refresh ? 'Rescanning the seat layout…' : 'Loading the seat layout (a scan can take a minute)…';
+    seatMapGrid.innerHTML = '';
+    seatMapViewer.style.display = 'flex';
+    try {
+      const r = await fetch(`/api/tasks/${encodeURIComponent(task.id)}/seatmap${refresh ? '?refresh=true' : ''}`);
+      const d = await r.json();
+      if (seatMapTask !== task) return;
+      if (!d.ok) { seatMapText.innerText = `Seat map failed: ${d.error}`; return; }
+      renderSeatMap(d);
+    } catch (e) {
+      console.error(e);
+      seatMapText.innerText = 'Seat map failed';
+    }
+  }
+
+  function renderSeatMap({ seatMap, cached, targetSeats }) {
+    const targets = new Map(((targetSeats && targetSeats.seats) || []).map(s => [s.label, s.status]));
+    const lines = [
+      `${seatMap.screen || 'Screen'} · ${seatMap.counts.available}/${seatMap.counts.seats} seats free`,
+      `scanned ${new Date(seatMap.scannedAt).toLocaleString()}${cached ? ' (cached)' : ''}${seatMap.complete ? '' : ' · partial scan'}`,
+      seatMap.categories.map(c => `${c.name}${c.price != null ? ' ₹' + c.price : ''}`).join(' · ')
+    ];
+    if (targetSeats) lines.push('Target seats: ' + targetSeats.seats.map(s => `${s.label} ${s.status}`).join(', '));
+    seatMapText.innerText = lines.filter(Boolean).join('\n');
+
+    const numbers = seatMap.rows.flatMap(r => r.seats.map(s => s.number));
+    const first = Math.min(...numbers), last = Math.max(...numbers);
+    seatMapGrid.innerHTML = '';
+    seatMap.rows.forEach(row => {
+      const line = document.createElement('div'); line.className = 'seat-row';
+      const label = document.createElement('span'); label.className = 'row-label'; label.innerText = row.label;
+      line.appendChild(label);
+      const byNumber = new Map(row.seats.map(s => [s.number, s]));
+      for (let n = first; n <= last; n++) {
+        const s = byNumber.get(n);
+        const cell = document.createElement('span');
+        cell.className = 'seat' + (!s ? ' gap' : (s.available ? '' : ' taken')) + (s && targets.has(s.label) ? ' target' : '');
+        if (s) cell.title = `${s.label}${s.available ? '' : ' (taken)'}`;
+        line.appendChild(cell);
+      }
+      if (row.category) { const cat = document.createElement('span'); cat.className = 'category'; cat.innerText = row.category; line.appendChild(cat); }
+      seatMapGrid.appendChild(line);
+    });
+  }
+
+  seatMapRefresh.addEventListener('click', () => { if (seatMapTask) openSeatMap(seatMapTask, true); });
+  seatMapClose.addEventListener('click', () => { seatMapTask = null; seatMapViewer.style.display = 'none'; });
+
+  // =======================
+  // === Task timeline =====
+  // =======================
+  // the task's event journal (created, started, reloads, found, booking steps, ...); reloads and
+  // rotations are hidden unless asked for. Refreshed by SSE events about the task while open
+  const ROUTINE_EVENTS = ['reload', 'rotate'];
+  let timelineTask = null;
+
+  async function openTimeline(task) {
+    timelineTask = task;
+    timelineTitle.innerText = `Timeline — ${task.cinemaName || ''} ${task.identifier}`;
+    timelineSummary.innerText = 'Loading…';
+    timelineList.innerHTML = '';
+    timelineViewer.style.display = 'flex';
+    await loadTimeline();
+  }
+
+  async function loadTimeline() {
+    const task = timelineTask;
+    if (!task) return;
+    try {
+      const r = await fetch(`/api/tasks/${encodeURIComponent(task.id)}/events?limit=500`);
+      const d = await r.json();
+      if (timelineTask !== task) return;
+      if (!r.ok) { timelineSummary.innerText = `Timeline failed: ${d.error}`; return; }
+      renderTimeline(d);
+    } catch (e) {
+      console.error(e);
+      timelineSummary.innerText = 'Timeline failed';
+    }
+  }
+
+  function renderTimeline({ events, counts, summary }) {
+    const time = at => (at ? new Date(at).toLocaleString() : '-');
+    const parts = [`Created ${time(summary.createdAt)}`, `started ${time(summary.startedAt)}`];
+    if (summary.foundAt) parts.push(`found ${time(summary.foundAt)} (detection took ${describeDuration(summary.detectionSeconds)})`);
+    const tally = ['reload', 'rotate', 'error'].filter(k => counts[k]).map(k => `${counts[k]} ${k}${counts[k] === 1 ? '' : 's'}`);
+    timelineSummary.innerText = parts.join(' · ') + (tally.length ? ` — ${tally.join(', ')}` : '');
+
+    timelineList.innerHTML = '';
+    const shown = events.filter(e => timelineRoutine.checked || !ROUTINE_EVENTS.includes(e.type)).reverse();
+    if (!shown.length) {
+      const li = document.createElement('li'); li.className = 'muted tiny'; li.innerText = 'No events yet';
+      timelineList.appendChild(li);
+    }
+    shown.forEach(e => {
+      const li = document.createElement('li'); li.className = 'event ' + e.type;
+      const when = document.createElement('span'); when.className = 'muted tiny'; when.innerText = new Date(e.at).toLocaleTimeString();
+      const chip = document.createElement('span'); chip.className = 'chip'; chip.innerText = e.type;
+      const text = document.createElement('span'); text.className = 'tiny'; text.innerText = describeEvent(e);
+      li.appendChild(when); li.appendChild(chip); li.appendChild(text);
+      if (e.details) li.title = JSON.stringify(e.details);
+      timelineList.appendChild(li);
+    });
+  }
+
+  function describeEvent({ type, details }) {
+    const d = details || {};
+    switch (type) {
+      case 'created': return `${d.strategy || 'dom'}/${d.backend || 'browser'}${d.groupId ? ' — in a group' : ''}`;
+      case 'started': return `polling every ${d.pollIntervalSeconds || '?'}s`;
+      case 'reload': return d.manual ? 'reloaded by hand' : d.recreate ? 'fresh page/context' : d.outcome || '';
+      case 'rotate': return d.reason || '';
+      case 'error': return `${d.message || 'error'}${d.consecutiveFailures ? ` (${d.consecutiveFailures} in a row)` : ''}`;
+      case 'found': return `${d.href || ''}${d.matchedDateCode ? ' — date ' + d.matchedDateCode : ''}${d.via ? ' — via ' + d.via : ''}`;
+      case 'booking-step': return `${d.status}${d.account ? ' (' + d.account + ')' : ''}${d.error ? ' — ' + d.error : ''}`;
+      case 'stopped': return d.reason === 'shutdown' ? 'server shut down' : '';
+      default: return '';
+    }
+  }
+
+  function describeDuration(seconds) {
+    if (seconds == null) return '-';
+    const h = Math.floor(seconds / 3600), m = Math.floor((seconds % 3600) / 60), s = seconds % 60;
+    return [h ? `${h}h` : '', m ? `${m}m` : '', `${s}s`].filter(Boolean).join(' ');
+  }
+
+  timelineRoutine.addEventListener('change', loadTimeline);
+  timelineClose.addEventListener('click', () => { timelineTask = null; timelineViewer.style.display = 'none'; });
+
+  // =======================
+  // === Task logs =========
+  // =======================
+  // the task's recent log lines, then new ones as they are written (SSE); the list keeps the
+  // newest MAX_LOG_LINES
+  const MAX_LOG_LINES = 500;
+  let logTask = null;
+  let logSource = null;
+  let logLoads = 0;   // a newer loadLogs() call wins over one still fetching
+
+  async function openLogs(task) {
+    logTask = task;
+    logTitle.innerText = `Logs — ${task.cinemaName || ''} ${task.identifier}`;
+    logViewer.style.display = 'flex';
+    await loadLogs();
+  }
+
+  async function loadLogs() {
+    const task = logTask;
+    if (!task) return;
+    const load = ++logLoads;
+    if (logSource) { logSource.close(); logSource = null; }
+    logList.innerHTML = '';
+    logText.innerText = 'Loading…';
+    const query = `level=${encodeURIComponent(logLevel.value)}`;
+    try {
+      const r = await fetch(`/api/tasks/${encodeURIComponent(task.id)}/logs?${query}&limit=${MAX_LOG_LINES}`);
+      const d = await r.json();
+      if (load !== logLoads || logTask !== task) return;
+      if (!r.ok) { logText.innerText = `Logs failed: ${d.error}`; return; }
+      d.logs.forEach(appendLogLine);
+      logText.innerText = d.logs.length ? 'Following new lines…' : 'No lines yet — following new ones…';
+    } catch (e) {
+      console.error(e);
+      logText.innerText = 'Logs failed';
+      return;
+    }
+    logSource = new EventSource(`/api/tasks/${encodeURIComponent(task.id)}/logs/stream?${query}`);
+    logSource.onmessage = e => {
+      try { appendLogLine(JSON.parse(e.data)); } catch (err) { console.error('log stream parse error', err); }
+    };
+  }
+
+  function appendLogLine({ time, level, msg, watcherId, bookingRunId, source }) {
+    const atBottom = logList.scrollTop + logList.clientHeight >= logList.scrollHeight - 4;
+    const li = document.createElement('li'); li.className = 'line ' + level;
+    const when = document.createElement('span'); when.className = 'muted tiny'; when.innerText = new Date(time).toLocaleTimeString();
+    const chip = document.createElement('span'); chip.className = 'chip'; chip.innerText = bookingRunId ? 'booking' : source || (watcherId ? 'watcher' : 'task');
+    const text = document.createElement('span'); text.className = 'tiny'; text.innerText = msg;
+    li.appendChild(when); li.appendChild(chip); li.appendChild(text);
+    li.title = `${level}${bookingRunId ? ' · run ' + bookingRunId : ''}`;
+    logList.appendChild(li);
+    while (logList.children.length > MAX_LOG_LINES) logList.removeChild(logList.firstChild);
+    if (atBottom) logList.scrollTop = logList.scrollHeight;
+  }
+
+  function closeLogs() {
+    logTask = null;
+    if (logSource) { logSource.close(); logSource = null; }
+    logViewer.style.display = 'none';
+  }
+
+  logLevel.addEventListener('change', loadLogs);
+  logClose.addEventListener('click', closeLogs);
+
+  // =======================
+  // === Metrics ===========
+  // =======================
+  // admins only: the /api/metrics summary (p50 / p95 over recent samples), refreshed every 15s
+  const metricsCard = document.getElementById('metricsCard');
+  const metricsList = document.getElementById('metricsList');
+
+  async function loadMetrics() {
+    try {
+      const r = await fetch('/api/metrics');
+      if (!r.ok) return;
+      renderMetrics((await r.json()).metrics || {});
+    } catch (e) {}
+  }
+
+  function renderMetrics(m) {
+    const secs = v => (v == null ? '-' : v < 1 ? `${Math.round(v * 1000)}ms` : `${v.toFixed(1)}s`);
+    const timing = (series, label) => (series || []).filter(s => s.count).map(s => `${label(s.labels)} p50 ${secs(s.p50)} / p95 ${secs(s.p95)} (${s.count})`).join(' · ');
+    const value = (series, labels = {}) => {
+      const s = (series || []).find(x => Object.entries(labels).every(([k, v]) => x.labels[k] === v));
+      return s ? s.value : 0;
+    };
+    const reloads = m.bms_watcher_reloads_total || [];
+    const errors = (m.bms_watcher_errors_total || []).map(e => {
+      const total = value(reloads, { cinema: e.labels.cinema });
+      return `${e.labels.cinema} ${e.value}${total ? ` / ${total} reloads (${Math.round(e.value / total * 100)}%)` : ''}`;
+    }).join(' · ');
+    const rows = [
+      ['Reload', timing(m.bms_watcher_reload_duration_seconds, l => l.backend)],
+      ['Observer injection', timing(m.bms_watcher_observer_injection_seconds, () => 'all')],
+      ['Time to detect', timing(m.bms_detection_delay_seconds, l => l.strategy)],
+      ['Errors per cinema', errors],
+      ['Browser', `${value(m.bms_browser_pages)} pages in ${value(m.bms_browser_contexts)} contexts`],
+      ['Tasks', (m.bms_tasks || []).map(s => `${s.value} ${s.labels.status}`).join(' · ')],
+      ['Booking steps', timing(m.bms_booking_step_duration_seconds, l => l.step)],
+      ['Booking runs', (m.bms_booking_runs_total || []).map(s => `${s.value} ${s.labels.outcome}`).join(' · ')]
+    ];
+    metricsList.innerHTML = '';
+    rows.forEach(([label, text]) => {
+      const dt = document.createElement('dt'); dt.innerText = label;
+      const dd = document.createElement('dd'); dd.innerText = text || '-';
+      metricsList.appendChild(dt); metricsList.appendChild(dd);
+    });
+  }
+
+  // =======================
+  // === Payment handoff ===
+  // =======================
+  // live screencast of a run's browser (or of an account login); clicks, wheel and keys on the
+  // image are forwarded in order
+  let handoff = null;   // { id, purpose, session, stream, inputs (promise chain), timer }
+
+  function openHandoff(sessionId, { title, purpose = 'payment' }) {
+    if (!sessionId) return showTempStatus('No handoff session on this run');
+    closeHandoff();
+    handoff = { id: sessionId, purpose, session: null, inputs: Promise.resolve(), timer: null };
+    handoffTitle.innerText = title;
+    handoffDone.innerText = purpose === 'login' ? 'Logged in' : 'Payment done';
+    handoffText.innerText = 'Connecting…';
+    handoffScreen.removeAttribute('src');
+    handoff.stream = new EventSource(`/api/handoff/${encodeURIComponent(sessionId)}/stream`);
+    handoff.stream.onmessage = e => {
+      const msg = JSON.parse(e.data);
+      if (msg.type === 'frame') handoffScreen.src = 'data:image/jpeg;base64,' + msg.data;
+      if (msg.type === 'ended') { updateHandoff(msg.session); if (handoff) handoff.stream.close(); }
+    };
+    handoff.stream.onerror = () => { if (handoff && handoff.stream.readyState === EventSource.CLOSED) handoffText.innerText = 'Live view disconnected.'; };
+    fetch(`/api/handoff/${encodeURIComponent(sessionId)}`).then(r => r.json()).then(d => updateHandoff(d.session)).catch(() => {});
+    handoff.timer = setInterval(() => updateHandoff(), 1000);
+    handoffViewer.style.display = 'flex';
+    handoffScreen.focus();
+  }
+
+  function closeHandoff() {
+    if (!handoff) return;
+    try { handoff.stream.close(); } catch (e) {}
+    clearInterval(handoff.timer);
+    handoff = null;
+    handoffViewer.style.display = 'none';
+  }
+
+  function updateHandoff(session) {
+    if (!handoff) return;
+    if (session && session.id === handoff.id) handoff.session = session;
+    const s = handoff.session;
+    if (!s) return;
+    if (s.status !== 'active') {
+      handoffText.innerText = `Session ${s.status}${s.outcome ? ': ' + s.outcome.reason : ''}`;
+      [handoffDone, handoffAbandon, handoffSendText].forEach(b => { b.disabled = true; });
+      return;
+    }
+    [handoffDone, handoffAbandon, handoffSendText].forEach(b => { b.disabled = false; });
+    const left = Math.max(0, Math.round((new Date(s.expiresAt) - Date.now()) / 1000));
+    handoffText.innerText = `Closes after ${Math.floor(left / 60)}m ${left % 60}s without input · ${s.url || ''}`;
+  }
+
+  function sendHandoffInput(event) {
+    if (!handoff || (handoff.session && handoff.session.status !== 'active')) return;
+    const id = handoff.id;
+    handoff.inputs = handoff.inputs.then(() => fetch(`/api/handoff/${encodeURIComponent(id)}/input`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(event)
+    }).then(r => r.json()).then(d => { if (d.session) updateHandoff(d.session); else if (d.error) showTempStatus(d.error); }))
+      .catch(e => console.warn('handoff input failed', e));
+  }
+
+  function framePoint(e) {
+    const r = handoffScreen.getBoundingClientRect();
+    return { x: (e.clientX - r.left) / r.width, y: (e.clientY - r.top) / r.height };
+  }
+
+  handoffScreen.addEventListener('click', e => { handoffScreen.focus(); sendHandoffInput({ type: 'click', ...framePoint(e) }); });
+  handoffScreen.addEventListener('wheel', e => { e.preventDefault(); sendHandoffInput({ type: 'wheel', deltaX: e.deltaX, deltaY: e.deltaY, ...framePoint(e) }); }, { passive: false });
+  handoffScreen.addEventListener('keydown', e => {
+    if (e.metaKey || e.ctrlKey) return;
+    e.preventDefault();
+    if (e.key.length === 1) sendHandoffInput({ type: 'text', text: e.key });
+    else sendHandoffInput({ type: 'key', key: e.key });
+  });
+  // mobile keyboards don't reach an <img>; paste / type into the box instead
+  handoffSendText.addEventListener('click', () => {
+    if (!handoffTextInput.value) return;
+    sendHandoffInput({ type: 'text', text: handoffTextInput.value });
+    handoffTextInput.value = '';
+  });
+
+  async function releaseHandoff(completed) {
+    if (!handoff) return;
+    const login = handoff.purpose === 'login';
+    if (!completed && !confirm(login ? 'Cancel this login? The browser will be closed.' : 'Give up on this booking? The browser will be closed.')) return;
+    try {
+      const r = await fetch(`/api/handoff/${encodeURIComponent(handoff.id)}/release`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ completed })
+      });
+      const d = await r.json();
+      if (!d.ok) return showTempStatus(d.error || 'Release failed');
+      showTempStatus(login ? (completed ? 'Login saved' : 'Login cancelled') : (completed ? 'Payment marked as done' : 'Booking abandoned'), 3000);
+      closeHandoff();
+    } catch (e) { showTempStatus('Release failed'); }
+  }
+
+  handoffDone.addEventListener('click', () => releaseHandoff(true));
+  handoffAbandon.addEventListener('click', () => releaseHandoff(false));
+  handoffClose.addEventListener('click', () => closeHandoff());
+
+  // =======================
+  // === Booking accounts ==
+  // =======================
+  async function loadAccounts() {
+    try {
+      const res = await fetch('/api/accounts');
+      const data = await res.json();
+      accounts = data.accounts || [];
+      renderAccountList();
+    } catch(e) {
+      console.error('Failed to load accounts', e);
+    }
+  }
+
+  function renderAccountList() {
+    accountsList.innerHTML='';
+    if (!accounts.length) {
+      const n = document.createElement('div'); n.className='muted'; n.innerText='No booking accounts — bookings run logged out';
+      accountsList.appendChild(n); return;
+    }
+    accounts.forEach(a => {
+      const el = document.createElement('div'); el.className = 'task';
+      const meta = document.createElement('div'); meta.className='meta';
+      const title = document.createElement('div'); title.className='title';
+      title.innerText = `${a.name}${a.busy ? ' (in use)' : ''}`;
+      const sub = document.createElement('div'); sub.className='muted small';
+      sub.innerText = `${a.email || '-'} · ${a.phone || '-'} · UPI ${a.upiId || '-'} · up to ${a.maxSeats} seats`;
+      const login = document.createElement('div'); login.className='muted tiny';
+      login.innerText = a.loggedInAt ? `Logged in ${new Date(a.loggedInAt).toLocaleString()}` : 'Not logged in yet';
+      if (a.lastUsedAt) login.innerText += ` · last booking ${new Date(a.lastUsedAt).toLocaleString()}`;
+      meta.appendChild(title); meta.appendChild(sub); meta.appendChild(login);
+
+      const actions = document.createElement('div'); actions.className='actions';
+      const loginBtn = document.createElement('button'); loginBtn.className='smallbtn'; loginBtn.style.background='#20c997'; loginBtn.innerText='Log in';
+      loginBtn.disabled = a.busy;
+      loginBtn.onclick = async ()=> {
+        loginBtn.disabled = true; loginBtn.innerText='Opening...';
+        try {
+          const r = await fetch(`/api/accounts/${a.id}/login`, { method:'POST' });
+          const d = await r.json();
+          if (!d.ok) showTempStatus(d.error || 'Login failed', 5000);
+          else openHandoff(d.session.id, { title: `Log in — ${a.name}`, purpose: 'login' });
+        } catch(e){ console.error(e); showTempStatus('Login failed'); }
+        loginBtn.innerText='Log in';
+      };
+      actions.appendChild(loginBtn);
+      const delBtn = document.createElement('button'); delBtn.className='smallbtn'; delBtn.style.background='#6c757d'; delBtn.innerText='Delete';
+      delBtn.onclick = async ()=> {
+        if (!confirm(`Delete account ${a.name} and its saved login?`)) return;
+        try {
+          const r = await fetch(`/api/accounts/${a.id}`, { method:'DELETE' });
+          const d = await r.json();
+          if (!d.ok) showTempStatus(d.error || 'Delete failed');
+          await loadAccounts();
+        } catch(e){ console.error(e); showTempStatus('Delete failed'); }
+      };
+      actions.appendChild(delBtn);
+
+      el.appendChild(meta); el.appendChild(actions);
+      accountsList.appendChild(el);
+    });
+  }
+
+  addAccountBtn.addEventListener('click', async () => {
+    const body = {
+      name: accountNameInput.value,
+      email: accountEmailInput.value,
+      phone: accountPhoneInput.value,
+      upiId: accountUpiInput.value,
+      maxSeats: accountMaxSeatsInput.value
+    };
+    addAccountBtn.disabled = true;
+    try {
+      const r = await fetch('/api/accounts', { method:'POST', headers:{ 'Content-Type':'application/json' }, body: JSON.stringify(body) });
+      const d = await r.json();
+      if (!d.ok) { showTempStatus(d.error || 'Could not add account', 5000); return; }
+      [accountNameInput, accountEmailInput, accountPhoneInput, accountUpiInput].forEach(i => { i.value = ''; });
+      showTempStatus(`Added ${d.account.name} — log it in before its first booking`, 4000);
+      await loadAccounts();
+    } catch(e){ console.error(e); showTempStatus('Could not add account'); }
+    finally { addAccountBtn.disabled = false; }
+  });
+
   async function loadTasks() {
     try {
       const res = await fetch('/api/tasks');
+      if (res.status === 401) { showSignIn('Your session ended — sign in again.'); return; }
       const data = await res.json();
-      renderTaskList(data.tasks || []);
+      const tasks = data.tasks || [];
+      loadUsage();
+      await Promise.all(tasks.filter(t => t.lastBooking && !bookingRuns[t.id]).map(t => loadBookingRuns(t.id)));
+      renderTaskList(tasks);
     } catch(e) {
       console.error('Failed to load tasks', e);
     }
@@ -287,24 +1232,72 @@
     }
 
     tasks.forEach(t => {
-      const el = document.createElement('div'); el.className = 'task '+(t.status==='found'?'found':'');
+      const el = document.createElement('div'); el.className = 'task '+(['found','queued','degraded','blocked'].includes(t.status) ? t.status : '');
       const meta = document.createElement('div'); meta.className='meta';
       const title = document.createElement('div'); title.className='title';
       title.innerText = `${t.cinemaName || ''} — ${t.identifier}`;
       const sub = document.createElement('div'); sub.className='muted small';
-      sub.innerText = `${t.location} — ${t.createdAt ? new Date(t.createdAt).toLocaleString() : ''}`;
+      const dateInfo = t.groupId && t.dateCode ? `date ${t.dateCode}` : describeDateMode(t.dateMode);
+      sub.innerText = `${t.location} — ${t.createdAt ? new Date(t.createdAt).toLocaleString() : ''} — ${dateInfo} — ${t.strategy || 'dom'}/${t.backend || 'browser'}${t.matchedDateCode ? ' — matched ' + t.matchedDateCode : ''}${t.groupId ? ' — group' : ''}${t.status==='queued' ? ' — queued #' + (t.queuePosition || '?') + ' (waiting for a page)' : ''}`;
       meta.appendChild(title); meta.appendChild(sub);
 
+      // health (failing loads back off; degraded after repeated failures)
+      if (t.health && (t.health.consecutiveFailures || t.status === 'degraded')) {
+        const hl = document.createElement('div'); hl.className='muted tiny health';
+        hl.innerText = `${t.status === 'degraded' ? 'DEGRADED — ' : ''}${t.health.consecutiveFailures} failed loads in a row, last error: ${t.health.lastError || '-'}${t.health.lastSuccessAt ? ' — last OK ' + new Date(t.health.lastSuccessAt).toLocaleTimeString() : ''}`;
+        meta.appendChild(hl);
+      }
+
+      // block / challenge page: the watcher is blind until the site lets it back in
+      if (t.status === 'blocked' && t.access) {
+        const bl = document.createElement('div'); bl.className='muted tiny health';
+        bl.innerText = `BLOCKED — ${t.access.state}: ${t.access.reason || '-'} (${t.access.consecutiveBlocks} in a row)${t.access.pausedUntil ? ' — paused until ' + new Date(t.access.pausedUntil).toLocaleTimeString() : ''}`;
+        meta.appendChild(bl);
+      }
+
+      // polling policy
+      if (t.priority || (t.releaseWindows && t.releaseWindows.length)) {
+        const pol = document.createElement('div'); pol.className='muted tiny';
+        const win = t.releaseWindows && t.releaseWindows.length
+          ? ` — window ${describeReleaseWindows(t.releaseWindows)} (${t.inReleaseWindow ? 'inside, boosted' : 'outside, backing off'})`
+          : '';
+        pol.innerText = `Priority ${t.priority || 0}${win}${t.pollIntervalSeconds ? ' — every ' + t.pollIntervalSeconds + 's' : ''}`;
+        meta.appendChild(pol);
+      }
+
+      // notification deliveries
+      if (t.notify && t.notify.deliveries && t.notify.deliveries.length) {
+        const nl = document.createElement('div'); nl.className='muted tiny';
+        nl.innerText = 'Notifications: ' + describeDeliveries(t.notify.deliveries);
+        meta.appendChild(nl);
+      }
+
+      // booking automation timeline
+      if (t.lastBooking) meta.appendChild(renderBookingTimeline(t.id));
+
+      // showtimes reported by network detection
+      if (t.detection && t.detection.showtimes && t.detection.showtimes.length) {
+        const st = document.createElement('div'); st.className='muted tiny';
+        st.innerText = 'Shows: ' + t.detection.showtimes.map(s => [s.time, s.format, s.language].filter(Boolean).join(' ')).join(' | ');
+        meta.appendChild(st);
+      }
+
       // Show cinema url explicitly
       const urlLine = document.createElement('div'); urlLine.className = 'muted small';
-      urlLine.innerHTML = `Cinema URL: <a href="${t.cinemaUrl}" target="_blank">${t.cinemaUrl}</a>`;
+      urlLine.textContent = 'Cinema URL: ';
+      urlLine.appendChild(externalLink(t.cinemaUrl));
       meta.appendChild(urlLine);
 
       // booking summary
       if (t.bookingSettings) {
         const b = t.bookingSettings;
         const bs = document.createElement('div'); bs.className='muted tiny';
-        bs.innerText = `Booking → SHOW:${b.SHOW_INDEX||'-'} QTY:${b.SEAT_QUANTITY||'-'} TARGET:${b.TARGET_SEAT||'-'} EMAIL:${b.EMAIL||'-'} MOBILE:${b.MOBILE_NUMBER||'-'}`;
+        const seats = b.SEAT_PREFS ? `SEATS:${describeSeatPrefs(b.SEAT_PREFS)}` : `TARGET:${b.TARGET_SEAT||'-'}`;
+        const show = b.SHOWTIME ? describeShowtimeRules(b.SHOWTIME) : (b.SHOW_INDEX || '-');
+        const who = b.ACCOUNTS && b.ACCOUNTS.length
+          ? `ACCOUNTS:${b.ACCOUNTS.map(d => accountName(d.account) + (d.seats ? ':' + d.seats : '')).join(',')}`
+          : `EMAIL:${b.EMAIL||'-'} MOBILE:${b.MOBILE_NUMBER||'-'}`;
+        bs.innerText = `Booking → SHOW:${show} QTY:${b.SEAT_QUANTITY||'-'} ${seats} ${who}`;
         meta.appendChild(bs);
       }
 
@@ -334,6 +1327,33 @@
       };
       actions.appendChild(reloadBtn);
 
+      const timelineBtn = document.createElement('button'); timelineBtn.className='smallbtn'; timelineBtn.style.background='#495057'; timelineBtn.innerText='Timeline';
+      timelineBtn.onclick = () => openTimeline(t);
+      actions.appendChild(timelineBtn);
+
+      const logsBtn = document.createElement('button'); logsBtn.className='smallbtn'; logsBtn.style.background='#343a40'; logsBtn.innerText='Logs';
+      logsBtn.onclick = () => openLogs(t);
+      actions.appendChild(logsBtn);
+
+      const seatMapBtn = document.createElement('button'); seatMapBtn.className='smallbtn'; seatMapBtn.style.background='#20c997'; seatMapBtn.innerText='Seat Map';
+      seatMapBtn.onclick = () => openSeatMap(t);
+      actions.appendChild(seatMapBtn);
+
+      // Send a test message through the task's notification channels
+      if (t.notify && (t.notify.channels.length || t.notify.global)) {
+        const testBtn = document.createElement('button'); testBtn.className='smallbtn'; testBtn.style.background='#6f42c1'; testBtn.innerText='Test Notify';
+        testBtn.onclick = async ()=> {
+          testBtn.disabled = true;
+          try {
+            const r = await fetch(`/api/tasks/${t.id}/notify/test`, { method:'POST' });
+            const d = await r.json();
+            showTempStatus(d.deliveries && d.deliveries.length ? describeDeliveries(d.deliveries) : 'No notification channels configured', 5000);
+          } catch(e){ console.error(e); showTempStatus('Test notification failed'); }
+          testBtn.disabled = false;
+        };
+        actions.appendChild(testBtn);
+      }
+
       const delBtn = document.createElement('button'); delBtn.className='smallbtn'; delBtn.style.background='#6c757d'; delBtn.innerText='Delete';
       delBtn.onclick = async ()=> {
         if (!confirm('Delete this task?')) return;
@@ -383,41 +1403,129 @@
   function hideAlarmModal(){ alarmModal.style.display='none'; }
 
   // =======================
-  // === SSE Events =======
+  // === Sign in ==========
   // =======================
-  const evtSource = new EventSource('/events');
-  evtSource.onmessage = e => {
+  async function fetchMe() {
     try {
-      const data = JSON.parse(e.data);
-      if (!data) return;
-
-      switch(data.type) {
-        case 'found':
-          // Attempt autoplay; if blocked, show modal (user can play)
-          alarmAudio.play().catch(()=>showAlarmModal(data.task));
-          // Update UI instantly with the task payload
-          loadTasks(); break;
-        case 'stopped': case 'deleted': case 'taskCreated': case 'taskStarted': case 'resumed': case 'reloading':
-          loadTasks(); break;
-        case 'taskError':
-          showTempStatus('Task error: '+(data.message||'unknown'),5000); break;
-        default:
-          // other events ignored or log for debugging
-          // console.log('SSE event:', data);
-          break;
-      }
-    } catch(err){ console.error('SSE parse error', err); }
-  };
+      const r = await fetch('/api/auth/me');
+      if (!r.ok) return null;
+      return (await r.json()).user || null;
+    } catch (e) { return null; }
+  }
+
+  function showSignIn(message) {
+    if (message) signInText.innerText = message;
+    signInModal.style.display = 'flex';
+    signInUser.focus();
+  }
+
+  async function signIn() {
+    signInBtn.disabled = true;
+    try {
+      const r = await fetch('/api/auth/login', { method:'POST', headers:{ 'Content-Type':'application/json' }, body: JSON.stringify({ username: signInUser.value, password: signInPassword.value }) });
+      const d = await r.json();
+      if (!r.ok || !d.ok) { signInText.innerText = d.error || 'Sign in failed'; return; }
+      location.reload();
+    } catch (e) { signInText.innerText = 'Sign in failed: ' + e.message; }
+    finally { signInBtn.disabled = false; }
+  }
+
+  // "Tasks 3/20 · Pages 2/4 · Scrapes 0/3 per min · Seat maps 0/3 per min"; limits the user doesn't have are left out
+  async function loadUsage() {
+    try {
+      const r = await fetch('/api/usage');
+      if (!r.ok) return;
+      const u = (await r.json()).usage || {};
+      const part = (label, q, suffix = '') => (q && q.limit != null ? `${label} ${q.used}/${q.limit}${suffix}` : null);
+      const text = [part('Tasks', u.maxActiveTasks), part('Pages', u.maxPages), part('Scrapes', u.upcomingPerMinute, ' per min'), part('Seat maps', u.seatMapScansPerMinute, ' per min')].filter(Boolean).join(' · ');
+      usageText.innerText = text ? `— ${text}` : '';
+      usageText.title = 'Your quota use: active tasks, browser pages, upcoming-movie scrapes and seat map scans';
+    } catch (e) {}
+  }
+
+  signInBtn.addEventListener('click', signIn);
+  signInPassword.addEventListener('keydown', e => { if (e.key === 'Enter') signIn(); });
+  signOutBtn.addEventListener('click', async () => {
+    try { await fetch('/api/auth/logout', { method:'POST' }); } catch (e) {}
+    location.reload();
+  });
+
+  // =======================
+  // === SSE Events =======
+  // =======================
+  // the server only streams events about the signed-in user's own tasks (all of them for admins)
+  function connectEvents() {
+    const evtSource = new EventSource('/events');
+    evtSource.onmessage = e => {
+      try {
+        const data = JSON.parse(e.data);
+        if (!data) return;
+        if (timelineTask && (data.id || (data.task && data.task.id)) === timelineTask.id) loadTimeline();
+
+        switch(data.type) {
+          case 'found':
+            // Attempt autoplay; if blocked, show modal (user can play)
+            alarmAudio.play().catch(()=>showAlarmModal(data.task));
+            // Update UI instantly with the task payload
+            loadTasks(); break;
+          case 'stopped': case 'deleted': case 'taskCreated': case 'taskStarted': case 'resumed': case 'reloading': case 'queue': case 'pollPolicy': case 'health':
+            loadTasks(); break;
+          case 'groupCreated': case 'groupProgress': case 'groupStopped': case 'groupDeleted':
+            loadGroups(); break;
+          case 'groupFound':
+            alarmAudio.play().catch(()=>{});
+            loadGroups(); break;
+          case 'booking':
+            if (data.run) upsertBookingRun(data.run);
+            loadTasks(); break;
+          case 'handoff':
+            updateHandoff(data.session);
+            if (data.session && data.session.purpose !== 'login' && data.session.status === 'active' && !data.session.lastInputAt && !data.session.viewers) {
+              showTempStatus(`Booking ${data.session.runId} is waiting at payment — open the task and take over`, 8000);
+            }
+            break;
+          case 'notification':
+            if (data.kind === 'group') loadGroups(); else loadTasks();
+            break;
+          case 'blocked':
+            showTempStatus(`Watcher blocked (${data.access && data.access.state}): ${data.task ? data.task.cinemaName || data.id : data.id}`,5000);
+            loadTasks(); break;
+          case 'unblocked':
+            loadTasks(); break;
+          case 'account':
+            loadAccounts(); break;
+          case 'taskError':
+            showTempStatus('Task error: '+(data.message||'unknown'),5000); break;
+          default:
+            // other events ignored or log for debugging
+            // console.log('SSE event:', data);
+            break;
+        }
+      } catch(err){ console.error('SSE parse error', err); }
+    };
+  }
 
   // =======================
   // === Initialization ====
   // =======================
   (async function init(){
+    const me = await fetchMe();
+    if (!me) { showSignIn(); return; }
+    userName.innerText = me.role === 'admin' ? `${me.username} (admin)` : me.username;
+    userBar.hidden = false;
+    connectEvents();
     await fetchLocations();
     if (isAudioEnabled()) {
       try { await alarmAudio.play(); alarmAudio.pause(); enableSoundBtn.innerText='Sound Enabled'; enableSoundBtn.disabled=true; } catch(e){}
     }
+    await loadAccounts();
     await loadTasks();
+    await loadGroups();
+    if (me.role === 'admin') {
+      metricsCard.hidden = false;
+      await loadMetrics();
+      setInterval(loadMetrics, 15000);
+    }
     // keep tasks list fresh — SSE will trigger loads on events; a short interval ensures UI stays in sync
     setInterval(()=> loadTasks(), 2000);
   })();
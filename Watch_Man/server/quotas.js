@@ -0,0 +1,95 @@
+// server/quotas.js
+// Per-user limits, so one user can't take every browser page or hammer BookMyShow:
+//   { maxActiveTasks, maxPages, upcomingPerMinute, seatMapScansPerMinute }   (null = unlimited)
+// maxActiveTasks counts the user's watching tasks (running, queued, ...), maxPages the ones on
+// the browser backend, which each hold one of the shared Chromium pages while they run.
+// Defaults come from QUOTA_* env vars; an admin can override them per user (user.quotas).
+// Admins themselves are not limited.
+//
+// RateLimiter is a sliding-window counter keyed by user id or IP (upcoming scrapes, seat map
+// scans, sign-in attempts). Scrapes and scans count per user and per client IP, so one person
+// with several users or API tokens is still capped; the IP limits are separate and higher, as
+// users behind one NAT share them. Exceeding any limit is an Error with statusCode 429 and `quota`:
+//   { name, limit, used, retryAfterSeconds? }
+
+const QUOTA_NAMES = ['maxActiveTasks', 'maxPages', 'upcomingPerMinute', 'seatMapScansPerMinute'];
+
+function normalizeLimit(value, name) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a whole number (0 or more) or null for no limit: ${value}`);
+  return n;
+}
+
+// validates the known keys present on `input`; unknown keys are rejected
+function normalizeQuotas(input) {
+  if (input == null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('quotas must be an object');
+  const out = {};
+  for (const [k, v] of Object.entries(input)) {
+    if (!QUOTA_NAMES.includes(k)) throw new Error(`Unknown quota: ${k}`);
+    out[k] = normalizeLimit(v, k);
+  }
+  return out;
+}
+
+// the limits that apply to `user`: defaults with the user's own overrides on top
+function effectiveQuotas(defaults, user) {
+  const none = Object.fromEntries(QUOTA_NAMES.map(k => [k, null]));
+  if (!user || user.role === 'admin') return none;
+  return { ...none, ...(defaults || {}), ...((user && user.quotas) || {}) };
+}
+
+function quotaError(message, quota) {
+  return Object.assign(new Error(message), { statusCode: 429, quota });
+}
+
+class RateLimiter {
+  constructor({ windowMs = 60 * 1000, clock = () => Date.now() } = {}) {
+    this.windowMs = windowMs;
+    this.clock = clock;
+    this.hits = new Map();   // key → timestamps inside the window
+  }
+
+  _recent(key, now) {
+    const list = (this.hits.get(key) || []).filter(t => now - t < this.windowMs);
+    if (list.length) this.hits.set(key, list);
+    else this.hits.delete(key);
+    return list;
+  }
+
+  used(key) {
+    return this._recent(key, this.clock()).length;
+  }
+
+  /**
+   * hit(key, limit, name)
+   * - records one call for `key`; throws the 429 error instead when `limit` calls already
+   *   happened inside the window (limit null = unlimited, still counted for usage)
+   */
+  hit(key, limit, name = 'rate') {
+    return this.hitAll([{ key, limit, name }])[0];
+  }
+
+  // one call charged to several keys (e.g. a user and its IP): all are checked before any is
+  // recorded, so a call refused on one key isn't counted on the others
+  hitAll(entries) {
+    const now = this.clock();
+    const lists = entries.map(({ key, limit, name = 'rate' }) => {
+      const list = this._recent(key, now);
+      if (limit === 0) throw quotaError(`${name} is 0 for this user`, { name, limit: 0, used: list.length });
+      if (limit != null && list.length >= limit) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((list[0] + this.windowMs - now) / 1000));
+        throw quotaError(`Rate limit reached: ${limit} per ${Math.round(this.windowMs / 1000)}s; try again in ${retryAfterSeconds}s`, { name, limit, used: list.length, retryAfterSeconds });
+      }
+      return list;
+    });
+    return entries.map(({ key, limit }, i) => {
+      lists[i].push(now);
+      this.hits.set(key, lists[i]);
+      return { used: lists[i].length, limit };
+    });
+  }
+}
+
+module.exports = { QUOTA_NAMES, normalizeQuotas, effectiveQuotas, quotaError, RateLimiter };
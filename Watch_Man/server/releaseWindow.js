@@ -0,0 +1,80 @@
+// server/releaseWindow.js
+// "Expected release window" helpers, e.g. bookings usually open Tuesday 10:00–14:00 IST:
+//   { days: ['tue'], start: '10:00', end: '14:00', timeZone: 'Asia/Kolkata' }
+// A window whose end is not after its start runs past midnight into the next day.
+
+const { DEFAULT_TIME_ZONE } = require('./bmsUrl');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function parseDay(d) {
+  if (typeof d === 'number' || /^\d$/.test(String(d))) {
+    const n = Number(d);
+    if (n >= 0 && n <= 6) return n;
+  }
+  const idx = DAY_NAMES.indexOf(String(d).trim().toLowerCase().slice(0, 3));
+  if (idx === -1) throw new Error(`Invalid day: ${d}`);
+  return idx;
+}
+
+function toMinutes(hhmm) {
+  const m = String(hhmm || '').trim().match(TIME_RE);
+  if (!m) throw new Error(`Invalid time (HH:MM): ${hhmm}`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function pad(n) { return String(n).padStart(2, '0'); }
+
+// accepts one window or a list; returns [] for nothing, throws on bad input
+function normalizeReleaseWindows(input) {
+  if (input == null || input === '') return [];
+  const list = Array.isArray(input) ? input : [input];
+  return list.map(w => {
+    if (!w || typeof w !== 'object') throw new Error('release window must be an object');
+    const rawDays = w.days == null || w.days === '' ? DAY_NAMES : (Array.isArray(w.days) ? w.days : String(w.days).split(','));
+    const days = Array.from(new Set(rawDays.filter(d => String(d).trim() !== '').map(parseDay))).sort();
+    if (!days.length) throw new Error('release window needs at least one day');
+    const start = toMinutes(w.start);
+    const end = toMinutes(w.end);
+    if (start === end) throw new Error('release window start and end must differ');
+    const timeZone = w.timeZone || DEFAULT_TIME_ZONE;
+    try { new Intl.DateTimeFormat('en-US', { timeZone }); } catch (e) { throw new Error(`Invalid time zone: ${timeZone}`); }
+    return {
+      days: days.map(d => DAY_NAMES[d]),
+      start: `${pad(Math.floor(start / 60))}:${pad(start % 60)}`,
+      end: `${pad(Math.floor(end / 60))}:${pad(end % 60)}`,
+      timeZone
+    };
+  });
+}
+
+// weekday (0 = Sunday) and minutes since midnight of `now` in `timeZone`
+function localClock(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(now);
+  const get = type => (parts.find(p => p.type === type) || {}).value;
+  return { day: DAY_NAMES.indexOf(String(get('weekday')).toLowerCase()), minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+function isInReleaseWindow(windows, now = new Date()) {
+  for (const w of windows || []) {
+    const { day, minutes } = localClock(now, w.timeZone || DEFAULT_TIME_ZONE);
+    const days = w.days.map(parseDay);
+    const start = toMinutes(w.start);
+    const end = toMinutes(w.end);
+    if (end > start) {
+      if (days.includes(day) && minutes >= start && minutes < end) return true;
+    } else {
+      // overnight: the evening part on a listed day, the early-morning part on the day after
+      if (days.includes(day) && minutes >= start) return true;
+      if (days.includes((day + 6) % 7) && minutes < end) return true;
+    }
+  }
+  return false;
+}
+
+function describeReleaseWindow(w) {
+  return `${w.days.join(',')} ${w.start}–${w.end} ${w.timeZone}`;
+}
+
+module.exports = { normalizeReleaseWindows, isInReleaseWindow, describeReleaseWindow };
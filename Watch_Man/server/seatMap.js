@@ -0,0 +1,168 @@
+// server/seatMap.js
+// Structured seat maps built from what the in-page scanner finds on the seat layout canvas:
+//   {
+//     venueCode, screen,             // screen name when the page shows one (e.g. 'AUDI 2')
+//     scannedAt, complete,           // complete = false when the scan ran out of time
+//     pitch,                         // px between neighbouring seats
+//     aisles: [7],                   // column numbers with no seat in any row
+//     categories: [{ name: 'RECLINER', price: 350, rows: ['A', 'B'] }],
+//     rows: [{ label: 'A', index: 1, category: 'RECLINER',
+//              seats: [{ label: 'A01', number: 1, x, y, available: true }] }],
+//     counts: { seats, available }
+//   }
+// Seat numbers follow the column numbering of seatPreferences.buildSeatGrid, so labels here are
+// the ones SEAT_PREFS picks and TARGET_SEAT should use. Only available seats react to the
+// pointer, so a missing seat inside a row is reported as unavailable (sold or blocked); x / y
+// are viewport coordinates at scan time.
+
+const fs = require('fs');
+const path = require('path');
+const { buildSeatGrid } = require('./seatPreferences');
+
+const SEAT_RE = /^([A-Z]{1,2})\s*0*([0-9]{1,3})$/;
+
+// scan = { totalRows, rows: [{ index, y, seats: [{ x, y }] }], categories, screen }
+function buildSeatMap(scan, { venueCode = null, complete = true, seatSizeEstimate } = {}) {
+  const grid = buildSeatGrid(scan || {}, { seatSizeEstimate });
+  const categories = (scan && scan.categories) || [];
+  const byTop = categories.filter(c => !(c.rows && c.rows.length) && Number.isFinite(c.top)).sort((a, b) => a.top - b.top);
+  // explicit row lists win; otherwise a category header covers the rows drawn below it
+  const categoryOf = row => {
+    const listed = categories.find(c => c.rows && c.rows.includes(row.label));
+    if (listed) return listed.name;
+    const above = byTop.filter(c => c.top < row.y);
+    return above.length ? above[above.length - 1].name : null;
+  };
+
+  const rows = grid.rows.map(r => {
+    const present = new Map(r.seats.map(s => [s.col, s]));
+    const seats = [];
+    for (let col = grid.minCol; col <= grid.maxCol; col++) {
+      if (grid.aisles.has(col)) continue;
+      const s = present.get(col);
+      seats.push({
+        label: `${r.label}${String(col).padStart(2, '0')}`,
+        number: col,
+        x: s ? s.x : null,
+        y: s ? s.y : r.y,
+        available: !!s
+      });
+    }
+    return { label: r.label, index: r.index, category: categoryOf(r), seats };
+  });
+
+  const all = rows.flatMap(r => r.seats);
+  return {
+    venueCode,
+    screen: (scan && scan.screen) || null,
+    scannedAt: new Date().toISOString(),
+    complete: !!complete,
+    pitch: grid.pitch,
+    aisles: [...grid.aisles].sort((a, b) => a - b),
+    categories: categories.map(c => ({
+      name: c.name,
+      price: c.price != null ? c.price : null,
+      rows: c.rows && c.rows.length ? c.rows : rows.filter(r => r.category === c.name).map(r => r.label)
+    })),
+    rows,
+    counts: { seats: all.length, available: all.filter(s => s.available).length }
+  };
+}
+
+// labels like 'E05' / 'e5' → [{ label, status: 'available' | 'unavailable' | 'unknown' }]
+function checkSeats(map, labels) {
+  const index = new Map((map ? map.rows : []).flatMap(r => r.seats).map(s => [s.label, s]));
+  const seats = (labels || []).filter(Boolean).map(raw => {
+    const m = String(raw).trim().toUpperCase().match(SEAT_RE);
+    const label = m ? `${m[1]}${m[2].padStart(2, '0')}` : String(raw).trim().toUpperCase();
+    const seat = index.get(label);
+    return { label, status: !seat ? 'unknown' : (seat.available ? 'available' : 'unavailable') };
+  });
+  return { ok: seats.every(s => s.status === 'available'), seats };
+}
+
+// a screen is identified by its venue plus the name the page shows; without a name the show
+// itself stands in for the screen
+function screenKey(venueCode, screen) {
+  return `${venueCode || 'unknown'}:${String(screen || '').trim().toUpperCase()}`;
+}
+
+function showKey({ venueCode, dateCode, movieId, showIndex }) {
+  return `${venueCode || 'unknown'}:${dateCode || ''}:${movieId || ''}:${showIndex || 1}`;
+}
+
+// Seat maps per screen. The layout of a screen doesn't change between shows, so a cached map is
+// good for planning seats even before a movie opens there; availability is only as fresh as
+// `scannedAt`, and `get` ignores entries older than ttlSeconds.
+class SeatMapCache {
+  constructor({ file = null, ttlSeconds = 900, maxScreens = 200, logger = console } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.ttlMs = (Number(ttlSeconds) || 900) * 1000;
+    this.maxScreens = maxScreens;
+    this.logger = logger;
+    this.screens = new Map();     // screen key -> map
+    this.shows = new Map();       // show key -> screen key
+    if (this.file) this._load();
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8') || '{}');
+      for (const [key, map] of Object.entries(data.screens || {})) this.screens.set(key, map);
+      for (const [key, screen] of Object.entries(data.shows || {})) if (this.screens.has(screen)) this.shows.set(key, screen);
+      this.logger.log(`Loaded ${this.screens.size} cached seat maps from ${this.file}`);
+    } catch (e) {
+      this.logger.error('Failed to load seat map cache:', e && e.message ? e.message : e);
+    }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ screens: Object.fromEntries(this.screens), shows: Object.fromEntries(this.shows) }, null, 2));
+    } catch (e) {
+      this.logger.error('Failed to save seat map cache:', e && e.message ? e.message : e);
+    }
+  }
+
+  // fresh map for a show, or null
+  get(show, { now = Date.now() } = {}) {
+    const map = this.screens.get(this.shows.get(show));
+    if (!map || now - Date.parse(map.scannedAt) > this.ttlMs) return null;
+    return map;
+  }
+
+  set(show, map) {
+    const key = map.screen ? screenKey(map.venueCode, map.screen) : show;
+    this.screens.delete(key);
+    this.screens.set(key, map);
+    this.shows.set(show, key);
+    // oldest screens go first
+    for (const old of [...this.screens.keys()].slice(0, Math.max(0, this.screens.size - this.maxScreens))) {
+      this.screens.delete(old);
+      for (const [s, k] of this.shows) if (k === old) this.shows.delete(s);
+    }
+    this._save();
+    return key;
+  }
+
+  keyFor(show) {
+    return this.shows.get(show) || null;
+  }
+
+  // by the key `set` / `list` report, any age: for planning
+  getScreen(key) {
+    return this.screens.get(key) || null;
+  }
+
+  list() {
+    return [...this.screens.entries()].map(([key, m]) => ({
+      key, venueCode: m.venueCode, screen: m.screen, scannedAt: m.scannedAt, complete: m.complete,
+      rows: m.rows.length, seats: m.counts.seats, available: m.counts.available
+    }));
+  }
+}
+
+module.exports = { buildSeatMap, checkSeats, screenKey, showKey, SeatMapCache };
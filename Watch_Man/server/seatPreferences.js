@@ -0,0 +1,243 @@
+// server/seatPreferences.js
+// Declarative seat preferences and the scorer that turns a scanned seat map into a pick:
+//   {
+//     rows: ['E-H'],              // allowed rows (labels or ranges); empty = any row
+//     avoidRows: ['A'],
+//     maxScreenDistance: 8,       // rows counted from the screen (1 = front row)
+//     screen: 'bottom',           // where the screen is drawn on the map (BMS: bottom)
+//     centre: 1,                  // weight of sitting near the middle column (0 = don't care)
+//     contiguous: true,           // all seats side by side in one row
+//     avoidAisle: true,           // penalise seats next to an aisle or at a row end
+//     avoidLastRow: true,         // penalise the row farthest from the screen
+//     tiers: [{ rows: ['C-J'] }, { contiguous: false }]   // fallbacks, each merged over the above
+//   }
+// The map comes from the in-page scanner: rows in top-to-bottom order (A = top), each with the
+// centre points of its *available* seats. Columns are numbered from the seat pitch, so a sold
+// seat or an aisle leaves a hole in the numbering instead of shifting its neighbours.
+
+const SCREEN_SIDES = ['bottom', 'top'];
+const ROW_RE = /^[A-Z]{1,2}$/;
+// used when no preferences and no TARGET_SEAT are given: best centred block, any row
+const DEFAULT_PREFERENCES = { tiers: [{ contiguous: false }] };
+
+function rowLabel(n) {
+  let label = '';
+  while (n > 0) { const r = (n - 1) % 26; label = String.fromCharCode(65 + r) + label; n = Math.floor((n - 1) / 26); }
+  return label;
+}
+
+function rowNumber(label) {
+  let n = 0;
+  for (const ch of label) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n;
+}
+
+// 'E-H', 'J' or a list / comma string of those → normalized strings like 'E-H'
+function normalizeRowSpecs(input, field) {
+  if (input == null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map(s => String(s).trim().toUpperCase()).filter(Boolean).map(spec => {
+    const [from, to = from, extra] = spec.split('-').map(x => x.trim());
+    if (extra !== undefined || !ROW_RE.test(from) || !ROW_RE.test(to)) throw new Error(`Invalid row range in ${field}: ${spec}`);
+    const [a, b] = [rowNumber(from), rowNumber(to)].sort((x, y) => x - y);
+    return a === b ? rowLabel(a) : `${rowLabel(a)}-${rowLabel(b)}`;
+  });
+}
+
+function rowInSpecs(index, specs) {
+  return specs.some(spec => {
+    const [from, to = from] = spec.split('-');
+    return index >= rowNumber(from) && index <= rowNumber(to);
+  });
+}
+
+// validates the fields present on `input`; the base preferences also get defaults
+function normalizeFields(input, { partial }) {
+  const out = {};
+  const has = k => input[k] !== undefined && input[k] !== null && input[k] !== '';
+  if (has('rows') || !partial) out.rows = normalizeRowSpecs(input.rows, 'rows');
+  if (has('avoidRows') || !partial) out.avoidRows = normalizeRowSpecs(input.avoidRows, 'avoidRows');
+  if (has('maxScreenDistance')) {
+    const n = Number(input.maxScreenDistance);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`maxScreenDistance must be a whole number of rows >= 1: ${input.maxScreenDistance}`);
+    out.maxScreenDistance = n;
+  } else if (!partial) out.maxScreenDistance = null;
+  if (has('screen') || !partial) {
+    const screen = String(input.screen || 'bottom').toLowerCase();
+    if (!SCREEN_SIDES.includes(screen)) throw new Error(`screen must be one of ${SCREEN_SIDES.join(', ')}: ${input.screen}`);
+    out.screen = screen;
+  }
+  if (has('centre')) {
+    const w = Number(input.centre);
+    if (!Number.isFinite(w) || w < 0) throw new Error(`centre weight must be a number >= 0: ${input.centre}`);
+    out.centre = w;
+  } else if (!partial) out.centre = 1;
+  for (const k of ['contiguous', 'avoidAisle', 'avoidLastRow']) {
+    if (has(k)) out[k] = input[k] === true || input[k] === 'true';
+    else if (!partial) out[k] = k === 'contiguous';
+  }
+  return out;
+}
+
+// returns null for nothing, throws on bad input
+function normalizeSeatPreferences(input) {
+  if (input == null || input === '') return null;
+  if (typeof input === 'string') {
+    try { input = JSON.parse(input); } catch (e) { throw new Error('seat preferences must be a JSON object'); }
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('seat preferences must be an object');
+  const base = normalizeFields(input, { partial: false });
+  const tiers = input.tiers == null ? [] : (Array.isArray(input.tiers) ? input.tiers : [input.tiers]);
+  base.tiers = tiers.map(t => {
+    if (!t || typeof t !== 'object') throw new Error('seat preference tier must be an object');
+    return normalizeFields(t, { partial: true });
+  });
+  return base;
+}
+
+// the base preferences first, then each fallback merged over them
+function expandTiers(prefs) {
+  const { tiers = [], ...base } = prefs;
+  return [base, ...tiers.map(t => ({ ...base, ...t }))];
+}
+
+function screenDistance(index, totalRows, screen) {
+  return screen === 'top' ? index : totalRows - index + 1;
+}
+
+function rowAllowed(index, totalRows, tier) {
+  if (tier.rows.length && !rowInSpecs(index, tier.rows)) return false;
+  if (tier.avoidRows.length && rowInSpecs(index, tier.avoidRows)) return false;
+  if (tier.maxScreenDistance && screenDistance(index, totalRows, tier.screen) > tier.maxScreenDistance) return false;
+  return true;
+}
+
+// 1-based row indexes any tier could pick from, so the scanner can skip the rest
+function rowsWorthScanning(prefs, totalRows) {
+  const tiers = expandTiers(prefs);
+  const rows = [];
+  for (let i = 1; i <= totalRows; i++) if (tiers.some(t => rowAllowed(i, totalRows, t))) rows.push(i);
+  return rows;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// scan = { totalRows, rows: [{ index, y, seats: [{ x, y }] }] } → numbered grid
+function buildSeatGrid(scan, { seatSizeEstimate = 21 } = {}) {
+  const rows = (scan.rows || []).filter(r => r.seats && r.seats.length);
+  const gaps = [];
+  for (const r of rows) {
+    const xs = r.seats.map(s => s.x).sort((a, b) => a - b);
+    for (let i = 1; i < xs.length; i++) if (xs[i] - xs[i - 1] > 0) gaps.push(xs[i] - xs[i - 1]);
+  }
+  const minGap = gaps.length ? Math.min(...gaps) : 0;
+  const pitch = gaps.length ? median(gaps.filter(g => g <= minGap * 1.5)) : seatSizeEstimate * 1.4;
+  const x0 = Math.min(...rows.flatMap(r => r.seats.map(s => s.x)));
+
+  const seatRows = rows.map(r => {
+    const byCol = new Map();
+    for (const s of r.seats) {
+      const col = 1 + Math.round((s.x - x0) / pitch);
+      if (!byCol.has(col)) byCol.set(col, { col, x: s.x, y: s.y, row: r.index, label: `${rowLabel(r.index)}${String(col).padStart(2, '0')}` });
+    }
+    return { index: r.index, label: rowLabel(r.index), y: r.y, seats: [...byCol.values()].sort((a, b) => a.col - b.col) };
+  });
+  const cols = seatRows.flatMap(r => r.seats.map(s => s.col));
+  const minCol = cols.length ? Math.min(...cols) : 1;
+  const maxCol = cols.length ? Math.max(...cols) : 0;
+  // a column empty in every scanned row is an aisle; with a single row a sold seat would look
+  // the same, so only the row ends count then
+  const used = new Set(cols);
+  const aisles = new Set();
+  if (seatRows.length > 1) for (let c = minCol; c <= maxCol; c++) if (!used.has(c)) aisles.add(c);
+  return { totalRows: Number(scan.totalRows) || Math.max(0, ...seatRows.map(r => r.index)), rows: seatRows, pitch, minCol, maxCol, aisles };
+}
+
+function scoreSeat(seat, grid, tier) {
+  const centreCol = (grid.minCol + grid.maxCol) / 2;
+  const half = Math.max(1, (grid.maxCol - grid.minCol) / 2);
+  let score = tier.centre * (1 - Math.abs(seat.col - centreCol) / half);
+  if (tier.avoidAisle) {
+    const edge = c => c < grid.minCol || c > grid.maxCol || grid.aisles.has(c);
+    if (edge(seat.col - 1) || edge(seat.col + 1)) score -= 0.5;
+  }
+  return score;
+}
+
+// small pull towards the middle of the rows this tier allows, so ties don't go to row A
+function scoreRow(index, allowed, grid, tier) {
+  let score = 0;
+  if (allowed.length > 1) {
+    const mid = (allowed[0] + allowed[allowed.length - 1]) / 2;
+    score += 0.25 * (1 - Math.abs(index - mid) / ((allowed[allowed.length - 1] - allowed[0]) / 2));
+  }
+  if (tier.avoidLastRow && screenDistance(index, grid.totalRows, tier.screen) === grid.totalRows) score -= 1;
+  return score;
+}
+
+function pickInTier(grid, tier, quantity) {
+  const rows = grid.rows.filter(r => rowAllowed(r.index, grid.totalRows, tier));
+  const allowed = rows.map(r => r.index);
+  let best = null;
+  if (tier.contiguous) {
+    for (const r of rows) {
+      const rowScore = scoreRow(r.index, allowed, grid, tier);
+      for (let i = 0; i + quantity <= r.seats.length; i++) {
+        const block = r.seats.slice(i, i + quantity);
+        if (block[block.length - 1].col - block[0].col !== quantity - 1) continue;
+        const score = block.reduce((sum, s) => sum + scoreSeat(s, grid, tier), 0) / quantity + rowScore;
+        if (!best || score > best.score) best = { seats: block, score };
+      }
+    }
+    return best;
+  }
+  const ranked = rows.flatMap(r => {
+    const rowScore = scoreRow(r.index, allowed, grid, tier);
+    return r.seats.map(s => ({ seat: s, score: scoreSeat(s, grid, tier) + rowScore }));
+  }).sort((a, b) => b.score - a.score);
+  if (ranked.length < quantity) return null;
+  const chosen = ranked.slice(0, quantity);
+  return {
+    seats: chosen.map(c => c.seat).sort((a, b) => a.row - b.row || a.col - b.col),
+    score: chosen.reduce((sum, c) => sum + c.score, 0) / quantity
+  };
+}
+
+// → { seats: [{ label, row, col, x, y }], tier (1-based), score } or null when no tier fits
+function pickSeats(scan, prefs, quantity = 1, opts = {}) {
+  const grid = buildSeatGrid(scan || {}, opts);
+  const qty = Math.max(1, Math.floor(Number(quantity) || 1));
+  const tiers = expandTiers(prefs || normalizeSeatPreferences(DEFAULT_PREFERENCES));
+  for (let i = 0; i < tiers.length; i++) {
+    const pick = pickInTier(grid, tiers[i], qty);
+    if (pick) return { seats: pick.seats, tier: i + 1, score: Math.round(pick.score * 1000) / 1000 };
+  }
+  return null;
+}
+
+// short text for the dashboard / logs
+function describeSeatPreferences(prefs) {
+  if (!prefs) return '';
+  const parts = expandTiers(prefs).map(t => [
+    t.rows.length ? `rows ${t.rows.join(',')}` : 'any row',
+    t.avoidRows.length ? `not ${t.avoidRows.join(',')}` : null,
+    t.maxScreenDistance ? `≤${t.maxScreenDistance} from screen` : null,
+    t.contiguous ? 'together' : 'apart ok',
+    t.avoidAisle ? 'no aisle' : null,
+    t.avoidLastRow ? 'no last row' : null
+  ].filter(Boolean).join(' '));
+  return parts.join(' → ');
+}
+
+module.exports = {
+  normalizeSeatPreferences,
+  rowsWorthScanning,
+  buildSeatGrid,
+  pickSeats,
+  describeSeatPreferences,
+  rowLabel,
+  DEFAULT_PREFERENCES
+};
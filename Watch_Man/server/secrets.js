@@ -0,0 +1,173 @@
+// server/secrets.js
+// Encrypted-at-rest store for booking contact and payment details. Tasks never keep EMAIL,
+// MOBILE_NUMBER, PHONE or GPAY_NUMBER themselves: sealBookingSettings moves them here and leaves
+// a reference, bookingSettings.SECRETS = 'secret-<uuid>', which is resolved only when a booking
+// run starts. Booking accounts keep their email / phone / UPI id here too, under the account id.
+//
+// The file is one AES-256-GCM blob: { version, salt, iv, tag, data }. The key is derived with
+// scrypt from a passphrase (SECRETS_KEY); a wrong key leaves the store locked rather than
+// overwriting what it can't read. Without a file the store is in-memory only.
+// Views, SSE events and logs get maskSecret'ed values ('r***@gmail.com', '***3210').
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET_FIELDS = ['EMAIL', 'MOBILE_NUMBER', 'PHONE', 'GPAY_NUMBER'];
+const FILE_VERSION = 1;
+
+function maskSecret(value) {
+  if (value == null || value === '') return value;
+  const s = String(value);
+  const at = s.indexOf('@');
+  if (at > 0) return `${s[0]}***${s.slice(at)}`;
+  return s.length > 4 ? `***${s.slice(-4)}` : '***';
+}
+
+// copy of `obj` with the named keys masked (missing keys stay missing)
+function maskFields(obj, fields) {
+  if (!obj) return obj;
+  const out = { ...obj };
+  for (const f of fields) if (out[f] != null && out[f] !== '') out[f] = maskSecret(out[f]);
+  return out;
+}
+
+class SecretStore {
+  constructor({ file = null, key = null, logger = console } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    if (this.file && !key) throw new Error('an encrypted secrets file needs a key (SECRETS_KEY)');
+    this.passphrase = key ? String(key) : null;
+    this.logger = logger;
+    this.secrets = {};
+    this.locked = false;
+    this._salt = null;
+    this._key = null;
+    if (this.file) this._load();
+  }
+
+  _deriveKey() {
+    if (!this._salt) this._salt = crypto.randomBytes(16);
+    if (!this._key) this._key = crypto.scryptSync(this.passphrase, this._salt, 32);
+    return this._key;
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const blob = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this._salt = Buffer.from(blob.salt, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this._deriveKey(), Buffer.from(blob.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+      const json = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]).toString('utf8');
+      this.secrets = JSON.parse(json) || {};
+      this.logger.log(`Loaded ${Object.keys(this.secrets).length} secrets from ${this.file}`);
+    } catch (e) {
+      // most likely a different SECRETS_KEY; keep the file as it is
+      this.locked = true;
+      this.secrets = {};
+      this.logger.error('Failed to open secrets file (wrong SECRETS_KEY?):', e && e.message ? e.message : e);
+    }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveKey(), iv);
+      const data = Buffer.concat([cipher.update(JSON.stringify(this.secrets), 'utf8'), cipher.final()]);
+      const blob = { version: FILE_VERSION, salt: this._salt.toString('base64'), iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file + '.tmp', JSON.stringify(blob), { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(this.file + '.tmp', this.file);
+    } catch (e) {
+      this.logger.error('Failed to save secrets file:', e && e.message ? e.message : e);
+    }
+  }
+
+  _assertUnlocked() {
+    if (this.locked) throw Object.assign(new Error('secrets store is locked: SECRETS_KEY does not open the secrets file'), { statusCode: 503 });
+  }
+
+  // stores `values` (empty ones dropped) under `id`, or a new id; returns the id, or null when
+  // there was nothing to store (an existing entry under `id` is then removed)
+  put(values, id = null) {
+    this._assertUnlocked();
+    const clean = {};
+    for (const [k, v] of Object.entries(values || {})) if (v != null && v !== '') clean[k] = String(v);
+    if (!Object.keys(clean).length) {
+      if (id) this.remove(id);
+      return null;
+    }
+    const key = id || `secret-${crypto.randomUUID()}`;
+    this.secrets[key] = clean;
+    this._save();
+    return key;
+  }
+
+  // a copy of the stored values, or null
+  get(id) {
+    const entry = id ? this.secrets[id] : null;
+    return entry ? { ...entry } : null;
+  }
+
+  has(id) {
+    return !!(id && this.secrets[id]);
+  }
+
+  remove(id) {
+    if (!id || !this.secrets[id]) return false;
+    this._assertUnlocked();
+    delete this.secrets[id];
+    this._save();
+    return true;
+  }
+
+  ids() {
+    return Object.keys(this.secrets);
+  }
+}
+
+/**
+ * sealBookingSettings(bookingSettings, store)
+ * - moves SECRET_FIELDS into `store` and returns the settings with SECRETS referencing them;
+ *   values already sealed are kept (new ones are merged over them into a fresh entry)
+ */
+function sealBookingSettings(bookingSettings, store) {
+  if (!bookingSettings) return bookingSettings;
+  const present = SECRET_FIELDS.filter(f => bookingSettings[f] !== undefined);
+  if (!present.length) return bookingSettings;
+  const out = { ...bookingSettings };
+  const values = { ...(store.get(out.SECRETS) || {}) };
+  for (const f of present) {
+    values[f] = out[f];
+    delete out[f];
+  }
+  const id = store.put(values);
+  if (id) out.SECRETS = id;
+  else delete out.SECRETS;
+  return out;
+}
+
+// the settings a booking run uses: the referenced values back in place, SECRETS dropped
+function unsealBookingSettings(bookingSettings, store) {
+  if (!bookingSettings || !bookingSettings.SECRETS) return bookingSettings;
+  const { SECRETS, ...rest } = bookingSettings;
+  return { ...rest, ...(store.get(SECRETS) || {}) };
+}
+
+// the settings as shown to clients: masked values in place of the reference
+function redactBookingSettings(bookingSettings, store) {
+  if (!bookingSettings) return bookingSettings;
+  const { SECRETS, ...rest } = bookingSettings;
+  return maskFields({ ...rest, ...((SECRETS && store.get(SECRETS)) || {}) }, SECRET_FIELDS);
+}
+
+module.exports = {
+  SecretStore,
+  SECRET_FIELDS,
+  maskSecret,
+  maskFields,
+  sealBookingSettings,
+  unsealBookingSettings,
+  redactBookingSettings
+};
@@ -0,0 +1,105 @@
+// server/showtimePayload.js
+// Finds a movie inside the JSON the cinema page fetches (showtimes-by-venue and friends)
+// and pulls out showtimes / formats / languages. The payload shape isn't documented and
+// changes, so this walks it generically instead of hardcoding paths.
+
+const TIME_RE = /\b([01]?\d|2[0-3])[:.]([0-5]\d)\s*(AM|PM)?\b/i;
+const NAME_KEY_RE = /^(name|title|eventtitle|eventname|moviename)$/i;
+const LINK_KEY_RE = /(href|url|link)$/i;
+const TIME_KEY_RE = /(time|showtime|showdatetime|sessiontime)$/i;
+const FORMAT_KEY_RE = /(format|dimension|screenattr|attributes|experience|screentype)/i;
+const LANGUAGE_KEY_RE = /lang/i;
+const SESSION_KEY_RE = /^(sessionid|session|showid|sid)$/i;
+
+// depth-first (pre-order) search for the first object with an own string value containing
+// `identifier` — for a list of movies that is the movie entry rather than one of its shows
+function findNodeWithIdentifier(node, identifier, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 40) return null;
+  if (!Array.isArray(node)) {
+    for (const v of Object.values(node)) {
+      if (typeof v === 'string' && v.includes(identifier)) return node;
+    }
+  }
+  for (const v of Object.values(node)) {
+    if (v && typeof v === 'object') {
+      const hit = findNodeWithIdentifier(v, identifier, depth + 1);
+      if (hit) return hit;
+    }
+  }
+  return null;
+}
+
+function ownString(node, keyRe, predicate = () => true) {
+  for (const [k, v] of Object.entries(node)) {
+    if (keyRe.test(k) && (typeof v === 'string' || typeof v === 'number') && predicate(String(v))) return String(v).trim();
+  }
+  return null;
+}
+
+function ownStrings(node, keyRe) {
+  const out = [];
+  for (const [k, v] of Object.entries(node)) {
+    if (!keyRe.test(k)) continue;
+    if (typeof v === 'string' && v.trim()) out.push(v.trim());
+    else if (Array.isArray(v)) v.forEach(x => { if (typeof x === 'string' && x.trim()) out.push(x.trim()); });
+  }
+  return out;
+}
+
+function collectShowtimes(node, inherited, out, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 40) return;
+  if (!Array.isArray(node)) {
+    const time = ownString(node, TIME_KEY_RE, v => TIME_RE.test(v));
+    const language = ownString(node, LANGUAGE_KEY_RE) || inherited.language || null;
+    if (time) {
+      const formats = ownStrings(node, FORMAT_KEY_RE);
+      out.push({
+        time: time.match(TIME_RE)[0].toUpperCase(),
+        format: formats.join(' ') || null,
+        language,
+        sessionId: ownString(node, SESSION_KEY_RE)
+      });
+      return;
+    }
+    inherited = { language };
+  }
+  for (const v of Object.values(node)) {
+    if (v && typeof v === 'object') collectShowtimes(v, inherited, out, depth + 1);
+  }
+}
+
+function unique(arr) {
+  return Array.from(new Set(arr.filter(Boolean)));
+}
+
+/**
+ * findMovieInPayload(payload, identifier)
+ * - payload: parsed JSON; identifier: ET code
+ * - returns null when the identifier isn't in the payload, else
+ *   { identifier, name, href, showtimes: [{ time, format, language, sessionId }], formats, languages }
+ */
+function findMovieInPayload(payload, identifier) {
+  if (!identifier) return null;
+  const node = findNodeWithIdentifier(payload, String(identifier));
+  if (!node) return null;
+
+  const links = Object.entries(node)
+    .filter(([k, v]) => LINK_KEY_RE.test(k) && typeof v === 'string' && v.includes(identifier))
+    .map(([, v]) => v)
+    .sort((a, b) => a.length - b.length);
+
+  const showtimes = [];
+  const language = ownString(node, LANGUAGE_KEY_RE);
+  collectShowtimes(node, { language }, showtimes);
+
+  return {
+    identifier: String(identifier),
+    name: ownString(node, NAME_KEY_RE),
+    href: links[0] || null,
+    showtimes,
+    formats: unique(showtimes.map(s => s.format)),
+    languages: unique([language, ...showtimes.map(s => s.language)])
+  };
+}
+
+module.exports = { findMovieInPayload };
@@ -0,0 +1,211 @@
+// server/showtimeRules.js
+// Showtime selection rules, used instead of SHOW_INDEX:
+//   {
+//     time: '19:00',                // preferred start ('7:30 PM' works too); the closest show wins
+//     window: '18:00-22:00',        // only shows starting inside it (may wrap past midnight)
+//     formats: ['IMAX', '4DX'],     // any of these
+//     avoidFormats: ['3D'],
+//     language: 'Tamil',
+//     fallbacks: [{ formats: [] }, {}]   // tried in order, each merged over the above; {} = any show
+//   }
+// Shows are the buttons in the movie's grid cell; parseShowtime reads their text ("07:30 PM",
+// "IMAX 2D") and data attributes. A key set in a fallback replaces the base value, so
+// `{ time: null }` drops the preferred time and `{ formats: [] }` accepts every format.
+
+const CLOCK_RE = /^\s*(\d{1,2})(?:[:.](\d{2}))?\s*(AM|PM)?\s*$/i;
+const SHOW_TIME_RE = /\b(\d{1,2})[:.](\d{2})\s*(AM|PM)?\b/i;
+// canonical format names and how they appear on BMS buttons
+const FORMATS = [
+  ['IMAX', /\bIMAX\b/],
+  ['4DX', /\b4DX\b/],
+  ['DOLBY ATMOS', /\bDOLBY\b|\bATMOS\b/],
+  ['SCREENX', /\bSCREEN\s?X\b/],
+  ['MX4D', /\bMX4D\b/],
+  ['3D', /\b3D\b/],
+  ['2D', /\b2D\b/]
+];
+
+// '19:05', '7:05 pm', '7 PM' → minutes after midnight, or null
+function parseClock(s) {
+  const m = String(s == null ? '' : s).match(CLOCK_RE);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const ampm = m[3] && m[3].toUpperCase();
+  if (min > 59 || (ampm ? (h < 1 || h > 12) : h > 23)) return null;
+  if (ampm) h = (h % 12) + (ampm === 'PM' ? 12 : 0);
+  return h * 60 + min;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function canonicalFormat(s) {
+  const up = String(s).trim().toUpperCase();
+  const known = FORMATS.find(([, re]) => re.test(up));
+  return known ? known[0] : up;
+}
+
+function normalizeFormats(input, field) {
+  if (input == null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map(s => {
+    if (typeof s !== 'string') throw new Error(`${field} must be format names`);
+    return s.trim();
+  }).filter(Boolean).map(canonicalFormat);
+}
+
+function normalizeClock(value, field) {
+  const minutes = parseClock(value);
+  if (minutes == null) throw new Error(`Invalid ${field}: ${value}`);
+  return formatClock(minutes);
+}
+
+// validates the keys present on `input`; the base rule also gets defaults
+function normalizeRule(input, { partial }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('showtime rule must be an object');
+  const has = k => (partial ? k in input : input[k] !== undefined);
+  const empty = v => v == null || v === '';
+  const out = {};
+  if (has('time') || !partial) out.time = empty(input.time) ? null : normalizeClock(input.time, 'time');
+  if (has('window') || !partial) {
+    const w = input.window;
+    if (empty(w)) out.window = null;
+    else {
+      const [from, to, extra] = typeof w === 'object' ? [w.from, w.to] : String(w).split(/\s*[-–]\s*/);
+      if (extra !== undefined || empty(from) || empty(to)) throw new Error(`Invalid time window: ${typeof w === 'object' ? JSON.stringify(w) : w}`);
+      out.window = { from: normalizeClock(from, 'window start'), to: normalizeClock(to, 'window end') };
+    }
+  }
+  if (has('formats') || !partial) out.formats = normalizeFormats(input.formats, 'formats');
+  if (has('avoidFormats') || !partial) out.avoidFormats = normalizeFormats(input.avoidFormats, 'avoidFormats');
+  if (has('language') || !partial) out.language = empty(input.language) ? null : String(input.language).trim();
+  return out;
+}
+
+// returns null for nothing, throws on bad input
+function normalizeShowtimeRules(input) {
+  if (input == null || input === '') return null;
+  if (typeof input === 'string') {
+    try { input = JSON.parse(input); } catch (e) { throw new Error('showtime rules must be a JSON object'); }
+  }
+  const base = normalizeRule(input, { partial: false });
+  const fallbacks = input.fallbacks == null ? [] : (Array.isArray(input.fallbacks) ? input.fallbacks : [input.fallbacks]);
+  base.fallbacks = fallbacks.map(f => normalizeRule(f, { partial: true }));
+  return base;
+}
+
+function expandRules(rules) {
+  const { fallbacks = [], ...base } = rules;
+  return [base, ...fallbacks.map(f => ({ ...base, ...f }))];
+}
+
+// { index, text, format, language, cellText } from the page → parsed show (time null if none)
+function parseShowtime({ index, text = '', format = '', language = '', cellText = '' }) {
+  const raw = String(text || '').replace(/\s+/g, ' ').trim();
+  const m = raw.match(SHOW_TIME_RE);
+  const minutes = m ? parseClock(`${m[1]}:${m[2]}${m[3] ? ' ' + m[3] : ''}`) : null;
+  const rest = (m ? raw.replace(m[0], '') : raw).toUpperCase();
+  const attr = String(format || '').toUpperCase();
+  const formatText = (rest.includes(attr) ? rest : `${attr} ${rest}`).replace(/\s+/g, ' ').trim();
+  return {
+    index,
+    time: minutes == null ? null : formatClock(minutes),
+    minutes,
+    formats: FORMATS.filter(([, re]) => re.test(formatText)).map(([name]) => name),
+    formatText,
+    language: String(language || '').trim() || null,
+    // the movie's line on the cinema page usually names its language once for all shows
+    cellText: String(cellText || '')
+  };
+}
+
+function hasFormat(show, name) {
+  return show.formats.includes(name) || show.formatText.includes(name);
+}
+
+function inWindow(minutes, window) {
+  const from = parseClock(window.from);
+  const to = parseClock(window.to);
+  return from <= to ? (minutes >= from && minutes <= to) : (minutes >= from || minutes <= to);
+}
+
+function clockDistance(a, b) {
+  const d = Math.abs(a - b);
+  return Math.min(d, 24 * 60 - d);
+}
+
+// why `show` fails `rule`, or null when it matches
+function mismatch(show, rule) {
+  if (rule.window && !inWindow(show.minutes, rule.window)) return `outside ${rule.window.from}-${rule.window.to}`;
+  if (rule.formats.length && !rule.formats.some(f => hasFormat(show, f))) return `not ${rule.formats.join('/')}`;
+  const avoided = rule.avoidFormats.find(f => hasFormat(show, f));
+  if (avoided) return `is ${avoided}`;
+  if (rule.language) {
+    const lang = rule.language.toLowerCase();
+    const text = (show.language || show.cellText || '').toLowerCase();
+    if (!text.includes(lang)) return `not in ${rule.language}`;
+  }
+  return null;
+}
+
+function explain(show, rule, ruleNumber) {
+  const parts = [];
+  if (rule.time) parts.push(`${clockDistance(show.minutes, parseClock(rule.time))} min from ${rule.time}`);
+  if (rule.window) parts.push(`inside ${rule.window.from}-${rule.window.to}`);
+  if (rule.formats.length) parts.push(rule.formats.filter(f => hasFormat(show, f)).join('/'));
+  if (rule.avoidFormats.length) parts.push(`not ${rule.avoidFormats.join('/')}`);
+  if (rule.language) parts.push(rule.language);
+  const label = ruleNumber === 1 ? 'rule 1' : `fallback ${ruleNumber - 1}`;
+  return `${label}: ${show.time}${parts.length ? ' — ' + parts.join(', ') : ' — any show'}`;
+}
+
+/**
+ * pickShowtime(shows, rules)
+ * - shows: parseShowtime results in page order; rules: normalizeShowtimeRules output
+ * - the first rule any show satisfies wins; within it the show closest to `time`, else the
+ *   first listed
+ * - returns { show, rule (1-based), reason } or null (explainRejections says why)
+ */
+function pickShowtime(shows, rules) {
+  const timed = (shows || []).filter(s => s.minutes != null);
+  const list = expandRules(rules);
+  for (let i = 0; i < list.length; i++) {
+    const rule = list[i];
+    const matching = timed.filter(s => !mismatch(s, rule));
+    if (!matching.length) continue;
+    const target = rule.time ? parseClock(rule.time) : null;
+    const best = target == null ? matching[0] : matching.reduce((a, b) => (clockDistance(b.minutes, target) < clockDistance(a.minutes, target) ? b : a));
+    return { show: best, rule: i + 1, reason: explain(best, rule, i + 1) };
+  }
+  return null;
+}
+
+// "07:30 PM not IMAX; 10:00 PM outside 18:00-21:00" against the base rule, for error messages
+function explainRejections(shows, rules) {
+  const base = expandRules(rules)[0];
+  const timed = (shows || []).filter(s => s.minutes != null);
+  if (!timed.length) return 'no showtimes found';
+  return timed.map(s => `${s.time} ${mismatch(s, base) || 'ok'}`).join('; ');
+}
+
+// short text for the dashboard / logs
+function describeShowtimeRules(rules) {
+  if (!rules) return '';
+  return expandRules(rules).map(r => [
+    r.time ? `~${r.time}` : null,
+    r.window ? `${r.window.from}-${r.window.to}` : null,
+    r.formats.length ? r.formats.join('/') : null,
+    r.avoidFormats.length ? `not ${r.avoidFormats.join('/')}` : null,
+    r.language
+  ].filter(Boolean).join(' ') || 'any show').join(' → ');
+}
+
+module.exports = {
+  normalizeShowtimeRules,
+  parseShowtime,
+  pickShowtime,
+  explainRejections,
+  describeShowtimeRules
+};
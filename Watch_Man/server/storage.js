@@ -1,49 +1,302 @@
 // server/storage.js
+// Persistence for tasks, watch groups, task status history and event journal, booking runs,
+// notification deliveries and the movie catalog, on an embedded SQLite file (better-sqlite3, synchronous). Records are kept as
+// JSON in a `data` column next to the fields worth querying, so adding a task field needs no
+// migration; the schema itself is versioned through PRAGMA user_version and MIGRATIONS.
+//
+// `new Storage()` (or file ':memory:') is an in-memory database for tests. Writes are upserts of
+// the records that changed, never a rewrite of the whole set. `importJson` brings in the
+// tasks.json / groups.json / bookings.json files older versions wrote.
+
 const fs = require('fs');
 const path = require('path');
+const Database = require('better-sqlite3');
+
+// each entry upgrades the schema by one version; never edit a released one, append instead
+const MIGRATIONS = [
+  `CREATE TABLE tasks (
+     id TEXT PRIMARY KEY,
+     owner TEXT,
+     group_id TEXT,
+     status TEXT,
+     created_at TEXT,
+     data TEXT NOT NULL
+   );
+   CREATE INDEX tasks_owner ON tasks (owner);
+   CREATE TABLE groups (
+     id TEXT PRIMARY KEY,
+     owner TEXT,
+     status TEXT,
+     created_at TEXT,
+     data TEXT NOT NULL
+   );
+   CREATE TABLE task_status_history (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     task_id TEXT NOT NULL,
+     status TEXT NOT NULL,
+     at TEXT NOT NULL
+   );
+   CREATE INDEX task_status_history_task ON task_status_history (task_id);
+   CREATE TABLE booking_runs (
+     id TEXT PRIMARY KEY,
+     task_id TEXT,
+     status TEXT,
+     created_at TEXT,
+     data TEXT NOT NULL
+   );
+   CREATE INDEX booking_runs_task ON booking_runs (task_id);
+   CREATE TABLE notifications (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     kind TEXT NOT NULL,
+     target_id TEXT NOT NULL,
+     channel TEXT,
+     type TEXT,
+     status TEXT,
+     attempts INTEGER,
+     error TEXT,
+     test INTEGER NOT NULL DEFAULT 0,
+     at TEXT NOT NULL
+   );
+   CREATE INDEX notifications_target ON notifications (kind, target_id);`,
+  // per-task event journal; counts survive the pruning of routine events
+  `CREATE TABLE task_events (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     task_id TEXT NOT NULL,
+     type TEXT NOT NULL,
+     at TEXT NOT NULL,
+     details TEXT
+   );
+   CREATE INDEX task_events_task ON task_events (task_id, type, id);
+   CREATE TABLE task_event_counts (
+     task_id TEXT NOT NULL,
+     type TEXT NOT NULL,
+     count INTEGER NOT NULL,
+     PRIMARY KEY (task_id, type)
+   );`,
+  // movie catalog (movieCatalog.js), one record per location with its movies
+  `CREATE TABLE movie_catalog (
+     location TEXT PRIMARY KEY,
+     refreshed_at TEXT,
+     data TEXT NOT NULL
+   );`
+];
+
+const parseRows = rows => rows.map(r => JSON.parse(r.data));
+const parseEvent = r => ({ id: r.id, type: r.type, at: r.at, details: r.details == null ? null : JSON.parse(r.details) });
+
+class Storage {
+  constructor({ file = ':memory:', logger = console } = {}) {
+    this.file = file && file !== ':memory:' ? path.resolve(file) : ':memory:';
+    this.logger = logger;
+    if (this.file !== ':memory:') fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    if (this.file !== ':memory:') this.db.pragma('journal_mode = WAL');
+    this._migrate();
+    this._prepare();
+  }
 
-const FILE = path.join(__dirname, '..', 'tasks.json');
-let cache = null;
-let pending = false;
-let timer = null;
-
-function read() {
-  if (cache) return cache;
-  try {
-    if (!fs.existsSync(FILE)) {
-      cache = { tasks: [] };
-      fs.writeFileSync(FILE, JSON.stringify(cache, null, 2));
-      return cache;
+  get schemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  _migrate() {
+    const from = this.schemaVersion;
+    if (from > MIGRATIONS.length) throw new Error(`${this.file} has schema version ${from}; this version only knows ${MIGRATIONS.length}`);
+    for (let v = from; v < MIGRATIONS.length; v++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[v]);
+        this.db.pragma(`user_version = ${v + 1}`);
+      })();
     }
-    const raw = fs.readFileSync(FILE, 'utf8');
-    cache = JSON.parse(raw || '{"tasks": []}');
-    if (!cache.tasks) cache.tasks = [];
-    return cache;
-  } catch (e) {
-    console.error('Failed to read tasks.json', e);
-    cache = { tasks: [] };
-    return cache;
+    if (from < MIGRATIONS.length) this.logger.log(`[Storage] ${this.file} migrated to schema version ${MIGRATIONS.length}`);
+  }
+
+  _prepare() {
+    const db = this.db;
+    this._stmt = {
+      allTasks: db.prepare('SELECT data FROM tasks ORDER BY rowid'),
+      putTask: db.prepare(`INSERT INTO tasks (id, owner, group_id, status, created_at, data) VALUES (@id, @owner, @groupId, @status, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET owner = excluded.owner, group_id = excluded.group_id, status = excluded.status, data = excluded.data`),
+      deleteTask: db.prepare('DELETE FROM tasks WHERE id = ?'),
+      allGroups: db.prepare('SELECT data FROM groups ORDER BY rowid'),
+      putGroup: db.prepare(`INSERT INTO groups (id, owner, status, created_at, data) VALUES (@id, @owner, @status, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET owner = excluded.owner, status = excluded.status, data = excluded.data`),
+      deleteGroup: db.prepare('DELETE FROM groups WHERE id = ?'),
+      addStatus: db.prepare('INSERT INTO task_status_history (task_id, status, at) VALUES (?, ?, ?)'),
+      statusHistory: db.prepare('SELECT status, at FROM task_status_history WHERE task_id = ? ORDER BY id'),
+      deleteStatusHistory: db.prepare('DELETE FROM task_status_history WHERE task_id = ?'),
+      allRuns: db.prepare('SELECT data FROM booking_runs ORDER BY created_at, rowid'),
+      putRun: db.prepare(`INSERT INTO booking_runs (id, task_id, status, created_at, data) VALUES (@id, @taskId, @status, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET status = excluded.status, data = excluded.data`),
+      deleteRun: db.prepare('DELETE FROM booking_runs WHERE id = ?'),
+      allCatalog: db.prepare('SELECT data FROM movie_catalog ORDER BY rowid'),
+      putCatalog: db.prepare(`INSERT INTO movie_catalog (location, refreshed_at, data) VALUES (@location, @refreshedAt, @data)
+        ON CONFLICT (location) DO UPDATE SET refreshed_at = excluded.refreshed_at, data = excluded.data`),
+      deleteCatalog: db.prepare('DELETE FROM movie_catalog WHERE location = ?'),
+      addNotification: db.prepare(`INSERT INTO notifications (kind, target_id, channel, type, status, attempts, error, test, at)
+        VALUES (@kind, @targetId, @channel, @type, @status, @attempts, @error, @test, @at)`),
+      notifications: db.prepare('SELECT channel, type, status, attempts, error, test, at FROM notifications WHERE kind = ? AND target_id = ? ORDER BY id'),
+      deleteNotifications: db.prepare('DELETE FROM notifications WHERE kind = ? AND target_id = ?'),
+      addEvent: db.prepare('INSERT INTO task_events (task_id, type, at, details) VALUES (?, ?, ?, ?)'),
+      countEvent: db.prepare(`INSERT INTO task_event_counts (task_id, type, count) VALUES (?, ?, 1)
+        ON CONFLICT (task_id, type) DO UPDATE SET count = count + 1`),
+      pruneEvents: db.prepare(`DELETE FROM task_events WHERE task_id = @taskId AND type = @type AND id <=
+        (SELECT id FROM task_events WHERE task_id = @taskId AND type = @type ORDER BY id DESC LIMIT 1 OFFSET @keep)`),
+      events: db.prepare('SELECT id, type, at, details FROM task_events WHERE task_id = @taskId AND (@type IS NULL OR type = @type) ORDER BY id DESC LIMIT @limit'),
+      firstEvent: db.prepare('SELECT id, type, at, details FROM task_events WHERE task_id = ? AND type = ? ORDER BY id LIMIT 1'),
+      eventCounts: db.prepare('SELECT type, count FROM task_event_counts WHERE task_id = ?'),
+      deleteEvents: db.prepare('DELETE FROM task_events WHERE task_id = ?'),
+      deleteEventCounts: db.prepare('DELETE FROM task_event_counts WHERE task_id = ?'),
+      counts: db.prepare('SELECT (SELECT COUNT(*) FROM tasks) AS tasks, (SELECT COUNT(*) FROM groups) AS groups, (SELECT COUNT(*) FROM booking_runs) AS bookingRuns')
+    };
+    // each of these runs as one transaction
+    this._putTasks = db.transaction(tasks => {
+      for (const t of tasks) this._stmt.putTask.run({ id: t.id, owner: t.owner || null, groupId: t.groupId || null, status: t.status || null, createdAt: t.createdAt || null, data: JSON.stringify(t) });
+    });
+    this._deleteTasks = db.transaction(ids => {
+      for (const id of ids) {
+        this._stmt.deleteTask.run(id);
+        this._stmt.deleteStatusHistory.run(id);
+        this._stmt.deleteNotifications.run('task', id);
+        this._stmt.deleteEvents.run(id);
+        this._stmt.deleteEventCounts.run(id);
+      }
+    });
+    this._appendEvent = db.transaction((taskId, { type, at, details }, keep) => {
+      const { lastInsertRowid } = this._stmt.addEvent.run(taskId, type, at, details == null ? null : JSON.stringify(details));
+      this._stmt.countEvent.run(taskId, type);
+      if (keep != null) this._stmt.pruneEvents.run({ taskId, type, keep });
+      return Number(lastInsertRowid);
+    });
+    this._putGroups = db.transaction(groups => {
+      for (const g of groups) this._stmt.putGroup.run({ id: g.id, owner: g.owner || null, status: g.status || null, createdAt: g.createdAt || null, data: JSON.stringify(g) });
+    });
+    this._deleteGroups = db.transaction(ids => {
+      for (const id of ids) {
+        this._stmt.deleteGroup.run(id);
+        this._stmt.deleteNotifications.run('group', id);
+      }
+    });
+    this._putRuns = db.transaction(runs => {
+      for (const r of runs) this._stmt.putRun.run({ id: r.id, taskId: r.taskId || null, status: r.status || null, createdAt: r.createdAt || null, data: JSON.stringify(r) });
+    });
+    this._deleteRuns = db.transaction(ids => { for (const id of ids) this._stmt.deleteRun.run(id); });
+    this._putCatalog = db.transaction(entries => {
+      for (const e of entries) this._stmt.putCatalog.run({ location: e.key, refreshedAt: e.refreshedAt || null, data: JSON.stringify(e) });
+    });
+    this._deleteCatalog = db.transaction(keys => { for (const key of keys) this._stmt.deleteCatalog.run(key); });
+  }
+
+  // ---------- tasks ----------
+  loadTasks() { return parseRows(this._stmt.allTasks.all()); }
+  saveTasks(tasks) { if (tasks.length) this._putTasks(tasks); }
+  // also drops the tasks' status history, event journal and notification deliveries
+  deleteTasks(ids) { if (ids.length) this._deleteTasks(ids); }
+
+  recordStatus(taskId, status, at = new Date().toISOString()) {
+    this._stmt.addStatus.run(taskId, status, at);
+  }
+
+  statusHistory(taskId) { return this._stmt.statusHistory.all(taskId); }
+
+  // ---------- task event journal ----------
+  // `keep`: only the newest `keep` events of this type stay in the journal (still counted)
+  appendTaskEvent(taskId, { type, at = new Date().toISOString(), details = null }, { keep = null } = {}) {
+    const id = this._appendEvent(taskId, { type, at, details }, keep);
+    return { id, type, at, details };
+  }
+
+  // newest `limit` events (optionally of one type), returned oldest first
+  taskEvents(taskId, { type = null, limit = 200 } = {}) {
+    return this._stmt.events.all({ taskId, type, limit }).reverse().map(parseEvent);
+  }
+
+  firstTaskEvent(taskId, type) {
+    const row = this._stmt.firstEvent.get(taskId, type);
+    return row ? parseEvent(row) : null;
+  }
+
+  taskEventCounts(taskId) {
+    return Object.fromEntries(this._stmt.eventCounts.all(taskId).map(r => [r.type, r.count]));
   }
-}
 
-function scheduleWrite() {
-  if (timer) clearTimeout(timer);
-  timer = setTimeout(() => {
-    try {
-      fs.writeFileSync(FILE + '.tmp', JSON.stringify(cache, null, 2));
-      fs.renameSync(FILE + '.tmp', FILE);
-    } catch (e) {
-      console.error('Failed to write tasks.json', e);
+  // ---------- watch groups ----------
+  loadGroups() { return parseRows(this._stmt.allGroups.all()); }
+  saveGroups(groups) { if (groups.length) this._putGroups(groups); }
+  deleteGroups(ids) { if (ids.length) this._deleteGroups(ids); }
+
+  // ---------- booking runs ----------
+  loadBookingRuns() { return parseRows(this._stmt.allRuns.all()); }
+  saveBookingRuns(runs) { if (runs.length) this._putRuns(runs); }
+  deleteBookingRuns(ids) { if (ids.length) this._deleteRuns(ids); }
+
+  // ---------- movie catalog ----------
+  // entries are keyed by `key` (the normalized location name)
+  loadCatalog() { return parseRows(this._stmt.allCatalog.all()); }
+  saveCatalog(entries) { if (entries.length) this._putCatalog(entries); }
+  deleteCatalog(keys) { if (keys.length) this._deleteCatalog(keys); }
+
+  // ---------- notification deliveries ----------
+  // kind: 'task' | 'group'; delivery as reported by Notifier
+  recordNotification(kind, targetId, delivery) {
+    this._stmt.addNotification.run({
+      kind, targetId,
+      channel: delivery.channel || null,
+      type: delivery.type || null,
+      status: delivery.status || null,
+      attempts: delivery.attempts || 0,
+      error: delivery.error || null,
+      test: delivery.test ? 1 : 0,
+      at: delivery.sentAt || new Date().toISOString()
+    });
+  }
+
+  notifications(kind, targetId) {
+    return this._stmt.notifications.all(kind, targetId).map(n => ({ ...n, test: !!n.test }));
+  }
+
+  counts() { return this._stmt.counts.get(); }
+
+  /**
+   * importJson({ tasksFile, groupsFile, bookingsFile })
+   * - loads JSON files written by older versions, in one transaction, when the database holds
+   *   no tasks, groups or runs yet; returns how many of each were imported (null = skipped)
+   * - imported files are renamed to <name>.imported so a restart doesn't import them again
+   */
+  importJson({ tasksFile = null, groupsFile = null, bookingsFile = null } = {}) {
+    const files = { tasks: tasksFile, groups: groupsFile, bookingRuns: bookingsFile };
+    const present = Object.entries(files).filter(([, f]) => f && fs.existsSync(f));
+    if (!present.length) return null;
+    const counts = this.counts();
+    if (counts.tasks || counts.groups || counts.bookingRuns) {
+      this.logger.warn(`[Storage] ${this.file} already has data; not importing ${present.map(([, f]) => f).join(', ')}`);
+      return null;
     }
-  }, 200);
-}
+    const read = file => {
+      const arr = JSON.parse(fs.readFileSync(file, 'utf8') || '[]');
+      if (!Array.isArray(arr)) throw new Error(`${file} does not hold a list`);
+      return arr.filter(x => x && x.id);
+    };
+    const loaded = Object.fromEntries(present.map(([k, f]) => [k, read(f)]));
+    this.db.transaction(() => {
+      if (loaded.tasks) {
+        this._putTasks(loaded.tasks);
+        for (const t of loaded.tasks) if (t.status) this.recordStatus(t.id, t.status);
+      }
+      if (loaded.groups) this._putGroups(loaded.groups);
+      if (loaded.bookingRuns) this._putRuns(loaded.bookingRuns);
+    })();
+    for (const [, file] of present) fs.renameSync(file, `${file}.imported`);
+    const result = Object.fromEntries(Object.entries(loaded).map(([k, arr]) => [k, arr.length]));
+    this.logger.log(`[Storage] imported ${Object.entries(result).map(([k, n]) => `${n} ${k}`).join(', ')} into ${this.file}`);
+    return result;
+  }
 
-function write(newData) {
-  cache = newData;
-  scheduleWrite();
+  close() {
+    if (this.db.open) this.db.close();
+  }
 }
 
-module.exports = {
-  read,
-  write
-};
+Storage.MIGRATIONS = MIGRATIONS;
+
+module.exports = Storage;
@@ -0,0 +1,268 @@
+// server/upcomingScraper.js
+// Scrapes the BookMyShow explore pages (upcoming + now showing) for a location
+// and returns a deduped list of movie identifiers. Used by the movie catalog (movieCatalog.js)
+// behind GET /api/upcoming.
+
+const { chromium } = require('playwright');
+
+const DEFAULT_BASE_URL = 'https://in.bookmyshow.com';
+
+const PW_ARGS = [
+  '--start-maximized',
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-dev-shm-usage',
+  '--disable-extensions',
+  '--disable-plugins',
+  '--remote-allow-origins=*'
+];
+
+// base URL can be pointed at a local fixture (see test/mockBms) via BMS_BASE_URL
+function resolveBaseUrl(baseUrl) {
+  return String(baseUrl || process.env.BMS_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+// URLs to check (released + upcoming)
+function upcomingUrlsFor(location, baseUrl) {
+  const base = resolveBaseUrl(baseUrl);
+  const loc = encodeURIComponent(location);
+  return [
+    `${base}/explore/upcoming-movies-${loc}?referrerBase=movies`,
+    `${base}/explore/movies-${loc}?languages=tamil`,
+    `${base}/explore/movies-${loc}?cat=MT`
+  ];
+}
+
+// gentle auto-scroll to trigger lazy loading
+async function autoScroll(page, maxIterations = 30, step = 600, pauseMs = 350) {
+  try {
+    await page.evaluate(async (step, pauseMs, maxIterations) => {
+      const sleep = ms => new Promise(r => setTimeout(r, ms));
+      let iter = 0;
+      let lastHeight = document.body.scrollHeight;
+      while (iter < maxIterations) {
+        window.scrollBy(0, step);
+        await sleep(pauseMs);
+        const newHeight = document.body.scrollHeight;
+        if (newHeight === lastHeight) break;
+        lastHeight = newHeight;
+        iter++;
+      }
+      await sleep(250);
+    }, step, pauseMs, maxIterations);
+  } catch (e) {
+    // ignore evaluate errors
+  }
+}
+
+
+async function extractFromPage(page) {
+  return await page.evaluate(() => {
+    const abs = (href) => {
+      try { return new URL(href, location.href).href; } catch (e) { return href || ''; }
+    };
+
+    const results = [];
+
+    // Top-level movie container selector you specified
+    const topBlockSelector = '.sc-1ljcxl3-0.ldQqlW';
+    // nested selectors as described
+    const blockAnchorSelector = 'a[href]';
+    const nestedBlockSelector = 'div.sc-133848s-3.bbHlLd';
+    const nestedInnerSelector = 'div.sc-133848s-2.sc-133848s-12.ccqrhI.jgYpvq';
+    const titleSelector = 'div.sc-7o7nez-0.elfplV';
+
+    try {
+      const topBlocks = Array.from(document.querySelectorAll(topBlockSelector));
+      for (const block of topBlocks) {
+        try {
+          // find all anchors inside this top-level block (usually one per movie card)
+          const anchors = Array.from(block.querySelectorAll(blockAnchorSelector));
+          for (const a of anchors) {
+            try {
+              const href = a.getAttribute('href') || a.href || '';
+              const idMatch = href.match(/(ET\d+)/);
+              const identifier = idMatch ? idMatch[1] : null;
+              // find nested title element inside the anchor following the path you gave
+              let name = '';
+              try {
+                const nestedBlock = a.querySelector(nestedBlockSelector) || a.querySelector('div.sc-133848s-3');
+                if (nestedBlock) {
+                  const nestedInner = nestedBlock.querySelector(nestedInnerSelector) || nestedBlock.querySelector('div.sc-133848s-2');
+                  if (nestedInner) {
+                    const titleEl = nestedInner.querySelector(titleSelector) || nestedInner.querySelector('div.elfplV') || nestedInner.querySelector('div');
+                    if (titleEl && titleEl.textContent) name = titleEl.textContent.trim();
+                  } else {
+                    // fallback: maybe title is directly under nestedBlock
+                    const titleEl2 = nestedBlock.querySelector(titleSelector) || nestedBlock.querySelector('div.elfplV');
+                    if (titleEl2 && titleEl2.textContent) name = titleEl2.textContent.trim();
+                  }
+                }
+              } catch (e) {
+                // ignore nested parse errors
+              }
+
+              // final fallback: anchor text
+              if (!name) name = (a.textContent || '').trim();
+
+              if (identifier) {
+                results.push({
+                  identifier,
+                  href: abs(href),
+                  name: name || '',
+                  source: 'block'
+                });
+              }
+            } catch (e) {
+              // ignore per-anchor errors
+            }
+          } // anchors loop
+        } catch (e) {
+          // ignore per-top-block error
+        }
+      }
+    } catch (e) {
+      // ignore top-block querying errors
+    }
+
+    // If no results found via structured blocks, do a page-wide fallback scan to avoid misses
+    if (results.length === 0) {
+      try {
+        const anchors = Array.from(document.querySelectorAll('a[href]'));
+        for (const a of anchors) {
+          try {
+            const href = a.getAttribute('href') || a.href || '';
+            const idMatch = href.match(/(ET\d+)/) || (a.textContent && a.textContent.match(/(ET\d+)/));
+            const identifier = idMatch ? idMatch[1] : null;
+            if (!identifier) continue;
+
+            // attempt to find nearby title element as best-effort
+            let name = (a.textContent || '').trim();
+            try {
+              // look for nearest title element by walking up then searching inside that ancestor
+              let cur = a;
+              for (let i = 0; i < 5 && cur; i++) {
+                if (cur.querySelector) {
+                  const titleEl = cur.querySelector(titleSelector) || cur.querySelector('div.elfplV');
+                  if (titleEl && titleEl.textContent) { name = titleEl.textContent.trim(); break; }
+                }
+                cur = cur.parentElement;
+              }
+            } catch (e) {}
+            results.push({
+              identifier,
+              href: abs(href),
+              name,
+              source: 'fallback'
+            });
+          } catch (e) {}
+        }
+      } catch (e) {}
+    }
+
+    // dedupe by identifier, keep first
+    const seen = new Set();
+    const unique = [];
+    for (const r of results) {
+      if (!r.identifier) continue;
+      if (!seen.has(r.identifier)) {
+        seen.add(r.identifier);
+        unique.push(r);
+      }
+    }
+    return unique;
+  });
+}
+
+/**
+ * scrapeUpcoming({ location, baseUrl, headless, browser })
+ * - visits every explore URL in a fresh context of `browser` (left open) or, without one, of a
+ *   chromium launched for this call, and merges the results
+ * - resolves { location, queriedUrls, count, results }; throws if the browser cannot be launched
+ */
+async function scrapeUpcoming({ location, baseUrl, headless = true, logger = console, browser: shared = null } = {}) {
+  if (!location) throw new Error('location required');
+  const urls = upcomingUrlsFor(location, baseUrl);
+  let browser = null;
+
+  try {
+    browser = shared || await chromium.launch({
+      headless, // set false for debugging
+      args: PW_ARGS
+    });
+
+    const collected = [];
+    for (const url of urls) {
+      const context = await browser.newContext({
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0 Safari/537.36',
+        viewport: null,
+        locale: 'en-US',
+        extraHTTPHeaders: { 'Accept-Language': 'en-US,en;q=0.9' }
+      });
+
+      const page = await context.newPage();
+
+      try {
+        // Navigate and wait for initial DOM. We attach a short extra wait so client-side rendering starts.
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await page.waitForTimeout(700);
+
+        // Gentle scroll to load lazy items
+        await autoScroll(page, 40, 800, 300);
+
+        // Wait best-effort for the top-level blocks or any ET anchors
+        try {
+          await page.waitForFunction(() =>
+            !!document.querySelector('.sc-1ljcxl3-0.ldQqlW') ||
+            !!document.querySelector('.sc-133848s-3.bbHlLd') ||
+            !!document.querySelector('a[href*="ET"]'),
+            { timeout: 20000 }
+          );
+        } catch (e) {
+          // continue — extraction will fallback
+        }
+
+        const pageResults = await extractFromPage(page);
+        pageResults.forEach(r => r.sourceUrl = url);
+        collected.push(...pageResults);
+      } catch (pageErr) {
+        logger.warn('Error scraping', url, pageErr && pageErr.message ? pageErr.message : pageErr);
+      } finally {
+        try { await context.close(); } catch (e) {}
+      }
+    }
+
+    // Merge + dedupe globally by identifier, keep first seen
+    const seenIds = new Set();
+    const merged = [];
+    for (const item of collected) {
+      if (!item || !item.identifier) continue;
+      if (seenIds.has(item.identifier)) continue;
+      seenIds.add(item.identifier);
+      merged.push({
+        identifier: item.identifier,
+        name: item.name || '',
+        href: item.href,
+        sourceUrl: item.sourceUrl,
+        sourceHint: item.source || ''
+      });
+    }
+
+    if (!shared) { try { await browser.close(); } catch (e) {} }
+    browser = null;
+
+
+    return {
+      location,
+      queriedUrls: urls,
+      count: merged.length,
+      results: merged
+    };
+  } catch (err) {
+    try { if (browser && !shared) await browser.close(); } catch (e) {}
+    throw err;
+  }
+}
+
+module.exports = { scrapeUpcoming, upcomingUrlsFor, resolveBaseUrl, DEFAULT_BASE_URL };
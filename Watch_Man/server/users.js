@@ -0,0 +1,236 @@
+// server/users.js
+// Dashboard / API users: { id, username, role ('admin'|'user'), passwordHash, tokens, quotas, createdAt }.
+// Passwords are stored as scrypt hashes ('scrypt:<salt>:<hash>', base64), API tokens only as
+// their sha256. Sessions are random ids kept in memory (a restart signs everyone out) and
+// expire after sessionTtlSeconds without use.
+//
+// A user owns the tasks, groups and booking accounts it creates; an admin sees and manages
+// everything, including other users and /debug/watchers. `publicView` is what clients get.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeQuotas } = require('./quotas');
+
+const ROLES = ['admin', 'user'];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_PREFIX = 'bmsw_';
+// a token's lastUsedAt is written to the users file at most this often
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function normalizeUsername(input) {
+  const s = String(input == null ? '' : input).trim().toLowerCase();
+  if (!USERNAME_RE.test(s)) throw new Error('username must be 3-32 letters, digits, dots, dashes or underscores');
+  return s;
+}
+
+function normalizePassword(input) {
+  if (typeof input !== 'string' || input.length < MIN_PASSWORD_LENGTH) throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  return input;
+}
+
+function normalizeRole(input) {
+  const role = input == null || input === '' ? 'user' : String(input);
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${input}`);
+  return role;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+function publicView(user) {
+  if (!user) return null;
+  return {
+    id: user.id, username: user.username, role: user.role, quotas: user.quotas || {}, createdAt: user.createdAt,
+    tokens: (user.tokens || []).map(t => ({ id: t.id, name: t.name, createdAt: t.createdAt, lastUsedAt: t.lastUsedAt || null }))
+  };
+}
+
+class Users {
+  constructor({ file = null, sessionTtlSeconds = 7 * 24 * 3600, logger = console } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.sessionTtlMs = (Number(sessionTtlSeconds) || 7 * 24 * 3600) * 1000;
+    this.logger = logger;
+    this.users = [];
+    this.sessions = new Map();   // session id → { userId, expiresAt }
+    if (this.file) this._load();
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const arr = JSON.parse(fs.readFileSync(this.file, 'utf8') || '[]');
+      this.users = Array.isArray(arr) ? arr : [];
+      this.logger.log(`Loaded ${this.users.length} users from ${this.file}`);
+    } catch (e) {
+      this.logger.error('Failed to load users file:', e && e.message ? e.message : e);
+      this.users = [];
+    }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.users, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (e) {
+      this.logger.error('Failed to save users file:', e && e.message ? e.message : e);
+    }
+  }
+
+  count() {
+    return this.users.length;
+  }
+
+  create({ username, password, role } = {}) {
+    const name = normalizeUsername(username);
+    const fields = { password: normalizePassword(password), role: normalizeRole(role) };
+    if (this.users.some(u => u.username === name)) throw Object.assign(new Error(`user ${name} already exists`), { statusCode: 409 });
+    const user = {
+      id: `user-${crypto.randomUUID()}`,
+      username: name,
+      role: fields.role,
+      passwordHash: hashPassword(fields.password),
+      tokens: [],
+      quotas: {},
+      createdAt: new Date().toISOString()
+    };
+    this.users.push(user);
+    this._save();
+    this.logger.log(`[Users] added ${user.username} (${user.role})`);
+    return publicView(user);
+  }
+
+  // { role, quotas } — quotas replace the user's overrides ({} = back to the defaults)
+  update(id, input = {}) {
+    const user = this._get(id);
+    const role = input.role !== undefined ? normalizeRole(input.role) : user.role;
+    const quotas = input.quotas !== undefined ? normalizeQuotas(input.quotas) : user.quotas;
+    if (user.role === 'admin' && role !== 'admin' && this.users.filter(u => u.role === 'admin').length === 1) {
+      throw Object.assign(new Error('cannot demote the last admin'), { statusCode: 409 });
+    }
+    Object.assign(user, { role, quotas: quotas || {} });
+    this._save();
+    return publicView(user);
+  }
+
+  remove(id) {
+    const user = this._get(id);
+    if (user.role === 'admin' && this.users.filter(u => u.role === 'admin').length === 1) {
+      throw Object.assign(new Error('cannot remove the last admin'), { statusCode: 409 });
+    }
+    this.users = this.users.filter(u => u.id !== id);
+    for (const [sid, s] of this.sessions) if (s.userId === id) this.sessions.delete(sid);
+    this._save();
+    this.logger.log(`[Users] removed ${user.username}`);
+    return true;
+  }
+
+  setPassword(id, password) {
+    const user = this._get(id);
+    user.passwordHash = hashPassword(normalizePassword(password));
+    // other sessions of the user end with the old password
+    for (const [sid, s] of this.sessions) if (s.userId === id) this.sessions.delete(sid);
+    this._save();
+    return true;
+  }
+
+  get(id) {
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  list() {
+    return this.users.map(publicView);
+  }
+
+  // the user for a username / password pair, or null
+  authenticate(username, password) {
+    let name;
+    try { name = normalizeUsername(username); } catch (e) { return null; }
+    const user = this.users.find(u => u.username === name);
+    return user && verifyPassword(password, user.passwordHash) ? user : null;
+  }
+
+  createSession(userId) {
+    this._get(userId);
+    const id = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(id, { userId, expiresAt: Date.now() + this.sessionTtlMs });
+    return id;
+  }
+
+  endSession(id) {
+    return this.sessions.delete(id);
+  }
+
+  // the session's user (extending the session), or null
+  fromSession(id, { now = Date.now() } = {}) {
+    const s = id ? this.sessions.get(id) : null;
+    if (!s) return null;
+    const user = this.get(s.userId);
+    if (!user || s.expiresAt <= now) {
+      this.sessions.delete(id);
+      return null;
+    }
+    s.expiresAt = now + this.sessionTtlMs;
+    return user;
+  }
+
+  // returns the plaintext token once; only its hash is kept
+  createToken(userId, name) {
+    const user = this._get(userId);
+    const label = String(name == null ? '' : name).trim();
+    if (!label) throw new Error('token name required');
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = { id: `token-${crypto.randomUUID()}`, name: label, hash: sha256(token), createdAt: new Date().toISOString(), lastUsedAt: null };
+    user.tokens = [...(user.tokens || []), record];
+    this._save();
+    return { id: record.id, name: record.name, createdAt: record.createdAt, token };
+  }
+
+  revokeToken(userId, tokenId) {
+    const user = this._get(userId);
+    const before = (user.tokens || []).length;
+    user.tokens = (user.tokens || []).filter(t => t.id !== tokenId);
+    if (user.tokens.length === before) return false;
+    this._save();
+    return true;
+  }
+
+  fromToken(token, { now = Date.now() } = {}) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    const hash = sha256(token);
+    for (const user of this.users) {
+      const t = (user.tokens || []).find(x => x.hash === hash);
+      if (t) {
+        if (!t.lastUsedAt || now - Date.parse(t.lastUsedAt) >= TOKEN_TOUCH_INTERVAL_MS) {
+          t.lastUsedAt = new Date(now).toISOString();
+          this._save();
+        }
+        return user;
+      }
+    }
+    return null;
+  }
+
+  _get(id) {
+    const user = this.get(id);
+    if (!user) throw Object.assign(new Error('user not found'), { statusCode: 404 });
+    return user;
+  }
+}
+
+module.exports = { Users, publicView, normalizeUsername, normalizePassword, ROLES };
@@ -3,23 +3,91 @@
 // waits for full page load, then injects the mutation-observer + polling scanner
 // (your robust snippet), and exposes a unique binding per watcher.
 
-const { v4: uuidv4 } = require('uuid');
+const { randomUUID: uuidv4 } = require('crypto');
+const { parseBuyticketsUrl, withDateCode, normalizeDateMode, resolveDateCode, DEFAULT_TIME_ZONE } = require('./bmsUrl');
+const { findMovieInPayload } = require('./showtimePayload');
+const { classifyPage, isBlockingKind } = require('./pageClassifier');
+
+// detection strategies: 'dom' = injected MutationObserver looking for the movie link,
+// 'network' = match the identifier inside JSON responses the cinema page fetches,
+// 'hybrid' = both, first one wins
+const STRATEGIES = ['dom', 'network', 'hybrid'];
+const MAX_NETWORK_BODY_BYTES = 5 * 1024 * 1024;
 
 class Watcher {
-  constructor({ id, cinemaUrl, identifier, pollIntervalSeconds = 5, rotateIntervalMs = 3*60*1000, pageFactory, logger = console } = {}) {
+  constructor({ id, cinemaUrl, identifier, pollIntervalSeconds = 5, rotateIntervalMs = 3*60*1000, pageFactory, logger = console, dateMode = null, timeZone = DEFAULT_TIME_ZONE, strategy = 'dom', maxBackoffSeconds = 300, degradedAfterFailures = 3, recreateAfterFailures = 5, onHealthChange = null, blockPauseSeconds = 600, pauseAfterBlocks = 3, onAccessChange = null, onEvent = null, metrics = null } = {}) {
     this.id = id || `watcher-${uuidv4()}`;
     this.cinemaUrl = cinemaUrl;
     this.identifier = identifier;
+    if (!STRATEGIES.includes(strategy || 'dom')) throw new Error(`Unknown detection strategy: ${strategy}`);
+    this.strategy = strategy || 'dom';
+    // which buytickets date to load; see normalizeDateMode in bmsUrl.js
+    this.dateMode = normalizeDateMode(dateMode);
+    this.timeZone = timeZone || DEFAULT_TIME_ZONE;
+    this.targetUrl = cinemaUrl;     // cinemaUrl with the date segment for the current reload
+    this.targetDateCode = null;
+    this._dateCursor = 0;
     this.pollIntervalSeconds = Number(pollIntervalSeconds) || 5;
-    this.rotateIntervalMs = Number(rotateIntervalMs) || (5 * 60 * 1000);
+    // 0 (or less) turns rotation off
+    const rotateMs = Number(rotateIntervalMs ?? 5 * 60 * 1000);
+    this.rotateIntervalMs = rotateMs > 0 ? rotateMs : 0;
     this.pageFactory = pageFactory;
-    this.logger = logger;
+    this.backend = 'browser';
 
     this.page = null;         // Playwright Page
     this.context = null;      // Playwright BrowserContext
     this.running = false;
     this.found = false;
     this.foundHref = null;
+    this.foundDateCode = null;
+    this.foundUrl = null;
+    this.foundVia = null;
+    this.foundDetails = null;   // network strategy: { name, showtimes, formats, languages, responseUrl }
+    this.foundSeenAt = null;    // ms timestamp the link first showed up (DOM observer / response), for detection delay
+
+    // health: consecutive failed loads stretch the reload delay (exponential backoff with
+    // jitter, capped at maxBackoffSeconds), mark the watcher degraded and, every
+    // recreateAfterFailures failures, replace the page/context with a fresh one
+    this.maxBackoffSeconds = Number(maxBackoffSeconds) || 300;
+    this.degradedAfterFailures = Number(degradedAfterFailures) || 3;
+    this.recreateAfterFailures = Number(recreateAfterFailures) || 5;
+    this.onHealthChange = onHealthChange;
+    this.health = {
+      state: 'healthy',
+      consecutiveFailures: 0,
+      totalFailures: 0,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      recreations: 0
+    };
+
+    // access: what the last loaded page actually was (see pageClassifier.js). A block or
+    // challenge counts as a failure (so it backs off), skips the observer and gets a fresh
+    // context next time; after pauseAfterBlocks in a row the watcher sits out blockPauseSeconds
+    this.blockPauseSeconds = Number(blockPauseSeconds) || 600;
+    this.pauseAfterBlocks = Number(pauseAfterBlocks) || 3;
+    this.onAccessChange = onAccessChange;
+    this.access = {
+      state: 'ok',
+      reason: null,
+      status: null,
+      since: null,
+      checkedAt: null,
+      consecutiveBlocks: 0,
+      totalBlocks: 0,
+      pausedUntil: null
+    };
+    this._recreateNext = false;
+
+    // onEvent(type, details): routine page activity ('reload', 'rotate') for the task's journal
+    this.onEvent = onEvent;
+    // metrics.js registry (optional): reload/injection durations, reloads and errors per cinema
+    this.metrics = metrics;
+    const parsedUrl = parseBuyticketsUrl(cinemaUrl);
+    this.cinemaCode = parsedUrl ? parsedUrl.venueCode : 'unknown';
+    // a structured logger (logger.js) tags this watcher's lines; console is used as is
+    this.logger = logger && typeof logger.child === 'function' ? logger.child({ watcherId: this.id, cinema: this.cinemaCode }) : logger;
 
     this._reloadTimer = null;
     this._rotateTimer = null;
@@ -33,7 +101,7 @@ class Watcher {
     if (this.running) return;
     this.running = true;
     this.onFoundCallback = onFoundCallback;
-    this.logger.log(`[Watcher ${this.id}] start → ${this.cinemaUrl} (looking for ${this.identifier})`);
+    this.logger.log(`[Watcher ${this.id}] start → ${this.cinemaUrl} (looking for ${this.identifier}, date mode ${this.dateMode.type}, strategy ${this.strategy})`);
 
     try {
       await this._openPageAndAttach(); // open page, wait for load, expose binding, inject observer
@@ -46,14 +114,198 @@ class Watcher {
     }
   }
 
-  // Open fresh page/context via pageFactory and attach observer (waits for load)
-  async _openPageAndAttach() {
+  // Recompute the URL to load from the date mode (called before every navigation).
+  // Non-buytickets URLs are loaded as-is.
+  _nextTargetUrl() {
+    const parsed = parseBuyticketsUrl(this.cinemaUrl);
+    if (!parsed) { this.targetUrl = this.cinemaUrl; this.targetDateCode = null; return this.targetUrl; }
+
+    const dateCode = resolveDateCode(this.dateMode, { urlDateCode: parsed.dateCode, cursor: this._dateCursor, timeZone: this.timeZone });
+    if (this.dateMode.type === 'list') this._dateCursor++;
+    if (dateCode && dateCode !== this.targetDateCode && this.targetDateCode) {
+      this.logger.log(`[Watcher ${this.id}] target date ${this.targetDateCode} → ${dateCode}`);
+    }
+    this.targetDateCode = dateCode || parsed.dateCode;
+    this.targetUrl = dateCode ? withDateCode(this.cinemaUrl, dateCode) : this.cinemaUrl;
+    return this.targetUrl;
+  }
+
+  _recordSuccess() {
+    const hadFailures = this.health.consecutiveFailures > 0;
+    this.health.consecutiveFailures = 0;
+    this.health.lastSuccessAt = new Date().toISOString();
+    this.health.state = 'healthy';
+    if (hadFailures) {
+      this.logger.log(`[Watcher ${this.id}] recovered after failures`);
+      this._emitHealth();
+    }
+  }
+
+  _recordFailure(err) {
+    const h = this.health;
+    h.consecutiveFailures++;
+    h.totalFailures++;
+    h.lastError = err && err.message ? err.message : String(err);
+    h.lastErrorAt = new Date().toISOString();
+    this._count('bms_watcher_errors_total');
+    if (h.consecutiveFailures >= this.degradedAfterFailures) h.state = 'degraded';
+    this.logger.warn(`[Watcher ${this.id}] failure ${h.consecutiveFailures} in a row (${h.state}); next reload in ~${Math.round(this._nextReloadDelayMs() / 1000)}s`);
+    this._emitHealth();
+  }
+
+  _emitHealth() {
+    if (!this.onHealthChange) return;
+    try { this.onHealthChange({ ...this.health }); } catch (e) {}
+  }
+
+  // record a page classification; returns true when the page is usable (not a block/challenge)
+  _recordAccess({ kind, reason = null, status = null }) {
+    const a = this.access;
+    const now = new Date();
+    const blocked = isBlockingKind(kind);
+    const changed = a.state !== kind;
+    if (changed) a.since = now.toISOString();
+    a.state = kind;
+    a.reason = reason;
+    a.status = status;
+    a.checkedAt = now.toISOString();
+
+    if (blocked) {
+      a.consecutiveBlocks++;
+      a.totalBlocks++;
+      this._recreateNext = true;
+      if (a.consecutiveBlocks >= this.pauseAfterBlocks) {
+        a.pausedUntil = new Date(now.getTime() + this.blockPauseSeconds * 1000).toISOString();
+      }
+      this.logger.warn(`[Watcher ${this.id}] page is ${kind} (${reason}), ${a.consecutiveBlocks} in a row${a.pausedUntil ? ` → pausing until ${a.pausedUntil}` : ''}`);
+    } else {
+      if (changed && a.consecutiveBlocks) this.logger.log(`[Watcher ${this.id}] page is ${kind} again after ${a.consecutiveBlocks} blocked loads`);
+      a.consecutiveBlocks = 0;
+      a.pausedUntil = null;
+    }
+    if (changed || blocked) this._emitAccess();
+    return !blocked;
+  }
+
+  _emitAccess() {
+    if (!this.onAccessChange) return;
+    try { this.onAccessChange({ ...this.access }); } catch (e) {}
+  }
+
+  _emitEvent(type, details = null) {
+    if (!this.onEvent) return;
+    try { this.onEvent(type, details); } catch (e) {}
+  }
+
+  _observe(name, seconds, labels = {}) {
+    if (this.metrics) this.metrics.observe(name, seconds, labels);
+  }
+
+  _count(name) {
+    if (this.metrics) this.metrics.inc(name, { cinema: this.cinemaCode });
+  }
+
+  // classify the page that just loaded and fold the verdict into health; false = don't watch it
+  async _checkLoadedPage(response) {
+    let status = null, html = '', title = '';
+    try { if (response && typeof response.status === 'function') status = response.status(); } catch (_) {}
+    try { if (this.page && typeof this.page.content === 'function') html = await this.page.content(); } catch (_) {}
+    try { if (this.page && typeof this.page.title === 'function') title = await this.page.title(); } catch (_) {}
+    const verdict = classifyPage({ status, html, title });
+    const usable = this._recordAccess(verdict);
+    if (!usable || verdict.kind === 'maintenance') this._recordFailure(new Error(`${verdict.kind}: ${verdict.reason}`));
+    else this._recordSuccess();
+    return usable;
+  }
+
+  // poll interval while healthy; after n failures up to interval * 2^n (capped), "equal jitter".
+  // A block pause overrides both.
+  _nextReloadDelayMs() {
+    const pausedMs = this.access.pausedUntil ? Date.parse(this.access.pausedUntil) - Date.now() : 0;
+    if (pausedMs > 0) return pausedMs;
+    const base = this.pollIntervalSeconds * 1000;
+    const n = this.health.consecutiveFailures;
+    if (!n) return base;
+    const capped = Math.max(base, Math.min(this.maxBackoffSeconds * 1000, base * Math.pow(2, n)));
+    return Math.round(capped / 2 + Math.random() * capped / 2);
+  }
+
+  _shouldRecreate() {
+    if (this._recreateNext) return true;
+    const n = this.health.consecutiveFailures;
+    return n > 0 && n % this.recreateAfterFailures === 0;
+  }
+
+  get _usesDom() { return this.strategy === 'dom' || this.strategy === 'hybrid'; }
+  get _usesNetwork() { return this.strategy === 'network' || this.strategy === 'hybrid'; }
+
+  // binding / response target: first report wins, remembers which date/url the link showed up on.
+  // seenAt: when the link first appeared (page clock for the DOM observer, same machine)
+  _handleFound(href, via, details = null, seenAt = null) {
+    if (this.found) return;
+    this.found = true;
+    this.foundSeenAt = Number.isFinite(seenAt) ? Math.min(seenAt, Date.now()) : Date.now();
+    this.foundHref = href;
+    this.foundDateCode = this.targetDateCode;
+    this.foundUrl = this.targetUrl;
+    this.foundVia = via;
+    this.foundDetails = details;
+    this.logger.log(`[Watcher ${this.id}] <<< FOUND via ${via} >>> ${href} (date ${this.foundDateCode || '-'})`);
+    try {
+      if (this.onFoundCallback) {
+        this.onFoundCallback({
+          id: this.id, href, identifier: this.identifier,
+          dateCode: this.foundDateCode, cinemaUrl: this.foundUrl,
+          strategy: this.strategy, via, details
+        });
+      }
+    } catch (e) {}
+  }
+
+  // network strategy: inspect JSON (xhr/fetch) responses for the identifier
+  async _onNetworkResponse(response) {
+    if (!this.running || this.found) return;
+    const seenAt = Date.now();
+    try {
+      const request = response.request();
+      const type = request.resourceType();
+      const headers = response.headers() || {};
+      const contentType = String(headers['content-type'] || '').toLowerCase();
+      if (!['xhr', 'fetch'].includes(type) && !contentType.includes('json')) return;
+      if (Number(headers['content-length'] || 0) > MAX_NETWORK_BODY_BYTES) return;
+
+      const text = await response.text().catch(() => null);
+      if (!text || !text.includes(this.identifier)) return;
+
+      let payload;
+      try { payload = JSON.parse(text); } catch (_) { return; }
+      const match = findMovieInPayload(payload, this.identifier);
+      if (!match) return;
+
+      let href = null;
+      try { href = match.href ? new URL(match.href, response.url()).href : null; } catch (_) { href = match.href; }
+      this._handleFound(href, 'network response', {
+        responseUrl: response.url(),
+        name: match.name,
+        showtimes: match.showtimes,
+        formats: match.formats,
+        languages: match.languages
+      }, seenAt);
+    } catch (e) {
+      this.logger.warn(`[Watcher ${this.id}] network response inspection failed: ${e && e.message ? e.message : e}`);
+    }
+  }
+
+  // Open fresh page/context via pageFactory and attach observer (waits for load).
+  // `url` pins the navigation target; by default it is recomputed from the date mode.
+  async _openPageAndAttach({ url = null } = {}) {
     // close previous if present
     if (this.page || this.context) {
       await this._closePageContext().catch(() => {});
       this.page = null; this.context = null;
     }
 
+    this._recreateNext = false;
     // pageFactory returns { page, context } or a page
     const res = await this.pageFactory({ taskId: this.id }).catch(err => { throw err; });
     if (!res) throw new Error('pageFactory returned falsy');
@@ -67,36 +319,44 @@ class Watcher {
     this.page = page;
     this.context = context || (page.context ? page.context() : null);
 
+    // network strategy listens before navigating so the first showtimes fetch is seen
+    if (this._usesNetwork && typeof this.page.on === 'function') {
+      this.page.on('response', (response) => { this._onNetworkResponse(response); });
+    }
+
     // Expose unique binding for this watcher. If exposeFunction fails, log and continue.
-    try {
-      await this.page.exposeFunction(this._bindingName, (href) => {
-        try {
-          if (!this.found) {
-            this.found = true;
-            this.foundHref = href;
-            this.logger.log(`[Watcher ${this.id}] <<< FOUND via binding ${this._bindingName} >>> ${href}`);
-            try { if (this.onFoundCallback) this.onFoundCallback({ id: this.id, href, identifier: this.identifier }); } catch (e) {}
-          }
-        } catch (e) {}
-      });
-      this.logger.log(`[Watcher ${this.id}] exposed binding: ${this._bindingName}`);
-    } catch (e) {
-      this.logger.warn(`[Watcher ${this.id}] exposeFunction failed for ${this._bindingName}:`, e && e.message ? e.message : e);
+    if (this._usesDom) {
+      try {
+        await this.page.exposeFunction(this._bindingName, (href, seenAt) => {
+          try { this._handleFound(href, `binding ${this._bindingName}`, null, seenAt); } catch (e) {}
+        });
+        this.logger.log(`[Watcher ${this.id}] exposed binding: ${this._bindingName}`);
+      } catch (e) {
+        this.logger.warn(`[Watcher ${this.id}] exposeFunction failed for ${this._bindingName}:`, e && e.message ? e.message : e);
+      }
     }
 
-    // Navigate to cinema URL and wait for full load
+    // Navigate to cinema URL (for the current target date) and wait for full load
+    let usable = true;
     try {
-      await this.page.goto(this.cinemaUrl, { waitUntil: 'load', timeout: 45000 });
+      const response = await this.page.goto(url || this._nextTargetUrl(), { waitUntil: 'load', timeout: 45000 });
       // extra guard: wait for networkidle if necessary (best-effort)
       try { await this.page.waitForLoadState('networkidle', { timeout: 8000 }); } catch (_) {}
-      this.logger.log(`[Watcher ${this.id}] navigation to cinemaUrl completed (load state)`);
+      this.logger.log(`[Watcher ${this.id}] navigation to ${this.targetUrl} completed (load state)`);
+      usable = await this._checkLoadedPage(response);
     } catch (gotoErr) {
       this.logger.warn(`[Watcher ${this.id}] initial goto failed: ${gotoErr && gotoErr.message ? gotoErr.message : gotoErr}. Attempting reload, then continue.`);
-      try { await this.page.reload({ waitUntil: 'load', timeout: 30000 }); } catch (reloadErr) { this.logger.warn(`[Watcher ${this.id}] reload failed: ${reloadErr && reloadErr.message ? reloadErr.message : reloadErr}`); }
+      try {
+        const response = await this.page.reload({ waitUntil: 'load', timeout: 30000 });
+        usable = await this._checkLoadedPage(response);
+      } catch (reloadErr) {
+        this.logger.warn(`[Watcher ${this.id}] reload failed: ${reloadErr && reloadErr.message ? reloadErr.message : reloadErr}`);
+        this._recordFailure(gotoErr);
+      }
     }
 
-    // Once page is loaded (or after fallback reload), inject observer script
-    await this._injectObserverScript();
+    // Once page is loaded (or after fallback reload), inject observer script — not into a block page
+    if (this._usesDom && usable) await this._injectObserverScript();
   }
 
   // Inject mutation observer script adapted from your snippet and call binding on found
@@ -144,11 +404,12 @@ class Watcher {
         }
 
         function done(link, source) {
+          const seenAt = Date.now();
           try {
             const href = link && (link.href || (link.getAttribute && link.getAttribute('href')) ) || null;
             console.log('✅ Link found via ' + source + ':', href);
             if (bindingName && window[bindingName] && typeof window[bindingName] === 'function') {
-              try { window[bindingName](href); } catch(e) { console.warn('binding call failed', e); }
+              try { window[bindingName](href, seenAt); } catch(e) { console.warn('binding call failed', e); }
             } else {
               // fallback: dispatch event
               try { window.dispatchEvent(new CustomEvent('__bms_found', { detail: { href } })); } catch(e){}
@@ -195,8 +456,10 @@ class Watcher {
       } catch (err) { console.warn('observer injection failed', err); }
     })();`;
 
+    const startedAt = Date.now();
     try {
       await this.page.evaluate(script => { const fn = new Function(script); return fn(); }, script);
+      this._observe('bms_watcher_observer_injection_seconds', (Date.now() - startedAt) / 1000);
       this._observerInjected = true;
       this.logger.log(`[Watcher ${this.id}] MutationObserver injected (binding: ${BINDING})`);
     } catch (e) {
@@ -206,62 +469,88 @@ class Watcher {
     }
   }
 
-  // periodic reload: navigate to cinemaUrl again, wait for load, re-expose binding and re-inject observer
+  // periodic reload: navigate to cinemaUrl again (date recomputed from the date mode), wait for load, re-expose binding and re-inject observer
   _scheduleReload() {
     if (this.pollIntervalSeconds <= 0) return;
     if (this._reloadTimer) clearTimeout(this._reloadTimer);
 
     this._reloadTimer = setTimeout(async () => {
       if (!this.running || this.found) return;
+      const startedAt = Date.now();
+      this._count('bms_watcher_reloads_total');
       try {
         this.logger.log(`[Watcher ${this.id}] Reloading page to catch dynamic updates (will navigate to cinemaUrl) ...`);
-        if (!this.page) {
-          // open fresh if page closed unexpectedly
-          await this._openPageAndAttach().catch((e) => { this.logger.warn(`[Watcher ${this.id}] reopen failed: ${e && e.message ? e.message : e}`); });
+        const recreate = !this.page || this._shouldRecreate();
+        this._emitEvent('reload', { recreate });
+        if (recreate) {
+          // open fresh if page closed unexpectedly, or replace a context that keeps failing / got blocked
+          if (this.page) {
+            this.health.recreations++;
+            const why = this._recreateNext ? `page was ${this.access.state}` : `${this.health.consecutiveFailures} failures in a row`;
+            this.logger.warn(`[Watcher ${this.id}] ${why} → recreating page/context`);
+          }
+          await this._openPageAndAttach().catch((e) => {
+            this.logger.warn(`[Watcher ${this.id}] reopen failed: ${e && e.message ? e.message : e}`);
+            this._recordFailure(e);
+          });
         } else {
+          let usable = true;
           try {
-            await this.page.goto(this.cinemaUrl, { waitUntil: 'load', timeout: 45000 });
+            const response = await this.page.goto(this._nextTargetUrl(), { waitUntil: 'load', timeout: 45000 });
             try { await this.page.waitForLoadState('networkidle', { timeout: 8000 }); } catch (_) {}
             this.logger.log(`[Watcher ${this.id}] reload navigation complete (load)`);
+            usable = await this._checkLoadedPage(response);
           } catch (navErr) {
             this.logger.warn(`[Watcher ${this.id}] reload navigation failed: ${navErr && navErr.message ? navErr.message : navErr}`);
-            try { await this.page.reload({ waitUntil: 'load', timeout: 30000 }); } catch (_) {}
+            try {
+              const response = await this.page.reload({ waitUntil: 'load', timeout: 30000 });
+              usable = await this._checkLoadedPage(response);
+            } catch (_) {
+              this._recordFailure(navErr);
+            }
           }
 
-          // re-expose binding safely (fresh context avoids collisions, but re-expose in case)
-          try {
-            await this.page.exposeFunction(this._bindingName, (href) => {
-              if (!this.found) {
-                this.found = true;
-                this.foundHref = href;
-                this.logger.log(`[Watcher ${this.id}] <<< FOUND (via re-exposed) >>> ${href}`);
-                if (this.onFoundCallback) this.onFoundCallback({ id: this.id, href, identifier: this.identifier });
-              }
-            });
-          } catch (e) { /* ignore expose errors */ }
+          if (this._usesDom && usable) {
+            // re-expose binding safely (fresh context avoids collisions, but re-expose in case)
+            try {
+              await this.page.exposeFunction(this._bindingName, (href, seenAt) => this._handleFound(href, 're-exposed binding', null, seenAt));
+            } catch (e) { /* ignore expose errors */ }
 
-          // re-inject observer
-          await this._injectObserverScript().catch(err => {
-            this.logger.warn(`[Watcher ${this.id}] re-inject observer failed: ${err && err.message ? err.message : err}`);
-          });
+            // re-inject observer
+            await this._injectObserverScript().catch(err => {
+              this.logger.warn(`[Watcher ${this.id}] re-inject observer failed: ${err && err.message ? err.message : err}`);
+            });
+          }
         }
       } catch (e) {
         this.logger.error(`[Watcher ${this.id}] error during reload/attach:`, e && e.message ? e.message : e);
       } finally {
+        this._observe('bms_watcher_reload_duration_seconds', (Date.now() - startedAt) / 1000, { backend: 'browser' });
         this._scheduleReload();
       }
-    }, this.pollIntervalSeconds * 1000);
+    }, this._nextReloadDelayMs());
+  }
+
+  // change the reload cadence while running; the pending reload is rescheduled from now
+  setPollInterval(seconds) {
+    const next = Number(seconds);
+    if (!next || next <= 0 || next === this.pollIntervalSeconds) return false;
+    this.logger.log(`[Watcher ${this.id}] poll interval ${this.pollIntervalSeconds}s → ${next}s`);
+    this.pollIntervalSeconds = next;
+    if (this.running && !this.found && this._reloadTimer) this._scheduleReload();
+    return true;
   }
 
   // rotate: create fresh page/context, navigate+inject, then close old context (keeps session fresh)
   _scheduleRotate() {
-    if (!this.rotateIntervalMs || this.rotateIntervalMs <= 0) return;
+    if (!this.rotateIntervalMs) return;
     if (this._rotateTimer) clearTimeout(this._rotateTimer);
 
     this._rotateTimer = setTimeout(async () => {
       if (!this.running || this.found) return;
       try {
         this.logger.log(`[Watcher ${this.id}] rotating page/context to refresh session`);
+        this._emitEvent('rotate', { reason: 'session refresh' });
         const oldPage = this.page, oldContext = this.context;
         await this._openPageAndAttach().catch(err => {
           this.logger.warn(`[Watcher ${this.id}] rotate open+attach failed: ${err && err.message ? err.message : err}`);
@@ -280,10 +569,9 @@ class Watcher {
     }, this.rotateIntervalMs);
   }
 
+  // closes the page/context only; the reload and rotate timers keep running across the
+  // rotations and recreations that call this (stop() clears them)
   async _closePageContext() {
-    if (this._reloadTimer) { clearTimeout(this._reloadTimer); this._reloadTimer = null; }
-    if (this._rotateTimer) { clearTimeout(this._rotateTimer); this._rotateTimer = null; }
-
     try {
       if (this.page && !this.page.isClosed && typeof this.page.close === 'function') await this.page.close().catch(()=>{});
     } catch (_) {}
@@ -299,10 +587,33 @@ class Watcher {
     this._observerInjected = false;
   }
 
+  // snapshot for /debug/watchers
+  debugInfo() {
+    return {
+      id: this.id,
+      backend: this.backend,
+      strategy: this.strategy,
+      running: this.running,
+      found: this.found,
+      hasPage: !!this.page,
+      pollIntervalSeconds: this.pollIntervalSeconds,
+      health: { ...this.health },
+      access: { ...this.access },
+      observerInjected: this._observerInjected,
+      targetUrl: this.targetUrl,
+      targetDateCode: this.targetDateCode
+    };
+  }
+
   async stop() {
     this.running = false;
     this.found = false;
     this.foundHref = null;
+    this.foundDateCode = null;
+    this.foundUrl = null;
+    this.foundVia = null;
+    this.foundDetails = null;
+    this.foundSeenAt = null;
     if (this._reloadTimer) { clearTimeout(this._reloadTimer); this._reloadTimer = null; }
     if (this._rotateTimer) { clearTimeout(this._rotateTimer); this._rotateTimer = null; }
     try { await this._closePageContext(); } catch (e) {}
@@ -310,4 +621,6 @@ class Watcher {
   }
 }
 
+Watcher.STRATEGIES = STRATEGIES;
+
 module.exports = Watcher;
@@ -4,14 +4,126 @@
 
 const { chromium } = require('playwright');
 const Watcher = require('./watcher');
+const HttpWatcher = require('./httpWatcher');
+const PageScheduler = require('./pageScheduler');
 const path = require('path');
 const fs = require('fs');
+const { parseBuyticketsUrl, isBookMyShowUrl, normalizeDateCode, withDateCode, dateRange, normalizeDateMode } = require('./bmsUrl');
+const { normalizeReleaseWindows, isInReleaseWindow, describeReleaseWindow } = require('./releaseWindow');
+const { isBlockingKind } = require('./pageClassifier');
+const { Notifier, normalizeChannels, describeChannel, formatMessage } = require('./notifier');
+const BookingRuns = require('./bookingRuns');
+const Storage = require('./storage');
+const Metrics = require('./metrics');
+const MovieCatalog = require('./movieCatalog');
+const { scrapeUpcoming } = require('./upcomingScraper');
+const HandoffSessions = require('./handoffSessions');
+const { normalizeSeatPreferences } = require('./seatPreferences');
+const { SeatMapCache, checkSeats, showKey } = require('./seatMap');
+const { normalizeShowtimeRules } = require('./showtimeRules');
+const { Accounts, normalizeAccountDispatch } = require('./accounts');
+const { normalizeQuotas, effectiveQuotas, quotaError } = require('./quotas');
+const { SecretStore, SECRET_FIELDS, sealBookingSettings, unsealBookingSettings, redactBookingSettings } = require('./secrets');
+
+// upper bound on cinemas x dates a single watch group may expand into
+const MAX_GROUP_MEMBERS = 60;
+
+// watcher backends: 'browser' = a Playwright page per task, 'http' = HttpWatcher polling
+// over plain HTTP that only borrows a page when a check is inconclusive
+const BACKENDS = ['browser', 'http'];
+
+// task statuses that still hold (or wait for) a watcher; 'degraded' = running but failing to load,
+// 'blocked' = running but served a block/challenge page, i.e. blind until the site lets it back in
+const WATCHING_STATUSES = ['starting', 'running', 'degraded', 'blocked', 'queued'];
+// the subset with a live watcher
+const LIVE_STATUSES = ['running', 'degraded', 'blocked'];
+
+// per-task event journal (GET /api/tasks/:id/events). Reloads, rotations and errors repeat all
+// day long, so only the newest ROUTINE_EVENTS_KEPT of each stay in the journal; all are counted
+const TASK_EVENT_TYPES = ['created', 'started', 'reload', 'rotate', 'error', 'found', 'booking-step', 'stopped'];
+const ROUTINE_EVENT_TYPES = ['reload', 'rotate', 'error'];
+const ROUTINE_EVENTS_KEPT = 200;
+const MAX_EVENTS_PER_REQUEST = 1000;
+
+// autoBookBMS's `timers` hold <step>Start / <step>End pairs (plus start / end for the whole run)
+const BOOKING_TIMER_STEPS = ['goto', 'waitReady', 'findCell', 'showtimeClick', 'selectQty', 'waitSeatLayout', 'inject'];
+
+// { step: seconds } for the steps that both started and ended; 'total' is start → end
+function bookingStepDurations(timers) {
+  const out = {};
+  if (!timers || typeof timers !== 'object') return out;
+  const span = (from, to) => Number.isFinite(timers[from]) && Number.isFinite(timers[to]) && timers[to] >= timers[from] ? (timers[to] - timers[from]) / 1000 : null;
+  for (const step of BOOKING_TIMER_STEPS) {
+    const seconds = span(`${step}Start`, `${step}End`);
+    if (seconds != null) out[step] = seconds;
+  }
+  const total = span('start', 'end');
+  if (total != null) out.total = total;
+  return out;
+}
+
+// tasks inside their release window outrank every task outside of one when waiting for a page
+const RELEASE_WINDOW_PRIORITY_BOOST = 1000;
+const MAX_PRIORITY = 100;
+
+function normalizePriority(priority) {
+  if (priority == null || priority === '') return 0;
+  const p = Number(priority);
+  if (!Number.isInteger(p) || Math.abs(p) > MAX_PRIORITY) throw new Error(`priority must be an integer between -${MAX_PRIORITY} and ${MAX_PRIORITY}`);
+  return p;
+}
+
+// { channels, global } — own channels plus (unless global === false) the manager-wide ones
+function normalizeNotify(notify) {
+  if (!notify) return { channels: [], global: true };
+  return { channels: normalizeChannels(notify.channels), global: notify.global !== false };
+}
+
+// bookingSettings are free-form except SEAT_PREFS, SHOWTIME (rules) and ACCOUNTS (dispatch, whose
+// per-account settings get the same checks), which are validated up front
+function normalizeBookingSettings(bookingSettings) {
+  if (!bookingSettings) return null;
+  const out = { ...bookingSettings };
+  if (out.SEAT_PREFS != null) out.SEAT_PREFS = normalizeSeatPreferences(out.SEAT_PREFS);
+  if (out.SHOWTIME != null) out.SHOWTIME = normalizeShowtimeRules(out.SHOWTIME);
+  if (out.ACCOUNTS != null) {
+    out.ACCOUNTS = normalizeAccountDispatch(out.ACCOUNTS);
+    if (out.ACCOUNTS) {
+      out.ACCOUNTS = out.ACCOUNTS.map(d => {
+        if (!d.settings) return d;
+        // contact and payment details come from the account itself
+        const secret = SECRET_FIELDS.find(f => d.settings[f] !== undefined);
+        if (secret) throw new Error(`${secret} is set on the booking account, not in its ACCOUNTS settings`);
+        const { ACCOUNTS, ...settings } = normalizeBookingSettings(d.settings);
+        return { ...d, settings };
+      });
+    }
+  }
+  return out;
+}
+
+function notifyView(notify, notifications) {
+  const n = notify || { channels: [], global: true };
+  return { global: n.global !== false, channels: (n.channels || []).map(describeChannel), deliveries: notifications || [] };
+}
+
+function assertBackend(backend) {
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown watcher backend: ${backend}`);
+}
+
+function toMb(bytes) {
+  return Math.round(bytes / 1024 / 1024 * 10) / 10;
+}
 
 let bookingAutomationFn = null;
+let seatMapExtractorFn = null;
+let accountLoginFn = null;
 try {
   const ab = require('./autoBookBMS');
   bookingAutomationFn = ab._runBookingAutomation || ab.autoBookBMS || null;
   if (typeof bookingAutomationFn !== 'function') bookingAutomationFn = null;
+  seatMapExtractorFn = typeof ab.extractSeatMap === 'function' ? ab.extractSeatMap : null;
+  accountLoginFn = typeof ab.openLoginBrowser === 'function' ? ab.openLoginBrowser : null;
 } catch (e) {
   bookingAutomationFn = null;
 }
@@ -19,31 +131,174 @@ try {
 let Player = null;  
 try { Player = require('play-sound')({}); } catch (e) { Player = null; }
 
-function safeTaskView(task) {
-  const { id, location, cinemaName, cinemaUrl, identifier, status, createdAt, href, foundHref, bookingSettings } = task;
+// `secrets` resolves bookingSettings.SECRETS into masked values
+function safeTaskView(task, secrets) {
+  const { id, location, cinemaName, cinemaUrl, identifier, status, createdAt, href, foundHref, bookingSettings, groupId, dateCode, dateMode, matchedDateCode, foundCinemaUrl, strategy, detection, backend, queuePosition, priority, releaseWindows, pollIntervalSeconds, inReleaseWindow, health, access, notify, notifications, lastBooking, owner } = task;
   return {
-    id, location, cinemaName, cinemaUrl, identifier, status, createdAt,
+    id, owner: owner || null, location, cinemaName, cinemaUrl, identifier, status, createdAt,
     href: href || null,
     foundHref: foundHref || null,
-    bookingSettings: bookingSettings || null
+    bookingSettings: bookingSettings ? redactBookingSettings(bookingSettings, secrets) : null,
+    groupId: groupId || null,
+    dateCode: dateCode || null,
+    dateMode: dateMode || { type: 'fixed' },
+    matchedDateCode: matchedDateCode || null,
+    foundCinemaUrl: foundCinemaUrl || null,
+    strategy: strategy || 'dom',
+    backend: backend || 'browser',
+    detection: detection || null,
+    queuePosition: status === 'queued' ? (queuePosition || null) : null,
+    priority: priority || 0,
+    releaseWindows: releaseWindows || [],
+    pollIntervalSeconds: pollIntervalSeconds || null,
+    inReleaseWindow: !!inReleaseWindow,
+    health: health || null,
+    access: access || null,
+    notify: notifyView(notify, notifications),
+    lastBooking: lastBooking || null
+  };
+}
+
+function safeGroupView(group, tasks) {
+  const members = tasks.filter(t => t.groupId === group.id);
+  const count = status => members.filter(t => t.status === status).length;
+  return {
+    id: group.id,
+    owner: group.owner || null,
+    name: group.name || null,
+    location: group.location,
+    identifier: group.identifier,
+    cinemas: group.cinemas,
+    dates: group.dates,
+    minMatches: group.minMatches,
+    venueCodes: group.venueCodes,
+    strategy: group.strategy || 'dom',
+    backend: group.backend || 'browser',
+    priority: group.priority || 0,
+    releaseWindows: group.releaseWindows || [],
+    notify: notifyView(group.notify, group.notifications),
+    status: group.status,
+    createdAt: group.createdAt,
+    foundAt: group.foundAt || null,
+    progress: {
+      total: members.length,
+      running: count('running') + count('starting') + count('degraded') + count('blocked'),
+      degraded: count('degraded'),
+      blocked: count('blocked'),
+      queued: count('queued'),
+      found: count('found'),
+      stopped: count('stopped'),
+      error: count('error')
+    },
+    matches: members.filter(t => t.status === 'found').map(t => ({
+      taskId: t.id, cinemaName: t.cinemaName, dateCode: t.dateCode || null, foundHref: t.foundHref || null
+    })),
+    taskIds: members.map(t => t.id)
   };
 }
 
 class WatcherManager {
-  constructor({ maxPages = 6, pollIntervalSeconds = 5, logger = console, tasksFile = null } = {}) {
+  constructor({ maxPages = 6, pollIntervalSeconds = 5, logger = console, storage = null, defaultBackend = 'browser', pageSliceSeconds = 60, releasePollSeconds = 2, idlePollSeconds = 60, maxBackoffSeconds = 300, degradedAfterFailures = 3, recreateAfterFailures = 5, blockPauseSeconds = 600, pauseAfterBlocks = 3, notifier = null, bookingAutomation, maxConcurrentBookings = 2, artifactsDir = null, bookingTraces = false, bookingHandoff = false, handoffTimeoutSeconds = 600, seatMapExtractor, seatMapsFile = null, seatMapTtlSeconds = 900, maxConcurrentSeatMapScans = 1, seatMapQueueLimit = 10, secretsFile = null, secretsKey = null, accountsFile = null, profilesDir = null, accountLogin, accountLoginHeaded = false, accountLoginUrl = 'https://in.bookmyshow.com/', quotas = null, metrics = null, upcomingScraper, catalogBaseUrl, catalogLocations = null, catalogMaxLocations = 50, catalogRefreshSeconds = 3600 } = {}) {
+    assertBackend(defaultBackend || 'browser');
     this.maxPages = Number(maxPages) || 6;
+    this.defaultBackend = defaultBackend || 'browser';
     this.pollIntervalSeconds = Number(pollIntervalSeconds) || 5;
+    // tasks with release windows poll faster inside them and back off outside
+    this.releasePollSeconds = Number(releasePollSeconds) || 2;
+    this.idlePollSeconds = Number(idlePollSeconds) || 60;
+    // passed to every watcher: backoff cap, failures before 'degraded' / before a fresh context,
+    // blocked loads before pausing and for how long
+    this.watcherHealthOptions = {
+      maxBackoffSeconds: Number(maxBackoffSeconds) || 300,
+      degradedAfterFailures: Number(degradedAfterFailures) || 3,
+      recreateAfterFailures: Number(recreateAfterFailures) || 5,
+      blockPauseSeconds: Number(blockPauseSeconds) || 600,
+      pauseAfterBlocks: Number(pauseAfterBlocks) || 3
+    };
     this.logger = logger;
+    // default per-user limits (quotas.js); users may carry their own overrides in user.quotas
+    this.quotas = normalizeQuotas(quotas);
+    // found alerts beyond SSE/server audio; global channels come from the Notifier itself
+    this.notifier = notifier || new Notifier({ logger });
+    // tasks, groups, status history, booking runs and notification deliveries (SQLite, see
+    // storage.js); without one the manager keeps them in an in-memory database of its own
+    this._ownsStorage = !storage;
+    this.storage = storage || new Storage({ logger });
+    // reload / detection / booking timings and error counts for /metrics (see metrics.js)
+    this.metrics = metrics || new Metrics();
+    this._collectMetrics();
+    // booking automation runs (one record per attempt); each run launches its own browser, so
+    // at most maxConcurrentBookings execute at once and the rest wait as 'queued'
+    this.bookingAutomationFn = bookingAutomation === undefined ? bookingAutomationFn : bookingAutomation;
+    this.maxConcurrentBookings = Number(maxConcurrentBookings) || 2;
+    this._bookingQueue = [];
+    this._bookingsActive = 0;
+    // with artifactsDir set every run keeps step screenshots (and a Playwright trace if bookingTraces)
+    this.bookingTraces = !!bookingTraces;
+    this.bookingRuns = new BookingRuns({ storage: this.storage, artifactsDir, onChange: run => this._onBookingRunChanged(run), logger });
+    // bookingHandoff: runs stop at the payment step and a person finishes it through a live view;
+    // the run keeps its booking slot (and browser) until the session is released or times out
+    this.bookingHandoff = !!bookingHandoff;
+    this.handoffs = new HandoffSessions({ timeoutSeconds: handoffTimeoutSeconds, logger, onChange: session => this._broadcast({ type: 'handoff', id: session.taskId, session }) });
+    // seat maps scanned from a show's layout, cached per screen; concurrent requests for the
+    // same show share one scan
+    this.seatMapExtractorFn = seatMapExtractor === undefined ? seatMapExtractorFn : seatMapExtractor;
+    this.seatMaps = new SeatMapCache({ file: seatMapsFile, ttlSeconds: seatMapTtlSeconds, logger });
+    this._seatMapScans = new Map();
+    // every scan launches a Chromium: at most maxConcurrentSeatMapScans at once, seatMapQueueLimit
+    // more waiting, the rest are turned away (503)
+    this.maxConcurrentSeatMapScans = Number(maxConcurrentSeatMapScans) || 1;
+    this.seatMapQueueLimit = Number(seatMapQueueLimit) || 10;
+    this._seatMapScansActive = 0;
+    this._seatMapWaiting = [];
+    // booking contact / payment details, encrypted at rest; tasks and accounts reference them
+    this.secrets = new SecretStore({ file: secretsFile, key: secretsKey, logger });
+    // booking accounts with their own browser profiles; tasks dispatch runs to them through
+    // bookingSettings.ACCOUNTS, and logins go through the handoff live view (or a visible
+    // window with accountLoginHeaded)
+    this.accounts = new Accounts({ file: accountsFile, profilesDir, secrets: this.secrets, logger, onChange: account => this._broadcast({ type: 'account', account }) });
+    this.accountLoginFn = accountLogin === undefined ? accountLoginFn : accountLogin;
+    this.accountLoginHeaded = !!accountLoginHeaded;
+    this.accountLoginUrl = accountLoginUrl;
+    // upcoming movies per location for GET /api/upcoming, refreshed in the background with the
+    // shared browser and kept in storage (movieCatalog.js)
+    this.catalog = new MovieCatalog({
+      storage: this.storage,
+      scrape: upcomingScraper === undefined ? scrapeUpcoming : upcomingScraper,
+      getBrowser: () => this._ensureBrowser(),
+      baseUrl: catalogBaseUrl,
+      locations: catalogLocations,
+      maxLocations: catalogMaxLocations,
+      refreshSeconds: catalogRefreshSeconds,
+      logger
+    });
+    this.catalog.start();
 
     this.browser = null;          // Playwright browser
+    this._browserLaunch = null;   // pending launch, shared by concurrent _ensureBrowser calls
     this.tasks = [];              // in-memory tasks
-    this.sseClients = new Set();
+    this.groups = [];             // watch groups (members live in this.tasks with groupId)
+    this.sseClients = new Map();  // send fn → user it streams for (null = everything)
 
-    this.tasksFile = tasksFile ? path.resolve(tasksFile) : null;
     this._saveTimer = null;
-    this._lastSavedJson = null;
+    this._savedTasks = new Map();    // task id → { json, status } as last written to storage
+    this._savedGroups = new Map();   // group id → json
 
     this.rotateIntervalMs = process.env.PAGE_ROTATE_MS ? Number(process.env.PAGE_ROTATE_MS) : (5 * 60 * 1000);
+    this.httpDataUrlTemplate = process.env.BMS_SHOWTIMES_API || HttpWatcher.DEFAULT_DATA_URL_TEMPLATE;
+
+    // browser-backed watchers share `maxPages` pages; the rest wait as 'queued' and rotate in
+    this.scheduler = new PageScheduler({
+      maxPages: this.maxPages,
+      sliceMs: (Number(pageSliceSeconds) || 60) * 1000,
+      startFn: id => this._startScheduledTask(id),
+      pauseFn: id => this._pauseScheduledTask(id),
+      onChange: () => this._onQueueChanged(),
+      logger: this.logger
+    });
+
+    this._pollPolicyTimer = setInterval(() => this._applyPollPolicies(), 30 * 1000);
+    if (this._pollPolicyTimer.unref) this._pollPolicyTimer.unref();
 
     this._pwLaunchArgs = [
       '--start-maximized',
@@ -56,69 +311,124 @@ class WatcherManager {
       '--remote-allow-origins=*'
     ];
 
-    if (this.tasksFile) this._loadTasksFromFile();
+    this._loadGroups();
+    this._loadTasks();
   }
 
   async init() { return Promise.resolve(); }
 
-  _loadTasksFromFile() {
+  _loadTasks() {
     try {
-      if (!this.tasksFile) { this.tasks = []; return; }
-      if (!fs.existsSync(this.tasksFile)) {
-        fs.mkdirSync(path.dirname(this.tasksFile), { recursive: true });
-        fs.writeFileSync(this.tasksFile, JSON.stringify([], null, 2), 'utf8');
-        this._lastSavedJson = '[]';
-      }
-      const raw = fs.readFileSync(this.tasksFile, 'utf8') || '[]';
-      const arr = JSON.parse(raw);
-      this.tasks = Array.isArray(arr) ? arr.map(t => ({ ...t, watcher: null })) : [];
-      this._lastSavedJson = JSON.stringify(this.tasks.map(({ watcher, ...rest }) => rest), null, 2);
-      this.logger.log(`Loaded ${this.tasks.length} tasks from ${this.tasksFile}`);
+      this.tasks = this.storage.loadTasks().map(t => ({ ...t, watcher: null }));
+      for (const { watcher, ...rest } of this.tasks) this._savedTasks.set(rest.id, { json: JSON.stringify(rest), status: rest.status });
+      if (this.tasks.length) this.logger.log(`Loaded ${this.tasks.length} tasks from ${this.storage.file}`);
+      this._sealStoredTasks();
 
       for (const t of this.tasks) {
-        if (t.status === 'running' || t.status === 'starting') {
+        if (WATCHING_STATUSES.includes(t.status)) {
           this._resumeTaskWatcher(t).catch(err => {
-            this.logger.error(`Failed to resume watcher for ${t.id}:`, err && err.message ? err.message : err);
+            this._logFor(t).error(`Failed to resume watcher for ${t.id}:`, err && err.message ? err.message : err);
             t.status = 'error';
-            this._saveTasksToFileImmediate();
+            this._saveTasksImmediate();
           });
         }
       }
     } catch (e) {
-      this.logger.error('Failed to load tasks file:', e && e.message ? e.message : e);
+      this.logger.error('Failed to load tasks:', e && e.message ? e.message : e);
       this.tasks = [];
     }
   }
 
-  _saveTasksToFileImmediate() {
-    if (!this.tasksFile) return;
+  // tasks stored before the secrets store kept contact details in bookingSettings
+  _sealStoredTasks() {
+    const plain = this.tasks.filter(t => t.bookingSettings && SECRET_FIELDS.some(f => t.bookingSettings[f] !== undefined));
+    if (!plain.length) return;
+    if (this.secrets.locked) {
+      this.logger.warn(`${plain.length} tasks still hold plaintext booking details; the secrets store is locked`);
+      return;
+    }
+    for (const t of plain) t.bookingSettings = sealBookingSettings(t.bookingSettings, this.secrets);
+    this._saveTasksImmediate();
+    this.logger.log(`Moved booking details of ${plain.length} tasks into the secrets store`);
+  }
+
+  // writes the tasks that changed since the last save (and each status change to the task's
+  // history) and deletes the ones that are gone
+  _saveTasksImmediate() {
+    if (this._saveTimer) { clearTimeout(this._saveTimer); this._saveTimer = null; }
     try {
-      const toSave = this.tasks.map(({ watcher, ...rest }) => rest);
-      const json = JSON.stringify(toSave, null, 2);
-      if (this._lastSavedJson === json) return;
-      fs.writeFileSync(this.tasksFile, json, 'utf8');
-      this._lastSavedJson = json;
-      this.logger.log(`Saved tasks to ${this.tasksFile}`);
+      const changed = [];
+      const statusChanges = [];
+      const ids = new Set();
+      for (const { watcher, ...rest } of this.tasks) {
+        ids.add(rest.id);
+        const json = JSON.stringify(rest);
+        const saved = this._savedTasks.get(rest.id);
+        if (saved && saved.json === json) continue;
+        changed.push(rest);
+        if (!saved || saved.status !== rest.status) statusChanges.push(rest);
+        this._savedTasks.set(rest.id, { json, status: rest.status });
+      }
+      const removed = [...this._savedTasks.keys()].filter(id => !ids.has(id));
+      for (const id of removed) this._savedTasks.delete(id);
+      this.storage.saveTasks(changed);
+      for (const t of statusChanges) this.storage.recordStatus(t.id, t.status);
+      this.storage.deleteTasks(removed);
     } catch (e) {
-      this.logger.error('Failed to save tasks file:', e && e.message ? e.message : e);
+      this.logger.error('Failed to save tasks:', e && e.message ? e.message : e);
     }
   }
 
-  _saveTasksToFile(debounceMs = 300) {
-    if (!this.tasksFile) return;
+  _saveTasks(debounceMs = 300) {
     if (this._saveTimer) clearTimeout(this._saveTimer);
-    this._saveTimer = setTimeout(() => this._saveTasksToFileImmediate(), debounceMs);
+    this._saveTimer = setTimeout(() => this._saveTasksImmediate(), debounceMs);
+  }
+
+  _loadGroups() {
+    try {
+      this.groups = this.storage.loadGroups();
+      for (const g of this.groups) this._savedGroups.set(g.id, JSON.stringify(g));
+      if (this.groups.length) this.logger.log(`Loaded ${this.groups.length} watch groups from ${this.storage.file}`);
+    } catch (e) {
+      this.logger.error('Failed to load groups:', e && e.message ? e.message : e);
+      this.groups = [];
+    }
+  }
+
+  _saveGroups() {
+    try {
+      const changed = [];
+      for (const g of this.groups) {
+        const json = JSON.stringify(g);
+        if (this._savedGroups.get(g.id) === json) continue;
+        changed.push(g);
+        this._savedGroups.set(g.id, json);
+      }
+      const ids = new Set(this.groups.map(g => g.id));
+      const removed = [...this._savedGroups.keys()].filter(id => !ids.has(id));
+      for (const id of removed) this._savedGroups.delete(id);
+      this.storage.saveGroups(changed);
+      this.storage.deleteGroups(removed);
+    } catch (e) {
+      this.logger.error('Failed to save groups:', e && e.message ? e.message : e);
+    }
   }
 
   // ---------- Playwright browser helpers ----------
   async _ensureBrowser() {
     if (this.browser) return this.browser;
-    this.browser = await chromium.launch({
-      headless: true,
-      args: this._pwLaunchArgs
-    });
-    this.logger.log('🌐 Playwright chromium browser launched');
-    return this.browser;
+    // task startup and catalog scrapes can ask at the same time; they all get the one launch
+    if (!this._browserLaunch) {
+      this._browserLaunch = chromium.launch({
+        headless: true,
+        args: this._pwLaunchArgs
+      }).then(browser => {
+        this.browser = browser;
+        this.logger.log('🌐 Playwright chromium browser launched');
+        return browser;
+      }).finally(() => { this._browserLaunch = null; });
+    }
+    return this._browserLaunch;
   }
 
   // create a fresh incognito context + page per task
@@ -145,11 +455,97 @@ class WatcherManager {
   }
 
   // SSE helpers
-  addSseClient(sendFn) { this.sseClients.add(sendFn); return () => this.sseClients.delete(sendFn); }
+  // with `user` the client only receives events about what that user may see
+  addSseClient(sendFn, { user = null } = {}) { this.sseClients.set(sendFn, user); return () => this.sseClients.delete(sendFn); }
   _broadcast(obj) {
     let safe;
     try { safe = JSON.parse(JSON.stringify(obj)); } catch (e) { safe = { type: 'error', message: 'broadcast serialization failed' }; }
-    for (const s of this.sseClients) { try { s(safe); } catch (e) {} }
+    for (const [s, user] of this.sseClients) {
+      try {
+        const event = this._eventFor(safe, user);
+        if (event) s(event);
+      } catch (e) {}
+    }
+  }
+
+  // the event as `user` gets it, or null; events about no task / group / account go to everyone
+  _eventFor(obj, user) {
+    if (!user || user.role === 'admin') return obj;
+    if (obj.type === 'queue' && obj.scheduler) {
+      const mine = e => this._ownerOf('task', e.id) === user.id;
+      return { ...obj, scheduler: { ...obj.scheduler, active: obj.scheduler.active.filter(mine), queue: obj.scheduler.queue.filter(mine), borrowed: (obj.scheduler.borrowed || []).filter(mine) } };
+    }
+    const owner = this._eventOwner(obj);
+    return owner === undefined || owner === user.id ? obj : null;
+  }
+
+  // owner id (null when unowned) of what the event is about, undefined for global events
+  _eventOwner(obj) {
+    if (obj.owner !== undefined) return obj.owner;
+    if (obj.task) return obj.task.owner || null;
+    if (obj.group) return obj.group.owner || null;
+    if (obj.account) return obj.account.owner || null;
+    if (obj.run) return this._ownerOf('task', obj.run.taskId);
+    if (obj.session) return obj.session.taskId ? this._ownerOf('task', obj.session.taskId) : this._ownerOf('account', obj.session.accountId);
+    if (obj.id) return this._ownerOf(String(obj.type).startsWith('group') ? 'group' : 'task', obj.id);
+    return undefined;
+  }
+
+  _ownerOf(kind, id) {
+    let record = null;
+    if (kind === 'task') record = this.tasks.find(t => t.id === id);
+    else if (kind === 'group') record = this.groups.find(g => g.id === id);
+    else if (kind === 'account') record = this.accounts.get(id);
+    else if (kind === 'run') {
+      const run = this.bookingRuns.get(id);
+      return run ? this._ownerOf('task', run.taskId) : null;
+    } else if (kind === 'handoff') {
+      const session = this.handoffs.view(id);
+      if (!session) return null;
+      return session.taskId ? this._ownerOf('task', session.taskId) : this._ownerOf('account', session.accountId);
+    }
+    return (record && record.owner) || null;
+  }
+
+  /**
+   * canAccess(kind, id, user)
+   * - kind: 'task' | 'group' | 'account' | 'run' | 'handoff'
+   * - admins (and callers without a user) may access everything, other users what they own;
+   *   a run or handoff belongs to whoever owns its task (a login session: its account)
+   */
+  canAccess(kind, id, user) {
+    if (!user || user.role === 'admin') return true;
+    return this._ownerOf(kind, id) === user.id;
+  }
+
+  _visibleTo(record, user) {
+    return !user || user.role === 'admin' || record.owner === user.id;
+  }
+
+  // throws 409 while one of the user's booking accounts is open in a booking run or login
+  checkOwnerIdle(ownerId) {
+    const busy = this.accounts.list().find(a => a.owner === ownerId && this.accounts.isBusy(a.id));
+    if (busy) throw Object.assign(new Error(`booking account ${busy.name} is in use by a booking or login; try again when it is done`), { statusCode: 409 });
+  }
+
+  /**
+   * removeOwner(ownerId)
+   * - deletes what a removed user owned: booking accounts (with their profiles and contact
+   *   details), groups and tasks; their watchers stop and their queued booking runs fail
+   * - resolves { accounts, groups, tasks }, the number of each removed
+   */
+  async removeOwner(ownerId) {
+    this.checkOwnerIdle(ownerId);
+    const accounts = this.accounts.list().filter(a => a.owner === ownerId);
+    for (const a of accounts) this.accounts.remove(a.id);
+    const groups = this.groups.filter(g => g.owner === ownerId);
+    const tasks = this.tasks.filter(t => t.owner === ownerId);
+    for (const g of groups) await this.deleteGroup(g.id);
+    for (const t of tasks) if (this.tasks.includes(t)) await this.deleteTask(t.id);
+    this._failStrandedRuns();
+    const removed = { accounts: accounts.length, groups: groups.length, tasks: tasks.length };
+    this.logger.log(`[WatcherManager] removed ${removed.accounts} accounts, ${removed.groups} groups and ${removed.tasks} tasks of ${ownerId}`);
+    return removed;
   }
 
   _playServerAlarm() {
@@ -158,15 +554,27 @@ class WatcherManager {
     Player.play(alarmFile, (err) => { if (err) this.logger.error('alarm play failed:', err); else this.logger.log('🔔 server alarm played'); });
   }
 
-  getTasks({ all = false } = {}) {
-    const filtered = all ? this.tasks : this.tasks.filter(t => ['running', 'found', 'starting'].includes(t.status));
-    return filtered.map(t => safeTaskView(t));
+  getTasks({ all = false, user = null } = {}) {
+    const filtered = (all ? this.tasks : this.tasks.filter(t => [...WATCHING_STATUSES, 'found'].includes(t.status))).filter(t => this._visibleTo(t, user));
+    return filtered.map(t => safeTaskView(t, this.secrets));
   }
 
-  async createTask({ location, cinemaName, cinemaUrl, identifier, bookingSettings }) {
+  // `sealed`: bookingSettings were already sealed by this manager (a group's members share one
+  // secrets entry); settings from clients never are, and may not name a SECRETS entry
+  async createTask({ location, cinemaName, cinemaUrl, identifier, bookingSettings, groupId = null, dateCode = null, dateMode = null, strategy = 'dom', backend = null, priority = 0, releaseWindows = null, notify = null, user = null }, { sealed = false } = {}) {
+    // validate before anything is created
+    const normalizedDateMode = normalizeDateMode(dateMode);
+    const normalizedNotify = this._normalizeNotifyFor(notify, user);
+    const normalizedPriority = normalizePriority(priority);
+    const normalizedWindows = normalizeReleaseWindows(releaseWindows);
+    const normalizedBooking = this._resolveAccounts(normalizeBookingSettings(bookingSettings), user);
+    if (!Watcher.STRATEGIES.includes(strategy || 'dom')) throw new Error(`Unknown detection strategy: ${strategy}`);
+    assertBackend(backend || this.defaultBackend);
+    this._checkTaskQuota(user, { tasks: 1, backend: backend || this.defaultBackend });
     const id = `task-${Date.now()}-${Math.random().toString(36).slice(2,5)}`;
     const task = {
       id,
+      owner: user ? user.id : null,
       location: location || null,
       cinemaName: cinemaName || null,
       cinemaUrl: cinemaUrl || null,
@@ -175,25 +583,38 @@ class WatcherManager {
       createdAt: new Date().toISOString(),
       href: cinemaUrl || null,
       foundHref: null,
-      bookingSettings: bookingSettings || null,
+      bookingSettings: sealed ? normalizedBooking : this._sealBookingSettings(normalizedBooking),
+      groupId: groupId || null,
+      dateCode: dateCode || null,
+      dateMode: normalizedDateMode,
+      matchedDateCode: null,
+      foundCinemaUrl: null,
+      strategy: strategy || 'dom',
+      backend: backend || this.defaultBackend,
+      detection: null,
+      priority: normalizedPriority,
+      releaseWindows: normalizedWindows,
+      notify: normalizedNotify,
+      notifications: [],
       watcher: null
     };
+    this._applyPollPolicy(task);
 
     this.tasks.push(task);
-    this._saveTasksToFile();
-    this._broadcast({ type: 'taskCreated', task: safeTaskView(task) });
+    this._saveTasks();
+    this._journal(task, 'created', { backend: task.backend, strategy: task.strategy, groupId: task.groupId });
+    this._broadcast({ type: 'taskCreated', task: safeTaskView(task, this.secrets) });
 
     (async () => {
       try {
-        await this._startTaskWatcher(task);
-        if (!task.status || task.status === 'starting') task.status = 'running';
-        this._saveTasksToFile();
-        this._broadcast({ type: 'taskStarted', task: safeTaskView(task) });
+        await this._runOrQueue(task);
       } catch (err) {
-        this.logger.error(`Background watcher start failed for ${task.id}:`, err && err.message ? err.message : err);
+        this._logFor(task).error(`Background watcher start failed for ${task.id}:`, err && err.message ? err.message : err);
         task.status = 'error';
-        this._saveTasksToFile();
+        this._saveTasks();
+        this._journal(task, 'error', { message: err && err.message ? err.message : String(err), during: 'start' });
         this._broadcast({ type: 'taskError', id: task.id, message: err && err.message ? err.message : String(err) });
+        this._refreshTaskGroup(task);
       }
     })();
 
@@ -205,18 +626,21 @@ class WatcherManager {
     if (!t) { this.logger.warn(`[WatcherManager] stopTask: not found ${id}`); return false; }
     try {
       if (t.watcher) {
-        try { await t.watcher.stop(); } catch (err) { this.logger.warn('stopTask watcher.stop error', err && err.message ? err.message : err); }
+        try { await t.watcher.stop(); } catch (err) { this._logFor(t).warn('stopTask watcher.stop error', err && err.message ? err.message : err); }
         t.watcher = null;
       }
       t.status = 'stopped';
-      this._saveTasksToFileImmediate();
-      this._broadcast({ type: 'stopped', id, task: safeTaskView(t) });
-      this.logger.log(`🛑 Task ${id} stopped`);
+      this.scheduler.remove(id);
+      this._saveTasksImmediate();
+      this._journal(t, 'stopped', { reason: 'requested' });
+      this._broadcast({ type: 'stopped', id, task: safeTaskView(t, this.secrets) });
+      this._logFor(t).log(`🛑 Task ${id} stopped`);
+      this._refreshTaskGroup(t);
       return true;
     } catch (e) {
-      this.logger.error(`[WatcherManager] stopTask error ${id}:`, e && e.message ? e.message : e);
+      this._logFor(t).error(`[WatcherManager] stopTask error ${id}:`, e && e.message ? e.message : e);
       t.status = 'error';
-      this._saveTasksToFile();
+      this._saveTasks();
       this._broadcast({ type: 'taskError', id, message: e && e.message ? e.message : String(e) });
       return false;
     }
@@ -228,48 +652,49 @@ class WatcherManager {
     const t = this.tasks[idx];
     try {
       if (t.watcher) {
-        try { await t.watcher.stop(); } catch (err) { this.logger.warn('deleteTask watcher.stop error', err && err.message ? err.message : err); }
+        try { await t.watcher.stop(); } catch (err) { this._logFor(t).warn('deleteTask watcher.stop error', err && err.message ? err.message : err); }
         t.watcher = null;
       }
       this.tasks.splice(idx, 1);
-      this._saveTasksToFileImmediate();
-      this._broadcast({ type: 'deleted', id });
-      this.logger.log(`🗑️ Task ${id} deleted`);
+      this.scheduler.remove(id);
+      this._saveTasksImmediate();
+      this._pruneSecrets();
+      this._broadcast({ type: 'deleted', id, owner: t.owner || null });
+      this._logFor(t).log(`🗑️ Task ${id} deleted`);
+      this._refreshTaskGroup(t);
       return true;
     } catch (e) {
-      this.logger.error(`[WatcherManager] deleteTask failed ${id}:`, e && e.message ? e.message : e);
+      this._logFor(t).error(`[WatcherManager] deleteTask failed ${id}:`, e && e.message ? e.message : e);
       return false;
     }
   }
 
   async stopAllWatchers() {
     this.logger.log('[WatcherManager] stopAllWatchers: stopping all watchers now...');
+    this.scheduler.clear();
     const promises = this.tasks.map(async (t) => {
       if (t.watcher) {
         try { await t.watcher.stop(); } catch (e) { this.logger.warn('stopAllWatchers individual stop failed', e && e.message ? e.message : e); }
         t.watcher = null;
-        if (t.status === 'running') t.status = 'starting';
       }
+      if ([...LIVE_STATUSES, 'queued'].includes(t.status)) t.status = 'starting';
     });
     await Promise.all(promises).catch(() => {});
-    this._saveTasksToFileImmediate();
+    this._saveTasksImmediate();
     this.logger.log('[WatcherManager] stopAllWatchers: done');
   }
 
   async restartAllWatchers({ delayBetweenStartsMs = 400 } = {}) {
     this.logger.log('[WatcherManager] restartAllWatchers: restarting active watchers...');
-    const toStart = this.tasks.filter(t => ['starting', 'running', 'resumed'].includes(t.status));
+    const toStart = this.tasks.filter(t => [...WATCHING_STATUSES, 'resumed'].includes(t.status));
     for (const t of toStart) {
       if (t.watcher) continue;
       try {
-        await this._startTaskWatcher(t);
-        t.status = 'running';
-        this._saveTasksToFile();
-        this._broadcast({ type: 'taskStarted', task: safeTaskView(t) });
+        await this._runOrQueue(t);
       } catch (e) {
         this.logger.error('restartAllWatchers failed for', t.id, e && e.message ? e.message : e);
         t.status = 'error';
-        this._saveTasksToFile();
+        this._saveTasks();
       }
       await new Promise(r => setTimeout(r, delayBetweenStartsMs));
     }
@@ -280,56 +705,826 @@ class WatcherManager {
     const t = this.tasks.find(x => x.id === id);
     if (!t) return false;
 
-    this.logger.log(`[WatcherManager] reloadTask: requested for ${id}`);
+    this._logFor(t).log(`[WatcherManager] reloadTask: requested for ${id}`);
+    this._journal(t, 'reload', { manual: true });
     for (const task of this.tasks) {
-      if (['running', 'starting', 'resumed'].includes(task.status)) task.status = 'starting';
+      if ([...WATCHING_STATUSES, 'resumed'].includes(task.status)) task.status = 'starting';
     }
-    this._saveTasksToFile();
+    this._saveTasks();
 
     try {
       await this.stopAllWatchers();
       await new Promise(r => setTimeout(r, 250));
       await this.restartAllWatchers({ delayBetweenStartsMs: 400 });
-      this._broadcast({ type: 'reloaded', id, task: safeTaskView(t) });
-      this.logger.log(`[WatcherManager] reloadTask: completed for ${id}`);
+      this._broadcast({ type: 'reloaded', id, task: safeTaskView(t, this.secrets) });
+      this._logFor(t).log(`[WatcherManager] reloadTask: completed for ${id}`);
       return true;
     } catch (e) {
-      this.logger.error(`[WatcherManager] reloadTask failed ${id}:`, e && e.message ? e.message : e);
+      this._logFor(t).error(`[WatcherManager] reloadTask failed ${id}:`, e && e.message ? e.message : e);
       t.status = 'error';
-      this._saveTasksToFile();
+      this._saveTasks();
       return false;
     }
   }
 
+  // ---------- Quotas ----------
+
+  // the user's watching tasks, and how many of those hold (or wait for) a browser page
+  _taskUsage(user) {
+    const mine = this.tasks.filter(t => t.owner === user.id && WATCHING_STATUSES.includes(t.status));
+    return { activeTasks: mine.length, pages: mine.filter(t => this._needsPageSlot(t)).length };
+  }
+
+  // throws a 429 error when `tasks` more tasks on `backend` would take `user` over a limit
+  _checkTaskQuota(user, { tasks = 1, backend = this.defaultBackend } = {}) {
+    if (!user) return;
+    const limits = effectiveQuotas(this.quotas, user);
+    const usage = this._taskUsage(user);
+    if (limits.maxActiveTasks != null && usage.activeTasks + tasks > limits.maxActiveTasks) {
+      throw quotaError(`Active task limit reached: ${usage.activeTasks} of ${limits.maxActiveTasks} in use${tasks > 1 ? `, ${tasks} more requested` : ''}`, { name: 'maxActiveTasks', limit: limits.maxActiveTasks, used: usage.activeTasks });
+    }
+    const pages = this._needsPageSlot({ backend }) ? tasks : 0;
+    if (limits.maxPages != null && pages && usage.pages + pages > limits.maxPages) {
+      throw quotaError(`Browser page limit reached: ${usage.pages} of ${limits.maxPages} in use; stop a task or use the http backend`, { name: 'maxPages', limit: limits.maxPages, used: usage.pages });
+    }
+  }
+
+  // { maxActiveTasks: { used, limit }, maxPages: { used, limit } } for the dashboard
+  getUsage(user) {
+    const limits = effectiveQuotas(this.quotas, user);
+    const usage = user ? this._taskUsage(user) : { activeTasks: 0, pages: 0 };
+    return {
+      maxActiveTasks: { used: usage.activeTasks, limit: limits.maxActiveTasks },
+      maxPages: { used: usage.pages, limit: limits.maxPages }
+    };
+  }
+
+  // ---------- Watch groups ----------
+  // A group watches one identifier across N cinemas x M dates. It is expanded into ordinary
+  // member tasks (task.groupId) and is marked found once `minMatches` members have found the
+  // link (optionally counting only members at `venueCodes`); remaining members are then stopped.
+
+  getGroups({ user = null } = {}) {
+    return this.groups.filter(g => this._visibleTo(g, user)).map(g => safeGroupView(g, this.tasks));
+  }
+
+  getGroup(id) {
+    const g = this.groups.find(x => x.id === id);
+    return g ? safeGroupView(g, this.tasks) : null;
+  }
+
+  async createGroup({ name, location, identifier, cinemas, dates, dateFrom, dateTo, minMatches = 1, venueCodes = [], bookingSettings, strategy = 'dom', backend = null, priority = 0, releaseWindows = null, notify = null, user = null } = {}) {
+    if (!identifier) throw new Error('identifier required');
+    if (!Array.isArray(cinemas) || cinemas.length === 0) throw new Error('at least one cinema required');
+
+    const cinemaList = cinemas.map(c => (typeof c === 'string' ? { name: null, url: c } : { name: c.name || null, url: c.url }));
+    for (const c of cinemaList) {
+      if (!parseBuyticketsUrl(c.url)) throw new Error(`Not a cinema buytickets URL: ${c.url}`);
+    }
+
+    // no dates → keep the date already embedded in each cinema URL
+    let dateCodes = [];
+    if (Array.isArray(dates) && dates.length) {
+      dateCodes = dates.map(d => {
+        const code = normalizeDateCode(d);
+        if (!code) throw new Error(`Invalid date: ${d}`);
+        return code;
+      });
+      dateCodes = Array.from(new Set(dateCodes)).sort();
+    } else if (dateFrom) {
+      dateCodes = dateRange(dateFrom, dateTo);
+    }
+
+    if (!Watcher.STRATEGIES.includes(strategy || 'dom')) throw new Error(`Unknown detection strategy: ${strategy}`);
+    assertBackend(backend || this.defaultBackend);
+    const normalizedPriority = normalizePriority(priority);
+    const normalizedWindows = normalizeReleaseWindows(releaseWindows);
+    const normalizedNotify = this._normalizeNotifyFor(notify, user);
+    const normalizedBooking = this._resolveAccounts(normalizeBookingSettings(bookingSettings), user);
+
+    const members = [];
+    for (const c of cinemaList) {
+      if (!dateCodes.length) { members.push({ cinema: c, url: c.url, dateCode: parseBuyticketsUrl(c.url).dateCode }); continue; }
+      for (const d of dateCodes) members.push({ cinema: c, url: withDateCode(c.url, d), dateCode: d });
+    }
+    if (members.length > MAX_GROUP_MEMBERS) {
+      throw new Error(`Group expands to ${members.length} watchers (max ${MAX_GROUP_MEMBERS}); narrow the cinemas or dates`);
+    }
+    // checked for all members up front, so a group is never created half-way
+    this._checkTaskQuota(user, { tasks: members.length, backend: backend || this.defaultBackend });
+
+    const group = {
+      id: `group-${Date.now()}-${Math.random().toString(36).slice(2,5)}`,
+      owner: user ? user.id : null,
+      name: name || null,
+      location: location || null,
+      identifier: String(identifier),
+      cinemas: cinemaList,
+      dates: dateCodes,
+      minMatches: Math.max(1, Number(minMatches) || 1),
+      venueCodes: (Array.isArray(venueCodes) ? venueCodes : []).map(String).filter(Boolean),
+      strategy: strategy || 'dom',
+      backend: backend || this.defaultBackend,
+      priority: normalizedPriority,
+      releaseWindows: normalizedWindows,
+      notify: normalizedNotify,
+      notifications: [],
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      foundAt: null
+    };
+    // sealed once, so every member references the same secrets entry
+    const sealedBooking = this._sealBookingSettings(normalizedBooking);
+    this.groups.push(group);
+    this._saveGroups();
+
+    for (const m of members) {
+      // booking (if configured) should target the member's own cinema/date page
+      const memberBooking = sealedBooking ? { ...sealedBooking, THEATRE_URL: m.url, MOVIE_ID: group.identifier } : null;
+      await this.createTask({
+        location: group.location,
+        cinemaName: m.cinema.name,
+        cinemaUrl: m.url,
+        identifier: group.identifier,
+        bookingSettings: memberBooking,
+        groupId: group.id,
+        dateCode: m.dateCode,
+        strategy,
+        backend: group.backend,
+        priority: group.priority,
+        releaseWindows: group.releaseWindows,
+        // the group notifies once when it is satisfied, not once per member
+        notify: { channels: [], global: false },
+        user
+      }, { sealed: true });
+    }
+
+    this.logger.log(`[WatcherManager] group ${group.id} created → ${members.length} watchers for ${group.identifier}`);
+    this._broadcast({ type: 'groupCreated', group: safeGroupView(group, this.tasks) });
+    return group.id;
+  }
+
+  async stopGroup(id) {
+    const g = this.groups.find(x => x.id === id);
+    if (!g) return false;
+    if (g.status === 'running') g.status = 'stopped';
+    this._saveGroups();
+    for (const t of this.tasks.filter(x => x.groupId === id && WATCHING_STATUSES.includes(x.status))) {
+      await this.stopTask(t.id);
+    }
+    this._broadcast({ type: 'groupStopped', group: safeGroupView(g, this.tasks) });
+    return true;
+  }
+
+  async deleteGroup(id) {
+    const idx = this.groups.findIndex(x => x.id === id);
+    if (idx === -1) return false;
+    const g = this.groups[idx];
+    g.status = 'deleted';
+    for (const t of this.tasks.filter(x => x.groupId === id)) {
+      await this.deleteTask(t.id);
+    }
+    this.groups.splice(this.groups.indexOf(g), 1);
+    this._saveGroups();
+    this._broadcast({ type: 'groupDeleted', id, owner: g.owner || null });
+    return true;
+  }
+
+  // recompute a group's state after one of its member tasks changed
+  _refreshTaskGroup(task) {
+    if (!task || !task.groupId) return;
+    const g = this.groups.find(x => x.id === task.groupId);
+    if (!g || g.status === 'deleted') return;
+
+    const members = this.tasks.filter(t => t.groupId === g.id);
+    const counted = g.venueCodes.length
+      ? members.filter(t => g.venueCodes.includes((parseBuyticketsUrl(t.cinemaUrl) || {}).venueCode))
+      : members;
+    const foundCount = counted.filter(t => t.status === 'found').length;
+    const needed = Math.min(g.minMatches, Math.max(1, counted.length));
+
+    if (g.status === 'running' && foundCount >= needed) {
+      g.status = 'found';
+      g.foundAt = new Date().toISOString();
+      this._saveGroups();
+      this.logger.log(`🔔 Group ${g.id} FOUND — ${g.identifier} (${foundCount}/${counted.length} matched)`);
+      this._broadcast({ type: 'groupFound', group: safeGroupView(g, this.tasks) });
+      const first = counted.find(t => t.status === 'found');
+      this._sendNotifications(g, formatMessage({ task: first, group: g }), 'group');
+      // free pages held by members that are still watching
+      for (const t of members.filter(x => WATCHING_STATUSES.includes(x.status))) {
+        this.stopTask(t.id).catch(() => {});
+      }
+      return;
+    }
+
+    if (g.status === 'running' && !members.some(t => WATCHING_STATUSES.includes(t.status))) {
+      g.status = 'stopped';
+      this._saveGroups();
+    }
+    this._broadcast({ type: 'groupProgress', group: safeGroupView(g, this.tasks) });
+  }
+
+  // ---------- Page scheduling ----------
+  // Browser-backed tasks need one of the `maxPages` page slots; http tasks start straight away
+  // and only borrow a free slot while an escalation has a page open.
+
+  _needsPageSlot(task) {
+    return (task.backend || 'browser') === 'browser';
+  }
+
+  async _runOrQueue(task) {
+    if (!this._needsPageSlot(task)) {
+      await this._startTaskWatcher(task);
+      task.status = this._liveStatus(task);
+      this._saveTasks();
+      this._journal(task, 'started', { backend: task.backend || 'browser', pollIntervalSeconds: task.pollIntervalSeconds || this.pollIntervalSeconds });
+      this._broadcast({ type: 'taskStarted', task: safeTaskView(task, this.secrets) });
+      return;
+    }
+    task.status = 'queued';
+    this.scheduler.enqueue(task.id, this._effectivePriority(task));
+  }
+
+  // scheduler callback: a page slot was granted
+  async _startScheduledTask(id) {
+    const task = this.tasks.find(t => t.id === id);
+    if (!task || !WATCHING_STATUSES.includes(task.status)) return false;
+    task.status = 'starting';
+    try {
+      await this._startTaskWatcher(task);
+      task.status = this._liveStatus(task);
+      this._saveTasks();
+      this._journal(task, 'started', { backend: task.backend || 'browser', pollIntervalSeconds: task.pollIntervalSeconds || this.pollIntervalSeconds });
+      this._broadcast({ type: 'taskStarted', task: safeTaskView(task, this.secrets) });
+      return true;
+    } catch (err) {
+      this._logFor(task).error(`Scheduled watcher start failed for ${id}:`, err && err.message ? err.message : err);
+      task.status = 'error';
+      this._saveTasks();
+      this._journal(task, 'error', { message: err && err.message ? err.message : String(err), during: 'start' });
+      this._broadcast({ type: 'taskError', id, message: err && err.message ? err.message : String(err) });
+      this._refreshTaskGroup(task);
+      return false;
+    }
+  }
+
+  // scheduler callback: slice used up and someone is waiting → give the page back
+  async _pauseScheduledTask(id) {
+    const task = this.tasks.find(t => t.id === id);
+    if (!task) return true;
+    if (task.watcher && task.watcher.found) return false;   // let the monitor finish the find
+    if (task.watcher) {
+      try { await task.watcher.stop(); } catch (e) { this._logFor(task).warn('pause watcher.stop error', e && e.message ? e.message : e); }
+      task.watcher = null;
+    }
+    if (LIVE_STATUSES.includes(task.status)) task.status = 'queued';
+    this._journal(task, 'rotate', { reason: 'page slice used up' });
+    this._logFor(task).log(`[WatcherManager] task ${id} paused (page slice used up)`);
+    return true;
+  }
+
+  // ---------- Priorities & release windows ----------
+
+  _effectivePriority(task, now = new Date()) {
+    return (task.priority || 0) + (isInReleaseWindow(task.releaseWindows, now) ? RELEASE_WINDOW_PRIORITY_BOOST : 0);
+  }
+
+  _pollSecondsFor(task, now = new Date()) {
+    if (!task.releaseWindows || !task.releaseWindows.length) return this.pollIntervalSeconds;
+    return isInReleaseWindow(task.releaseWindows, now)
+      ? Math.min(this.releasePollSeconds, this.pollIntervalSeconds)
+      : Math.max(this.idlePollSeconds, this.pollIntervalSeconds);
+  }
+
+  // recompute one task's poll interval / scheduler rank and push them to a live watcher
+  _applyPollPolicy(task, now = new Date()) {
+    const inWindow = isInReleaseWindow(task.releaseWindows, now);
+    const seconds = this._pollSecondsFor(task, now);
+    const changed = task.inReleaseWindow !== inWindow || task.pollIntervalSeconds !== seconds;
+    task.inReleaseWindow = inWindow;
+    task.pollIntervalSeconds = seconds;
+    if (task.watcher && typeof task.watcher.setPollInterval === 'function') task.watcher.setPollInterval(seconds);
+    this.scheduler.setPriority(task.id, this._effectivePriority(task, now));
+    return changed;
+  }
+
+  _applyPollPolicies(now = new Date()) {
+    for (const task of this.tasks.filter(t => WATCHING_STATUSES.includes(t.status))) {
+      const wasInWindow = !!task.inReleaseWindow;
+      if (!this._applyPollPolicy(task, now)) continue;
+      if (wasInWindow !== task.inReleaseWindow) {
+        const w = (task.releaseWindows || []).map(describeReleaseWindow).join('; ');
+        this._logFor(task).log(`[WatcherManager] task ${task.id} ${task.inReleaseWindow ? 'entered' : 'left'} release window (${w}) → polling every ${task.pollIntervalSeconds}s`);
+      }
+      this._saveTasks();
+      this._broadcast({ type: 'pollPolicy', task: safeTaskView(task, this.secrets) });
+    }
+  }
+
+  // ---------- Watcher health ----------
+
+  // status of a task with a live watcher: a block outranks plain load failures
+  _liveStatus(task) {
+    if (task.access && isBlockingKind(task.access.state)) return 'blocked';
+    return task.health && task.health.state === 'degraded' ? 'degraded' : 'running';
+  }
+
+  _onWatcherHealth(task, watcher, health) {
+    if (task.watcher !== watcher) return;
+    const failuresBefore = task.health ? task.health.totalFailures || 0 : 0;
+    task.health = health;
+    if (health.totalFailures > failuresBefore) {
+      this._journal(task, 'error', { message: health.lastError, consecutiveFailures: health.consecutiveFailures, state: health.state });
+    }
+    const before = task.status;
+    if (LIVE_STATUSES.includes(task.status)) task.status = this._liveStatus(task);
+    if (before !== task.status) {
+      this._logFor(task).warn(`[WatcherManager] task ${task.id} ${before} → ${task.status}${health.lastError ? ` (last error: ${health.lastError})` : ''}`);
+    }
+    this._saveTasks();
+    this._broadcast({ type: 'health', id: task.id, health, task: safeTaskView(task, this.secrets) });
+  }
+
+  // the watcher classified a page; 'blocked' goes out on every blocked load, 'unblocked' once it clears
+  _onWatcherAccess(task, watcher, access) {
+    if (task.watcher !== watcher) return;
+    const wasBlocked = !!(task.access && isBlockingKind(task.access.state));
+    task.access = access;
+    const blocked = isBlockingKind(access.state);
+    if (LIVE_STATUSES.includes(task.status)) task.status = this._liveStatus(task);
+    this._saveTasks();
+    if (blocked) {
+      this._logFor(task).warn(`[WatcherManager] task ${task.id} is blind: ${access.state} (${access.reason})${access.pausedUntil ? `, paused until ${access.pausedUntil}` : ''}`);
+      this._broadcast({ type: 'blocked', id: task.id, access, task: safeTaskView(task, this.secrets) });
+    } else if (wasBlocked) {
+      this._logFor(task).log(`[WatcherManager] task ${task.id} no longer blocked (${access.state})`);
+      this._broadcast({ type: 'unblocked', id: task.id, access, task: safeTaskView(task, this.secrets) });
+    }
+  }
+
+  // ---------- Booking runs ----------
+
+  // one run per entry of bookingSettings.ACCOUNTS (they run side by side, within
+  // maxConcurrentBookings), or a single run without an account
+  startBookingRuns(task) {
+    const dispatch = (task.bookingSettings && task.bookingSettings.ACCOUNTS) || [];
+    if (!dispatch.length) return [this.startBookingRun(task)].filter(Boolean);
+    return dispatch.map(d => this.startBookingRun(task, d)).filter(Boolean);
+  }
+
+  startBookingRun(task, dispatch = null) {
+    if (!this.bookingAutomationFn) return null;
+    let account = null;
+    let seats = null;
+    if (dispatch) {
+      const a = this.accounts.get(dispatch.account);
+      account = { id: dispatch.account, name: a ? a.name : dispatch.account };
+      seats = dispatch.seats || Number(task.bookingSettings && task.bookingSettings.SEAT_QUANTITY) || 1;
+      // quotas can shrink after the task was created
+      if (a && seats > a.maxSeats) {
+        this._logFor(task).warn(`[WatcherManager] ${a.name} may book ${a.maxSeats} seats; task ${task.id} asked for ${seats}`);
+        seats = a.maxSeats;
+      }
+    }
+    const run = this.bookingRuns.create(task, { account, seats });
+    this._bookingQueue.push({ runId: run.id, taskId: task.id, dispatch });
+    this._pumpBookingRuns();
+    return run;
+  }
+
+  getBookingRun(runId) {
+    return this.bookingRuns.get(runId);
+  }
+
+  // absolute path of a run's screenshot / trace, or null if the run has no such artifact
+  getBookingArtifact(runId, file) {
+    return this.bookingRuns.artifactPath(runId, file);
+  }
+
+  getHandoff(id) {
+    return this.handoffs.view(id);
+  }
+
+  getHandoffs({ user = null } = {}) {
+    return this.handoffs.list().filter(s => this.canAccess('handoff', s.id, user));
+  }
+
+  // ---------- Event journal ----------
+
+  _journal(task, type, details = null) {
+    try {
+      this.storage.appendTaskEvent(task.id, { type, details }, { keep: ROUTINE_EVENT_TYPES.includes(type) ? ROUTINE_EVENTS_KEPT : null });
+    } catch (e) {
+      this.logger.error(`[WatcherManager] failed to journal ${type} for ${task.id}:`, e && e.message ? e.message : e);
+    }
+  }
+
+  _firstEvent(taskId, type) {
+    try { return this.storage.firstTaskEvent(taskId, type); } catch (e) { return null; }
+  }
+
+  /**
+   * getTaskEvents(taskId, { type, limit })
+   * - the newest `limit` journal events (oldest first), how many of each type ever happened, and
+   *   when the task was created / first started / found (detectionSeconds = started → found)
+   */
+  getTaskEvents(taskId, { type = null, limit = 200 } = {}) {
+    if (!this.tasks.some(t => t.id === taskId)) return null;
+    if (type != null && !TASK_EVENT_TYPES.includes(type)) throw Object.assign(new Error(`Unknown event type: ${type} (one of ${TASK_EVENT_TYPES.join(', ')})`), { statusCode: 400 });
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_EVENTS_PER_REQUEST) throw Object.assign(new Error(`limit must be between 1 and ${MAX_EVENTS_PER_REQUEST}`), { statusCode: 400 });
+    const at = t => { const e = this._firstEvent(taskId, t); return e ? e.at : null; };
+    const summary = { createdAt: at('created'), startedAt: at('started'), foundAt: at('found') };
+    summary.detectionSeconds = summary.startedAt && summary.foundAt ? Math.round((Date.parse(summary.foundAt) - Date.parse(summary.startedAt)) / 1000) : null;
+    return { events: this.storage.taskEvents(taskId, { type, limit: n }), counts: this.storage.taskEventCounts(taskId), summary };
+  }
+
+  // a task's status changes and finished notification deliveries, oldest first
+  getTaskHistory(taskId) {
+    if (!this.tasks.some(t => t.id === taskId)) return null;
+    this._saveTasksImmediate();
+    return { statuses: this.storage.statusHistory(taskId), notifications: this.storage.notifications('task', taskId) };
+  }
+
+  getBookingRuns(taskId) {
+    if (!this.tasks.some(t => t.id === taskId) && !this.bookingRuns.forTask(taskId).length) return null;
+    return this.bookingRuns.forTask(taskId);
+  }
+
+  // queued runs whose task or account is gone fail instead of waiting for a slot
+  _failStrandedRuns() {
+    this._bookingQueue = this._bookingQueue.filter(entry => {
+      const task = this.tasks.find(t => t.id === entry.taskId);
+      const accountId = entry.dispatch ? entry.dispatch.account : null;
+      if (task && !(accountId && !this.accounts.get(accountId))) return true;
+      this.bookingRuns.finish(entry.runId, { ok: false, error: task ? 'booking account was removed' : 'task was deleted' });
+      return false;
+    });
+  }
+
+  _pumpBookingRuns() {
+    this._failStrandedRuns();
+    let i = 0;
+    while (i < this._bookingQueue.length && this._bookingsActive < this.maxConcurrentBookings) {
+      const entry = this._bookingQueue[i];
+      const task = this.tasks.find(t => t.id === entry.taskId);
+      const accountId = entry.dispatch ? entry.dispatch.account : null;
+      // an account's profile can be open in one browser only; its other runs wait their turn
+      if (accountId && !this.accounts.acquire(accountId)) { i++; continue; }
+      this._bookingQueue.splice(i, 1);
+      this._bookingsActive++;
+      this._executeBookingRun(task, entry).finally(() => {
+        if (accountId) this.accounts.release(accountId);
+        this._bookingsActive--;
+        this._pumpBookingRuns();
+      });
+    }
+  }
+
+  async _executeBookingRun(task, { runId, dispatch }) {
+    this.bookingRuns.advance(runId, 'launching');
+    let handoff = null;
+    const account = dispatch ? this.accounts.forBooking(dispatch.account) : null;
+    // the task's sealed contact details are resolved here and nowhere else
+    const bookingSettings = unsealBookingSettings(task.bookingSettings, this.secrets);
+    // the account's own settings and seat share go over the task's
+    const runTask = dispatch
+      ? { ...task, bookingSettings: { ...(bookingSettings || {}), ...(dispatch.settings || {}), SEAT_QUANTITY: this.bookingRuns.get(runId).seats } }
+      : { ...task, bookingSettings };
+    if (account) this.accounts.markUsed(account.id);
+    try {
+      const res = await this.bookingAutomationFn(runTask, {
+        onStep: (status, details) => this.bookingRuns.advance(runId, status, details),
+        artifactsDir: this.bookingRuns.artifactDirFor(runId),
+        trace: this.bookingTraces,
+        onArtifact: a => this.bookingRuns.addArtifact(runId, a),
+        handoff: this.bookingHandoff,
+        onHandoff: ({ context, page, profileDir }) => {
+          handoff = this.handoffs.open({ runId, taskId: task.id, accountId: account ? account.id : null, context, page, profileDir });
+        },
+        account,
+        // an account's persistent profile stays locked while its browser runs, and the account
+        // is released for the next run or login as soon as this returns
+        closeOnFinish: !!(account && account.profileDir),
+        logger: this._logFor(task, { bookingRunId: runId })
+      });
+      this._recordBookingTimings(res && res.result ? res.result : res);
+      if (handoff) {
+        this.bookingRuns.advance(runId, 'handoff', { sessionId: handoff.id, expiresAt: handoff.expiresAt });
+        const outcome = await this.handoffs.done(handoff.id);
+        this.bookingRuns.finish(runId, { ok: !!(outcome && outcome.completed), error: outcome && !outcome.completed ? outcome.reason : null, result: { message: outcome ? outcome.reason : 'handoff ended' } });
+        return;
+      }
+      // _runBookingAutomation wraps autoBookBMS's own { ok, error, ... } as { ok, result }
+      const inner = res && res.result ? res.result : res;
+      const run = this.bookingRuns.get(runId);
+      const reachedPayment = run && run.status === 'payment-pending';
+      const ok = !!(res && res.ok && (!inner || inner.ok !== false) && reachedPayment);
+      const error = ok ? null : ((inner && inner.error) || (res && res.error) || `automation stopped at ${run ? run.status : 'unknown step'}`);
+      this.bookingRuns.finish(runId, { ok, error: error ? String(error) : null, result: inner && inner.message ? { message: inner.message } : null });
+    } catch (err) {
+      this._logFor(task, { bookingRunId: runId }).error('bookingAutomation failed', err && err.message ? err.message : err);
+      this.bookingRuns.finish(runId, { ok: false, error: err && err.message ? err.message : String(err) });
+    }
+  }
+
+  _recordBookingTimings(result) {
+    const durations = bookingStepDurations(result && result.timings);
+    for (const [step, seconds] of Object.entries(durations)) this.metrics.observe('bms_booking_step_duration_seconds', seconds, { step });
+  }
+
+  _onBookingRunChanged(run) {
+    if (BookingRuns.FINAL_STATUSES.includes(run.status)) this.metrics.inc('bms_booking_runs_total', { outcome: run.status });
+    const task = this.tasks.find(t => t.id === run.taskId);
+    if (task) {
+      task.lastBooking = { id: run.id, status: run.status, updatedAt: run.updatedAt };
+      this._saveTasks();
+      this._journal(task, 'booking-step', { runId: run.id, status: run.status, account: run.account ? run.account.name : null, error: run.error || null });
+    }
+    this._broadcast({ type: 'booking', id: run.taskId, run });
+  }
+
+  // ---------- Booking accounts ----------
+
+  getAccounts({ user = null } = {}) {
+    return this.accounts.list().filter(a => this._visibleTo(a, user));
+  }
+
+  getAccount(id) {
+    return this.accounts.view(id);
+  }
+
+  createAccount(input, { user = null } = {}) {
+    return this.accounts.create(input, { owner: user ? user.id : null });
+  }
+
+  updateAccount(id, input) {
+    return this.accounts.update(id, input);
+  }
+
+  deleteAccount(id) {
+    return this.accounts.remove(id);
+  }
+
+  // ---------- Booking secrets ----------
+
+  // moves EMAIL / MOBILE_NUMBER / ... of client settings into the secrets store; a SECRETS
+  // reference can't come from a client, as it would use (and keep alive) whoever's entry it names
+  _sealBookingSettings(bookingSettings) {
+    if (!bookingSettings) return bookingSettings;
+    if (bookingSettings.SECRETS !== undefined) {
+      throw Object.assign(new Error(`SECRETS can't be set; send ${SECRET_FIELDS.join(' / ')} instead`), { statusCode: 400 });
+    }
+    return sealBookingSettings(bookingSettings, this.secrets);
+  }
+
+  // drops task secrets no task refers to any more (account entries are removed with the account)
+  _pruneSecrets() {
+    const used = new Set(this.tasks.map(t => t.bookingSettings && t.bookingSettings.SECRETS).filter(Boolean));
+    for (const id of this.secrets.ids()) {
+      if (!id.startsWith('secret-') || used.has(id)) continue;
+      try { this.secrets.remove(id); } catch (e) {
+        this.logger.warn('Failed to prune secret:', e && e.message ? e.message : e);
+        return;
+      }
+    }
+  }
+
+  // ACCOUNTS entries may name accounts by id or name; they are stored by id, with the seats
+  // each one books checked against its quota. A user can only dispatch to its own accounts.
+  _resolveAccounts(bookingSettings, user = null) {
+    if (!bookingSettings || !bookingSettings.ACCOUNTS) return bookingSettings;
+    const seen = new Set();
+    const ACCOUNTS = bookingSettings.ACCOUNTS.map(d => {
+      const account = this.accounts.resolve(d.account, { owner: user && user.role !== 'admin' ? user.id : undefined });
+      if (!account) throw Object.assign(new Error(`Unknown booking account: ${d.account}`), { statusCode: 400 });
+      if (seen.has(account.id)) throw Object.assign(new Error(`Booking account listed twice: ${account.name}`), { statusCode: 400 });
+      seen.add(account.id);
+      const seats = d.seats || Number(bookingSettings.SEAT_QUANTITY) || 1;
+      if (seats > account.maxSeats) throw Object.assign(new Error(`${account.name} may book at most ${account.maxSeats} seats (asked for ${seats})`), { statusCode: 400 });
+      return { ...d, account: account.id };
+    });
+    return { ...bookingSettings, ACCOUNTS };
+  }
+
+  // Opens BookMyShow in the account's profile as a 'login' handoff session. A person signs in
+  // through the live view and releases it with completed=true: the persistent profile keeps its
+  // cookies, a storageState account gets its file rewritten. Runs for the account wait meanwhile.
+  async startAccountLogin(id) {
+    const account = this.accounts.get(id);
+    if (!account) throw Object.assign(new Error('account not found'), { statusCode: 404 });
+    if (!this.accountLoginFn) throw Object.assign(new Error('browser automation is not available'), { statusCode: 503 });
+    if (!this.accounts.acquire(id)) throw Object.assign(new Error('account is busy with a booking or another login'), { statusCode: 409 });
+    const release = () => { this.accounts.release(id); this._pumpBookingRuns(); };
+    let opened;
+    try {
+      opened = await this.accountLoginFn({
+        profileDir: account.profileDir,
+        storageState: account.storageState,
+        url: this.accountLoginUrl,
+        headless: !this.accountLoginHeaded,
+        chromeBinary: process.env.CHROME_PATH || ''
+      });
+    } catch (e) {
+      release();
+      throw Object.assign(new Error(`Could not open a login browser: ${e && e.message ? e.message : e}`), { statusCode: 502 });
+    }
+    const session = this.handoffs.open({
+      purpose: 'login',
+      accountId: id,
+      context: opened.context,
+      page: opened.page,
+      profileDir: opened.profileDir || null,
+      beforeClose: async (context, outcome) => {
+        if (!outcome.completed) return;
+        if (account.storageState) await context.storageState({ path: account.storageState });
+        this.accounts.markLoggedIn(id);
+      }
+    });
+    this.handoffs.done(session.id).then(release);
+    this.logger.log(`[WatcherManager] login session ${session.id} opened for account ${account.name}`);
+    return session;
+  }
+
+  // ---------- Seat maps ----------
+
+  // → { seatMap, cached, key (the screen's cache key) }; throws (with statusCode) on bad input or a failed scan.
+  // onScan() runs before a new scan is started (not for cached maps or a scan already under way)
+  // and can throw to refuse it, e.g. a rate limit
+  async getSeatMap({ cinemaUrl, movieId, showIndex = 1, showtimeRules = null, refresh = false, onScan = null } = {}) {
+    const parsed = parseBuyticketsUrl(cinemaUrl);
+    if (!parsed || !isBookMyShowUrl(cinemaUrl, process.env.BMS_BASE_URL)) throw Object.assign(new Error('cinemaUrl must be a BookMyShow buytickets URL'), { statusCode: 400 });
+    if (!movieId) throw Object.assign(new Error('movieId required'), { statusCode: 400 });
+    const show = Number(showIndex) || 1;
+    // with showtime rules the show is whatever they pick, so they stand in for the index
+    const key = showKey({ venueCode: parsed.venueCode, dateCode: parsed.dateCode, movieId, showIndex: showtimeRules ? JSON.stringify(showtimeRules) : show });
+    if (!refresh) {
+      const cached = this.seatMaps.get(key);
+      if (cached) return { seatMap: cached, cached: true, key: this.seatMaps.keyFor(key) };
+    }
+    if (!this.seatMapExtractorFn) throw Object.assign(new Error('seat map extraction is not available'), { statusCode: 503 });
+    if (!this._seatMapScans.has(key)) {
+      if (this._seatMapWaiting.length >= this.seatMapQueueLimit) throw Object.assign(new Error('too many seat map scans waiting; try again shortly'), { statusCode: 503 });
+      if (onScan) onScan();
+      const scan = this._withSeatMapSlot(async () => {
+        this.logger.log(`[SeatMap] scanning ${key}`);
+        const res = await this.seatMapExtractorFn({ cinemaUrl, movieId, showIndex: show, showtimeRules, chromeBinary: process.env.CHROME_PATH || '' });
+        if (!res || !res.ok || !res.seatMap) throw Object.assign(new Error((res && res.error) || 'seat map scan failed'), { statusCode: 502 });
+        return { seatMap: res.seatMap, cached: false, key: this.seatMaps.set(key, res.seatMap) };
+      }).finally(() => this._seatMapScans.delete(key));
+      this._seatMapScans.set(key, scan);
+    }
+    return this._seatMapScans.get(key);
+  }
+
+  async _withSeatMapSlot(fn) {
+    while (this._seatMapScansActive >= this.maxConcurrentSeatMapScans) {
+      await new Promise(resolve => this._seatMapWaiting.push(resolve));
+    }
+    this._seatMapScansActive++;
+    try {
+      return await fn();
+    } finally {
+      this._seatMapScansActive--;
+      const next = this._seatMapWaiting.shift();
+      if (next) next();
+    }
+  }
+
+  // the seat map for a task's show plus how its TARGET_SEAT / NEXT_SEATS fare on it; null = no such task
+  async getTaskSeatMap(id, { refresh = false, onScan = null } = {}) {
+    const task = this.tasks.find(t => t.id === id);
+    if (!task) return null;
+    const bs = task.bookingSettings || {};
+    const res = await this.getSeatMap({
+      cinemaUrl: task.foundCinemaUrl || bs.THEATRE_URL || task.cinemaUrl,
+      movieId: bs.MOVIE_ID || task.identifier,
+      showIndex: bs.SHOW_INDEX || 1,
+      showtimeRules: bs.SHOWTIME || null,
+      refresh,
+      onScan
+    });
+    const wanted = [bs.TARGET_SEAT, ...(Array.isArray(bs.NEXT_SEATS) ? bs.NEXT_SEATS : [bs.NEXT_SEATS])].filter(Boolean);
+    return { ...res, targetSeats: wanted.length ? checkSeats(res.seatMap, wanted) : null };
+  }
+
+  getCachedSeatMaps() {
+    return this.seatMaps.list();
+  }
+
+  getCachedSeatMap(key) {
+    return this.seatMaps.getScreen(key);
+  }
+
+  // ---------- Upcoming movies ----------
+  // cached catalog for `location`; scrapes first only when it was never listed or `refresh` is set
+  getUpcoming(location, { refresh = false } = {}) {
+    return this.catalog.get(location, { refresh });
+  }
+
+  // ---------- Notifications ----------
+
+  // a task/group's notify settings; an ordinary user's channels must stay on allowed destinations
+  _normalizeNotifyFor(notify, user) {
+    const normalized = normalizeNotify(notify);
+    if (user && user.role !== 'admin') this.notifier.checkDestinations(normalized.channels);
+    return normalized;
+  }
+
+  // fire-and-forget: delivery progress is recorded on the task/group and broadcast as it happens
+  _sendNotifications(target, message, kind = 'task', { test = false } = {}) {
+    const channels = this.notifier.channelsFor(target.notify);
+    if (!channels.length) return Promise.resolve([]);
+    const save = () => (kind === 'group' ? this._saveGroups() : this._saveTasks());
+    const deliveries = channels.map(c => ({ channel: c.name, type: c.type, status: 'pending', attempts: 0, error: null, sentAt: null, test }));
+    target.notifications = deliveries;
+    save();
+
+    return this.notifier.notify(message, channels, {
+      onUpdate: (delivery, i) => {
+        if (target.notifications !== deliveries) return;   // superseded by a newer send
+        deliveries[i] = { ...delivery, test };
+        save();
+        if (delivery.status === 'sent' || delivery.status === 'failed') this._recordNotification(kind, target.id, deliveries[i]);
+        this._broadcast({ type: 'notification', kind, id: target.id, delivery: deliveries[i] });
+      }
+    }).catch(e => {
+      this.logger.error(`[WatcherManager] notifications for ${target.id} failed:`, e && e.message ? e.message : e);
+      return [];
+    });
+  }
+
+  _recordNotification(kind, id, delivery) {
+    try { this.storage.recordNotification(kind, id, delivery); } catch (e) {
+      this.logger.error(`[WatcherManager] failed to record notification for ${id}:`, e && e.message ? e.message : e);
+    }
+  }
+
+  // send a test message through a task's channels (checks the configuration end to end)
+  async testTaskNotifications(id) {
+    const task = this.tasks.find(t => t.id === id);
+    if (!task) return null;
+    return this._sendNotifications(task, formatMessage({ event: 'test', task: safeTaskView(task, this.secrets) }), 'task', { test: true });
+  }
+
+  // lines about a task carry its id (plus e.g. bookingRunId) when the logger takes fields (logger.js)
+  _logFor(task, fields = {}) {
+    return typeof this.logger.child === 'function' ? this.logger.child({ taskId: task.id, ...fields }) : this.logger;
+  }
+
+  _onQueueChanged() {
+    for (const t of this.tasks) t.queuePosition = this.scheduler.position(t.id);
+    this._saveTasks();
+    this._broadcast({ type: 'queue', scheduler: this.scheduler.snapshot() });
+  }
+
   async _startTaskWatcher(task) {
     if (task.watcher) {
-      try { await task.watcher.stop(); } catch (e) { this.logger.warn('existing watcher stop failed', e && e.message ? e.message : e); }
+      try { await task.watcher.stop(); } catch (e) { this._logFor(task).warn('existing watcher stop failed', e && e.message ? e.message : e); }
       task.watcher = null;
     }
 
-    const watcher = new Watcher({
+    const options = {
       id: task.id,
       cinemaUrl: task.cinemaUrl,
       identifier: task.identifier,
-      pollIntervalSeconds: this.pollIntervalSeconds,
+      dateMode: task.dateMode || null,
+      strategy: task.strategy || 'dom',
+      pollIntervalSeconds: this._pollSecondsFor(task),
       rotateIntervalMs: this.rotateIntervalMs,
       pageFactory: (opts) => this._createIncognitoPageForTask(task.id, opts),
-      logger: this.logger
-    });
+      logger: this._logFor(task),
+      ...this.watcherHealthOptions,
+      onHealthChange: health => this._onWatcherHealth(task, watcher, health),
+      onAccessChange: access => this._onWatcherAccess(task, watcher, access),
+      onEvent: (type, details) => { if (task.watcher === watcher) this._journal(task, type, details); },
+      metrics: this.metrics
+    };
+    const watcher = (task.backend || 'browser') === 'http'
+      ? new HttpWatcher({ ...options, dataUrlTemplate: this.httpDataUrlTemplate, borrowPage: () => this.scheduler.borrow(task.id), returnPage: () => this.scheduler.giveBack(task.id) })
+      : new Watcher(options);
 
     task.watcher = watcher;
+    task.health = { ...watcher.health };
+    task.access = { ...watcher.access };
 
     await watcher.start().catch(err => {
-      this.logger.error(`[WatcherManager] watcher.start error for ${task.id}:`, err && err.message ? err.message : err);
+      this._logFor(task).error(`[WatcherManager] watcher.start error for ${task.id}:`, err && err.message ? err.message : err);
       throw err;
     });
 
     const monitor = setInterval(async () => {
-      if (!task.watcher) { clearInterval(monitor); return; }
+      // stale once the watcher was stopped or replaced (pause/resume, reload)
+      if (task.watcher !== watcher) { clearInterval(monitor); return; }
       if (task.watcher.found) {
         clearInterval(monitor);
         task.status = 'found';
+        this.scheduler.remove(task.id);
         task.foundHref = task.watcher.foundHref || task.foundHref || null;
+        task.matchedDateCode = task.watcher.foundDateCode || null;
+        task.foundCinemaUrl = task.watcher.foundUrl || null;
+        task.detection = { strategy: task.strategy || 'dom', via: task.watcher.foundVia || null, ...(task.watcher.foundDetails || {}) };
 
         if (!task.foundHref && task.watcher.page) {
           try {
@@ -344,21 +1539,24 @@ class WatcherManager {
           } catch (e) {}
         }
 
-        this._saveTasksToFile();
-        this.logger.log(`🔔 Task ${task.id} FOUND — ${task.identifier} => ${task.foundHref || '(unknown)'}`);
+        this._saveTasks();
+        if (task.watcher.foundSeenAt) this.metrics.observe('bms_detection_delay_seconds', (Date.now() - task.watcher.foundSeenAt) / 1000, { strategy: task.strategy || 'dom' });
+        this.metrics.inc('bms_tasks_found_total', { strategy: task.strategy || 'dom' });
+        const started = this._firstEvent(task.id, 'started');
+        this._journal(task, 'found', {
+          href: task.foundHref, matchedDateCode: task.matchedDateCode, via: task.detection.via,
+          detectionSeconds: started ? Math.round((Date.now() - Date.parse(started.at)) / 1000) : null
+        });
+        this._logFor(task).log(`🔔 Task ${task.id} FOUND — ${task.identifier} => ${task.foundHref || '(unknown)'} (date ${task.matchedDateCode || '-'})`);
 
         try { this._playServerAlarm(); } catch (e) { this.logger.warn('server alarm failed', e && e.message ? e.message : e); }
 
-        this._broadcast({ type: 'found', task: safeTaskView(task) });
+        this._broadcast({ type: 'found', task: safeTaskView(task, this.secrets), matchedDate: task.matchedDateCode || null, strategy: task.strategy || 'dom', detection: task.detection });
         this._broadcast({ type: 'alarmStarted', id: task.id, identifier: task.identifier });
+        this._sendNotifications(task, formatMessage({ task: safeTaskView(task, this.secrets) }), 'task');
+        this._refreshTaskGroup(task);
 
-        if (bookingAutomationFn) {
-          try {
-            bookingAutomationFn(task).catch(err => this.logger.error('bookingAutomation failed', err && err.message ? err.message : err));
-          } catch (e) {
-            this.logger.error('bookingAutomation invocation error', e && e.message ? e.message : e);
-          }
-        }
+        this.startBookingRuns(task);
 
         try { if (task.watcher) { await task.watcher.stop(); task.watcher = null; } } catch (e) {}
         return;
@@ -369,30 +1567,99 @@ class WatcherManager {
   async _resumeTaskWatcher(task) {
     try {
       task.status = 'starting';
-      await this._startTaskWatcher(task);
-      task.status = 'running';
-      this._saveTasksToFile();
-      this._broadcast({ type: 'resumed', id: task.id, task: safeTaskView(task) });
+      await this._runOrQueue(task);
+      this._broadcast({ type: 'resumed', id: task.id, task: safeTaskView(task, this.secrets) });
     } catch (e) {
-      this.logger.error('Resume watcher error for', task.id, e && e.message ? e.message : e);
+      this._logFor(task).error('Resume watcher error for', task.id, e && e.message ? e.message : e);
       task.status = 'error';
-      this._saveTasksToFile();
+      this._saveTasks();
+      this._journal(task, 'error', { message: e && e.message ? e.message : String(e), during: 'resume' });
     }
   }
 
+  // gauges read when /metrics is scraped: browser contexts/pages and tasks per status
+  _collectMetrics() {
+    this.metrics.collect('bms_browser_contexts', () => [{ labels: {}, value: this._browserCounts().contexts }]);
+    this.metrics.collect('bms_browser_pages', () => [{ labels: {}, value: this._browserCounts().pages }]);
+    this.metrics.collect('bms_tasks', () => {
+      const counts = {};
+      for (const t of this.tasks) counts[t.status] = (counts[t.status] || 0) + 1;
+      return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+    });
+  }
+
+  _browserCounts() {
+    let contexts = 0, pages = 0;
+    try {
+      if (this.browser) {
+        for (const ctx of this.browser.contexts()) { contexts++; pages += ctx.pages().length; }
+      }
+    } catch (e) {}
+    return { contexts, pages };
+  }
+
+  // snapshot for /debug/watchers: process memory, browser contexts/pages and per-task watcher state
+  debugState() {
+    const mem = process.memoryUsage();
+    const { contexts, pages } = this._browserCounts();
+
+    const watched = this.tasks.filter(t => t.watcher);
+    const backends = {};
+    for (const b of BACKENDS) backends[b] = watched.filter(t => (t.backend || 'browser') === b).length;
+
+    return {
+      time: new Date().toISOString(),
+      memory: { rssMb: toMb(mem.rss), heapUsedMb: toMb(mem.heapUsed), heapTotalMb: toMb(mem.heapTotal), externalMb: toMb(mem.external) },
+      browser: { launched: !!this.browser, connected: this.browser ? this.browser.isConnected() : false, contexts, pages },
+      scheduler: this.scheduler.snapshot(),
+      maxPages: this.maxPages,
+      defaultBackend: this.defaultBackend,
+      watchers: { total: watched.length, withPage: watched.filter(t => t.watcher.page).length, degraded: watched.filter(t => t.status === 'degraded').length, blocked: watched.filter(t => t.status === 'blocked').length, backends },
+      tasks: this.tasks.map(t => ({
+        id: t.id,
+        status: t.status,
+        backend: t.backend || 'browser',
+        strategy: t.strategy || 'dom',
+        queuePosition: t.status === 'queued' ? t.queuePosition || null : null,
+        priority: t.priority || 0,
+        inReleaseWindow: !!t.inReleaseWindow,
+        watcher: t.watcher && typeof t.watcher.debugInfo === 'function' ? t.watcher.debugInfo() : null
+      }))
+    };
+  }
+
   async shutdown() {
     this.logger.log('Shutting down WatcherManager...');
+    this.scheduler.stop();
+    this.scheduler.clear();
+    if (this._pollPolicyTimer) { clearInterval(this._pollPolicyTimer); this._pollPolicyTimer = null; }
+    this.catalog.stop();
+    this.notifier.close();
+    await this.handoffs.closeAll();
+    this.bookingRuns.flush();
     for (const t of this.tasks) {
       try { if (t.watcher) await t.watcher.stop(); } catch (e) {}
+      if (WATCHING_STATUSES.includes(t.status)) this._journal(t, 'stopped', { reason: 'shutdown' });
       t.status = 'stopped';
     }
-    this._saveTasksToFileImmediate();
+    for (const g of this.groups) if (g.status === 'running') g.status = 'stopped';
+    this._saveTasksImmediate();
+    this._saveGroups();
+    if (this._browserLaunch) {
+      try { await this._browserLaunch; } catch (e) {}
+    }
     if (this.browser) {
       try { await this.browser.close(); } catch (e) {}
       this.browser = null;
     }
+    if (this._ownsStorage) this.storage.close();
     this.logger.log('WatcherManager shutdown complete');
   }
 }
 
+WatcherManager.BACKENDS = BACKENDS;
+WatcherManager.TASK_EVENT_TYPES = TASK_EVENT_TYPES;
+WatcherManager.normalizePriority = normalizePriority;
+WatcherManager.bookingStepDurations = bookingStepDurations;
+
 module.exports = WatcherManager;
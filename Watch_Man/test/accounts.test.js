@@ -0,0 +1,211 @@
+// test/accounts.test.js
+// Booking accounts, per-account dispatch and the login session; browsers and the automation are faked.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Accounts, normalizeAccount } = require('../server/accounts');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor, controllableAutomation } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+describe('Accounts', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('validates accounts and fills defaults', () => {
+    expect(normalizeAccount({ name: ' Ravi ', phone: '98765 43210', upiId: 'ravi@okicici' })).toEqual({
+      name: 'Ravi', email: null, phone: '9876543210', upiId: 'ravi@okicici', maxSeats: 10, storageState: null
+    });
+    expect(() => normalizeAccount({ name: '' })).toThrow(/name required/);
+    expect(() => normalizeAccount({ name: 'Ravi', email: 'ravi' })).toThrow(/Invalid email/);
+    expect(() => normalizeAccount({ name: 'Ravi', maxSeats: 12 })).toThrow(/maxSeats/);
+    expect(() => normalizeAccount({ name: 'Ravi', storageState: '/etc/passwd' })).toThrow(/storageState must be/);
+    expect(normalizeAccount({ name: 'Ravi', storageState: '{"cookies":[]}' }).storageState).toEqual({ cookies: [], origins: [] });
+  });
+
+  test('keeps uploaded storageState under the profiles directory and ignores paths from old files', () => {
+    const file = path.join(dir, 'accounts.json');
+    const profilesDir = path.join(dir, 'profiles');
+    const accounts = new Accounts({ file, profilesDir, logger: memoryLogger() });
+    const ravi = accounts.create({ name: 'Ravi', storageState: { cookies: [{ name: 'session' }] } });
+    const stateFile = path.join(profilesDir, `${ravi.id}.json`);
+    expect(ravi.profile).toBe('storageState');
+    expect(accounts.get(ravi.id)).toEqual(expect.objectContaining({ storageState: stateFile, profileDir: null }));
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))).toEqual({ cookies: [{ name: 'session' }], origins: [] });
+    expect(() => new Accounts({ logger: memoryLogger() }).create({ name: 'Priya', storageState: { cookies: [] } })).toThrow(/profiles directory/);
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    saved[0].storageState = path.join(dir, 'users.json');
+    fs.writeFileSync(file, JSON.stringify(saved));
+    const logger = memoryLogger();
+    const reloaded = new Accounts({ file, profilesDir, logger });
+    expect(reloaded.get(ravi.id)).toEqual(expect.objectContaining({ storageState: null, profileDir: path.join(profilesDir, ravi.id) }));
+    expect(logger.lines.some(l => /ignoring storageState/.test(l.msg))).toBe(true);
+
+    accounts.remove(ravi.id);
+    expect(fs.existsSync(stateFile)).toBe(false);
+  });
+
+  test('persists accounts, gives each a profile and removes it with the account', () => {
+    const file = path.join(dir, 'accounts.json');
+    const profilesDir = path.join(dir, 'profiles');
+    const accounts = new Accounts({ file, profilesDir, logger: memoryLogger() });
+    const ravi = accounts.create({ name: 'Ravi', maxSeats: 4 });
+    expect(ravi).toEqual(expect.objectContaining({ name: 'Ravi', maxSeats: 4, profile: 'persistent', loggedInAt: null, busy: false }));
+    expect(accounts.get(ravi.id).profileDir).toBe(path.join(profilesDir, ravi.id));
+    expect(() => accounts.create({ name: 'ravi' })).toThrow(/already exists/);
+    expect(accounts.resolve('RAVI').id).toBe(ravi.id);
+
+    expect(accounts.acquire(ravi.id)).toBe(true);
+    expect(accounts.acquire(ravi.id)).toBe(false);
+    expect(() => accounts.remove(ravi.id)).toThrow(/in use/);
+    accounts.release(ravi.id);
+
+    const reloaded = new Accounts({ file, profilesDir, logger: memoryLogger() });
+    expect(reloaded.list()).toEqual([expect.objectContaining({ id: ravi.id, name: 'Ravi' })]);
+    fs.mkdirSync(reloaded.get(ravi.id).profileDir, { recursive: true });
+    reloaded.remove(ravi.id);
+    expect(fs.existsSync(path.join(profilesDir, ravi.id))).toBe(false);
+    expect(new Accounts({ file, logger: memoryLogger() }).list()).toEqual([]);
+  });
+});
+
+describe('WatcherManager account dispatch', () => {
+  async function foundTask(manager, bookingSettings) {
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings });
+    const task = manager.tasks.find(t => t.id === id);
+    task.status = 'found';
+    return task;
+  }
+
+  test('checks ACCOUNTS against the registry and each account\'s seat quota', async () => {
+    const manager = new WatcherManager({ bookingAutomation: null, logger: memoryLogger() });
+    try {
+      manager.createAccount({ name: 'Ravi', maxSeats: 2 });
+      await expect(foundTask(manager, { ACCOUNTS: ['Priya'] })).rejects.toMatchObject({ statusCode: 400, message: /Unknown booking account: Priya/ });
+      await expect(foundTask(manager, { SEAT_QUANTITY: 4, ACCOUNTS: ['Ravi'] })).rejects.toThrow(/Ravi may book at most 2 seats/);
+      const task = await foundTask(manager, { SEAT_QUANTITY: 4, ACCOUNTS: [{ account: 'ravi', seats: 2 }] });
+      expect(task.bookingSettings.ACCOUNTS).toEqual([{ account: manager.getAccounts()[0].id, seats: 2, settings: null }]);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('runs one booking per account side by side, one browser per account at a time', async () => {
+    const automation = controllableAutomation();
+    const manager = new WatcherManager({ bookingAutomation: automation.fn, maxConcurrentBookings: 3, logger: memoryLogger() });
+    try {
+      const ravi = manager.createAccount({ name: 'Ravi', email: 'ravi@example.com', maxSeats: 4 });
+      const priya = manager.createAccount({ name: 'Priya', upiId: 'priya@okaxis' });
+      const task = await foundTask(manager, {
+        SEAT_QUANTITY: 2, TARGET_SEAT: 'E05',
+        ACCOUNTS: ['Ravi', { account: 'Priya', seats: 3, settings: { TARGET_SEAT: 'F10' } }]
+      });
+
+      const runs = manager.startBookingRuns(task);
+      await waitFor(() => automation.calls.length === 2);
+      expect(runs.map(r => [r.account.name, r.seats])).toEqual([['Ravi', 2], ['Priya', 3]]);
+      expect(automation.calls.map(c => [c.account.id, c.task.bookingSettings.SEAT_QUANTITY, c.task.bookingSettings.TARGET_SEAT]))
+        .toEqual([[ravi.id, 2, 'E05'], [priya.id, 3, 'F10']]);
+      expect(manager.getAccount(ravi.id)).toEqual(expect.objectContaining({ busy: true, lastUsedAt: expect.any(String) }));
+
+      // a second run for Ravi waits for the first to give the profile back
+      const again = manager.startBookingRun(task, task.bookingSettings.ACCOUNTS[0]);
+      await new Promise(r => setTimeout(r, 20));
+      expect(manager.getBookingRun(again.id).status).toBe('queued');
+      automation.calls[0].onStep('payment-pending');
+      automation.calls[0].resolve({ ok: true, result: { ok: true } });
+      await waitFor(() => automation.calls.length === 3);
+      expect(manager.getBookingRun(runs[0].id).status).toBe('succeeded');
+      expect(automation.calls[2].account.id).toBe(ravi.id);
+
+      // a queued run whose account is removed fails instead of waiting for it forever
+      manager.maxConcurrentBookings = 2;
+      const temp = manager.createAccount({ name: 'Temp' });
+      const stranded = manager.startBookingRun(task, { account: temp.id, seats: 1, settings: null });
+      manager.deleteAccount(temp.id);
+      automation.calls[1].resolve({ ok: true, result: { ok: false, error: 'no seats' } });
+      await waitFor(() => manager.getBookingRun(stranded.id).status === 'failed');
+      expect(manager.getBookingRun(stranded.id).error).toBe('booking account was removed');
+      expect(manager.getBookingRun(runs[1].id).error).toBe('no seats');
+      expect(manager.getAccount(priya.id).busy).toBe(false);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('closes the account profile after each run, so back-to-back bookings and a login can open it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    // like launchPersistentContext, a profile already open in another browser can't be opened
+    const open = new Set();
+    const launch = profileDir => {
+      if (open.has(profileDir)) throw new Error(`profile ${profileDir} is already in use`);
+      open.add(profileDir);
+    };
+    const bookingAutomation = async (task, { onStep, account, closeOnFinish }) => {
+      try { launch(account.profileDir); } catch (e) { return { ok: true, result: { ok: false, error: e.message } }; }
+      onStep('payment-pending');
+      if (closeOnFinish) open.delete(account.profileDir);
+      return { ok: true, result: { ok: true } };
+    };
+    const accountLogin = async ({ profileDir }) => {
+      launch(profileDir);
+      const context = new EventEmitter();
+      context.close = async () => { open.delete(profileDir); };
+      return { context, page: { url: () => 'https://in.bookmyshow.com/' }, profileDir: null };
+    };
+    const manager = new WatcherManager({ bookingAutomation, accountLogin, profilesDir: dir, logger: memoryLogger() });
+    try {
+      const ravi = manager.createAccount({ name: 'Ravi' });
+      const task = await foundTask(manager, { ACCOUNTS: ['Ravi'] });
+      const first = manager.startBookingRun(task, task.bookingSettings.ACCOUNTS[0]);
+      const second = manager.startBookingRun(task, task.bookingSettings.ACCOUNTS[0]);
+      await waitFor(() => ['succeeded', 'failed'].includes(manager.getBookingRun(second.id).status));
+      expect([first, second].map(r => manager.getBookingRun(r.id).status)).toEqual(['succeeded', 'succeeded']);
+      expect(open.size).toBe(0);
+
+      const session = await manager.startAccountLogin(ravi.id);
+      await manager.handoffs.release(session.id, { completed: true });
+      await waitFor(() => !manager.getAccount(ravi.id).busy);
+    } finally {
+      await manager.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('logs an account in through a handoff session and keeps it checked out meanwhile', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    const opened = [];
+    const accountLogin = async opts => {
+      const context = new EventEmitter();
+      context.close = async () => { context.closed = true; };
+      context.storageState = async ({ path: file }) => fs.writeFileSync(file, JSON.stringify({ cookies: [{ name: 'session' }] }));
+      opened.push({ opts, context });
+      return { context, page: { url: () => 'https://in.bookmyshow.com/' }, profileDir: null };
+    };
+    const manager = new WatcherManager({ accountLogin, accountLoginUrl: 'http://127.0.0.1:4100', profilesDir: dir, logger: memoryLogger() });
+    try {
+      const account = manager.createAccount({ name: 'Ravi', storageState: { cookies: [] } });
+      const stateFile = path.join(dir, `${account.id}.json`);
+      const session = await manager.startAccountLogin(account.id);
+      expect(session).toEqual(expect.objectContaining({ purpose: 'login', accountId: account.id, status: 'active' }));
+      expect(opened[0].opts).toEqual(expect.objectContaining({ profileDir: null, storageState: stateFile, url: 'http://127.0.0.1:4100', headless: true }));
+      await expect(manager.startAccountLogin(account.id)).rejects.toMatchObject({ statusCode: 409 });
+
+      await manager.handoffs.release(session.id, { completed: true });
+      await waitFor(() => !manager.getAccount(account.id).busy);
+      expect(manager.getAccount(account.id).loggedInAt).toEqual(expect.any(String));
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).cookies).toHaveLength(1);
+      expect(opened[0].context.closed).toBe(true);
+      await expect(manager.startAccountLogin('account-missing')).rejects.toMatchObject({ statusCode: 404 });
+    } finally {
+      await manager.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
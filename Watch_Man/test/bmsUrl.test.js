@@ -0,0 +1,60 @@
+// test/bmsUrl.test.js
+
+const { parseBuyticketsUrl, withDateCode, normalizeDateCode, todayDateCode, addDays, dateRange, normalizeDateMode, resolveDateCode } = require('../server/bmsUrl');
+
+const URL = 'https://in.bookmyshow.com/cinemas/madurai/gopuram-cinemas-atmos-and-laser-projector-madurai/buytickets/GCMM/20250821';
+
+describe('bmsUrl', () => {
+  test('parses venue code and date segment', () => {
+    expect(parseBuyticketsUrl(URL)).toEqual(expect.objectContaining({ venueCode: 'GCMM', dateCode: '20250821' }));
+    expect(parseBuyticketsUrl(URL.replace('/20250821', ''))).toEqual(expect.objectContaining({ venueCode: 'GCMM', dateCode: null }));
+    expect(parseBuyticketsUrl('https://in.bookmyshow.com/explore/movies-madurai')).toBeNull();
+  });
+
+  test('replaces or appends the date segment', () => {
+    expect(withDateCode(URL, '2025-08-23')).toBe(URL.replace('20250821', '20250823'));
+    expect(withDateCode(URL.replace('/20250821', ''), '20250901')).toBe(URL.replace('20250821', '20250901'));
+    expect(withDateCode(URL + '?src=x', '20250901')).toBe(URL.replace('20250821', '20250901') + '?src=x');
+    expect(() => withDateCode(URL, '20251340')).toThrow(/Invalid date/);
+  });
+
+  test('date arithmetic crosses month boundaries', () => {
+    expect(normalizeDateCode('2025-02-29')).toBeNull();
+    expect(addDays('20250831', 1)).toBe('20250901');
+    expect(dateRange('20251230', '20260102')).toEqual(['20251230', '20251231', '20260101', '20260102']);
+    expect(() => dateRange('20250105', '20250101')).toThrow(/before start/);
+  });
+
+  test('today is computed in IST', () => {
+    // 20:00 UTC on Aug 21 is already Aug 22 in India
+    expect(todayDateCode({ now: new Date('2025-08-21T20:00:00Z') })).toBe('20250822');
+    expect(todayDateCode({ now: new Date('2025-08-21T20:00:00Z'), timeZone: 'UTC' })).toBe('20250821');
+  });
+
+  describe('date modes', () => {
+    const now = new Date('2025-08-21T20:00:00Z'); // 22 Aug in IST
+
+    test('normalizes and validates modes', () => {
+      expect(normalizeDateMode(null)).toEqual({ type: 'fixed' });
+      expect(normalizeDateMode('today')).toEqual({ type: 'today' });
+      expect(normalizeDateMode({ type: 'list', dates: '2025-08-24, 20250823,20250823' })).toEqual({ type: 'list', dates: ['20250823', '20250824'] });
+      expect(() => normalizeDateMode({ type: 'offset', days: 45 })).toThrow(/between 0 and 30/);
+      expect(() => normalizeDateMode({ type: 'weekly' })).toThrow(/Unknown date mode/);
+    });
+
+    test('resolves the date to load', () => {
+      expect(resolveDateCode({ type: 'today' }, { now })).toBe('20250822');
+      expect(resolveDateCode({ type: 'offset', days: 10 }, { now })).toBe('20250901');
+      // a fixed date that has passed rolls forward to today; future ones are kept
+      expect(resolveDateCode({ type: 'fixed' }, { urlDateCode: '20250821', now })).toBe('20250822');
+      expect(resolveDateCode({ type: 'fixed', date: '20250830' }, { urlDateCode: '20250821', now })).toBe('20250830');
+      expect(resolveDateCode({ type: 'fixed' }, { urlDateCode: null, now })).toBeNull();
+    });
+
+    test('list mode cycles through upcoming dates only', () => {
+      const mode = normalizeDateMode({ type: 'list', dates: ['20250820', '20250822', '20250825'] });
+      expect([0, 1, 2].map(cursor => resolveDateCode(mode, { cursor, now }))).toEqual(['20250822', '20250825', '20250822']);
+      expect(resolveDateCode(normalizeDateMode({ type: 'list', dates: ['20250101'] }), { now })).toBe('20250822');
+    });
+  });
+});
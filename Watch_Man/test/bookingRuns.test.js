@@ -0,0 +1,142 @@
+// test/bookingRuns.test.js
+// Booking run records and their lifecycle in WatcherManager; the automation itself is faked.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BookingRuns = require('../server/bookingRuns');
+const Storage = require('../server/storage');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor, controllableAutomation } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+describe('BookingRuns', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('records each step once, in order, and persists the runs', () => {
+    const storage = new Storage({ logger: memoryLogger() });
+    const changes = [];
+    const runs = new BookingRuns({ storage, onChange: r => changes.push(r.status), logger: memoryLogger() });
+    const run = runs.create({ id: 'task-1', identifier: 'ET1', cinemaUrl: CINEMA });
+
+    runs.advance(run.id, 'launching');
+    runs.advance(run.id, 'showtime-selected', { showIndex: 2 });
+    expect(runs.advance(run.id, 'launching')).toBeNull();        // backwards
+    expect(runs.advance(run.id, 'succeeded')).toBeNull();        // final states go through finish()
+    runs.finish(run.id, { ok: false, error: 'seat layout never appeared' });
+    expect(runs.advance(run.id, 'seats-selected')).toBeNull();   // already finished
+
+    expect(changes).toEqual(['queued', 'launching', 'showtime-selected', 'failed']);
+    expect(runs.get(run.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'seat layout never appeared', finishedAt: expect.any(String) }));
+    expect(runs.get(run.id).steps[2]).toEqual(expect.objectContaining({ status: 'showtime-selected', details: { showIndex: 2 } }));
+
+    runs.flush();
+    const reloaded = new BookingRuns({ storage, logger: memoryLogger() });
+    expect(reloaded.forTask('task-1')).toHaveLength(1);
+    expect(reloaded.get(run.id).steps).toHaveLength(4);
+  });
+
+  test('runs in flight when the server stopped come back as failed', () => {
+    const file = path.join(dir, 'watcher.db');
+    let storage = new Storage({ file, logger: memoryLogger() });
+    const runs = new BookingRuns({ storage, logger: memoryLogger() });
+    const run = runs.create({ id: 'task-1' });
+    runs.advance(run.id, 'launching');
+    runs.flush();
+    storage.close();
+
+    storage = new Storage({ file, logger: memoryLogger() });
+    const reloaded = new BookingRuns({ storage, logger: memoryLogger() });
+    expect(reloaded.get(run.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'interrupted by server restart' }));
+    expect(storage.loadBookingRuns()[0].status).toBe('failed');
+    storage.close();
+  });
+});
+
+describe('WatcherManager booking runs', () => {
+  async function foundTask(manager) {
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1' });
+    const task = manager.tasks.find(t => t.id === id);
+    task.status = 'found';
+    return task;
+  }
+
+  test('streams steps over SSE and succeeds once payment is pending', async () => {
+    const automation = controllableAutomation();
+    const manager = new WatcherManager({ bookingAutomation: automation.fn, logger: memoryLogger() });
+    const events = [];
+    manager.addSseClient(e => events.push(e));
+    const task = await foundTask(manager);
+
+    const run = manager.startBookingRun(task);
+    await waitFor(() => automation.calls.length === 1);
+    const { onStep, resolve } = automation.calls[0];
+    onStep('showtime-selected', { showIndex: 1 });
+    onStep('seats-selected', { seats: ['C04'] });
+    onStep('payment-pending');
+    resolve({ ok: true, result: { ok: true, message: 'left at payment' } });
+    await waitFor(() => manager.bookingRuns.get(run.id).status === 'succeeded');
+
+    const bookingEvents = events.filter(e => e.type === 'booking' && e.id === task.id).map(e => e.run.status);
+    expect(bookingEvents).toEqual(['queued', 'launching', 'showtime-selected', 'seats-selected', 'payment-pending', 'succeeded']);
+    expect(manager.getBookingRuns(task.id)).toEqual([expect.objectContaining({ id: run.id, result: { message: 'left at payment' } })]);
+    expect(manager.getTasks({ all: true })[0].lastBooking).toEqual(expect.objectContaining({ id: run.id, status: 'succeeded' }));
+    expect(manager.getBookingRuns('task-missing')).toBeNull();
+    await manager.shutdown();
+  });
+
+  test('fails runs that error or stop short of payment, and queues beyond the concurrency limit', async () => {
+    const automation = controllableAutomation();
+    const manager = new WatcherManager({ bookingAutomation: automation.fn, maxConcurrentBookings: 1, logger: memoryLogger() });
+    const task = await foundTask(manager);
+
+    const first = manager.startBookingRun(task);
+    const second = manager.startBookingRun(task);
+    await waitFor(() => automation.calls.length === 1);
+    expect(manager.bookingRuns.get(second.id).status).toBe('queued');
+
+    automation.calls[0].onStep('showtime-selected');
+    automation.calls[0].resolve({ ok: true, result: { ok: true } });
+    await waitFor(() => automation.calls.length === 2);
+    expect(manager.bookingRuns.get(first.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'automation stopped at showtime-selected' }));
+
+    automation.calls[1].resolve({ ok: true, result: { ok: false, error: 'Could not find the gridcell for movie id ET1' } });
+    await waitFor(() => manager.bookingRuns.get(second.id).status === 'failed');
+    expect(manager.bookingRuns.get(second.id).error).toMatch(/gridcell/);
+    await manager.shutdown();
+  });
+
+  test('keeps the screenshots the automation reports, served only from the run\'s own directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+    const seen = [];
+    const automation = async (task, { onStep, artifactsDir, trace, onArtifact }) => {
+      seen.push({ artifactsDir, trace });
+      fs.mkdirSync(artifactsDir, { recursive: true });
+      fs.writeFileSync(path.join(artifactsDir, '01-theatre-page.png'), 'png');
+      onArtifact({ kind: 'screenshot', file: '01-theatre-page.png', label: 'theatre-page', url: CINEMA });
+      onStep('showtime-selected');
+      fs.writeFileSync(path.join(artifactsDir, '02-error.png'), 'png');
+      onArtifact({ kind: 'screenshot', file: '02-error.png', label: 'error' });
+      return { ok: true, result: { ok: false, error: 'seat layout never appeared' } };
+    };
+    const manager = new WatcherManager({ bookingAutomation: automation, artifactsDir: dir, bookingTraces: true, logger: memoryLogger() });
+    try {
+      const task = await foundTask(manager);
+      const run = manager.startBookingRun(task);
+      await waitFor(() => manager.getBookingRun(run.id).status === 'failed');
+
+      expect(seen).toEqual([{ artifactsDir: path.join(dir, run.id), trace: true }]);
+      expect(manager.getBookingRun(run.id).artifacts.map(a => [a.file, a.step])).toEqual([['01-theatre-page.png', 'launching'], ['02-error.png', 'showtime-selected']]);
+      expect(manager.getBookingArtifact(run.id, '02-error.png')).toBe(path.join(dir, run.id, '02-error.png'));
+      expect(manager.getBookingArtifact(run.id, '../bookings.json')).toBeNull();
+      expect(manager.getBookingArtifact('booking-missing', '02-error.png')).toBeNull();
+    } finally {
+      await manager.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+// test/handoffSessions.test.js
+// Payment handoff sessions against a fake context / page / CDP session (no browser needed).
+
+const { EventEmitter } = require('events');
+const HandoffSessions = require('../server/handoffSessions');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+function fakeBrowser() {
+  const calls = [];
+  const cdp = new EventEmitter();
+  cdp.send = async (method, params) => { calls.push([method, params]); };
+  cdp.detach = async () => { calls.push(['detach']); };
+  const page = {
+    url: () => 'https://in.bookmyshow.com/payment',
+    mouse: {
+      click: async (x, y, opts) => calls.push(['click', x, y, opts.button]),
+      move: async (x, y) => calls.push(['move', x, y]),
+      wheel: async (dx, dy) => calls.push(['wheel', dx, dy])
+    },
+    keyboard: {
+      press: async key => calls.push(['press', key]),
+      type: async text => calls.push(['type', text])
+    }
+  };
+  const context = new EventEmitter();
+  context.newCDPSession = async () => cdp;
+  context.close = async () => { calls.push(['close']); };
+  // what Chrome sends while the screencast runs
+  const frame = () => cdp.emit('Page.screencastFrame', { data: 'anBlZw==', sessionId: 7, metadata: { deviceWidth: 1000, deviceHeight: 500 } });
+  return { calls, cdp, page, context, frame };
+}
+
+describe('HandoffSessions', () => {
+  test('streams frames to viewers and maps their input onto the page', async () => {
+    const b = fakeBrowser();
+    const sessions = new HandoffSessions({ logger: memoryLogger() });
+    const session = sessions.open({ runId: 'booking-1', taskId: 'task-1', context: b.context, page: b.page });
+    expect(session).toEqual(expect.objectContaining({ status: 'active', runId: 'booking-1', url: 'https://in.bookmyshow.com/payment' }));
+
+    const frames = [];
+    const unsubscribe = sessions.subscribe(session.id, f => frames.push(f));
+    await waitFor(() => b.calls.some(c => c[0] === 'Page.startScreencast'));
+    b.frame();
+    expect(frames).toEqual([expect.objectContaining({ data: 'anBlZw==' })]);
+    expect(b.calls).toContainEqual(['Page.screencastFrameAck', { sessionId: 7 }]);
+
+    await sessions.input(session.id, { type: 'click', x: 0.5, y: 0.2 });
+    await sessions.input(session.id, { type: 'wheel', deltaY: 300 });
+    await sessions.input(session.id, { type: 'key', key: 'Enter' });
+    await sessions.input(session.id, { type: 'text', text: 'me@upi' });
+    expect(b.calls.filter(c => ['click', 'wheel', 'press', 'type'].includes(c[0]))).toEqual([
+      ['click', 500, 100, 'left'], ['wheel', 0, 300], ['press', 'Enter'], ['type', 'me@upi']
+    ]);
+    await expect(sessions.input(session.id, { type: 'drag' })).rejects.toThrow(/Unknown input type/);
+
+    unsubscribe();
+    await waitFor(() => b.calls.some(c => c[0] === 'Page.stopScreencast'));
+
+    const released = await sessions.release(session.id, { completed: true });
+    expect(released).toEqual(expect.objectContaining({ status: 'released', outcome: { completed: true, reason: 'payment completed' } }));
+    await expect(sessions.done(session.id)).resolves.toEqual({ completed: true, reason: 'payment completed' });
+    expect(b.calls).toContainEqual(['close']);
+    await expect(sessions.input(session.id, { type: 'key', key: 'a' })).rejects.toThrow(/released/);
+  });
+
+  test('closes the browser once nobody has touched it for the timeout', async () => {
+    const b = fakeBrowser();
+    const sessions = new HandoffSessions({ timeoutSeconds: 0.05, logger: memoryLogger() });
+    const session = sessions.open({ context: b.context, page: b.page });
+    await expect(sessions.done(session.id)).resolves.toEqual({ completed: false, reason: 'handoff timed out' });
+    expect(sessions.view(session.id).status).toBe('expired');
+    expect(b.calls).toContainEqual(['close']);
+  });
+});
+
+describe('WatcherManager payment handoff', () => {
+  test('the run waits in handoff until released and keeps its booking slot', async () => {
+    const b = fakeBrowser();
+    const automation = async (task, { onStep, handoff, onHandoff }) => {
+      expect(handoff).toBe(true);
+      onStep('showtime-selected'); onStep('seats-selected'); onStep('payment-pending');
+      onHandoff({ context: b.context, page: b.page, profileDir: null });
+      return { ok: true, result: { ok: true, handoff: true } };
+    };
+    const manager = new WatcherManager({ bookingAutomation: automation, bookingHandoff: true, maxConcurrentBookings: 1, logger: memoryLogger() });
+    const events = [];
+    manager.addSseClient(e => events.push(e));
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1' });
+      const task = manager.tasks.find(t => t.id === id);
+      const run = manager.startBookingRun(task);
+      await waitFor(() => manager.getBookingRun(run.id).status === 'handoff');
+
+      const sessionId = manager.getBookingRun(run.id).steps.find(s => s.status === 'handoff').details.sessionId;
+      expect(manager.getHandoffs()).toEqual([expect.objectContaining({ id: sessionId, runId: run.id, taskId: id, status: 'active' })]);
+      expect(events.some(e => e.type === 'handoff' && e.session.id === sessionId)).toBe(true);
+
+      const next = manager.startBookingRun(task);
+      expect(manager.getBookingRun(next.id).status).toBe('queued');
+
+      await manager.handoffs.release(sessionId, { completed: false });
+      await waitFor(() => manager.getBookingRun(run.id).status === 'failed');
+      expect(manager.getBookingRun(run.id).error).toBe('released without completing payment');
+      await waitFor(() => manager.getBookingRun(next.id).status !== 'queued');
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
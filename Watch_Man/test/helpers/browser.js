@@ -0,0 +1,14 @@
+// test/helpers/browser.js
+// Browser-backed suites only run where a Playwright chromium build is installed
+// (`npm run install-browsers`); everywhere else they are reported as skipped.
+
+const fs = require('fs');
+const { chromium } = require('playwright');
+
+function hasChromium() {
+  try { return fs.existsSync(chromium.executablePath()); } catch (e) { return false; }
+}
+
+const describeWithBrowser = hasChromium() ? describe : describe.skip;
+
+module.exports = { hasChromium, describeWithBrowser };
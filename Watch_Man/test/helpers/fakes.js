@@ -0,0 +1,34 @@
+// test/helpers/fakes.js
+// Test doubles shared by the suites: a logger that records instead of printing, a polling
+// waitFor and a booking automation that tests resolve by hand.
+
+// logger that keeps test output quiet but still lets assertions inspect messages
+function memoryLogger() {
+  const lines = [];
+  const push = level => (...args) => lines.push({ level, msg: args.map(a => (a && a.message) ? a.message : String(a)).join(' ') });
+  return { lines, log: push('log'), info: push('info'), warn: push('warn'), error: push('error'), debug: push('debug') };
+}
+
+function waitFor(predicate, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const tick = async () => {
+      let value;
+      try { value = await predicate(); } catch (e) { value = null; }
+      if (value) return resolve(value);
+      if (Date.now() > deadline) return reject(new Error('waitFor timed out'));
+      setTimeout(tick, intervalMs);
+    };
+    tick();
+  });
+}
+
+// stands in for WatcherManager's bookingAutomation: each call waits until the test resolves it,
+// so runs can be inspected mid-flight; `options` is what the manager passed
+function controllableAutomation() {
+  const calls = [];
+  const fn = (task, options = {}) => new Promise(resolve => calls.push({ task, options, onStep: options.onStep, account: options.account, resolve }));
+  return { fn, calls };
+}
+
+module.exports = { memoryLogger, waitFor, controllableAutomation };
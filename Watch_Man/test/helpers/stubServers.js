@@ -0,0 +1,90 @@
+// test/helpers/stubServers.js
+// Local stand-ins for notification endpoints: an HTTP server that records every request
+// (and can be told to fail the first N), and a bare-bones SMTP server that accepts and
+// records messages. Both listen on random ports on 127.0.0.1.
+
+const http = require('http');
+const net = require('net');
+
+async function listen(server) {
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  return server.address().port;
+}
+
+// stub.requests: [{ method, path, headers, body (parsed JSON when possible) }]
+async function startHttpStub({ failFirst = 0, failStatus = 500 } = {}) {
+  const stub = { requests: [], failFirst, failStatus };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      let body = raw;
+      try { body = JSON.parse(raw); } catch (_) {}
+      stub.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      if (stub.failFirst > 0) {
+        stub.failFirst--;
+        res.writeHead(stub.failStatus); res.end('nope'); return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  const port = await listen(server);
+  stub.url = `http://127.0.0.1:${port}`;
+  stub.stop = () => new Promise(resolve => { server.close(() => resolve()); server.closeAllConnections(); });
+  return stub;
+}
+
+// stub.messages: [{ from, to: [], data }] — no TLS, no auth, just enough SMTP for nodemailer
+async function startSmtpStub() {
+  const stub = { messages: [] };
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 stub ESMTP');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            stub.messages.push(current);
+            current = { from: null, to: [], data: '' };
+            reply('250 OK queued');
+          } else {
+            current.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') reply('250 stub');
+        else if (cmd === 'MAIL') { current.from = line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]; reply('250 OK'); }
+        else if (cmd === 'RCPT') { current.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]); reply('250 OK'); }
+        else if (cmd === 'DATA') { inData = true; reply('354 end with .'); }
+        else if (cmd === 'QUIT') { reply('221 bye'); socket.end(); }
+        else reply('250 OK');
+      }
+    });
+  });
+  stub.port = await listen(server);
+  stub.stop = () => new Promise(resolve => {
+    for (const s of sockets) s.destroy();
+    server.close(() => resolve());
+  });
+  return stub;
+}
+
+module.exports = { startHttpStub, startSmtpStub };
@@ -0,0 +1,183 @@
+// test/httpWatcher.test.js
+// HTTP polling backend against the mock BMS server; browser escalation uses a fake page.
+
+const HttpWatcher = require('../server/httpWatcher');
+const WatcherManager = require('../server/watcherManager');
+const { MockBmsServer } = require('./mockBms/server');
+const { todayDateCode } = require('../server/bmsUrl');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+// stands in for a Playwright page: "injecting" the observer reports `href` through the binding
+function fakePageFactory({ reportHref = null } = {}) {
+  const opened = [];
+  const factory = async () => {
+    let binding = null;
+    const page = {
+      on() {},
+      async exposeFunction(name, fn) { binding = fn; },
+      async goto(url) { opened.push(url); },
+      async waitForLoadState() {},
+      async evaluate() { if (reportHref && binding) binding(reportHref); },
+      async close() {}
+    };
+    return { page, context: { async close() {} } };
+  };
+  return { factory, opened };
+}
+
+// fixed-date URLs in the past roll over to today, so watch today's page directly
+const TODAY = todayDateCode();
+
+describe('HttpWatcher', () => {
+  let mock;
+  const watchers = [];
+
+  beforeAll(async () => {
+    mock = new MockBmsServer();
+    await mock.start();
+  });
+
+  afterAll(async () => { await mock.stop(); });
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addCinema({ city: 'madurai', code: 'GCMM', name: 'Gopuram Cinemas' });
+  });
+
+  afterEach(async () => {
+    while (watchers.length) await watchers.pop().stop();
+  });
+
+  async function startWatcher(identifier, opts = {}) {
+    const found = [];
+    const watcher = new HttpWatcher({
+      cinemaUrl: mock.cinemaUrl('GCMM', TODAY),
+      identifier,
+      pollIntervalSeconds: 60,
+      escalationHoldMs: 300,
+      logger: memoryLogger(),
+      ...opts
+    });
+    watchers.push(watcher);
+    await watcher.start(hit => found.push(hit));
+    return { watcher, found };
+  }
+
+  test('finds the movie in the showtimes endpoint without opening a page', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask', slug: 'mask-2025' });
+    const { factory, opened } = fakePageFactory();
+    const { watcher, found } = await startWatcher('ET00470630', { pageFactory: factory });
+
+    expect(watcher.found).toBe(true);
+    expect(found[0].via).toBe('http data');
+    expect(found[0].href).toBe(`${mock.baseUrl}/movies/madurai/mask-2025/ET00470630`);
+    expect(found[0].details.showtimes).toHaveLength(4);
+    expect(watcher.lastCheck).toEqual(expect.objectContaining({ outcome: 'found', dataStatus: 200, escalated: false }));
+    expect(opened).toHaveLength(0);
+  });
+
+  test('a payload without the movie is a conclusive miss', async () => {
+    const { factory, opened } = fakePageFactory();
+    const { watcher } = await startWatcher('ET00470630', { pageFactory: factory });
+
+    expect(watcher.found).toBe(false);
+    expect(watcher.lastCheck.outcome).toBe('not-found');
+    expect(mock.hits('/cinemas/')).toHaveLength(0);
+    expect(opened).toHaveLength(0);
+  });
+
+  test('escalates to a browser page when the endpoint fails, at most once per cooldown', async () => {
+    mock.respondWith('/api/movies-data', { status: 503, body: 'busy' });
+    const { factory, opened } = fakePageFactory();
+    const { watcher } = await startWatcher('ET00470630', { pageFactory: factory });
+
+    expect(watcher.lastCheck).toEqual(expect.objectContaining({ outcome: 'inconclusive', dataStatus: 503, pageStatus: 200, escalated: true }));
+    expect(opened).toEqual([mock.cinemaUrl('GCMM', TODAY)]);
+    expect(watcher.page).toBeNull();
+
+    await watcher._check();
+    expect(watcher.lastCheck.escalated).toBe(false);
+    expect(watcher.escalations).toBe(1);
+  });
+
+  test('escalates only with a free page slot and holds it until the page closes', async () => {
+    mock.respondWith('/api/movies-data', { status: 503, body: 'busy' });
+    const { factory, opened } = fakePageFactory();
+    let free = 0;
+    const lent = [];
+    const { watcher } = await startWatcher('ET00470630', {
+      pageFactory: factory,
+      escalationCooldownMs: 0,
+      borrowPage: () => { if (!free) return false; free--; lent.push('borrow'); return true; },
+      returnPage: () => { free++; lent.push('return'); }
+    });
+
+    expect(watcher.lastCheck).toEqual(expect.objectContaining({ outcome: 'inconclusive', escalated: false, reason: expect.stringMatching(/no free browser page/) }));
+    expect(opened).toHaveLength(0);
+
+    free = 1;
+    await watcher._check();
+    expect(watcher.lastCheck.escalated).toBe(true);
+    expect(opened).toHaveLength(1);
+    expect(lent).toEqual(['borrow', 'return']);
+    expect(free).toBe(1);
+  });
+
+  test('the escalated page can report the find', async () => {
+    mock.respondWith('/api/movies-data', { status: 403, body: 'denied' });
+    const href = `${mock.baseUrl}/movies/madurai/mask/ET00470630`;
+    const { factory } = fakePageFactory({ reportHref: href });
+    const { watcher, found } = await startWatcher('ET00470630', { pageFactory: factory });
+
+    expect(watcher.found).toBe(true);
+    expect(found[0].href).toBe(href);
+    expect(watcher.lastCheck.outcome).toBe('found');
+  });
+});
+
+describe('WatcherManager backends', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = new MockBmsServer();
+    await mock.start();
+    mock.addCinema({ city: 'madurai', code: 'GCMM', name: 'Gopuram Cinemas' });
+  });
+
+  afterAll(async () => { await mock.stop(); });
+
+  test('runs http tasks without a browser and reports them in debugState', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger(), pollIntervalSeconds: 60 });
+    await expect(manager.createTask({ cinemaUrl: mock.cinemaUrl('GCMM', TODAY), identifier: 'ET1', backend: 'carrier-pigeon' })).rejects.toThrow(/backend/);
+
+    const id = await manager.createTask({ cinemaUrl: mock.cinemaUrl('GCMM', TODAY), identifier: 'ET00470630', backend: 'http' });
+    await waitFor(() => manager.getTasks().find(t => t.id === id && t.status === 'running'));
+
+    const state = manager.debugState();
+    expect(state.browser).toEqual({ launched: false, connected: false, contexts: 0, pages: 0 });
+    expect(state.watchers).toEqual({ total: 1, withPage: 0, degraded: 0, blocked: 0, backends: { browser: 0, http: 1 } });
+    expect(state.memory.rssMb).toBeGreaterThan(0);
+    expect(state.tasks[0].watcher).toEqual(expect.objectContaining({ backend: 'http', httpChecks: 1, hasPage: false }));
+
+    await manager.stopTask(id);
+    expect(manager.debugState().watchers.total).toBe(0);
+  });
+
+  test('http escalations wait for a free page slot', async () => {
+    mock.respondWith('/api/movies-data', { status: 503, body: 'busy' });
+    const manager = new WatcherManager({ maxPages: 1, logger: memoryLogger(), pollIntervalSeconds: 60 });
+    try {
+      manager.scheduler.borrow('someone-else');
+      const id = await manager.createTask({ cinemaUrl: mock.cinemaUrl('GCMM', TODAY), identifier: 'ET00470630', backend: 'http' });
+      const task = manager.tasks.find(t => t.id === id);
+      await waitFor(() => task.watcher && task.watcher.lastCheck);
+      expect(task.watcher.lastCheck).toEqual(expect.objectContaining({ escalated: false, reason: expect.stringMatching(/no free browser page/) }));
+      expect(manager.debugState().browser.launched).toBe(false);
+      await manager.stopTask(id);
+    } finally {
+      mock.reset();
+      mock.addCinema({ city: 'madurai', code: 'GCMM', name: 'Gopuram Cinemas' });
+      await manager.shutdown();
+    }
+  });
+});
@@ -0,0 +1,91 @@
+// test/logger.test.js
+// JSON-lines logger: levels, correlation fields, the per-task buffer and file rotation.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../server/logger');
+const Watcher = require('../server/watcher');
+const WatcherManager = require('../server/watcherManager');
+const { waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+function capture() {
+  const lines = [];
+  return { lines, write: line => lines.push(line) };
+}
+
+describe('Logger', () => {
+  test('writes JSON lines with the child fields and keeps each task\'s lines', () => {
+    const stream = capture();
+    const logger = new Logger({ level: 'info', stream });
+    const seen = [];
+    const unsubscribe = logger.subscribe(r => seen.push(r.msg));
+    const task = logger.child({ taskId: 'task-1' });
+
+    logger.debug('too chatty');
+    task.child({ bookingRunId: 'booking-1' }).warn('seat', 'A1', 'taken', { tier: 2 });
+    task.error('load failed', new Error('net::ERR_CONNECTION_RESET'));
+    unsubscribe();
+    task.log('still running');
+
+    expect(stream.lines).toHaveLength(3);
+    expect(JSON.parse(stream.lines[0])).toEqual({ time: expect.any(String), level: 'warn', msg: 'seat A1 taken {"tier":2}', taskId: 'task-1', bookingRunId: 'booking-1' });
+    expect(JSON.parse(stream.lines[1])).toEqual(expect.objectContaining({ level: 'error', msg: 'load failed net::ERR_CONNECTION_RESET', stack: expect.stringContaining('Error') }));
+    expect(seen).toEqual(['seat A1 taken {"tier":2}', 'load failed net::ERR_CONNECTION_RESET']);
+
+    expect(logger.recent('task-1').map(r => r.level)).toEqual(['warn', 'error', 'info']);
+    expect(logger.recent('task-1', { level: 'error' }).map(r => r.msg)).toEqual(['load failed net::ERR_CONNECTION_RESET']);
+    expect(logger.recent('task-1', { limit: 1 }).map(r => r.msg)).toEqual(['still running']);
+    expect(() => logger.recent('task-1', { level: 'loud' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => new Logger({ level: 'verbose' })).toThrow(/Unknown log level/);
+  });
+
+  test('rotates the log file and keeps maxFiles old ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    try {
+      const file = path.join(dir, 'logs', 'watcher.log');
+      const logger = new Logger({ stream: null, file, maxBytes: 200, maxFiles: 2 });
+      for (let i = 0; i < 10; i++) logger.log(`line ${i}`);
+
+      expect(fs.readdirSync(path.dirname(file)).sort()).toEqual(['watcher.log', 'watcher.log.1', 'watcher.log.2']);
+      for (const f of ['watcher.log', 'watcher.log.1', 'watcher.log.2']) expect(fs.statSync(path.join(dir, 'logs', f)).size).toBeLessThanOrEqual(200);
+      const last = fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l).msg);
+      expect(last[last.length - 1]).toBe('line 9');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('log correlation', () => {
+  test('watchers, tasks and booking runs tag their lines', async () => {
+    const logger = new Logger({ level: 'debug', stream: null });
+    const watcher = new Watcher({ id: 'task-w', cinemaUrl: CINEMA, identifier: 'ET1', logger: logger.child({ taskId: 'task-w' }) });
+    watcher.logger.log('hello');
+    expect(logger.recent('task-w')[0]).toEqual(expect.objectContaining({ taskId: 'task-w', watcherId: 'task-w', cinema: 'GCMM', msg: 'hello' }));
+
+    const automation = async (task, { onStep, logger: runLogger }) => {
+      runLogger.log('Opening theatre page');
+      onStep('payment-pending');
+      return { ok: true, result: { ok: true } };
+    };
+    const manager = new WatcherManager({ bookingAutomation: automation, logger });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1' });
+      const task = manager.tasks.find(t => t.id === id);
+      task.status = 'found';
+      const run = manager.startBookingRun(task);
+      await waitFor(() => manager.getBookingRun(run.id).status === 'succeeded');
+      await manager.stopTask(id);
+
+      const lines = logger.recent(id);
+      expect(lines.find(r => r.msg === 'Opening theatre page')).toEqual(expect.objectContaining({ taskId: id, bookingRunId: run.id }));
+      expect(lines[lines.length - 1]).toEqual(expect.objectContaining({ taskId: id, msg: expect.stringContaining('stopped') }));
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
@@ -0,0 +1,93 @@
+// test/metrics.test.js
+// The metrics registry and what Watcher / WatcherManager record into it (fake pages and automation).
+
+const Metrics = require('../server/metrics');
+const Watcher = require('../server/watcher');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+describe('Metrics', () => {
+  test('renders Prometheus text and summarizes recent samples', () => {
+    const metrics = new Metrics();
+    metrics.inc('bms_watcher_errors_total', { cinema: 'GC"MM' });
+    metrics.inc('bms_watcher_errors_total', { cinema: 'GC"MM' }, 2);
+    for (const v of [0.2, 0.4, 3]) metrics.observe('bms_watcher_reload_duration_seconds', v, { backend: 'browser' });
+    metrics.observe('bms_watcher_reload_duration_seconds', NaN, { backend: 'browser' });
+    metrics.inc('bms_not_a_metric');
+    metrics.collect('bms_tasks', () => [{ labels: { status: 'running' }, value: 2 }]);
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE bms_watcher_errors_total counter');
+    expect(text).toContain('bms_watcher_errors_total{cinema="GC\\"MM"} 3');
+    expect(text).toContain('bms_watcher_reload_duration_seconds_bucket{backend="browser",le="0.25"} 1');
+    expect(text).toContain('bms_watcher_reload_duration_seconds_bucket{backend="browser",le="+Inf"} 3');
+    expect(text).toContain('bms_watcher_reload_duration_seconds_sum{backend="browser"} 3.6');
+    expect(text).toContain('bms_tasks{status="running"} 2');
+
+    const summary = metrics.summary();
+    expect(summary.bms_watcher_reload_duration_seconds).toEqual([{ labels: { backend: 'browser' }, count: 3, avg: 1.2, p50: 0.4, p95: 3, max: 3 }]);
+    expect(summary.bms_watcher_errors_total).toEqual([{ labels: { cinema: 'GC"MM' }, value: 3 }]);
+    expect(summary.bms_detection_delay_seconds).toEqual([]);
+  });
+
+  test('a watcher records reloads, errors per cinema and when the link showed up', async () => {
+    const metrics = new Metrics();
+    const state = { failing: true };
+    const page = {
+      on() {}, async exposeFunction() {}, async waitForLoadState() {}, async evaluate() {}, async close() {},
+      async goto() { if (state.failing) throw new Error('net::ERR_CONNECTION_RESET'); },
+      async reload() { if (state.failing) throw new Error('net::ERR_CONNECTION_RESET'); }
+    };
+    const watcher = new Watcher({
+      cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 0.01, maxBackoffSeconds: 0.02, rotateIntervalMs: 0,
+      pageFactory: async () => ({ page, context: { async close() {} } }), logger: memoryLogger(), metrics
+    });
+    try {
+      await watcher.start(() => {});
+      await waitFor(() => metrics.summary().bms_watcher_reloads_total.length > 0, { timeoutMs: 3000 });
+      state.failing = false;
+      await waitFor(() => metrics.summary().bms_watcher_observer_injection_seconds.length > 0, { timeoutMs: 3000 });
+
+      const summary = metrics.summary();
+      expect(summary.bms_watcher_errors_total[0]).toEqual({ labels: { cinema: 'GCMM' }, value: expect.any(Number) });
+      expect(summary.bms_watcher_reloads_total[0].labels).toEqual({ cinema: 'GCMM' });
+      expect(summary.bms_watcher_reload_duration_seconds[0].labels).toEqual({ backend: 'browser' });
+
+      const seenAt = Date.now() - 1500;
+      watcher._handleFound('https://in.bookmyshow.com/buytickets/ET1', 'binding', null, seenAt);
+      expect(watcher.foundSeenAt).toBe(seenAt);
+    } finally {
+      await watcher.stop();
+    }
+  });
+});
+
+describe('WatcherManager metrics', () => {
+  test('turns the automation timers into booking step durations', async () => {
+    const metrics = new Metrics();
+    const automation = async (task, { onStep }) => {
+      onStep('payment-pending');
+      return { ok: true, result: { ok: true, timings: { start: 1000, gotoStart: 1000, gotoEnd: 3500, findCellStart: 3500, end: 9000 } } };
+    };
+    const manager = new WatcherManager({ bookingAutomation: automation, metrics, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1' });
+      const task = manager.tasks.find(t => t.id === id);
+      task.status = 'found';
+      const run = manager.startBookingRun(task);
+      await waitFor(() => manager.getBookingRun(run.id).status === 'succeeded');
+
+      const summary = metrics.summary();
+      // findCell never ended, so it isn't reported
+      expect(summary.bms_booking_step_duration_seconds.map(s => [s.labels.step, s.max])).toEqual([['goto', 2.5], ['total', 8]]);
+      expect(summary.bms_booking_runs_total).toEqual([{ labels: { outcome: 'succeeded' }, value: 1 }]);
+      expect(summary.bms_tasks).toEqual([{ labels: { status: 'found' }, value: 1 }]);
+      expect(summary.bms_browser_pages).toEqual([{ labels: {}, value: 0 }]);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
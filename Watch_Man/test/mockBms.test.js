@@ -0,0 +1,65 @@
+// test/mockBms.test.js
+// Sanity checks for the mock BookMyShow fixture itself (no browser needed).
+
+const axios = require('axios');
+const { MockBmsServer } = require('./mockBms/server');
+
+describe('mock BMS server', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = new MockBmsServer();
+    await mock.start();
+  });
+
+  afterAll(async () => { await mock.stop(); });
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addCinema({ city: 'Madurai', code: 'GCMM', name: 'Gopuram Cinemas' });
+  });
+
+  test('serves a buytickets page with the ReactVirtualized grid container', async () => {
+    const res = await axios.get(mock.cinemaUrl('GCMM', '20250821'));
+    expect(res.status).toBe(200);
+    expect(res.data).toContain('ReactVirtualized__Grid__innerScrollContainer');
+    expect(res.data).toContain('sc-1buex3e-2 kHDWIU');
+    expect(mock.cinemaUrl('GCMM', '20250821')).toMatch(/\/cinemas\/madurai\/gopuram-cinemas\/buytickets\/GCMM\/20250821$/);
+  });
+
+  test('movies only show up in the showtimes payload once released', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00000001', name: 'Early' });
+    mock.releaseMovie('GCMM', { identifier: 'ET00000002', name: 'Later', delayMs: 60 * 1000 });
+
+    const url = `${mock.baseUrl}/api/movies-data/showtimes-by-venue?venueCode=GCMM&dateCode=20250821`;
+    const { data } = await axios.get(url);
+    expect(data.showDetails.map(m => m.identifier)).toEqual(['ET00000001']);
+    expect(data.nextReleaseInMs).toBeGreaterThan(0);
+    expect(data.showDetails[0].shows[0].seatLayoutUrl).toMatch(/\/seat-layout\/ET00000001\/GCMM\/\d+\/20250821$/);
+  });
+
+  test('date-restricted releases only appear on that date', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00000003', dateCode: '20250822' });
+    const base = `${mock.baseUrl}/api/movies-data/showtimes-by-venue?venueCode=GCMM&dateCode=`;
+    expect((await axios.get(base + '20250821')).data.showDetails).toHaveLength(0);
+    expect((await axios.get(base + '20250822')).data.showDetails).toHaveLength(1);
+  });
+
+  test('explore pages list upcoming movies in the nested card markup', async () => {
+    mock.addUpcoming('Madurai', { identifier: 'ET00470630', name: 'Mask' });
+    const { data } = await axios.get(`${mock.baseUrl}/explore/upcoming-movies-Madurai?referrerBase=movies`);
+    expect(data).toContain('sc-1ljcxl3-0 ldQqlW');
+    expect(data).toContain('/movies/madurai/mask/ET00470630');
+    expect(data).toContain('<div class="sc-7o7nez-0 elfplV">Mask</div>');
+  });
+
+  test('canned overrides and step records', async () => {
+    mock.respondWith('/cinemas/', { status: 429, body: 'Too Many Requests', contentType: 'text/plain' });
+    const res = await axios.get(mock.cinemaUrl('GCMM'), { validateStatus: () => true });
+    expect(res.status).toBe(429);
+
+    await axios.post(`${mock.baseUrl}/__mock/record`, { step: 'gpay-requested', data: { mobile: '9999999999' } });
+    expect(mock.steps()).toEqual([expect.objectContaining({ step: 'gpay-requested', data: { mobile: '9999999999' } })]);
+    expect(mock.hits('/cinemas/')).toHaveLength(1);
+  });
+});
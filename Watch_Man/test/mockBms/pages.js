@@ -0,0 +1,334 @@
+// test/mockBms/pages.js
+// HTML templates for the mock BookMyShow server. Markup mirrors the selectors the
+// watcher / scraper / autoBookBMS rely on (styled-component class names included),
+// so keep both sides in sync when BMS markup changes.
+
+function esc(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function layout(title, body, script = '') {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${esc(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; }
+    .hidden { display: none !important; }
+    [role="gridcell"] { padding: 8px; border-bottom: 1px solid #eee; }
+    .sc-1skzbbo-0 { display: inline-block; padding: 6px 10px; margin: 4px; border: 1px solid #2a2; cursor: pointer; }
+    .sc-18zg99r-3 { position: fixed; inset: 0; background: rgba(0,0,0,0.4); display: flex; align-items: center; justify-content: center; }
+    .sc-18zg99r-5 { background: #fff; padding: 16px; }
+    .sc-18zg99r-6 { display: inline-block; padding: 6px; margin: 2px; cursor: pointer; }
+    .sc-18zg99r-6.selected { background: #f84464; color: #fff; }
+    .sc-zgl7vj-0 { position: fixed; bottom: 0; left: 0; right: 0; padding: 12px; background: #fff; }
+    .sc-zgl7vj-7.dcgLBY { position: fixed; inset: 30%; background: #fff; border: 1px solid #000; padding: 16px; }
+    button { padding: 8px 12px; margin: 4px; cursor: pointer; }
+  </style>
+</head>
+<body>
+${body}
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+// Cinema buytickets page. Showtimes are fetched from the mock showtimes endpoint after
+// load (like the real SPA), and movies released while the page is open are inserted
+// into the ReactVirtualized grid without a reload so MutationObserver paths are exercised.
+function buyticketsPage({ cinema, dateCode, showtimesUrl }) {
+  const body = `
+  <div id="super-wrapper">
+    <h1>${esc(cinema.name)}</h1>
+    <div class="sc-1buex3e-2 kHDWIU">
+      <div class="sc-1uqfc1q-2 fJmAJQ">
+        <div class="sc-1rrxquc-1 goFTYV">
+          <div class="ReactVirtualized__Grid ReactVirtualized__List">
+            <div class="ReactVirtualized__Grid__innerScrollContainer" role="rowgroup"></div>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>`;
+
+  const script = `
+  (function () {
+    var SHOWTIMES_URL = ${JSON.stringify(showtimesUrl)};
+    var DATE_CODE = ${JSON.stringify(dateCode)};
+    var rendered = {};
+    var container = document.querySelector('.ReactVirtualized__Grid__innerScrollContainer');
+
+    function renderMovie(m) {
+      if (rendered[m.identifier]) return;
+      rendered[m.identifier] = true;
+      var cell = document.createElement('div');
+      cell.setAttribute('role', 'gridcell');
+      var a = document.createElement('a');
+      a.className = 'sc-1412vr2-2 gwQhog';
+      a.href = m.href;
+      a.textContent = m.name;
+      cell.appendChild(a);
+      var meta = document.createElement('div');
+      meta.className = 'sc-1412vr2-3 movie-meta';
+      meta.textContent = [m.certificate, m.language].filter(Boolean).join(' • ');
+      cell.appendChild(meta);
+      var wrap = document.createElement('div');
+      wrap.className = 'sc-19dkgz1-0 cVUDLk';
+      (m.shows || []).forEach(function (s) {
+        var b = document.createElement('div');
+        b.className = 'sc-1skzbbo-0 eBWTPs';
+        b.setAttribute('data-session-id', s.sessionId);
+        b.setAttribute('data-format', s.format || '');
+        b.setAttribute('data-language', s.language || m.language || '');
+        b.innerHTML = '<div class="sc-1vhizuf-2 showtime">' + s.time + '</div>' + (s.format ? '<div class="sc-1vhizuf-3 format">' + s.format + '</div>' : '');
+        b.onclick = function () { window.location.href = s.seatLayoutUrl; };
+        wrap.appendChild(b);
+      });
+      cell.appendChild(wrap);
+      container.appendChild(cell);
+    }
+
+    function load() {
+      fetch(SHOWTIMES_URL, { headers: { 'Accept': 'application/json' } })
+        .then(function (r) { return r.json(); })
+        .then(function (data) {
+          (data.showDetails || []).forEach(renderMovie);
+          if (data.nextReleaseInMs != null) setTimeout(load, Math.max(20, data.nextReleaseInMs));
+        })
+        .catch(function (e) { console.warn('mock showtimes fetch failed', e); });
+    }
+
+    document.body.setAttribute('data-date-code', DATE_CODE);
+    load();
+  })();`;
+
+  return layout(`${cinema.name} | Book tickets`, body, script);
+}
+
+function explorePage({ location, movies }) {
+  const blocks = movies.map(m => `
+    <div class="sc-1ljcxl3-0 ldQqlW">
+      <a href="${esc(m.href)}">
+        <div class="sc-133848s-3 bbHlLd">
+          <div class="sc-133848s-2 sc-133848s-12 ccqrhI jgYpvq">
+            <div class="sc-7o7nez-0 elfplV">${esc(m.name)}</div>
+          </div>
+        </div>
+      </a>
+    </div>`).join('\n');
+  return layout(`Movies in ${location}`, `<h1>Movies in ${esc(location)}</h1><div class="explore">${blocks}</div>`);
+}
+
+// Seat layout: quantity popup over a canvas seat map. The canvas reports `cursor: pointer`
+// over available seats (which is what the in-page scanner probes for) and shows the pay
+// bar once the chosen quantity of seats is selected.
+function seatLayoutPage({ layout: seatLayout, fnbUrl }) {
+  const body = `
+  <div class="seat-layout">
+    <div class="konvajs-content" role="presentation" style="position: relative; margin: 60px 0 0 20px;">
+      <canvas id="seat-canvas"></canvas>
+    </div>
+    ${seatLayout.screen ? `<div class="screen-name">${esc(seatLayout.screen)}</div>` : ''}
+    <div class="sc-1d7a2e1-0 category-legend">
+      ${(seatLayout.categories || []).map(c => `<div class="category" data-rows="${esc(c.rows.join(','))}">${esc(c.name)} Rs. ${esc(c.price)}</div>`).join('')}
+    </div>
+  </div>
+  <div class="sc-18zg99r-3 fQFxrM">
+    <div class="sc-18zg99r-5 dsUzuF">
+      <p>How many seats?</p>
+      <ul>
+        ${Array.from({ length: 10 }, (_, i) => `<li id="quantity-${i + 1}" class="sc-18zg99r-6 eaqRmR">${i + 1}</li>`).join('')}
+      </ul>
+      <input class="sc-18zg99r-4 thOAQ" type="range" min="1" max="10" value="2" />
+      <button class="sc-zgl7vj-8 hpVUcY" id="select-seats">Select Seats</button>
+    </div>
+  </div>
+  <div class="sc-zgl7vj-0 fvgGCE hidden" id="pay-bar"></div>
+  <div class="sc-zgl7vj-7 dcgLBY hidden" role="dialog" id="terms">
+    <p>Terms &amp; Conditions</p>
+    <button id="accept-terms">Accept</button>
+  </div>`;
+
+  const script = `
+  (function () {
+    var L = ${JSON.stringify(seatLayout)};
+    var FNB_URL = ${JSON.stringify(fnbUrl)};
+    var canvas = document.getElementById('seat-canvas');
+    canvas.width = L.offsetX * 2 + L.cols * L.pitch;
+    canvas.height = L.offsetY * 2 + L.rows * L.pitch;
+    var ctx = canvas.getContext('2d');
+    var sold = {};
+    (L.sold || []).forEach(function (s) { sold[s] = true; });
+    var gaps = {};
+    (L.gaps || []).forEach(function (s) { gaps[s] = true; });
+    var quantity = 2;
+    var selected = [];
+
+    function rowLabel(n) { var label = ''; while (n > 0) { var r = (n - 1) % 26; label = String.fromCharCode(65 + r) + label; n = Math.floor((n - 1) / 26); } return label; }
+    function seatLabel(r, c) { return rowLabel(r) + String(c).padStart(2, '0'); }
+
+    function seatAt(clientX, clientY) {
+      var rect = canvas.getBoundingClientRect();
+      var x = clientX - rect.left - L.offsetX, y = clientY - rect.top - L.offsetY;
+      if (x < 0 || y < 0) return null;
+      var c = Math.floor(x / L.pitch), r = Math.floor(y / L.pitch);
+      if (c >= L.cols || r >= L.rows) return null;
+      if (x - c * L.pitch > L.seat || y - r * L.pitch > L.seat) return null;
+      var label = seatLabel(r + 1, c + 1);
+      if (gaps[label]) return null;
+      return label;
+    }
+
+    function draw() {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      for (var r = 0; r < L.rows; r++) {
+        for (var c = 0; c < L.cols; c++) {
+          var label = seatLabel(r + 1, c + 1);
+          if (gaps[label]) continue;
+          ctx.fillStyle = sold[label] ? '#ddd' : (selected.indexOf(label) >= 0 ? '#1ea83c' : '#fff');
+          ctx.strokeStyle = '#1ea83c';
+          ctx.fillRect(L.offsetX + c * L.pitch, L.offsetY + r * L.pitch, L.seat, L.seat);
+          ctx.strokeRect(L.offsetX + c * L.pitch, L.offsetY + r * L.pitch, L.seat, L.seat);
+        }
+      }
+    }
+
+    function onMove(ev) {
+      var label = seatAt(ev.clientX, ev.clientY);
+      canvas.style.cursor = label && !sold[label] ? 'pointer' : 'default';
+    }
+    canvas.addEventListener('pointermove', onMove);
+    canvas.addEventListener('mousemove', onMove);
+
+    // select-only (no toggle): the scanner dispatches click to both the element under the
+    // point and the canvas itself, which are the same node here
+    canvas.addEventListener('click', function (ev) {
+      var label = seatAt(ev.clientX, ev.clientY);
+      if (!label || sold[label] || selected.indexOf(label) >= 0) return;
+      if (selected.length >= quantity) return;
+      selected.push(label);
+      draw();
+      if (selected.length === quantity) showPayBar();
+    });
+
+    function showPayBar() {
+      var bar = document.getElementById('pay-bar');
+      bar.innerHTML = '<button class="sc-zgl7vj-8 hpVUcY" id="pay-btn">Pay Rs. ' + (quantity * 190) + '</button>';
+      bar.classList.remove('hidden');
+      document.getElementById('pay-btn').onclick = function () {
+        document.getElementById('terms').classList.remove('hidden');
+      };
+    }
+
+    document.getElementById('accept-terms').onclick = function () {
+      window.location.href = FNB_URL + (FNB_URL.indexOf('?') >= 0 ? '&' : '?') + 'seats=' + encodeURIComponent(selected.join(','));
+    };
+
+    Array.prototype.forEach.call(document.querySelectorAll('.sc-18zg99r-6'), function (li) {
+      li.onclick = function () {
+        quantity = parseInt(li.textContent, 10);
+        Array.prototype.forEach.call(document.querySelectorAll('.sc-18zg99r-6'), function (x) { x.classList.remove('selected'); });
+        li.classList.add('selected');
+      };
+    });
+    document.querySelector('.sc-18zg99r-4').addEventListener('change', function (ev) { quantity = parseInt(ev.target.value, 10) || quantity; });
+    document.getElementById('select-seats').onclick = function () {
+      var popup = document.querySelector('.sc-18zg99r-3');
+      if (popup) popup.remove();
+      window.__mockSeatQuantity = quantity;
+    };
+
+    window.__mockSeatState = function () { return { quantity: quantity, selected: selected.slice() }; };
+    draw();
+  })();`;
+
+  return layout('Seat layout', body, script);
+}
+
+function foodAndBeveragesPage({ orderSummaryUrl }) {
+  const body = `
+  <div id="super-wrapper">
+    <div id="super-container">
+      <div class="sc-2ud7zs-0 fFKRVv">
+        <h2>Grab a bite!</h2>
+        <div class="sc-1nnv95q-0 eUPsDw">
+          <div class="sc-1nnv95q-1 hrhMgg">
+            <button class="sc-1nnv95q-8 cYrjk" id="fnb-add">Add Combo</button>
+            <button class="sc-1nnv95q-8 cYrjk" id="fnb-skip">Skip</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>`;
+  const script = `
+    document.getElementById('fnb-skip').onclick = function () { window.location.href = ${JSON.stringify(orderSummaryUrl)}; };
+  `;
+  return layout('Food & Beverages', body, script);
+}
+
+// Order summary: deemed contact popup first, then the payment options rendered in place
+// (no navigation) so autoBookBMS can go straight on to the GPay step.
+function orderSummaryPage({ recordUrl }) {
+  const body = `
+  <div id="order-summary">
+    <h2>Booking summary</h2>
+    <div id="deemed-popup">
+      <input id="deemed-email" type="email" placeholder="Email" />
+      <input id="deemed-mobile-number" placeholder="Mobile" />
+      <button class="sc-zgl7vj-7 kdBUB" id="deemed-submit">Submit</button>
+    </div>
+    <div id="payment-section" class="hidden">
+      <div class="sc-oq18pv-12 dvepIO" id="method-upi">UPI</div>
+      <div id="upi-providers" class="hidden">
+        <div class="sc-13jes1z-0 kRNNvW" id="provider-gpay">Google Pay</div>
+      </div>
+      <div id="gpay-form" class="hidden">
+        <input id="mobile" placeholder="Google Pay mobile" />
+        <button class="sc-zgl7vj-7 jseTNq" id="verify-pay" disabled>Verify &amp; Pay</button>
+      </div>
+      <div id="payment-status"></div>
+    </div>
+  </div>`;
+
+  const script = `
+  (function () {
+    var RECORD_URL = ${JSON.stringify(recordUrl)};
+    function record(step, data) {
+      return fetch(RECORD_URL, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ step: step, data: data || {} }), keepalive: true }).catch(function () {});
+    }
+    document.getElementById('deemed-submit').onclick = function () {
+      var email = document.getElementById('deemed-email').value;
+      var mobile = document.getElementById('deemed-mobile-number').value;
+      record('contact-submitted', { email: email, mobile: mobile });
+      document.getElementById('deemed-popup').classList.add('hidden');
+      document.getElementById('payment-section').classList.remove('hidden');
+    };
+    document.getElementById('method-upi').onclick = function () {
+      document.getElementById('upi-providers').classList.remove('hidden');
+    };
+    document.getElementById('provider-gpay').onclick = function () {
+      document.getElementById('gpay-form').classList.remove('hidden');
+    };
+    var mobile = document.getElementById('mobile');
+    var verify = document.getElementById('verify-pay');
+    mobile.addEventListener('input', function () {
+      if (/^[0-9]{10}$/.test(mobile.value)) verify.removeAttribute('disabled'); else verify.setAttribute('disabled', '');
+    });
+    verify.onclick = function () {
+      record('gpay-requested', { mobile: mobile.value });
+      document.getElementById('payment-status').textContent = 'Payment request sent to ' + mobile.value;
+    };
+  })();`;
+
+  return layout('Order summary', body, script);
+}
+
+module.exports = {
+  buyticketsPage,
+  explorePage,
+  seatLayoutPage,
+  foodAndBeveragesPage,
+  orderSummaryPage
+};
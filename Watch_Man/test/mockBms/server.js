@@ -0,0 +1,296 @@
+// test/mockBms/server.js
+// Scriptable local stand-in for in.bookmyshow.com used by the jest suite (and for manual
+// runs: `npm run mock:bms`). Serves cinema buytickets pages, explore pages, a canvas seat
+// layout, F&B, order summary and payment steps, and lets tests make a movie "appear" on a
+// cinema page at a given time.
+//
+// Control API (also exposed over HTTP under /__mock for manual runs):
+//   addCinema({ city, slug, code, name })
+//   releaseMovie(code, { identifier, name, slug, language, shows, dateCode, at | delayMs })
+//   addUpcoming(location, { identifier, name, slug })
+//   setSeatLayout(code, { rows, cols, sold, gaps, categories, screen })
+//   respondWith(pathPrefix, { status, body, contentType }) / clearOverrides()
+//   records (page hits + in-page step records), reset()
+
+const http = require('http');
+const express = require('express');
+const pages = require('./pages');
+
+const DEFAULT_SHOWS = [
+  { time: '10:30 AM', format: '2D' },
+  { time: '02:15 PM', format: 'IMAX 2D' },
+  { time: '06:45 PM', format: 'DOLBY ATMOS' },
+  { time: '10:00 PM', format: '2D' }
+];
+
+const DEFAULT_LAYOUT = {
+  rows: 8,
+  cols: 14,
+  seat: 22,
+  pitch: 30,
+  offsetX: 30,
+  offsetY: 30,
+  sold: [],
+  gaps: [],
+  screen: 'AUDI 1',
+  categories: [
+    { name: 'RECLINER', price: 350, rows: ['A', 'B'] },
+    { name: 'ELITE', price: 190, rows: ['C', 'D', 'E', 'F', 'G', 'H'] }
+  ]
+};
+
+function todayDateCode(now = new Date()) {
+  const y = now.getFullYear();
+  const m = String(now.getMonth() + 1).padStart(2, '0');
+  const d = String(now.getDate()).padStart(2, '0');
+  return `${y}${m}${d}`;
+}
+
+function slugify(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+class MockBmsServer {
+  constructor({ port = 0, host = '127.0.0.1' } = {}) {
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.baseUrl = null;
+    this._sessionSeq = 1000;
+    this.reset();
+    this.app = this._buildApp();
+  }
+
+  reset() {
+    this.cinemas = new Map();     // code -> { city, slug, code, name }
+    this.releases = [];           // { cinemaCode, dateCode|null, movie, appearAt }
+    this.upcoming = new Map();    // location(lowercase) -> [{ identifier, name, slug }]
+    this.layouts = new Map();     // cinemaCode -> layout
+    this.sessions = new Map();    // sessionId -> { cinemaCode, identifier, dateCode, show }
+    this.overrides = [];          // { prefix, status, body, contentType }
+    this.records = [];            // { type: 'hit'|'step', path, step, data, at }
+  }
+
+  // ---------- scripting ----------
+  addCinema({ city = 'madurai', slug, code, name }) {
+    if (!code) throw new Error('cinema code required');
+    const cinema = { city: slugify(city), slug: slug || slugify(name || code), code, name: name || code };
+    this.cinemas.set(code, cinema);
+    return cinema;
+  }
+
+  cinemaUrl(code, dateCode = todayDateCode()) {
+    const c = this.cinemas.get(code);
+    if (!c) throw new Error(`unknown cinema ${code}`);
+    return `${this.baseUrl}/cinemas/${c.city}/${c.slug}/buytickets/${c.code}/${dateCode}`;
+  }
+
+  // make `movie` show up on `code`'s page; `at` (Date|ms epoch) or `delayMs` schedule it,
+  // omitted means immediately. `dateCode` restricts it to one date (default: every date).
+  releaseMovie(code, { identifier, name, slug, language = 'Tamil', certificate = 'UA', shows = DEFAULT_SHOWS, dateCode = null, at = null, delayMs = null } = {}) {
+    if (!this.cinemas.has(code)) throw new Error(`unknown cinema ${code}`);
+    if (!identifier) throw new Error('identifier required');
+    let appearAt = Date.now();
+    if (at != null) appearAt = at instanceof Date ? at.getTime() : Number(at);
+    else if (delayMs != null) appearAt = Date.now() + Number(delayMs);
+    const release = {
+      cinemaCode: code,
+      dateCode,
+      appearAt,
+      movie: { identifier, name: name || identifier, slug: slug || slugify(name || identifier), language, certificate, shows }
+    };
+    this.releases.push(release);
+    return release;
+  }
+
+  addUpcoming(location, { identifier, name, slug }) {
+    const key = String(location).toLowerCase();
+    const list = this.upcoming.get(key) || [];
+    list.push({ identifier, name: name || identifier, slug: slug || slugify(name || identifier) });
+    this.upcoming.set(key, list);
+  }
+
+  setSeatLayout(code, layout = {}) {
+    this.layouts.set(code, { ...DEFAULT_LAYOUT, ...layout });
+  }
+
+  // serve a canned response for any path starting with `prefix` (block pages, 429s, ...)
+  respondWith(prefix, { status = 200, body = '', contentType = 'text/html' } = {}) {
+    this.overrides.push({ prefix, status, body, contentType });
+  }
+
+  clearOverrides() { this.overrides = []; }
+
+  steps() { return this.records.filter(r => r.type === 'step'); }
+  hits(prefix = '') { return this.records.filter(r => r.type === 'hit' && r.path.startsWith(prefix)); }
+
+  // ---------- internals ----------
+  _visibleReleases(code, dateCode, now = Date.now()) {
+    return this.releases.filter(r => r.cinemaCode === code && (!r.dateCode || r.dateCode === dateCode) && r.appearAt <= now);
+  }
+
+  _nextReleaseInMs(code, dateCode, now = Date.now()) {
+    const pending = this.releases
+      .filter(r => r.cinemaCode === code && (!r.dateCode || r.dateCode === dateCode) && r.appearAt > now)
+      .map(r => r.appearAt - now);
+    return pending.length ? Math.min(...pending) : null;
+  }
+
+  _sessionFor(cinema, dateCode, movie, show, index) {
+    const key = `${cinema.code}:${dateCode}:${movie.identifier}:${index}`;
+    for (const [id, s] of this.sessions) if (s.key === key) return id;
+    const id = String(++this._sessionSeq);
+    this.sessions.set(id, { key, cinemaCode: cinema.code, identifier: movie.identifier, dateCode, show });
+    return id;
+  }
+
+  _showDetails(cinema, dateCode) {
+    return this._visibleReleases(cinema.code, dateCode).map(({ movie }) => ({
+      identifier: movie.identifier,
+      name: movie.name,
+      language: movie.language,
+      certificate: movie.certificate,
+      href: `/movies/${cinema.city}/${movie.slug}/${movie.identifier}`,
+      shows: movie.shows.map((show, i) => {
+        const sessionId = this._sessionFor(cinema, dateCode, movie, show, i);
+        return {
+          sessionId,
+          time: show.time,
+          format: show.format || '',
+          language: show.language || movie.language,
+          seatLayoutUrl: `/movies/${cinema.city}/seat-layout/${movie.identifier}/${cinema.code}/${sessionId}/${dateCode}`
+        };
+      })
+    }));
+  }
+
+  _buildApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      if (!req.path.startsWith('/__mock')) this.records.push({ type: 'hit', path: req.originalUrl, at: Date.now() });
+      const o = this.overrides.find(x => req.path.startsWith(x.prefix));
+      if (o) return res.status(o.status).type(o.contentType).send(o.body);
+      next();
+    });
+
+    // --- BMS-like pages ---
+    app.get('/cinemas/:city/:slug/buytickets/:code/:dateCode', (req, res) => {
+      const cinema = this.cinemas.get(req.params.code);
+      if (!cinema) return res.status(404).send('<h1>Page not found</h1>');
+      const showtimesUrl = `/api/movies-data/showtimes-by-venue?venueCode=${cinema.code}&dateCode=${req.params.dateCode}`;
+      res.type('html').send(pages.buyticketsPage({ cinema, dateCode: req.params.dateCode, showtimesUrl }));
+    });
+
+    app.get('/api/movies-data/showtimes-by-venue', (req, res) => {
+      const cinema = this.cinemas.get(req.query.venueCode);
+      if (!cinema) return res.status(404).json({ error: 'venue not found' });
+      const dateCode = String(req.query.dateCode || todayDateCode());
+      res.json({
+        venueCode: cinema.code,
+        venueName: cinema.name,
+        dateCode,
+        showDetails: this._showDetails(cinema, dateCode),
+        nextReleaseInMs: this._nextReleaseInMs(cinema.code, dateCode)
+      });
+    });
+
+    app.get(/^\/explore\/(upcoming-movies|movies)-(.+)$/, (req, res) => {
+      const location = decodeURIComponent(req.params[1]);
+      const list = this.upcoming.get(location.toLowerCase()) || [];
+      const movies = list.map(m => ({ ...m, href: `/movies/${slugify(location)}/${m.slug}/${m.identifier}` }));
+      res.type('html').send(pages.explorePage({ location, movies }));
+    });
+
+    app.get('/movies/:city/seat-layout/:identifier/:code/:sessionId/:dateCode', (req, res) => {
+      const { code, sessionId } = req.params;
+      if (!this.cinemas.has(code)) return res.status(404).send('<h1>Page not found</h1>');
+      const layout = this.layouts.get(code) || DEFAULT_LAYOUT;
+      const fnbUrl = `/buytickets/food-and-beverages/${code}/${sessionId}`;
+      res.type('html').send(pages.seatLayoutPage({ layout, fnbUrl }));
+    });
+
+    app.get('/buytickets/food-and-beverages/:code/:sessionId', (req, res) => {
+      const { code, sessionId } = req.params;
+      const seats = req.query.seats ? String(req.query.seats) : '';
+      this.records.push({ type: 'step', step: 'seats-confirmed', data: { code, sessionId, seats: seats ? seats.split(',') : [] }, at: Date.now() });
+      res.type('html').send(pages.foodAndBeveragesPage({ orderSummaryUrl: `/buytickets/order-summary/${code}/${sessionId}` }));
+    });
+
+    app.get('/buytickets/order-summary/:code/:sessionId', (req, res) => {
+      res.type('html').send(pages.orderSummaryPage({ recordUrl: '/__mock/record' }));
+    });
+
+    app.get('/movies/:city/:slug/:identifier', (req, res) => {
+      res.type('html').send(`<h1>${req.params.identifier}</h1>`);
+    });
+
+    // --- control endpoints ---
+    app.post('/__mock/record', (req, res) => {
+      const { step, data } = req.body || {};
+      this.records.push({ type: 'step', step: String(step || 'unknown'), data: data || {}, at: Date.now() });
+      res.json({ ok: true });
+    });
+
+    app.post('/__mock/cinemas', (req, res) => {
+      try { res.json({ ok: true, cinema: this.addCinema(req.body || {}) }); }
+      catch (e) { res.status(400).json({ ok: false, error: e.message }); }
+    });
+
+    app.post('/__mock/release', (req, res) => {
+      const { cinemaCode, ...movie } = req.body || {};
+      try { res.json({ ok: true, release: this.releaseMovie(cinemaCode, movie) }); }
+      catch (e) { res.status(400).json({ ok: false, error: e.message }); }
+    });
+
+    app.post('/__mock/reset', (req, res) => { this.reset(); res.json({ ok: true }); });
+
+    app.get('/__mock/state', (req, res) => {
+      res.json({
+        cinemas: Array.from(this.cinemas.values()).map(c => ({ ...c, url: this.cinemaUrl(c.code) })),
+        releases: this.releases,
+        records: this.records
+      });
+    });
+
+    return app;
+  }
+
+  async start() {
+    if (this.server) return this.baseUrl;
+    this.server = http.createServer(this.app);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    const addr = this.server.address();
+    this.baseUrl = `http://${this.host}:${addr.port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const srv = this.server;
+    this.server = null;
+    const closed = new Promise(resolve => srv.close(() => resolve()));
+    // drop keep-alive sockets from axios/Chromium so close() doesn't wait on them
+    if (typeof srv.closeAllConnections === 'function') srv.closeAllConnections();
+    await closed;
+  }
+}
+
+module.exports = { MockBmsServer, todayDateCode, DEFAULT_LAYOUT, DEFAULT_SHOWS };
+
+// manual run: `npm run mock:bms` then point BMS_BASE_URL / task cinema URLs at it
+if (require.main === module) {
+  const port = process.env.MOCK_BMS_PORT ? parseInt(process.env.MOCK_BMS_PORT, 10) : 4100;
+  const mock = new MockBmsServer({ port });
+  mock.start().then(() => {
+    mock.addCinema({ city: 'madurai', code: 'GCMM', name: 'Gopuram Cinemas ATMOS and Laser Projector: Madurai' });
+    mock.addUpcoming('madurai', { identifier: 'ET00470630', name: 'Mask' });
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask', delayMs: 60 * 1000 });
+    console.log(`Mock BMS running at ${mock.baseUrl}`);
+    console.log(`Cinema page: ${mock.cinemaUrl('GCMM')} (ET00470630 appears in 60s)`);
+  });
+}
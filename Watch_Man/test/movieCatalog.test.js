@@ -0,0 +1,154 @@
+// test/movieCatalog.test.js
+// The upcoming-movie catalog with a fake scraper and clock: caching, first/last seen times,
+// refresh, failures and persistence.
+
+const { chromium } = require('playwright');
+const Storage = require('../server/storage');
+const MovieCatalog = require('../server/movieCatalog');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger } = require('./helpers/fakes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function fakeScraper(lists) {
+  const calls = [];
+  const scrape = async ({ location, browser }) => {
+    calls.push({ location, browser });
+    const next = lists.shift();
+    if (next instanceof Error) throw next;
+    return { location, results: next.map(([identifier, name]) => ({ identifier, name, href: `/movies/${identifier}` })) };
+  };
+  return { calls, scrape };
+}
+
+describe('MovieCatalog', () => {
+  let now;
+  const clock = () => now;
+  beforeEach(() => { now = Date.parse('2025-08-21T10:00:00.000Z'); });
+
+  test('scrapes a location once, then answers from the cache and refreshes it in the background', async () => {
+    const { calls, scrape } = fakeScraper([[['ET1', 'Mask']], [['ET1', 'Mask'], ['ET2', 'Coolie']]]);
+    const catalog = new MovieCatalog({ scrape, getBrowser: async () => 'shared-browser', refreshSeconds: 3600, clock, logger: memoryLogger() });
+
+    const first = await catalog.get(' Madurai ');
+    expect(first).toEqual(expect.objectContaining({ location: 'Madurai', count: 1, refreshedAt: '2025-08-21T10:00:00.000Z', stale: false, lastError: null }));
+    expect(calls).toEqual([{ location: 'Madurai', browser: 'shared-browser' }]);
+
+    now += 10 * 60 * 1000;
+    expect((await catalog.get('madurai')).results.map(m => m.identifier)).toEqual(['ET1']);
+    expect(calls).toHaveLength(1);
+    expect(catalog.isCached('MADURAI')).toBe(true);
+
+    now += HOUR_MS;
+    const stale = await catalog.get('Madurai');
+    expect(stale).toEqual(expect.objectContaining({ count: 1, stale: true, refreshing: true }));
+    await catalog.refresh('madurai');
+    const fresh = catalog.view('madurai');
+    expect(fresh.results).toEqual([
+      expect.objectContaining({ identifier: 'ET1', firstSeenAt: '2025-08-21T10:00:00.000Z', lastSeenAt: '2025-08-21T11:10:00.000Z' }),
+      expect.objectContaining({ identifier: 'ET2', name: 'Coolie', firstSeenAt: '2025-08-21T11:10:00.000Z' })
+    ]);
+    expect(calls).toHaveLength(2);
+  });
+
+  test('refresh=true scrapes before answering and concurrent requests share the scrape', async () => {
+    const { calls, scrape } = fakeScraper([[['ET1', 'Mask']], [['ET2', 'Coolie']]]);
+    const catalog = new MovieCatalog({ scrape, clock, logger: memoryLogger() });
+
+    const [a, b] = await Promise.all([catalog.get('Madurai'), catalog.get('Madurai')]);
+    expect(calls).toHaveLength(1);
+    expect(a.results).toEqual(b.results);
+
+    now += 60 * 1000;
+    const refreshed = await catalog.get('Madurai', { refresh: true });
+    // ET1 is no longer listed, so it drops out of the results
+    expect(refreshed.results.map(m => m.identifier)).toEqual(['ET2']);
+    await expect(catalog.get('')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('falls back on the cached list when a scrape fails', async () => {
+    const { scrape } = fakeScraper([new Error('browser closed'), [['ET1', 'Mask']], new Error('net::ERR_TIMED_OUT'), []]);
+    const catalog = new MovieCatalog({ scrape, clock, logger: memoryLogger() });
+
+    await expect(catalog.get('Madurai')).rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('browser closed') });
+    expect(catalog.isCached('Madurai')).toBe(false);
+    await catalog.get('Madurai');
+
+    const failed = await catalog.get('Madurai', { refresh: true });
+    expect(failed).toEqual(expect.objectContaining({ count: 1, lastError: 'net::ERR_TIMED_OUT' }));
+    const empty = await catalog.get('Madurai', { refresh: true });
+    expect(empty).toEqual(expect.objectContaining({ count: 1, lastError: 'scrape found no movies' }));
+  });
+
+  test('keeps the catalog in storage and forgets locations nobody asks for', async () => {
+    const storage = new Storage({ logger: memoryLogger() });
+    const { calls, scrape } = fakeScraper([[['ET1', 'Mask']], [['ET1', 'Mask']], [['ET2', 'Coolie']]]);
+    const catalog = new MovieCatalog({ storage, scrape, clock, logger: memoryLogger() });
+    await catalog.get('Madurai');
+    await catalog.get('Chennai');
+
+    const reloaded = new MovieCatalog({ storage, scrape, clock, forgetAfterDays: 30, logger: memoryLogger() });
+    expect((await reloaded.get('Madurai')).results.map(m => m.identifier)).toEqual(['ET1']);
+    expect(calls).toHaveLength(2);
+
+    now += 31 * 24 * HOUR_MS;
+    await reloaded.get('Chennai', { refresh: true });
+    reloaded._refreshStale();
+    expect(reloaded.isCached('Madurai')).toBe(false);
+    expect(storage.loadCatalog().map(e => e.key)).toEqual(['chennai']);
+    reloaded.stop();
+    storage.close();
+  });
+
+  test('only takes known locations and keeps at most maxLocations', async () => {
+    const storage = new Storage({ logger: memoryLogger() });
+    const { calls, scrape } = fakeScraper([[['ET1', 'Mask']], [['ET2', 'Coolie']], [['ET3', 'Kantara']]]);
+    const catalog = new MovieCatalog({ storage, scrape, clock, locations: ['Madurai', 'Chennai', 'Delhi-NCR'], maxLocations: 2, logger: memoryLogger() });
+
+    await expect(catalog.get('Atlantis')).rejects.toMatchObject({ statusCode: 404 });
+    expect(catalog.isKnown('atlantis')).toBe(false);
+    expect((await catalog.get('madurai')).location).toBe('Madurai');
+    now += 1000;
+    await catalog.get('Chennai');
+    now += 1000;
+    await catalog.get('delhi-ncr');
+    // Madurai was asked for longest ago
+    expect([...catalog.entries.keys()]).toEqual(['chennai', 'delhi-ncr']);
+    expect(storage.loadCatalog().map(e => e.key).sort()).toEqual(['chennai', 'delhi-ncr']);
+    expect(calls.map(c => c.location)).toEqual(['Madurai', 'Chennai', 'Delhi-NCR']);
+
+    // a saved location that is no longer offered is dropped on load
+    const reloaded = new MovieCatalog({ storage, scrape, clock, locations: ['Chennai'], logger: memoryLogger() });
+    expect([...reloaded.entries.keys()]).toEqual(['chennai']);
+    storage.close();
+  });
+
+  test('WatcherManager launches one browser for concurrent callers', async () => {
+    const browser = { async close() { browser.closed = true; } };
+    const launch = jest.spyOn(chromium, 'launch').mockImplementation(() => new Promise(r => setTimeout(() => r(browser), 20)));
+    const manager = new WatcherManager({ upcomingScraper: async () => ({ results: [] }), logger: memoryLogger() });
+    try {
+      const [a, b] = await Promise.all([manager._ensureBrowser(), manager.catalog.getBrowser()]);
+      expect(a).toBe(browser);
+      expect(b).toBe(browser);
+      expect(await manager._ensureBrowser()).toBe(browser);
+      expect(launch).toHaveBeenCalledTimes(1);
+    } finally {
+      await manager.shutdown();
+      launch.mockRestore();
+    }
+    expect(browser.closed).toBe(true);
+  });
+
+  test('WatcherManager serves it with its own browser', async () => {
+    const { calls, scrape } = fakeScraper([[['ET1', 'Mask']]]);
+    const manager = new WatcherManager({ upcomingScraper: scrape, logger: memoryLogger() });
+    manager._ensureBrowser = async () => 'manager-browser';
+    try {
+      expect((await manager.getUpcoming('Madurai')).count).toBe(1);
+      expect(calls).toEqual([{ location: 'Madurai', browser: 'manager-browser' }]);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
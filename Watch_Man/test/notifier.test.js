@@ -0,0 +1,166 @@
+// test/notifier.test.js
+// Notification channels against local stub HTTP / SMTP servers.
+
+const { Notifier, normalizeChannels, formatMessage } = require('../server/notifier');
+const WatcherManager = require('../server/watcherManager');
+const { startHttpStub, startSmtpStub } = require('./helpers/stubServers');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+const TASK = { id: 'task-1', identifier: 'ET00470630', cinemaName: 'Gopuram Cinemas', matchedDateCode: '20250821', foundHref: 'https://in.bookmyshow.com/buytickets/mask/ET00470630' };
+
+describe('Notifier', () => {
+  let stub;
+  beforeEach(async () => { stub = await startHttpStub(); });
+  afterEach(async () => { await stub.stop(); });
+
+  test('validates channel settings', () => {
+    expect(normalizeChannels([{ type: 'ntfy', url: 'https://ntfy.sh/x' }])).toEqual([{ type: 'ntfy', url: 'https://ntfy.sh/x', name: 'ntfy-1' }]);
+    expect(() => normalizeChannels([{ type: 'pager' }])).toThrow(/Unknown notification channel/);
+    expect(() => normalizeChannels([{ type: 'telegram', botToken: 'x' }])).toThrow(/chatId/);
+  });
+
+  test('speaks each HTTP channel format', async () => {
+    const notifier = new Notifier({ logger: memoryLogger() });
+    const channels = normalizeChannels([
+      { type: 'webhook', url: `${stub.url}/hook` },
+      { type: 'slack', url: `${stub.url}/slack` },
+      { type: 'discord', url: `${stub.url}/discord` },
+      { type: 'telegram', botToken: '123:abc', chatId: '42', apiBase: stub.url },
+      { type: 'ntfy', url: `${stub.url}/watchman`, token: 'tk' },
+      { type: 'gotify', url: stub.url, token: 'gk' }
+    ]);
+    const deliveries = await notifier.notify(formatMessage({ task: TASK }), channels);
+    expect(deliveries.map(d => d.status)).toEqual(Array(6).fill('sent'));
+
+    const by = p => stub.requests.find(r => r.path === p);
+    expect(by('/hook').body).toEqual(expect.objectContaining({ link: TASK.foundHref, identifier: 'ET00470630', dateCode: '20250821' }));
+    expect(by('/slack').body.text).toContain('Bookings open: ET00470630');
+    expect(by('/discord').body.content).toContain('Gopuram Cinemas');
+    expect(by('/bot123:abc/sendMessage').body).toEqual(expect.objectContaining({ chat_id: '42' }));
+    const ntfy = stub.requests.find(r => r.body && r.body.topic === 'watchman');
+    expect(ntfy.path).toBe('/');
+    expect(ntfy.body).toEqual(expect.objectContaining({ title: expect.stringContaining('ET00470630'), click: TASK.foundHref }));
+    expect(ntfy.headers.authorization).toBe('Bearer tk');
+    expect(by('/message').headers['x-gotify-key']).toBe('gk');
+  });
+
+  test('retries failed deliveries and reports each attempt', async () => {
+    stub.failFirst = 2;
+    const notifier = new Notifier({ retries: 3, retryDelayMs: 5, logger: memoryLogger() });
+    const updates = [];
+    const [delivery] = await notifier.notify(formatMessage({ task: TASK }), normalizeChannels([{ type: 'webhook', url: stub.url }]), { onUpdate: d => updates.push(d.status) });
+    expect(delivery).toEqual(expect.objectContaining({ status: 'sent', attempts: 3, error: null }));
+    expect(updates).toEqual(['retrying', 'retrying', 'sent']);
+
+    stub.failFirst = 5;
+    const [failed] = await notifier.notify(formatMessage({ task: TASK }), normalizeChannels([{ type: 'webhook', url: stub.url }]));
+    expect(failed).toEqual(expect.objectContaining({ status: 'failed', attempts: 3, error: 'HTTP 500' }));
+  });
+
+  test('sends email over SMTP', async () => {
+    const smtp = await startSmtpStub();
+    const notifier = new Notifier({ smtp: { host: '127.0.0.1', port: smtp.port, ignoreTLS: true, from: 'watch@example.com' }, logger: memoryLogger() });
+    try {
+      const [delivery] = await notifier.notify(formatMessage({ task: TASK }), normalizeChannels([{ type: 'email', to: 'me@example.com' }]));
+      expect(delivery.status).toBe('sent');
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0]).toEqual(expect.objectContaining({ from: 'watch@example.com', to: ['me@example.com'] }));
+      expect(smtp.messages[0].data).toMatch(/Subject: .*ET00470630/);
+    } finally {
+      notifier.close();
+      await smtp.stop();
+    }
+  });
+});
+
+describe('WatcherManager notifications', () => {
+  test('sends to global and per-task channels and records delivery status on the task', async () => {
+    const stub = await startHttpStub({ failFirst: 1 });
+    const taskStub = await startHttpStub();
+    const notifier = new Notifier({ channels: [{ type: 'webhook', url: `${stub.url}/global` }], retryDelayMs: 5, logger: memoryLogger() });
+    const manager = new WatcherManager({ notifier, logger: memoryLogger() });
+    manager._playServerAlarm = () => {};
+    const events = [];
+    manager.addSseClient(e => events.push(e));
+    manager._runOrQueue = async task => { task.status = 'running'; };
+
+    try {
+      const id = await manager.createTask({
+        cinemaUrl: CINEMA, identifier: 'ET1',
+        notify: { channels: [{ type: 'ntfy', url: `${taskStub.url}/topic`, token: 'secret' }] }
+      });
+      const task = manager.tasks.find(t => t.id === id);
+      expect(manager.getTasks()[0].notify.channels).toEqual([{ type: 'ntfy', name: 'ntfy-1' }]);
+
+      task.status = 'found';
+      task.foundHref = 'https://in.bookmyshow.com/buytickets/ET1';
+      await manager._sendNotifications(task, formatMessage({ task }), 'task');
+
+      expect(task.notifications.map(d => [d.channel, d.status])).toEqual([['webhook-1', 'sent'], ['ntfy-1', 'sent']]);
+      expect(stub.requests).toHaveLength(2);   // one retry
+      expect(taskStub.requests[0].body.topic).toBe('topic');
+      expect(events.filter(e => e.type === 'notification').length).toBeGreaterThanOrEqual(3);
+      expect(JSON.stringify(manager.getTasks())).not.toContain('secret');
+
+      await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', notify: { channels: [{ type: 'sms' }] } })).rejects.toThrow(/Unknown notification channel/);
+    } finally {
+      await manager.shutdown();
+      await stub.stop();
+      await taskStub.stop();
+    }
+  });
+
+  test('keeps ordinary users\' channels on allowed destinations', async () => {
+    const notifier = new Notifier({ allowedHosts: [...Notifier.DEFAULT_ALLOWED_HOSTS, 'hooks.example.com'], logger: memoryLogger() });
+    const manager = new WatcherManager({ notifier, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    const user = { id: 'user-ravi', role: 'user' };
+    const create = channels => manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', notify: { channels }, user });
+    try {
+      for (const channel of [
+        { type: 'webhook', url: 'http://169.254.169.254/latest/meta-data' },
+        { type: 'webhook', url: 'https://hooks.example.com.evil.test/x' },
+        { type: 'gotify', url: 'https://ntfy.sh:8080', token: 'x' },
+        { type: 'telegram', botToken: '123:abc', chatId: '42', apiBase: 'http://10.0.0.5:6379' },
+        { type: 'email', to: 'ravi@example.com', smtp: { host: '10.0.0.5', port: 25 } }
+      ]) {
+        await expect(create([channel])).rejects.toMatchObject({ statusCode: 403 });
+      }
+      expect(manager.tasks).toHaveLength(0);
+
+      await create([
+        { type: 'slack', url: 'https://hooks.slack.com/services/T/B/x' },
+        { type: 'webhook', url: 'https://hooks.example.com/watch' },
+        { type: 'telegram', botToken: '123:abc', chatId: '42' },
+        { type: 'email', to: 'ravi@example.com' }
+      ]);
+      // admins may still send anywhere
+      await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', notify: { channels: [{ type: 'webhook', url: 'http://127.0.0.1:9/hook' }] }, user: { id: 'user-admin', role: 'admin' } });
+      expect(manager.tasks).toHaveLength(2);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('group members stay quiet; the group notifies once when satisfied', async () => {
+    const stub = await startHttpStub();
+    const notifier = new Notifier({ channels: [{ type: 'webhook', url: stub.url }], logger: memoryLogger() });
+    const manager = new WatcherManager({ notifier, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const gid = await manager.createGroup({ identifier: 'ET1', cinemas: [CINEMA], dates: ['20250821', '20250822'] });
+      const members = manager.tasks.filter(t => t.groupId === gid);
+      expect(members.every(t => t.notify.global === false && !t.notify.channels.length)).toBe(true);
+
+      members[0].status = 'found';
+      manager._refreshTaskGroup(members[0]);
+      await waitFor(() => stub.requests.length === 1, { timeoutMs: 3000 });
+      expect(stub.requests[0].body).toEqual(expect.objectContaining({ groupId: gid, identifier: 'ET1' }));
+      await waitFor(() => manager.getGroup(gid).notify.deliveries[0].status === 'sent', { timeoutMs: 3000 });
+    } finally {
+      await manager.shutdown();
+      await stub.stop();
+    }
+  });
+});
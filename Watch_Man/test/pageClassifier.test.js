@@ -0,0 +1,126 @@
+// test/pageClassifier.test.js
+// Block / challenge / maintenance classification and how watchers react to it (fake pages, no browser).
+
+const { classifyPage } = require('../server/pageClassifier');
+const Watcher = require('../server/watcher');
+const HttpWatcher = require('../server/httpWatcher');
+const WatcherManager = require('../server/watcherManager');
+const { MockBmsServer } = require('./mockBms/server');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+const CF_CHALLENGE = '<html><head><title>Just a moment...</title></head><body><script src="/cdn-cgi/challenge-platform/h/b/orchestrate/chl_page/v1"></script></body></html>';
+
+// page whose markup/status come from `state`; counts observer injections and fresh contexts
+function fakePageFactory(state) {
+  return async () => {
+    state.opened++;
+    const page = {
+      on() {}, async exposeFunction() {}, async waitForLoadState() {}, async close() {},
+      async goto() { return { status: () => state.status }; },
+      async content() { return state.html; },
+      async title() { return ''; },
+      async evaluate() { state.injected++; }
+    };
+    return { page, context: { async close() {} } };
+  };
+}
+
+describe('classifyPage', () => {
+  test('recognizes challenges, blocks, maintenance and missing pages', () => {
+    expect(classifyPage({ status: 403, html: CF_CHALLENGE }).kind).toBe('challenge');
+    expect(classifyPage({ status: 200, html: '<div class="g-recaptcha"></div>' }).kind).toBe('challenge');
+    expect(classifyPage({ status: 429, html: 'slow down' })).toEqual({ kind: 'blocked', reason: 'rate limited (429)', status: 429 });
+    expect(classifyPage({ status: 403, html: '<title>Access Denied</title> Reference #18.2d4f1002.1724.9f3' }).reason).toBe('access denied (403)');
+    expect(classifyPage({ status: 503, html: '<h1>We&#39;ll be back soon</h1>' }).kind).toBe('maintenance');
+    expect(classifyPage({ status: 404 }).kind).toBe('not-found');
+    expect(classifyPage({ status: 200, html: '<a href="/buytickets/ET1">Mask</a>' })).toEqual({ kind: 'ok', reason: null, status: 200 });
+  });
+
+  test('weak markers on a full-size page are not a block', () => {
+    // the real site ships a captcha widget for login; only a small page or an error status counts
+    const appShell = `<html><script src="https://www.google.com/recaptcha/api.js"></script>${'<div></div>'.repeat(5000)}</html>`;
+    expect(classifyPage({ status: 200, html: appShell }).kind).toBe('ok');
+  });
+});
+
+describe('Watcher on a block page', () => {
+  test('skips the observer, rotates the context, pauses after repeated blocks and recovers', async () => {
+    const state = { opened: 0, injected: 0, status: 403, html: CF_CHALLENGE };
+    const accessEvents = [];
+    const watcher = new Watcher({
+      cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 0.01, maxBackoffSeconds: 0.02, rotateIntervalMs: 0,
+      pauseAfterBlocks: 2, blockPauseSeconds: 0.3,
+      pageFactory: fakePageFactory(state), logger: memoryLogger(),
+      onAccessChange: a => accessEvents.push(a)
+    });
+    try {
+      await watcher.start(() => {});
+      expect(watcher.access).toEqual(expect.objectContaining({ state: 'challenge', consecutiveBlocks: 1, status: 403 }));
+      expect(watcher.health.consecutiveFailures).toBe(1);
+      expect(state.injected).toBe(0);
+
+      // second block: fresh context, then a pause instead of the usual backoff
+      await waitFor(() => watcher.access.consecutiveBlocks >= 2, { timeoutMs: 3000 });
+      expect(state.opened).toBe(2);
+      expect(watcher.access.pausedUntil).not.toBeNull();
+      expect(watcher._nextReloadDelayMs()).toBeGreaterThan(100);
+
+      state.status = 200;
+      state.html = '<html><body>showtimes</body></html>';
+      await waitFor(() => watcher.access.state === 'ok', { timeoutMs: 3000 });
+      expect(watcher.access).toEqual(expect.objectContaining({ consecutiveBlocks: 0, pausedUntil: null, totalBlocks: 2 }));
+      expect(watcher.health.state).toBe('healthy');
+      expect(state.injected).toBeGreaterThanOrEqual(1);
+      expect(accessEvents.map(a => a.state)).toEqual(['challenge', 'challenge', 'ok']);
+    } finally {
+      await watcher.stop();
+    }
+  });
+
+  test('HttpWatcher does not escalate into a browser page when blocked', async () => {
+    const mock = new MockBmsServer();
+    await mock.start();
+    try {
+      mock.respondWith('/', { status: 403, body: '<title>Access Denied</title>' });
+      const state = { opened: 0, injected: 0, status: 200, html: '' };
+      const watcher = new HttpWatcher({
+        cinemaUrl: `${mock.baseUrl}/cinemas/madurai/x/buytickets/GCMM/20250821`, identifier: 'ET1', pollIntervalSeconds: 60,
+        pageFactory: fakePageFactory(state), logger: memoryLogger()
+      });
+      await watcher.start(() => {});
+      expect(watcher.lastCheck).toEqual(expect.objectContaining({ pageKind: 'blocked', escalated: false }));
+      expect(watcher.access.state).toBe('blocked');
+      expect(state.opened).toBe(0);
+      await watcher.stop();
+    } finally {
+      await mock.stop();
+    }
+  });
+});
+
+describe('WatcherManager blocked tasks', () => {
+  test('marks the task blocked, broadcasts blocked/unblocked and restores the previous status', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    const events = [];
+    manager.addSseClient(e => events.push(e));
+    manager._startTaskWatcher = async task => { task.watcher = { stop: async () => {} }; };
+
+    const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1' });
+    await waitFor(() => manager.tasks.find(t => t.id === id && t.status === 'running'));
+    const task = manager.tasks.find(t => t.id === id);
+
+    manager._onWatcherAccess(task, task.watcher, { state: 'challenge', reason: 'Cloudflare challenge (403)', consecutiveBlocks: 1 });
+    expect(task.status).toBe('blocked');
+    // failures while blocked keep it blocked rather than degraded
+    manager._onWatcherHealth(task, task.watcher, { state: 'degraded', consecutiveFailures: 3 });
+    expect(task.status).toBe('blocked');
+    expect(manager.getTasks()[0]).toEqual(expect.objectContaining({ status: 'blocked', access: expect.objectContaining({ state: 'challenge' }) }));
+    expect(manager.debugState().watchers.blocked).toBe(1);
+
+    manager._onWatcherAccess(task, task.watcher, { state: 'ok', consecutiveBlocks: 0 });
+    expect(task.status).toBe('degraded');
+    expect(events.filter(e => ['blocked', 'unblocked'].includes(e.type)).map(e => e.type)).toEqual(['blocked', 'unblocked']);
+    await manager.shutdown();
+  });
+});
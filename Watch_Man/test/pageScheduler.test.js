@@ -0,0 +1,133 @@
+// test/pageScheduler.test.js
+const PageScheduler = require('../server/pageScheduler');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+function createScheduler(opts = {}) {
+  let now = 0;
+  const started = [];
+  const paused = [];
+  const scheduler = new PageScheduler({
+    maxPages: 2,
+    sliceMs: 1000,
+    startFn: async id => { started.push(id); },
+    pauseFn: async id => { paused.push(id); },
+    logger: memoryLogger(),
+    clock: () => now,
+    ...opts
+  });
+  return { scheduler, started, paused, advance: ms => { now += ms; } };
+}
+
+const flush = () => new Promise(r => setImmediate(r));
+
+describe('PageScheduler', () => {
+  test('fills free pages and queues the rest in order', async () => {
+    const { scheduler, started } = createScheduler();
+    ['a', 'b', 'c', 'd'].forEach(id => scheduler.enqueue(id));
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+    expect(scheduler.position('c')).toBe(1);
+    expect(scheduler.position('d')).toBe(2);
+    expect(scheduler.position('a')).toBeNull();
+    scheduler.stop();
+  });
+
+  test('rotates round-robin once slices expire', async () => {
+    const { scheduler, started, paused, advance } = createScheduler();
+    ['a', 'b', 'c'].forEach(id => scheduler.enqueue(id));
+    await flush();
+
+    advance(500);
+    scheduler.tick();
+    await flush();
+    expect(paused).toEqual([]);
+
+    advance(600);
+    scheduler.tick();
+    await flush();
+    expect(paused).toEqual(['a']);
+    expect(started).toEqual(['a', 'b', 'c']);
+    expect(scheduler.position('a')).toBe(1);
+
+    advance(1000);
+    scheduler.tick();
+    await flush();
+    expect(paused).toEqual(['a', 'b']);
+    expect(started).toEqual(['a', 'b', 'c', 'a']);
+    scheduler.stop();
+  });
+
+  test('higher priority waits first and is not preempted by lower priority', async () => {
+    const { scheduler, started, paused, advance } = createScheduler({ maxPages: 1 });
+    scheduler.enqueue('vip', 5);
+    scheduler.enqueue('low', 0);
+    scheduler.enqueue('mid', 1);
+    await flush();
+    expect(started).toEqual(['vip']);
+    expect(scheduler.snapshot().queue.map(e => e.id)).toEqual(['mid', 'low']);
+
+    advance(5000);
+    scheduler.tick();
+    await flush();
+    expect(paused).toEqual([]);
+    scheduler.stop();
+  });
+
+  test('a failed start or removal frees the slot for the next task', async () => {
+    const { scheduler, started } = createScheduler({ maxPages: 1, startFn: async id => { started.push(id); return id !== 'bad'; } });
+    scheduler.enqueue('bad');
+    scheduler.enqueue('good');
+    scheduler.enqueue('next');
+    await flush();
+    expect(started).toEqual(['bad', 'good']);
+
+    scheduler.remove('good');
+    await flush();
+    expect(started).toEqual(['bad', 'good', 'next']);
+    scheduler.stop();
+  });
+
+  test('borrowed slots count against maxPages and are only lent while nobody waits', async () => {
+    const { scheduler, started } = createScheduler();
+    scheduler.enqueue('a');
+    await flush();
+    expect(scheduler.borrow('http-1')).toBe(true);
+    expect(scheduler.borrow('http-2')).toBe(false);
+    scheduler.enqueue('b');
+    await flush();
+    expect(started).toEqual(['a']);
+    expect(scheduler.snapshot().borrowed).toEqual([{ id: 'http-1' }]);
+
+    scheduler.giveBack('http-1');
+    await flush();
+    expect(started).toEqual(['a', 'b']);
+    scheduler.remove('a');
+    scheduler.enqueue('c');
+    // a free slot goes to the waiting task first
+    expect(scheduler.borrow('http-2')).toBe(false);
+    scheduler.stop();
+  });
+});
+
+describe('WatcherManager page scheduling', () => {
+  test('queues browser tasks beyond maxPages and promotes them when a page frees up', async () => {
+    const manager = new WatcherManager({ maxPages: 2, logger: memoryLogger() });
+    manager._startTaskWatcher = async () => {};
+
+    const ids = [];
+    for (let i = 0; i < 3; i++) ids.push(await manager.createTask({ cinemaUrl: CINEMA, identifier: `ET${i}` }));
+    await waitFor(() => manager.getTasks().filter(t => t.status === 'running').length === 2);
+
+    const third = manager.getTasks().find(t => t.id === ids[2]);
+    expect(third).toEqual(expect.objectContaining({ status: 'queued', queuePosition: 1 }));
+    expect(manager.debugState().scheduler.queue).toEqual([{ id: ids[2], priority: 0, position: 1 }]);
+
+    await manager.stopTask(ids[0]);
+    await waitFor(() => manager.getTasks().find(t => t.id === ids[2] && t.status === 'running'));
+    expect(manager.getTasks().find(t => t.id === ids[2]).queuePosition).toBeNull();
+    await manager.shutdown();
+  });
+});
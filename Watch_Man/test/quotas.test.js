@@ -0,0 +1,78 @@
+// test/quotas.test.js
+
+const { normalizeQuotas, effectiveQuotas, RateLimiter } = require('../server/quotas');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+const OTHER = 'https://in.bookmyshow.com/cinemas/madurai/vetri/buytickets/VTRM/20250821';
+
+describe('quotas', () => {
+  test('validates limits and layers user overrides over the defaults', () => {
+    expect(normalizeQuotas({ maxActiveTasks: '5', maxPages: '' })).toEqual({ maxActiveTasks: 5, maxPages: null });
+    expect(() => normalizeQuotas({ maxPages: -1 })).toThrow(/whole number/);
+    expect(() => normalizeQuotas({ maxTasks: 1 })).toThrow(/Unknown quota/);
+
+    const defaults = { maxActiveTasks: 5, maxPages: 2, upcomingPerMinute: 3, seatMapScansPerMinute: 2 };
+    expect(effectiveQuotas(defaults, { role: 'user', quotas: { maxPages: null } })).toEqual({ maxActiveTasks: 5, maxPages: null, upcomingPerMinute: 3, seatMapScansPerMinute: 2 });
+    expect(effectiveQuotas(defaults, { role: 'admin' })).toEqual({ maxActiveTasks: null, maxPages: null, upcomingPerMinute: null, seatMapScansPerMinute: null });
+  });
+
+  test('rate limiter counts a sliding window and says when to retry', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ windowMs: 60 * 1000, clock: () => now });
+    limiter.hit('user:a', 2);
+    now = 20 * 1000;
+    limiter.hit('user:a', 2);
+    expect(() => limiter.hit('user:a', 2, 'upcomingPerMinute')).toThrow(expect.objectContaining({
+      statusCode: 429, quota: { name: 'upcomingPerMinute', limit: 2, used: 2, retryAfterSeconds: 40 }
+    }));
+    expect(limiter.hit('user:b', 2).used).toBe(1);
+    now = 61 * 1000;
+    expect(limiter.used('user:a')).toBe(1);
+    expect(limiter.hit('user:a', 2).used).toBe(2);
+  });
+
+  test('a call charged to a user and its IP counts on neither when one refuses it', () => {
+    const limiter = new RateLimiter({ windowMs: 60 * 1000, clock: () => 0 });
+    const charge = user => limiter.hitAll([{ key: `user:${user}`, limit: 2, name: 'upcomingPerMinute' }, { key: 'ip:10.0.0.7', limit: 3, name: 'upcomingPerMinutePerIp' }]);
+    charge('a');
+    charge('a');
+    expect(() => charge('a')).toThrow(expect.objectContaining({ quota: expect.objectContaining({ name: 'upcomingPerMinute' }) }));
+    expect(limiter.used('ip:10.0.0.7')).toBe(2);
+    // another user from the same address runs into the IP limit
+    expect(charge('b').map(r => r.used)).toEqual([1, 3]);
+    expect(() => charge('b')).toThrow(expect.objectContaining({ quota: expect.objectContaining({ name: 'upcomingPerMinutePerIp', limit: 3 }) }));
+    expect(limiter.used('user:b')).toBe(1);
+  });
+});
+
+describe('WatcherManager task quotas', () => {
+  const ravi = { id: 'user-ravi', role: 'user' };
+
+  test('limits active tasks and browser pages per user', async () => {
+    const manager = new WatcherManager({ quotas: { maxActiveTasks: 3, maxPages: 1 }, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const first = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', user: ravi });
+      await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET2', user: ravi }))
+        .rejects.toMatchObject({ statusCode: 429, quota: { name: 'maxPages', limit: 1, used: 1 } });
+      // http watchers don't hold a page
+      await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET2', backend: 'http', user: ravi });
+      expect(manager.getUsage(ravi)).toEqual({ maxActiveTasks: { used: 2, limit: 3 }, maxPages: { used: 1, limit: 1 } });
+
+      // a group is checked as a whole before any member is created
+      await expect(manager.createGroup({ identifier: 'ET3', cinemas: [CINEMA, OTHER], backend: 'http', user: ravi }))
+        .rejects.toMatchObject({ statusCode: 429, quota: { name: 'maxActiveTasks' } });
+      expect(manager.getGroups()).toEqual([]);
+
+      await manager.stopTask(first);
+      await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET4', user: ravi });
+      await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET5', user: { id: 'user-admin', role: 'admin' } });
+      await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET6', user: { ...ravi, quotas: { maxPages: null } } });
+      expect(manager.getUsage(ravi).maxActiveTasks.used).toBe(3);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+// test/releaseWindow.test.js
+const { normalizeReleaseWindows, isInReleaseWindow } = require('../server/releaseWindow');
+const Watcher = require('../server/watcher');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+// 2025-08-19 is a Tuesday; IST is UTC+05:30
+const TUE_1030_IST = new Date('2025-08-19T05:00:00Z');
+const TUE_1500_IST = new Date('2025-08-19T09:30:00Z');
+const WED_0100_IST = new Date('2025-08-19T19:30:00Z');
+
+describe('release windows', () => {
+  test('normalizes days, times and the default time zone', () => {
+    expect(normalizeReleaseWindows({ days: 'Tuesday, fri', start: '9:05', end: '14:00' })).toEqual([
+      { days: ['tue', 'fri'], start: '09:05', end: '14:00', timeZone: 'Asia/Kolkata' }
+    ]);
+    expect(normalizeReleaseWindows({ start: '10:00', end: '11:00' })[0].days).toHaveLength(7);
+    expect(normalizeReleaseWindows(null)).toEqual([]);
+    expect(() => normalizeReleaseWindows({ days: ['someday'], start: '10:00', end: '11:00' })).toThrow(/day/);
+    expect(() => normalizeReleaseWindows({ start: '25:00', end: '11:00' })).toThrow(/time/);
+    expect(() => normalizeReleaseWindows({ start: '10:00', end: '10:00' })).toThrow(/differ/);
+  });
+
+  test('matches Tuesday 10:00–14:00 IST', () => {
+    const windows = normalizeReleaseWindows({ days: ['tue'], start: '10:00', end: '14:00' });
+    expect(isInReleaseWindow(windows, TUE_1030_IST)).toBe(true);
+    expect(isInReleaseWindow(windows, TUE_1500_IST)).toBe(false);
+    expect(isInReleaseWindow([], TUE_1030_IST)).toBe(false);
+  });
+
+  test('windows past midnight continue into the next day', () => {
+    const windows = normalizeReleaseWindows({ days: ['tue'], start: '22:00', end: '02:00' });
+    expect(isInReleaseWindow(windows, WED_0100_IST)).toBe(true);
+    expect(isInReleaseWindow(windows, TUE_1030_IST)).toBe(false);
+  });
+});
+
+describe('dynamic poll intervals', () => {
+  test('Watcher.setPollInterval reschedules the pending reload without a restart', async () => {
+    const visits = [];
+    const page = {
+      on() {}, async exposeFunction() {}, async goto(url) { visits.push(url); },
+      async waitForLoadState() {}, async evaluate() {}, async close() {}
+    };
+    const watcher = new Watcher({
+      cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 600, rotateIntervalMs: 0,
+      pageFactory: async () => ({ page, context: { async close() {} } }), logger: memoryLogger()
+    });
+    await watcher.start(() => {});
+    expect(visits).toHaveLength(1);
+
+    expect(watcher.setPollInterval(0.05)).toBe(true);
+    await waitFor(() => visits.length >= 3, { timeoutMs: 3000 });
+    await watcher.stop();
+  });
+
+  test('manager boosts inside the window, backs off outside and pushes changes to the watcher', async () => {
+    const manager = new WatcherManager({ pollIntervalSeconds: 5, releasePollSeconds: 1, idlePollSeconds: 120, logger: memoryLogger() });
+    const applied = [];
+    manager._startTaskWatcher = async task => { task.watcher = { setPollInterval: s => applied.push(s), stop: async () => {} }; };
+
+    const id = await manager.createTask({
+      cinemaUrl: CINEMA, identifier: 'ET1', priority: 3,
+      releaseWindows: [{ days: ['tue'], start: '10:00', end: '14:00' }]
+    });
+    await waitFor(() => manager.tasks.find(t => t.id === id).watcher);
+    const task = manager.tasks.find(t => t.id === id);
+
+    manager._applyPollPolicies(TUE_1030_IST);
+    expect(task).toEqual(expect.objectContaining({ inReleaseWindow: true, pollIntervalSeconds: 1 }));
+    expect(manager._effectivePriority(task, TUE_1030_IST)).toBeGreaterThan(manager._effectivePriority(task, TUE_1500_IST));
+
+    manager._applyPollPolicies(TUE_1500_IST);
+    expect(task).toEqual(expect.objectContaining({ inReleaseWindow: false, pollIntervalSeconds: 120 }));
+    expect(applied.slice(-2)).toEqual([1, 120]);
+    expect(manager.getTasks()[0]).toEqual(expect.objectContaining({ priority: 3, pollIntervalSeconds: 120 }));
+
+    await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', priority: 1000 })).rejects.toThrow(/priority/);
+    await manager.shutdown();
+  });
+});
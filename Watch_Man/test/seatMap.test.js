@@ -0,0 +1,173 @@
+// test/seatMap.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSeatMap, checkSeats, SeatMapCache } = require('../server/seatMap');
+const { rowLabel } = require('../server/seatPreferences');
+const { chromium } = require('playwright');
+const WatcherManager = require('../server/watcherManager');
+const { extractSeatMap } = require('../server/autoBookBMS');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+// scanner output for a rows x cols layout with a 30px pitch; `holes` are seats without a pointer
+function scan({ rows = 4, cols = 10, holes = [], ...rest } = {}) {
+  const out = [];
+  for (let r = 1; r <= rows; r++) {
+    const seats = [];
+    for (let c = 1; c <= cols; c++) {
+      if (!holes.includes(`${rowLabel(r)}${String(c).padStart(2, '0')}`)) seats.push({ x: 41 + (c - 1) * 30, y: 41 + (r - 1) * 30 });
+    }
+    out.push({ index: r, y: 41 + (r - 1) * 30, seats });
+  }
+  return { totalRows: rows, rows: out, ...rest };
+}
+
+const aisle = col => ['A', 'B', 'C', 'D'].map(r => `${r}${String(col).padStart(2, '0')}`);
+
+describe('seat map', () => {
+  test('lists every seat per row, with sold seats unavailable and aisles left out', () => {
+    const map = buildSeatMap(scan({ holes: [...aisle(5), 'B03'], screen: 'AUDI 2' }), { venueCode: 'GCMM' });
+    expect(map).toEqual(expect.objectContaining({ venueCode: 'GCMM', screen: 'AUDI 2', complete: true, pitch: 30, aisles: [5] }));
+    expect(map.rows[1].seats.map(s => s.number)).toEqual([1, 2, 3, 4, 6, 7, 8, 9, 10]);
+    expect(map.rows[1].seats[2]).toEqual({ label: 'B03', number: 3, x: null, y: 71, available: false });
+    expect(map.counts).toEqual({ seats: 36, available: 35 });
+  });
+
+  test('assigns categories from their row lists or from the header drawn above the rows', () => {
+    const listed = buildSeatMap(scan({ categories: [{ name: 'RECLINER', price: 350, rows: ['A'] }, { name: 'ELITE', price: 190, rows: ['B', 'C', 'D'] }] }));
+    expect(listed.rows.map(r => r.category)).toEqual(['RECLINER', 'ELITE', 'ELITE', 'ELITE']);
+
+    const headers = buildSeatMap(scan({ categories: [{ name: 'GOLD', price: 250, rows: [], top: 20 }, { name: 'SILVER', price: 150, rows: [], top: 85 }] }));
+    expect(headers.rows.map(r => r.category)).toEqual(['GOLD', 'GOLD', 'SILVER', 'SILVER']);
+    expect(headers.categories).toEqual([{ name: 'GOLD', price: 250, rows: ['A', 'B'] }, { name: 'SILVER', price: 150, rows: ['C', 'D'] }]);
+  });
+
+  test('checks seat labels against the map', () => {
+    const map = buildSeatMap(scan({ holes: ['C04'] }));
+    expect(checkSeats(map, ['c3', 'C04', 'Z01'])).toEqual({ ok: false, seats: [
+      { label: 'C03', status: 'available' }, { label: 'C04', status: 'unavailable' }, { label: 'Z01', status: 'unknown' }
+    ] });
+    expect(checkSeats(map, ['A01']).ok).toBe(true);
+  });
+
+  test('caches per screen, expires for shows but stays available for planning', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seatmaps-'));
+    try {
+      const file = path.join(dir, 'seatmaps.json');
+      const cache = new SeatMapCache({ file, ttlSeconds: 60, logger: memoryLogger() });
+      const map = buildSeatMap(scan({ screen: 'AUDI 2' }), { venueCode: 'GCMM' });
+      expect(cache.set('GCMM:20250821:ET1:1', map)).toBe('GCMM:AUDI 2');
+      cache.set('GCMM:20250821:ET1:3', map);
+      expect(cache.list()).toEqual([expect.objectContaining({ key: 'GCMM:AUDI 2', screen: 'AUDI 2', seats: 40 })]);
+      expect(cache.get('GCMM:20250821:ET1:3')).toBe(map);
+      expect(cache.get('GCMM:20250821:ET1:1', { now: Date.now() + 61 * 1000 })).toBeNull();
+
+      const reloaded = new SeatMapCache({ file, logger: memoryLogger() });
+      expect(reloaded.getScreen('GCMM:AUDI 2').rows).toHaveLength(4);
+      expect(reloaded.keyFor('GCMM:20250821:ET1:1')).toBe('GCMM:AUDI 2');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('WatcherManager seat maps', () => {
+  test('scans once per show, serves the cache and checks the task\'s target seats', async () => {
+    const calls = [];
+    const extractor = async opts => {
+      calls.push(opts);
+      await new Promise(r => setTimeout(r, 20));
+      return { ok: true, seatMap: buildSeatMap(scan({ holes: ['C04'], screen: 'AUDI 1' }), { venueCode: 'GCMM' }) };
+    };
+    const manager = new WatcherManager({ seatMapExtractor: extractor, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const [a, b] = await Promise.all([
+        manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 2 }),
+        manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: '2' })
+      ]);
+      expect(calls).toEqual([expect.objectContaining({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 2 })]);
+      expect(a).toEqual(expect.objectContaining({ cached: false, key: 'GCMM:AUDI 1' }));
+      expect(b.seatMap).toBe(a.seatMap);
+      expect((await manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 2 })).cached).toBe(true);
+
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings: { SHOW_INDEX: 2, TARGET_SEAT: 'C03', NEXT_SEATS: ['C04'] } });
+      const res = await manager.getTaskSeatMap(id);
+      expect(res.cached).toBe(true);
+      expect(res.targetSeats.seats.map(s => s.status)).toEqual(['available', 'unavailable']);
+      expect(await manager.getTaskSeatMap('task-missing')).toBeNull();
+
+      await expect(manager.getSeatMap({ cinemaUrl: 'https://example.com/x', movieId: 'ET1' })).rejects.toMatchObject({ statusCode: 400 });
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('only scans BookMyShow, one show at a time, and lets the caller refuse a scan', async () => {
+    const releases = [];
+    const active = { now: 0, max: 0 };
+    const extractor = async ({ showIndex }) => {
+      active.now++; active.max = Math.max(active.max, active.now);
+      await new Promise(r => releases.push(r));
+      active.now--;
+      return { ok: true, seatMap: buildSeatMap(scan({ screen: `AUDI ${showIndex}` }), { venueCode: 'GCMM' }) };
+    };
+    const manager = new WatcherManager({ seatMapExtractor: extractor, seatMapQueueLimit: 1, logger: memoryLogger() });
+    try {
+      await expect(manager.getSeatMap({ cinemaUrl: 'http://169.254.169.254/x/buytickets/GCMM/20250821', movieId: 'ET1' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(manager.getSeatMap({ cinemaUrl: 'https://bookmyshow.com.evil.example/buytickets/GCMM/20250821', movieId: 'ET1' })).rejects.toMatchObject({ statusCode: 400 });
+
+      let charged = 0;
+      const onScan = () => { charged++; };
+      const first = manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 1, onScan });
+      const second = manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 2, onScan });
+      await waitFor(() => releases.length === 1);
+      // one running, one waiting: the queue is full
+      await expect(manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 3, onScan })).rejects.toMatchObject({ statusCode: 503 });
+      const refused = () => { throw Object.assign(new Error('Rate limit reached'), { statusCode: 429 }); };
+      releases.shift()();
+      await first;
+      await expect(manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 4, onScan: refused })).rejects.toMatchObject({ statusCode: 429 });
+      await waitFor(() => releases.length === 1);
+      releases.shift()();
+      await second;
+      expect(active.max).toBe(1);
+      expect(charged).toBe(2);
+      // cached maps are not charged
+      await manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', showIndex: 1, onScan });
+      expect(charged).toBe(2);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('a failed scan is reported and not cached', async () => {
+    const manager = new WatcherManager({ seatMapExtractor: async () => ({ ok: false, error: 'Seat map scan failed: no-rows-detected' }), logger: memoryLogger() });
+    try {
+      await expect(manager.getSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1' })).rejects.toMatchObject({ statusCode: 502, message: /no-rows-detected/ });
+      expect(manager.getCachedSeatMaps()).toEqual([]);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
+
+describe('extractSeatMap', () => {
+  test('removes its throwaway profile when the scan throws', async () => {
+    const context = { closed: false, async newPage() { throw new Error('Target page, context or browser has been closed'); }, async close() { context.closed = true; } };
+    const launch = jest.spyOn(chromium, 'launchPersistentContext').mockResolvedValue(context);
+    try {
+      const res = await extractSeatMap({ cinemaUrl: CINEMA, movieId: 'ET1', logger: memoryLogger() });
+      expect(res).toEqual(expect.objectContaining({ ok: false, error: expect.stringContaining('has been closed') }));
+      const profileDir = launch.mock.calls[0][0];
+      expect(path.basename(profileDir)).toMatch(/^bms-chrome-/);
+      expect(context.closed).toBe(true);
+      expect(fs.existsSync(profileDir)).toBe(false);
+    } finally {
+      launch.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,92 @@
+// test/seatPreferences.test.js
+
+const { normalizeSeatPreferences, rowsWorthScanning, buildSeatGrid, pickSeats, rowLabel } = require('../server/seatPreferences');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger } = require('./helpers/fakes');
+
+// what the in-page scanner reports for a rows x cols map (30px pitch); `holes` are sold seats
+// or aisle seats, i.e. no pointer cursor there
+function scan({ rows = 8, cols = 14, holes = [] } = {}) {
+  const out = [];
+  for (let r = 1; r <= rows; r++) {
+    const seats = [];
+    for (let c = 1; c <= cols; c++) {
+      if (!holes.includes(`${rowLabel(r)}${String(c).padStart(2, '0')}`)) seats.push({ x: 41 + (c - 1) * 30, y: 41 + (r - 1) * 30 });
+    }
+    out.push({ index: r, y: 41 + (r - 1) * 30, seats });
+  }
+  return { totalRows: rows, rows: out };
+}
+
+const aisle = col => Array.from({ length: 8 }, (_, i) => `${rowLabel(i + 1)}${String(col).padStart(2, '0')}`);
+const labels = pick => pick.seats.map(s => s.label);
+
+describe('seat preferences', () => {
+  test('validates and fills defaults', () => {
+    expect(normalizeSeatPreferences(null)).toBeNull();
+    expect(normalizeSeatPreferences({ rows: 'h-e, j', tiers: [{ contiguous: false }] })).toEqual({
+      rows: ['E-H', 'J'], avoidRows: [], maxScreenDistance: null, screen: 'bottom', centre: 1,
+      contiguous: true, avoidAisle: false, avoidLastRow: false, tiers: [{ contiguous: false }]
+    });
+    expect(() => normalizeSeatPreferences({ rows: ['E-'] })).toThrow(/Invalid row range/);
+    expect(() => normalizeSeatPreferences({ maxScreenDistance: 0 })).toThrow(/maxScreenDistance/);
+    expect(() => normalizeSeatPreferences({ screen: 'left' })).toThrow(/screen/);
+  });
+
+  test('numbers columns from the pitch, so sold seats and aisles leave holes', () => {
+    const grid = buildSeatGrid(scan({ holes: [...aisle(5), 'C07'] }));
+    expect(grid.pitch).toBe(30);
+    expect(grid.aisles).toEqual(new Set([5]));
+    expect(grid.rows[2].seats.map(s => s.col)).not.toContain(7);
+    expect(grid.rows[2].seats.find(s => s.col === 8).label).toBe('C08');
+  });
+
+  test('picks the most central contiguous block in the allowed rows', () => {
+    const prefs = normalizeSeatPreferences({ rows: ['E-F'] });
+    expect(labels(pickSeats(scan({ holes: ['E07', 'E08', 'F06'] }), prefs, 3))).toEqual(['F07', 'F08', 'F09']);
+    // nothing contiguous across a sold seat
+    const pick = pickSeats(scan({ cols: 5, holes: ['E03', 'F03'] }), prefs, 3);
+    expect(pick).toBeNull();
+  });
+
+  test('avoids aisle seats and the last row when asked', () => {
+    const layout = scan({ holes: [...aisle(7)] });
+    expect(labels(pickSeats(layout, normalizeSeatPreferences({ rows: ['D'] }), 2))).toEqual(['D08', 'D09']);
+    expect(labels(pickSeats(layout, normalizeSeatPreferences({ rows: ['D'], avoidAisle: true }), 2))).toEqual(['D09', 'D10']);
+
+    // screen at the bottom: row A is the last row
+    const all = scan({ rows: 3, holes: ['B06', 'B07', 'B08', 'B09', 'C06', 'C07', 'C08', 'C09'] });
+    expect(pickSeats(all, normalizeSeatPreferences({}), 2).seats[0].row).toBe(1);
+    expect(pickSeats(all, normalizeSeatPreferences({ avoidLastRow: true }), 2).seats[0].row).not.toBe(1);
+  });
+
+  test('limits rows by distance from the screen and falls back through tiers', () => {
+    const prefs = normalizeSeatPreferences({ maxScreenDistance: 3, tiers: [{ maxScreenDistance: 6 }, { contiguous: false }] });
+    expect(rowsWorthScanning(normalizeSeatPreferences({ rows: ['E-F'], maxScreenDistance: 3 }), 8)).toEqual([6]);
+
+    const full = ['F', 'G', 'H'].flatMap(r => Array.from({ length: 14 }, (_, i) => `${r}${String(i + 1).padStart(2, '0')}`));
+    const pick = pickSeats(scan({ holes: full }), prefs, 2);
+    expect(pick.tier).toBe(2);
+    expect(['C', 'D', 'E']).toContain(rowLabel(pick.seats[0].row));
+
+    // near the screen only every other seat is left and C-E are sold out: the last tier splits the pair
+    const row = (r, keep) => Array.from({ length: 14 }, (_, i) => i + 1).filter(c => !keep(c)).map(c => `${r}${String(c).padStart(2, '0')}`);
+    const sparse = [...['C', 'D', 'E'].flatMap(r => row(r, () => false)), ...['F', 'G', 'H'].flatMap(r => row(r, c => c % 2 === 1))];
+    const split = pickSeats(scan({ holes: sparse }), prefs, 2);
+    expect(split.tier).toBe(3);
+    expect(split.seats.map(s => s.row).every(r => r >= 6)).toBe(true);
+  });
+
+  test('tasks reject invalid preferences', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      await expect(manager.createTask({ cinemaUrl: 'https://in.bookmyshow.com/cinemas/x/y/buytickets/GCMM/20250821', identifier: 'ET1', bookingSettings: { SEAT_PREFS: { rows: ['1-5'] } } }))
+        .rejects.toThrow(/Invalid row range/);
+      const id = await manager.createTask({ cinemaUrl: 'https://in.bookmyshow.com/cinemas/x/y/buytickets/GCMM/20250821', identifier: 'ET1', bookingSettings: { SEAT_QUANTITY: 2, SEAT_PREFS: { rows: 'e-h' } } });
+      expect(manager.tasks.find(t => t.id === id).bookingSettings.SEAT_PREFS.rows).toEqual(['E-H']);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
@@ -0,0 +1,115 @@
+// test/secrets.test.js
+// Encrypted secrets store and how tasks / accounts keep contact details out of views and files.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SecretStore, maskSecret } = require('../server/secrets');
+const Storage = require('../server/storage');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+describe('SecretStore', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('masks emails, numbers and UPI ids', () => {
+    expect(maskSecret('ravi@gmail.com')).toBe('r***@gmail.com');
+    expect(maskSecret('9876543210')).toBe('***3210');
+    expect(maskSecret('ravi@okicici')).toBe('r***@okicici');
+    expect(maskSecret('123')).toBe('***');
+  });
+
+  test('encrypts at rest and stays locked under a different key', () => {
+    const file = path.join(dir, 'secrets.enc.json');
+    const store = new SecretStore({ file, key: 'correct horse', logger: memoryLogger() });
+    const id = store.put({ EMAIL: 'ravi@gmail.com', MOBILE_NUMBER: '9876543210', PHONE: '' });
+    expect(store.put({ EMAIL: '' })).toBeNull();
+    const raw = fs.readFileSync(file, 'utf8');
+    expect(raw).not.toMatch(/ravi|9876543210/);
+
+    expect(new SecretStore({ file, key: 'correct horse', logger: memoryLogger() }).get(id)).toEqual({ EMAIL: 'ravi@gmail.com', MOBILE_NUMBER: '9876543210' });
+    const wrong = new SecretStore({ file, key: 'battery staple', logger: memoryLogger() });
+    expect(wrong.locked).toBe(true);
+    expect(wrong.get(id)).toBeNull();
+    expect(() => wrong.put({ EMAIL: 'x@y.z' })).toThrow(/locked/);
+    expect(fs.readFileSync(file, 'utf8')).toBe(raw);
+    expect(() => new SecretStore({ file })).toThrow(/needs a key/);
+  });
+});
+
+describe('WatcherManager booking secrets', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('tasks reference sealed details that only the booking run sees in full', async () => {
+    const calls = [];
+    const storage = new Storage({ logger: memoryLogger() });
+    const events = [];
+    const manager = new WatcherManager({
+      storage, secretsFile: path.join(dir, 'secrets.enc.json'), secretsKey: 'k',
+      bookingAutomation: async (task, { onStep }) => { calls.push(task); onStep('payment-pending'); return { ok: true }; },
+      logger: memoryLogger()
+    });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    manager.addSseClient(e => events.push(e));
+    try {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings: { SEAT_QUANTITY: 2, EMAIL: 'ravi@gmail.com', MOBILE_NUMBER: '9876543210' } });
+      const task = manager.tasks.find(t => t.id === id);
+      expect(task.bookingSettings).toEqual({ SEAT_QUANTITY: 2, SECRETS: expect.stringMatching(/^secret-/) });
+      expect(manager.getTasks()[0].bookingSettings).toEqual({ SEAT_QUANTITY: 2, EMAIL: 'r***@gmail.com', MOBILE_NUMBER: '***3210' });
+      manager._saveTasksImmediate();
+      expect(JSON.stringify(storage.loadTasks())).not.toMatch(/ravi|9876543210/);
+
+      manager.startBookingRun(task);
+      await waitFor(() => calls.length === 1);
+      expect(calls[0].bookingSettings).toEqual({ SEAT_QUANTITY: 2, EMAIL: 'ravi@gmail.com', MOBILE_NUMBER: '9876543210' });
+      expect(JSON.stringify(events)).not.toMatch(/ravi@|9876543210/);
+
+      // a reference from a client would borrow (and keep alive) someone else's details
+      await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings: { SECRETS: task.bookingSettings.SECRETS } })).rejects.toMatchObject({ statusCode: 400, message: /SECRETS can't be set/ });
+      await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings: { SECRETS: 'secret-missing' } })).rejects.toMatchObject({ statusCode: 400 });
+      // a group's members share the entry the group sealed
+      const groupId = await manager.createGroup({ identifier: 'ET2', cinemas: [CINEMA], dates: ['20250821', '20250822'], bookingSettings: { EMAIL: 'priya@gmail.com' } });
+      const members = manager.tasks.filter(t => t.groupId === groupId);
+      expect(members).toHaveLength(2);
+      expect(new Set(members.map(t => t.bookingSettings.SECRETS)).size).toBe(1);
+      await manager.deleteGroup(groupId);
+      await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings: { ACCOUNTS: [{ account: 'Ravi', settings: { EMAIL: 'a@b.c' } }] } }))
+        .rejects.toThrow(/EMAIL is set on the booking account/);
+
+      await manager.deleteTask(id);
+      expect(manager.secrets.ids()).toEqual([]);
+    } finally {
+      await manager.shutdown();
+      storage.close();
+    }
+  });
+
+  test('moves plaintext details from older task and account files into the store', async () => {
+    const tasksFile = path.join(dir, 'tasks.json');
+    const accountsFile = path.join(dir, 'accounts.json');
+    fs.writeFileSync(tasksFile, JSON.stringify([{ id: 'task-old', identifier: 'ET1', status: 'stopped', bookingSettings: { SHOW_INDEX: 1, EMAIL: 'ravi@gmail.com' } }]));
+    fs.writeFileSync(accountsFile, JSON.stringify([{ id: 'account-old', name: 'Ravi', email: 'ravi@gmail.com', phone: null, upiId: 'ravi@okicici', maxSeats: 4 }]));
+    const storage = new Storage({ logger: memoryLogger() });
+    storage.importJson({ tasksFile });
+    const opts = { storage, accountsFile, secretsFile: path.join(dir, 'secrets.enc.json'), secretsKey: 'k', logger: memoryLogger() };
+    let manager = new WatcherManager(opts);
+    await manager.shutdown();
+    expect(JSON.stringify(storage.loadTasks()) + fs.readFileSync(accountsFile, 'utf8')).not.toMatch(/ravi@/);
+
+    manager = new WatcherManager(opts);
+    try {
+      expect(manager.getTasks({ all: true })[0].bookingSettings).toEqual({ SHOW_INDEX: 1, EMAIL: 'r***@gmail.com' });
+      expect(manager.getAccount('account-old')).toEqual(expect.objectContaining({ email: 'r***@gmail.com', upiId: 'r***@okicici' }));
+      expect(manager.accounts.forBooking('account-old')).toEqual(expect.objectContaining({ email: 'ravi@gmail.com', phone: null, upiId: 'ravi@okicici' }));
+    } finally {
+      await manager.shutdown();
+      storage.close();
+    }
+  });
+});
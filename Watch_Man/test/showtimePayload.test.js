@@ -0,0 +1,58 @@
+// test/showtimePayload.test.js
+const { findMovieInPayload } = require('../server/showtimePayload');
+
+const payload = {
+  venueCode: 'GCMM',
+  dateCode: '20250821',
+  showDetails: [
+    {
+      identifier: 'ET00000001',
+      name: 'Other',
+      language: 'Tamil',
+      href: '/movies/madurai/other/ET00000001',
+      shows: [{ sessionId: '1001', time: '09:00 AM', format: '2D', language: 'Tamil' }]
+    },
+    {
+      identifier: 'ET00470630',
+      name: 'Mask',
+      language: 'Tamil',
+      href: '/movies/madurai/mask-2025/ET00470630',
+      shows: [
+        { sessionId: '2001', time: '10:30 AM', format: '2D', language: 'Tamil', seatLayoutUrl: '/movies/madurai/seat-layout/ET00470630/GCMM/2001/20250821' },
+        { sessionId: '2002', time: '02:15 PM', format: 'IMAX 2D', language: 'Tamil' },
+        { sessionId: '2003', time: '06:45 PM', format: 'DOLBY ATMOS', language: 'Telugu' }
+      ]
+    }
+  ],
+  nextReleaseInMs: null
+};
+
+describe('findMovieInPayload', () => {
+  test('returns null when the identifier is absent', () => {
+    expect(findMovieInPayload(payload, 'ET09999999')).toBeNull();
+    expect(findMovieInPayload(null, 'ET00470630')).toBeNull();
+    expect(findMovieInPayload(payload, '')).toBeNull();
+  });
+
+  test('picks the movie entry and its showtimes', () => {
+    const hit = findMovieInPayload(payload, 'ET00470630');
+    expect(hit.name).toBe('Mask');
+    expect(hit.href).toBe('/movies/madurai/mask-2025/ET00470630');
+    expect(hit.showtimes).toEqual([
+      { time: '10:30 AM', format: '2D', language: 'Tamil', sessionId: '2001' },
+      { time: '02:15 PM', format: 'IMAX 2D', language: 'Tamil', sessionId: '2002' },
+      { time: '06:45 PM', format: 'DOLBY ATMOS', language: 'Telugu', sessionId: '2003' }
+    ]);
+    expect(hit.formats).toEqual(['2D', 'IMAX 2D', 'DOLBY ATMOS']);
+    expect(hit.languages).toEqual(['Tamil', 'Telugu']);
+  });
+
+  test('tolerates other shapes and inherits the movie language', () => {
+    const hit = findMovieInPayload({
+      data: { events: [{ EventTitle: 'Mask', EventURL: 'https://x/ET00470630', Lang: 'Tamil',
+        sessions: [{ ShowTime: '7:05 pm', ScreenAttr: ['4DX', '3D'] }] }] }
+    }, 'ET00470630');
+    expect(hit.name).toBe('Mask');
+    expect(hit.showtimes).toEqual([{ time: '7:05 PM', format: '4DX 3D', language: 'Tamil', sessionId: null }]);
+  });
+});
@@ -0,0 +1,66 @@
+// test/showtimeRules.test.js
+
+const { normalizeShowtimeRules, parseShowtime, pickShowtime, explainRejections, describeShowtimeRules } = require('../server/showtimeRules');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger } = require('./helpers/fakes');
+
+// the mock cinema's four shows, as the page hands them over
+const SHOWS = [
+  { text: '10:30 AM', format: '2D' },
+  { text: '02:15 PM IMAX 2D', format: 'IMAX 2D' },
+  { text: '06:45 PM', format: 'DOLBY ATMOS', language: 'Tamil' },
+  { text: '10:00 PM', format: '2D' }
+].map((s, i) => parseShowtime({ index: i + 1, cellText: 'Mask (UA) Tamil, Telugu', ...s }));
+
+const pick = rules => pickShowtime(SHOWS, normalizeShowtimeRules(rules));
+
+describe('showtime rules', () => {
+  test('validates and fills defaults', () => {
+    expect(normalizeShowtimeRules(null)).toBeNull();
+    expect(normalizeShowtimeRules({ time: '7:30 pm', window: '18:00 - 23:00', formats: 'imax, dolby', fallbacks: [{ formats: [] }] })).toEqual({
+      time: '19:30', window: { from: '18:00', to: '23:00' }, formats: ['IMAX', 'DOLBY ATMOS'], avoidFormats: [], language: null,
+      fallbacks: [{ formats: [] }]
+    });
+    expect(() => normalizeShowtimeRules({ time: '25:00' })).toThrow(/Invalid time/);
+    expect(() => normalizeShowtimeRules({ window: '18:00' })).toThrow(/Invalid time window/);
+    expect(() => normalizeShowtimeRules({ fallbacks: ['IMAX'] })).toThrow(/must be an object/);
+  });
+
+  test('reads time and formats from the show buttons', () => {
+    expect(SHOWS[1]).toEqual(expect.objectContaining({ index: 2, time: '14:15', minutes: 855, formats: ['IMAX', '2D'] }));
+    expect(SHOWS[2].formats).toEqual(['DOLBY ATMOS']);
+    expect(parseShowtime({ index: 1, text: 'Sold out' }).time).toBeNull();
+  });
+
+  test('prefers the show closest to the time, inside the window and in a wanted format', () => {
+    expect(pick({ time: '19:30' })).toEqual(expect.objectContaining({ rule: 1, show: SHOWS[2] }));
+    expect(pick({ window: '21:00-01:00' }).show.index).toBe(4);
+    expect(pick({ time: '21:00', formats: ['2D'], avoidFormats: ['IMAX'] }).show.index).toBe(4);
+    expect(pick({ time: '12:00', formats: ['IMAX', 'DOLBY ATMOS'] }).reason).toBe('rule 1: 14:15 — 135 min from 12:00, IMAX');
+  });
+
+  test('matches the language on the button or the movie line', () => {
+    expect(pick({ time: '22:00', language: 'tamil' }).show.index).toBe(4);
+    expect(pick({ language: 'Hindi' })).toBeNull();
+  });
+
+  test('falls back through the rules in order and explains misses', () => {
+    const rules = normalizeShowtimeRules({ window: '18:00-23:00', formats: ['4DX'], fallbacks: [{ formats: ['IMAX'] }, { formats: [] }] });
+    expect(pickShowtime(SHOWS, rules)).toEqual(expect.objectContaining({ rule: 3, show: SHOWS[2] }));
+    expect(explainRejections(SHOWS, rules)).toBe('10:30 outside 18:00-23:00; 14:15 outside 18:00-23:00; 18:45 not 4DX; 22:00 not 4DX');
+    expect(describeShowtimeRules(rules)).toBe('18:00-23:00 4DX → 18:00-23:00 IMAX → 18:00-23:00');
+  });
+
+  test('tasks reject invalid rules', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      await expect(manager.createTask({ cinemaUrl: 'https://in.bookmyshow.com/cinemas/x/y/buytickets/GCMM/20250821', identifier: 'ET1', bookingSettings: { SHOWTIME: { window: 'evening' } } }))
+        .rejects.toThrow(/Invalid time window/);
+      const id = await manager.createTask({ cinemaUrl: 'https://in.bookmyshow.com/cinemas/x/y/buytickets/GCMM/20250821', identifier: 'ET1', bookingSettings: { SHOWTIME: { time: '7 PM' } } });
+      expect(manager.tasks.find(t => t.id === id).bookingSettings.SHOWTIME.time).toBe('19:00');
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
@@ -0,0 +1,131 @@
+// test/storage.test.js
+// SQLite persistence: schema migrations, the JSON import, the task event journal and WatcherManager
+// state surviving a restart.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Storage = require('../server/storage');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+describe('Storage', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('migrates a new database and refuses one from a newer version', () => {
+    const file = path.join(dir, 'watcher.db');
+    let storage = new Storage({ file, logger: memoryLogger() });
+    expect(storage.schemaVersion).toBe(Storage.MIGRATIONS.length);
+    storage.saveTasks([{ id: 'task-1', status: 'running', owner: 'user-ravi' }]);
+    storage.db.pragma(`user_version = ${Storage.MIGRATIONS.length + 1}`);
+    storage.close();
+
+    expect(() => new Storage({ file, logger: memoryLogger() })).toThrow(/schema version/);
+  });
+
+  test('upserts records and drops a task together with its history', () => {
+    const storage = new Storage({ logger: memoryLogger() });
+    storage.saveTasks([{ id: 'task-1', status: 'running' }, { id: 'task-2', status: 'queued' }]);
+    storage.saveTasks([{ id: 'task-1', status: 'found', href: 'https://in.bookmyshow.com/x' }]);
+    storage.recordStatus('task-1', 'running');
+    storage.recordNotification('task', 'task-1', { channel: 'ops', type: 'webhook', status: 'sent', attempts: 1, sentAt: '2025-08-21T10:00:00.000Z' });
+    expect(storage.loadTasks()).toEqual([{ id: 'task-1', status: 'found', href: 'https://in.bookmyshow.com/x' }, { id: 'task-2', status: 'queued' }]);
+    expect(storage.notifications('task', 'task-1')).toEqual([expect.objectContaining({ channel: 'ops', status: 'sent', test: false, at: '2025-08-21T10:00:00.000Z' })]);
+
+    storage.deleteTasks(['task-1']);
+    expect(storage.loadTasks().map(t => t.id)).toEqual(['task-2']);
+    expect(storage.statusHistory('task-1')).toEqual([]);
+    expect(storage.notifications('task', 'task-1')).toEqual([]);
+    storage.close();
+  });
+
+  test('keeps the newest routine events but counts them all', () => {
+    const storage = new Storage({ logger: memoryLogger() });
+    storage.appendTaskEvent('task-1', { type: 'created', at: '2025-08-21T10:00:00.000Z' });
+    for (let i = 0; i < 5; i++) storage.appendTaskEvent('task-1', { type: 'reload', details: { n: i } }, { keep: 2 });
+    storage.appendTaskEvent('task-2', { type: 'reload' }, { keep: 2 });
+
+    expect(storage.taskEvents('task-1').map(e => e.details && e.details.n)).toEqual([null, 3, 4]);
+    expect(storage.taskEvents('task-1', { type: 'reload', limit: 1 })).toEqual([expect.objectContaining({ type: 'reload', details: { n: 4 } })]);
+    expect(storage.taskEventCounts('task-1')).toEqual({ created: 1, reload: 5 });
+    expect(storage.firstTaskEvent('task-1', 'created').at).toBe('2025-08-21T10:00:00.000Z');
+
+    storage.deleteTasks(['task-1']);
+    expect(storage.taskEvents('task-1')).toEqual([]);
+    expect(storage.taskEventCounts('task-2')).toEqual({ reload: 1 });
+    storage.close();
+  });
+
+  test('imports the JSON files of older versions once', () => {
+    const tasksFile = path.join(dir, 'tasks.json');
+    const bookingsFile = path.join(dir, 'bookings.json');
+    fs.writeFileSync(tasksFile, JSON.stringify([{ id: 'task-old', identifier: 'ET1', status: 'stopped' }]));
+    fs.writeFileSync(bookingsFile, JSON.stringify([{ id: 'booking-old', taskId: 'task-old', status: 'succeeded', steps: [] }]));
+    const storage = new Storage({ logger: memoryLogger() });
+
+    expect(storage.importJson({ tasksFile, groupsFile: path.join(dir, 'groups.json'), bookingsFile })).toEqual({ tasks: 1, bookingRuns: 1 });
+    expect(fs.existsSync(tasksFile)).toBe(false);
+    expect(fs.existsSync(`${tasksFile}.imported`)).toBe(true);
+    expect(storage.statusHistory('task-old')).toEqual([{ status: 'stopped', at: expect.any(String) }]);
+
+    fs.writeFileSync(tasksFile, JSON.stringify([{ id: 'task-new', status: 'stopped' }]));
+    expect(storage.importJson({ tasksFile })).toBeNull();
+    expect(storage.loadTasks().map(t => t.id)).toEqual(['task-old']);
+    storage.close();
+  });
+});
+
+describe('WatcherManager persistence', () => {
+  test('tasks, groups and status changes survive a restart', async () => {
+    const storage = new Storage({ logger: memoryLogger() });
+    let manager = new WatcherManager({ storage, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', backend: 'http' });
+    const group = await manager.createGroup({ identifier: 'ET2', cinemas: [CINEMA], backend: 'http' });
+    manager._saveTasksImmediate();
+    await manager.stopTask(id);
+    await manager.shutdown();
+
+    manager = new WatcherManager({ storage, logger: memoryLogger() });
+    try {
+      expect(manager.getTasks({ all: true }).map(t => t.id)).toEqual([id, expect.stringMatching(/^task-/)]);
+      expect(manager.getGroups().map(g => g.id)).toEqual([group]);
+      expect(manager.getTaskHistory(id).statuses.map(s => s.status)).toEqual(['running', 'stopped']);
+
+      await manager.deleteTask(id);
+      manager._saveTasksImmediate();
+      expect(storage.loadTasks().map(t => t.id)).not.toContain(id);
+      expect(manager.getTaskHistory(id)).toBeNull();
+    } finally {
+      await manager.shutdown();
+      storage.close();
+    }
+  });
+
+  test('journals what happens to a task', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    manager._startTaskWatcher = async task => { task.watcher = { stop: async () => {} }; };
+    try {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', backend: 'http' });
+      const task = manager.tasks.find(t => t.id === id);
+      await new Promise(r => setImmediate(r));
+      manager._onWatcherHealth(task, task.watcher, { state: 'healthy', consecutiveFailures: 1, totalFailures: 1, lastError: 'HTTP 503' });
+      manager._onWatcherHealth(task, task.watcher, { state: 'healthy', consecutiveFailures: 0, totalFailures: 1, lastError: 'HTTP 503' });
+      await manager.stopTask(id);
+
+      const journal = manager.getTaskEvents(id);
+      expect(journal.events.map(e => e.type)).toEqual(['created', 'started', 'error', 'stopped']);
+      expect(journal.events[2].details).toEqual(expect.objectContaining({ message: 'HTTP 503', consecutiveFailures: 1 }));
+      expect(journal.counts).toEqual({ created: 1, started: 1, error: 1, stopped: 1 });
+      expect(journal.summary).toEqual({ createdAt: expect.any(String), startedAt: expect.any(String), foundAt: null, detectionSeconds: null });
+      expect(() => manager.getTaskEvents(id, { type: 'reloaded' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(manager.getTaskEvents('task-missing')).toBeNull();
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
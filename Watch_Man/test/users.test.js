@@ -0,0 +1,156 @@
+// test/users.test.js
+// Users, sessions and API tokens, and how WatcherManager scopes tasks and events to their owner.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Users } = require('../server/users');
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger, controllableAutomation } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+describe('Users', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-')); });
+  afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  test('stores hashed passwords and signs users in', () => {
+    const file = path.join(dir, 'users.json');
+    const users = new Users({ file, logger: memoryLogger() });
+    const admin = users.create({ username: 'Naga', password: 'correct horse', role: 'admin' });
+    expect(admin).toEqual(expect.objectContaining({ username: 'naga', role: 'admin', tokens: [] }));
+    expect(fs.readFileSync(file, 'utf8')).not.toMatch(/correct horse/);
+    expect(() => users.create({ username: 'naga', password: 'another one' })).toThrow(/already exists/);
+    expect(() => users.create({ username: 'ravi', password: 'short' })).toThrow(/at least 8/);
+    expect(() => users.create({ username: 'ravi', password: 'long enough', role: 'root' })).toThrow(/Unknown role/);
+
+    const reloaded = new Users({ file, logger: memoryLogger() });
+    expect(reloaded.authenticate('NAGA', 'correct horse').id).toBe(admin.id);
+    expect(reloaded.authenticate('naga', 'wrong horse')).toBeNull();
+    expect(reloaded.authenticate('nobody', 'correct horse')).toBeNull();
+    expect(() => reloaded.remove(admin.id)).toThrow(/last admin/);
+  });
+
+  test('sessions expire and end with a password change; tokens work until revoked', () => {
+    const users = new Users({ sessionTtlSeconds: 60, logger: memoryLogger() });
+    const ravi = users.create({ username: 'ravi', password: 'long enough' });
+    const sid = users.createSession(ravi.id);
+    expect(users.fromSession(sid).username).toBe('ravi');
+    expect(users.fromSession(sid, { now: Date.now() + 61 * 1000 })).toBeNull();
+
+    const again = users.createSession(ravi.id);
+    users.setPassword(ravi.id, 'even longer');
+    expect(users.fromSession(again)).toBeNull();
+
+    const { id, token } = users.createToken(ravi.id, 'cron');
+    expect(token).toMatch(/^bmsw_/);
+    expect(JSON.stringify(users.users)).not.toContain(token);
+    expect(users.fromToken(token).id).toBe(ravi.id);
+    expect(users.revokeToken(ravi.id, id)).toBe(true);
+    expect(users.fromToken(token)).toBeNull();
+  });
+
+  test('keeps a token\'s last use across restarts, written at most once a minute', () => {
+    const file = path.join(dir, 'users.json');
+    const users = new Users({ file, logger: memoryLogger() });
+    const ravi = users.create({ username: 'ravi', password: 'long enough' });
+    const { token } = users.createToken(ravi.id, 'cron');
+    const at = Date.parse('2025-08-21T10:00:00.000Z');
+    const lastUsed = () => new Users({ file, logger: memoryLogger() }).get(ravi.id).tokens[0].lastUsedAt;
+
+    users.fromToken(token, { now: at });
+    expect(lastUsed()).toBe('2025-08-21T10:00:00.000Z');
+    users.fromToken(token, { now: at + 30 * 1000 });
+    expect(lastUsed()).toBe('2025-08-21T10:00:00.000Z');
+    users.fromToken(token, { now: at + 90 * 1000 });
+    expect(lastUsed()).toBe('2025-08-21T10:01:30.000Z');
+  });
+});
+
+describe('WatcherManager ownership', () => {
+  const admin = { id: 'user-admin', role: 'admin' };
+  const ravi = { id: 'user-ravi', role: 'user' };
+  const priya = { id: 'user-priya', role: 'user' };
+
+  test('users see their own tasks, groups and accounts; admins see all', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    try {
+      const mine = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', user: ravi });
+      const theirs = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET2', user: priya });
+      const group = await manager.createGroup({ identifier: 'ET3', cinemas: [CINEMA], user: ravi });
+      manager.createAccount({ name: 'Ravi' }, { user: ravi });
+
+      expect(manager.getTasks({ user: ravi }).map(t => t.id)).toEqual([mine, expect.stringMatching(/^task-/)]);
+      expect(manager.getTasks({ user: ravi })[1].groupId).toBe(group);
+      expect(manager.getTasks({ user: admin })).toHaveLength(3);
+      expect(manager.getGroups({ user: priya })).toEqual([]);
+      expect(manager.canAccess('task', theirs, ravi)).toBe(false);
+      expect(manager.canAccess('task', theirs, admin)).toBe(true);
+      expect(manager.canAccess('group', group, ravi)).toBe(true);
+
+      // accounts are per user too: Priya can't dispatch to Ravi's, and may reuse the name
+      expect(manager.getAccounts({ user: priya })).toEqual([]);
+      await expect(manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET4', bookingSettings: { ACCOUNTS: ['Ravi'] }, user: priya })).rejects.toMatchObject({ statusCode: 400 });
+      expect(manager.createAccount({ name: 'Ravi' }, { user: priya }).owner).toBe(priya.id);
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('removing a user deletes its tasks, groups and accounts and fails its queued booking runs', async () => {
+    const automation = controllableAutomation();
+    const manager = new WatcherManager({ bookingAutomation: automation.fn, maxConcurrentBookings: 1, logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    const found = async (user, bookingSettings) => {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', bookingSettings, user });
+      return Object.assign(manager.tasks.find(t => t.id === id), { status: 'found' });
+    };
+    try {
+      const account = manager.createAccount({ name: 'Ravi' }, { user: ravi });
+      const theirs = await found(priya);
+      const mine = await found(ravi, { ACCOUNTS: ['Ravi'] });
+      await manager.createGroup({ identifier: 'ET3', cinemas: [CINEMA], user: ravi });
+      const running = manager.startBookingRun(theirs);
+      const queued = manager.startBookingRun(mine, mine.bookingSettings.ACCOUNTS[0]);
+      expect(manager.getBookingRun(queued.id).status).toBe('queued');
+
+      manager.accounts.acquire(account.id);
+      await expect(manager.removeOwner(ravi.id)).rejects.toMatchObject({ statusCode: 409 });
+      expect(manager.getTasks({ user: ravi })).toHaveLength(2);
+      manager.accounts.release(account.id);
+
+      expect(await manager.removeOwner(ravi.id)).toEqual({ accounts: 1, groups: 1, tasks: 2 });
+      expect(manager.getTasks({ all: true, user: admin }).map(t => t.id)).toEqual([theirs.id]);
+      expect(manager.getGroups({ user: admin })).toEqual([]);
+      expect(manager.getAccounts({ user: admin })).toEqual([]);
+      expect(manager.getBookingRun(queued.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'task was deleted' }));
+      expect(manager.getBookingRun(running.id).status).toBe('launching');
+      automation.calls[0].resolve({ ok: true, result: { ok: false, error: 'no seats' } });
+    } finally {
+      await manager.shutdown();
+    }
+  });
+
+  test('SSE clients only get events about what their user owns', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    manager._runOrQueue = async task => { task.status = 'running'; };
+    const seen = { ravi: [], priya: [], admin: [] };
+    manager.addSseClient(e => seen.ravi.push(e), { user: ravi });
+    manager.addSseClient(e => seen.priya.push(e), { user: priya });
+    manager.addSseClient(e => seen.admin.push(e), { user: admin });
+    try {
+      const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1', user: ravi });
+      await manager.deleteTask(id);
+      manager._broadcast({ type: 'queue', scheduler: { active: [{ id }], queue: [] } });
+      const types = list => list.map(e => e.type);
+      expect(types(seen.ravi)).toEqual(expect.arrayContaining(['taskCreated', 'deleted']));
+      expect(types(seen.priya)).toEqual(['queue']);
+      expect(seen.priya[0].scheduler.active).toEqual([]);
+      expect(types(seen.admin)).toEqual(types(seen.ravi));
+    } finally {
+      await manager.shutdown();
+    }
+  });
+});
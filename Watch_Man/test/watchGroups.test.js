@@ -0,0 +1,95 @@
+// test/watchGroups.test.js
+// Group expansion / progress logic; watchers are stubbed so no browser is needed.
+
+const WatcherManager = require('../server/watcherManager');
+const { memoryLogger } = require('./helpers/fakes');
+
+const CINEMA_A = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+const CINEMA_B = 'https://in.bookmyshow.com/cinemas/madurai/inox/buytickets/INMD/20250821';
+
+function createManager() {
+  const manager = new WatcherManager({ logger: memoryLogger() });
+  manager._startTaskWatcher = async () => {};
+  manager._playServerAlarm = () => {};
+  return manager;
+}
+
+describe('watch groups', () => {
+  test('expands cinemas x dates into member tasks', async () => {
+    const manager = createManager();
+    const id = await manager.createGroup({
+      identifier: 'ET00470630',
+      cinemas: [{ name: 'Gopuram', url: CINEMA_A }, { name: 'INOX', url: CINEMA_B }],
+      dateFrom: '2025-08-22',
+      dateTo: '2025-08-23'
+    });
+
+    const members = manager.tasks.filter(t => t.groupId === id);
+    expect(members.map(t => t.cinemaUrl).sort()).toEqual([
+      CINEMA_A.replace('20250821', '20250822'),
+      CINEMA_A.replace('20250821', '20250823'),
+      CINEMA_B.replace('20250821', '20250822'),
+      CINEMA_B.replace('20250821', '20250823')
+    ].sort());
+    expect(manager.getGroup(id).progress.total).toBe(4);
+  });
+
+  test('keeps the URL date when no dates are given and rejects oversized groups', async () => {
+    const manager = createManager();
+    const id = await manager.createGroup({ identifier: 'ET1', cinemas: [CINEMA_A] });
+    expect(manager.tasks.find(t => t.groupId === id)).toEqual(expect.objectContaining({ cinemaUrl: CINEMA_A, dateCode: '20250821' }));
+
+    const many = Array.from({ length: 31 }, (_, i) => CINEMA_A.replace('GCMM', `V${i}`));
+    await expect(manager.createGroup({ identifier: 'ET1', cinemas: many, dateFrom: '20250101', dateTo: '20250102' })).rejects.toThrow(/max 60/);
+    await expect(manager.createGroup({ identifier: 'ET1', cinemas: ['https://example.com/nope'] })).rejects.toThrow(/buytickets/);
+  });
+
+  test('passes the detection strategy to members and rejects unknown ones', async () => {
+    const manager = createManager();
+    const id = await manager.createGroup({ identifier: 'ET1', cinemas: [CINEMA_A, CINEMA_B], strategy: 'network' });
+    expect(manager.getTasks().map(t => t.strategy)).toEqual(['network', 'network']);
+    expect(manager.getGroup(id).strategy).toBe('network');
+    await expect(manager.createGroup({ identifier: 'ET1', cinemas: [CINEMA_A], strategy: 'psychic' })).rejects.toThrow(/strategy/);
+    await expect(manager.createTask({ cinemaUrl: CINEMA_A, identifier: 'ET1', strategy: 'psychic' })).rejects.toThrow(/strategy/);
+  });
+
+  test('is found once minMatches members (at the configured venues) open, then stops the rest', async () => {
+    const manager = createManager();
+    const events = [];
+    manager.addSseClient(e => events.push(e));
+    const id = await manager.createGroup({ identifier: 'ET1', cinemas: [CINEMA_A, CINEMA_B], dates: ['20250822', '20250823'], minMatches: 1, venueCodes: ['INMD'] });
+    const members = manager.tasks.filter(t => t.groupId === id);
+    members.forEach(t => { t.status = 'running'; });
+
+    // a match at a venue outside venueCodes doesn't count
+    const atA = members.find(t => t.cinemaUrl.includes('GCMM'));
+    atA.status = 'found';
+    manager._refreshTaskGroup(atA);
+    expect(manager.getGroup(id).status).toBe('running');
+
+    const atB = members.find(t => t.cinemaUrl.includes('INMD'));
+    atB.status = 'found';
+    manager._refreshTaskGroup(atB);
+    await new Promise(r => setImmediate(r));
+
+    const group = manager.getGroup(id);
+    expect(group.status).toBe('found');
+    expect(group.matches.map(m => m.taskId)).toEqual(expect.arrayContaining([atA.id, atB.id]));
+    expect(members.filter(t => t.status === 'running')).toHaveLength(0);
+    expect(events.some(e => e.type === 'groupFound')).toBe(true);
+  });
+
+  test('stopGroup and deleteGroup cascade to members', async () => {
+    const manager = createManager();
+    const id = await manager.createGroup({ identifier: 'ET1', cinemas: [CINEMA_A, CINEMA_B] });
+    manager.tasks.forEach(t => { t.status = 'running'; });
+
+    await manager.stopGroup(id);
+    expect(manager.getGroup(id).status).toBe('stopped');
+    expect(manager.tasks.every(t => t.status === 'stopped')).toBe(true);
+
+    await manager.deleteGroup(id);
+    expect(manager.getGroup(id)).toBeNull();
+    expect(manager.tasks).toHaveLength(0);
+  });
+});
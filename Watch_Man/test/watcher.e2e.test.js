@@ -0,0 +1,265 @@
+// test/watcher.e2e.test.js
+// Drives the real Watcher, upcoming scraper and autoBookBMS against the mock BMS server.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const Watcher = require('../server/watcher');
+const { scrapeUpcoming } = require('../server/upcomingScraper');
+const { autoBookBMS, extractSeatMap } = require('../server/autoBookBMS');
+const HandoffSessions = require('../server/handoffSessions');
+const { MockBmsServer } = require('./mockBms/server');
+const { todayDateCode, addDays } = require('../server/bmsUrl');
+const { describeWithBrowser } = require('./helpers/browser');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+jest.setTimeout(120 * 1000);
+
+describeWithBrowser('watcher + booking against mock BMS', () => {
+  let mock;
+  let browser;
+
+  beforeAll(async () => {
+    mock = new MockBmsServer();
+    await mock.start();
+    browser = await chromium.launch({ headless: true });
+  });
+
+  afterAll(async () => {
+    if (browser) await browser.close();
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    mock.addCinema({ city: 'madurai', code: 'GCMM', name: 'Gopuram Cinemas' });
+  });
+
+  function pageFactory() {
+    return browser.newContext().then(async context => ({ context, page: await context.newPage() }));
+  }
+
+  function startWatcher(identifier, opts = {}) {
+    const watcher = new Watcher({
+      cinemaUrl: mock.cinemaUrl('GCMM', '20250821'),
+      identifier,
+      pollIntervalSeconds: 30,
+      rotateIntervalMs: 0,
+      pageFactory,
+      logger: memoryLogger(),
+      ...opts
+    });
+    const found = new Promise(resolve => watcher.start(resolve));
+    return { watcher, found };
+  }
+
+  test('detects a link that is already on the page', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask', slug: 'mask-2025' });
+    const { watcher, found } = startWatcher('ET00470630');
+    const hit = await found;
+    expect(hit.href).toMatch(/\/movies\/madurai\/mask-2025\/ET00470630$/);
+    expect(watcher.found).toBe(true);
+    await watcher.stop();
+  });
+
+  test('MutationObserver catches a link that appears while the page is open', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470631', name: 'Later', delayMs: 2500 });
+    const { watcher, found } = startWatcher('ET00470631');
+    const hit = await found;
+    expect(hit.identifier).toBe('ET00470631');
+    // appeared without a reload: only the initial navigation hit the cinema page
+    expect(mock.hits('/cinemas/')).toHaveLength(1);
+    await watcher.stop();
+  });
+
+  test('network strategy matches the showtimes payload and reports shows', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470633', name: 'Netflix', delayMs: 1500 });
+    const { watcher, found } = startWatcher('ET00470633', { strategy: 'network', pollIntervalSeconds: 1 });
+    const hit = await found;
+    expect(hit.strategy).toBe('network');
+    expect(hit.via).toBe('network');
+    expect(hit.details.name).toBe('Netflix');
+    expect(hit.details.showtimes.map(s => s.time)).toEqual(['10:30 AM', '02:15 PM', '06:45 PM', '10:00 PM']);
+    expect(hit.details.formats).toContain('IMAX 2D');
+    expect(watcher.foundVia).toBe('network');
+    await watcher.stop();
+  });
+
+  test('list date mode reloads across dates and reports the matching one', async () => {
+    const today = todayDateCode();
+    const tomorrow = addDays(today, 1);
+    mock.releaseMovie('GCMM', { identifier: 'ET00470632', dateCode: tomorrow });
+    const { watcher, found } = startWatcher('ET00470632', { pollIntervalSeconds: 1, dateMode: { type: 'list', dates: [today, tomorrow] } });
+    const hit = await found;
+    expect(hit.dateCode).toBe(tomorrow);
+    expect(hit.cinemaUrl).toBe(mock.cinemaUrl('GCMM', tomorrow));
+    expect(watcher.foundDateCode).toBe(tomorrow);
+    await watcher.stop();
+  });
+
+  test('scrapeUpcoming reads the explore pages', async () => {
+    mock.addUpcoming('Madurai', { identifier: 'ET00470630', name: 'Mask' });
+    const out = await scrapeUpcoming({ location: 'Madurai', baseUrl: mock.baseUrl, logger: memoryLogger() });
+    expect(out.results).toEqual([expect.objectContaining({ identifier: 'ET00470630', name: 'Mask' })]);
+
+    // with a shared browser it only opens (and closes) a context of its own
+    const shared = await scrapeUpcoming({ location: 'Madurai', baseUrl: mock.baseUrl, browser, logger: memoryLogger() });
+    expect(shared.results.map(r => r.identifier)).toEqual(['ET00470630']);
+    expect(browser.isConnected()).toBe(true);
+    expect(browser.contexts()).toHaveLength(0);
+  });
+
+  test('autoBookBMS walks showtime → seats → F&B → contact → GPay', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask' });
+    mock.setSeatLayout('GCMM', { sold: ['C05'] });
+
+    const progress = [];
+    const artifacts = [];
+    const artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-artifacts-'));
+    const res = await autoBookBMS({
+      cinemaUrl: mock.cinemaUrl('GCMM', '20250821'),
+      movieId: 'ET00470630',
+      showIndex: 2,
+      seatQuantity: 2,
+      targetSeat: 'C04',
+      email: 'test@example.com',
+      phone: '9876543210',
+      gpayNumber: '9876543210',
+      closeOnFinish: true,
+      onStep: status => progress.push(status),
+      artifactsDir,
+      trace: true,
+      onArtifact: a => artifacts.push(a)
+    });
+
+    expect(res.ok).toBe(true);
+    expect(progress).toEqual(['showtime-selected', 'seats-selected', 'payment-pending']);
+    const steps = mock.steps().map(s => s.step);
+    expect(steps).toEqual(expect.arrayContaining(['seats-confirmed', 'contact-submitted', 'gpay-requested']));
+    const seats = mock.steps().find(s => s.step === 'seats-confirmed').data.seats;
+    expect(seats).toHaveLength(2);
+    expect(seats).toContain('C04');
+    expect(mock.steps().find(s => s.step === 'contact-submitted').data.email).toBe('test@example.com');
+    expect(artifacts.map(a => a.label)).toEqual(expect.arrayContaining(['theatre-page', 'showtime-selected', 'seats-selected', 'trace']));
+    for (const a of artifacts) expect(fs.existsSync(path.join(artifactsDir, a.file))).toBe(true);
+    fs.rmSync(artifactsDir, { recursive: true, force: true });
+  });
+
+  test('seat preferences pick a contiguous block in the preferred rows', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask' });
+    // row E's centre is taken and column 7 is an aisle; only row E is scanned, so its holes
+    // can't be told apart from aisles and the pick just stays clear of them
+    mock.setSeatLayout('GCMM', { sold: ['E06', 'E08', 'E09'], gaps: ['A07', 'B07', 'C07', 'D07', 'E07', 'F07', 'G07', 'H07'] });
+
+    const res = await autoBookBMS({
+      cinemaUrl: mock.cinemaUrl('GCMM', '20250821'),
+      movieId: 'ET00470630',
+      showIndex: 2,
+      seatQuantity: 2,
+      seatPreferences: { rows: ['E'], avoidAisle: true },
+      closeOnFinish: true
+    });
+
+    expect(res.ok).toBe(true);
+    expect(res.scannerResult).toEqual(expect.objectContaining({ ok: true, tier: 1, picked: ['E04', 'E05'] }));
+    expect(mock.steps().find(s => s.step === 'seats-confirmed').data.seats.sort()).toEqual(['E04', 'E05']);
+  });
+
+  test('an account\'s persistent profile keeps the cookies from one run to the next', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask' });
+    const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-profile-'));
+    try {
+      const login = await chromium.launchPersistentContext(profileDir, { headless: true });
+      await login.addCookies([{ name: 'bms-session', value: 'ravi', url: mock.baseUrl }]);
+      await login.close();
+
+      const res = await autoBookBMS({
+        cinemaUrl: mock.cinemaUrl('GCMM', '20250821'),
+        movieId: 'ET00470630',
+        showIndex: 2,
+        targetSeat: 'C04',
+        profileDir,
+        closeOnFinish: true
+      });
+
+      expect(res.ok).toBe(true);
+      expect(res.tmpProfileDir).toBeNull();
+      expect(fs.existsSync(profileDir)).toBe(true);
+      const again = await chromium.launchPersistentContext(profileDir, { headless: true });
+      expect((await again.cookies(mock.baseUrl)).map(c => c.name)).toContain('bms-session');
+      await again.close();
+    } finally {
+      fs.rmSync(profileDir, { recursive: true, force: true });
+    }
+  });
+
+  test('showtime rules pick the show by format and report why', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask' });
+    const steps = [];
+
+    const res = await autoBookBMS({
+      cinemaUrl: mock.cinemaUrl('GCMM', '20250821'),
+      movieId: 'ET00470630',
+      showIndex: 4,
+      showtimeRules: { time: '20:00', formats: ['IMAX'], fallbacks: [{}] },
+      seatQuantity: 1,
+      targetSeat: 'C05',
+      closeOnFinish: true,
+      onStep: (status, details) => steps.push({ status, details })
+    });
+
+    expect(res.ok).toBe(true);
+    const picked = steps.find(s => s.status === 'showtime-selected').details;
+    expect(picked).toEqual(expect.objectContaining({ showIndex: 2, rule: 1, show: expect.objectContaining({ time: '14:15', formats: expect.arrayContaining(['IMAX']) }) }));
+    expect(picked.reason).toMatch(/^rule 1: 14:15 — 345 min from 20:00, IMAX/);
+  });
+
+  test('seat map extraction reports every seat with its category and leaves nothing selected', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask' });
+    mock.setSeatLayout('GCMM', { rows: 4, cols: 10, sold: ['B03', 'D10'], gaps: ['A05', 'B05', 'C05', 'D05'], categories: [
+      { name: 'RECLINER', price: 350, rows: ['A'] },
+      { name: 'ELITE', price: 190, rows: ['B', 'C', 'D'] }
+    ] });
+
+    const res = await extractSeatMap({ cinemaUrl: mock.cinemaUrl('GCMM', '20250821'), movieId: 'ET00470630', showIndex: 1 });
+
+    expect(res.ok).toBe(true);
+    const map = res.seatMap;
+    expect(map).toEqual(expect.objectContaining({ venueCode: 'GCMM', screen: 'AUDI 1', complete: true, aisles: [5] }));
+    expect(map.rows.map(r => [r.label, r.category])).toEqual([['A', 'RECLINER'], ['B', 'ELITE'], ['C', 'ELITE'], ['D', 'ELITE']]);
+    expect(map.categories).toEqual([{ name: 'RECLINER', price: 350, rows: ['A'] }, { name: 'ELITE', price: 190, rows: ['B', 'C', 'D'] }]);
+    expect(map.counts).toEqual({ seats: 36, available: 34 });
+    expect(map.rows[1].seats.find(s => s.label === 'B03').available).toBe(false);
+    expect(mock.hits('/buytickets/food-and-beverages')).toHaveLength(0);
+  });
+
+  test('handoff mode stops before GPay and streams the payment page', async () => {
+    mock.releaseMovie('GCMM', { identifier: 'ET00470630', name: 'Mask' });
+    const sessions = new HandoffSessions({ logger: memoryLogger() });
+    let session = null;
+    const res = await autoBookBMS({
+      cinemaUrl: mock.cinemaUrl('GCMM', '20250821'),
+      movieId: 'ET00470630',
+      showIndex: 2,
+      seatQuantity: 1,
+      email: 'test@example.com',
+      phone: '9876543210',
+      handoff: true,
+      onHandoff: h => { session = sessions.open(h); }
+    });
+
+    expect(res).toEqual(expect.objectContaining({ ok: true, handoff: true }));
+    expect(session).not.toBeNull();
+    expect(mock.steps().map(s => s.step)).not.toContain('gpay-requested');
+
+    const frames = [];
+    const unsubscribe = sessions.subscribe(session.id, f => f && frames.push(f));
+    await waitFor(() => frames.length > 0, { timeoutMs: 10000 });
+    expect(frames[0].metadata.deviceWidth).toBeGreaterThan(0);
+    await sessions.input(session.id, { type: 'wheel', deltaY: 200 });
+    unsubscribe();
+    await sessions.release(session.id, { completed: false });
+    expect(sessions.view(session.id).status).toBe('released');
+  });
+});
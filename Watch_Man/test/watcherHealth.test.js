@@ -0,0 +1,150 @@
+// test/watcherHealth.test.js
+// Backoff, degraded state and context recreation for failing watchers (fake pages, no browser).
+
+const Watcher = require('../server/watcher');
+const HttpWatcher = require('../server/httpWatcher');
+const WatcherManager = require('../server/watcherManager');
+const { MockBmsServer } = require('./mockBms/server');
+const { memoryLogger, waitFor } = require('./helpers/fakes');
+
+const CINEMA = 'https://in.bookmyshow.com/cinemas/madurai/gopuram/buytickets/GCMM/20250821';
+
+// every page fails to load while `state.failing` is true
+function flakyPageFactory(state) {
+  return async () => {
+    state.opened++;
+    const page = {
+      on() {}, async exposeFunction() {}, async waitForLoadState() {}, async evaluate() {}, async close() {},
+      async goto() { if (state.failing) throw new Error('net::ERR_CONNECTION_RESET'); },
+      async reload() { if (state.failing) throw new Error('net::ERR_CONNECTION_RESET'); }
+    };
+    return { page, context: { async close() {} } };
+  };
+}
+
+describe('watcher health', () => {
+  test('backs off exponentially with jitter, capped at maxBackoffSeconds', () => {
+    const watcher = new Watcher({ cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 1, maxBackoffSeconds: 6, logger: memoryLogger() });
+    expect(watcher._nextReloadDelayMs()).toBe(1000);
+
+    watcher.health.consecutiveFailures = 2;
+    for (let i = 0; i < 20; i++) {
+      const d = watcher._nextReloadDelayMs();
+      expect(d).toBeGreaterThanOrEqual(2000);
+      expect(d).toBeLessThanOrEqual(4000);
+    }
+    watcher.health.consecutiveFailures = 10;
+    expect(watcher._nextReloadDelayMs()).toBeLessThanOrEqual(6000);
+  });
+
+  test('degrades after repeated failures, recreates the context and recovers', async () => {
+    const state = { failing: true, opened: 0 };
+    const events = [];
+    const watcher = new Watcher({
+      cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 0.01, maxBackoffSeconds: 0.02, rotateIntervalMs: 0,
+      degradedAfterFailures: 2, recreateAfterFailures: 3,
+      pageFactory: flakyPageFactory(state), logger: memoryLogger(),
+      onHealthChange: h => events.push(h)
+    });
+    try {
+      await watcher.start(() => {});
+      expect(watcher.health).toEqual(expect.objectContaining({ state: 'healthy', consecutiveFailures: 1, lastError: 'net::ERR_CONNECTION_RESET' }));
+
+      await waitFor(() => watcher.health.recreations >= 1, { timeoutMs: 3000 });
+      expect(events.find(h => h.consecutiveFailures === 2).state).toBe('degraded');
+
+      state.failing = false;
+      await waitFor(() => watcher.health.state === 'healthy', { timeoutMs: 3000 });
+      expect(watcher.health.consecutiveFailures).toBe(0);
+      expect(watcher.health.lastSuccessAt).not.toBeNull();
+      expect(events[events.length - 1].state).toBe('healthy');
+      // one fresh page/context per recreation on top of the initial one
+      expect(state.opened).toBe(watcher.health.recreations + 1);
+      // rotateIntervalMs: 0 turns rotation off
+      expect(watcher.rotateIntervalMs).toBe(0);
+      expect(watcher._rotateTimer).toBeNull();
+    } finally {
+      await watcher.stop();
+    }
+  });
+
+  test('keeps reloading after a rotation replaces the page', async () => {
+    const state = { failing: false, opened: 0 };
+    const events = [];
+    const watcher = new Watcher({
+      cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 0.05, rotateIntervalMs: 300,
+      pageFactory: flakyPageFactory(state), logger: memoryLogger(), onEvent: type => events.push(type)
+    });
+    try {
+      await watcher.start(() => {});
+      await waitFor(() => events.includes('rotate'), { timeoutMs: 3000 });
+      await waitFor(() => events.lastIndexOf('reload') > events.indexOf('rotate') + 2, { timeoutMs: 3000 });
+      expect(watcher._reloadTimer).not.toBeNull();
+
+      // the release-window boost still reaches the running reload loop
+      expect(watcher.setPollInterval(0.02)).toBe(true);
+      const before = events.length;
+      await waitFor(() => events.slice(before).filter(t => t === 'reload').length >= 3, { timeoutMs: 3000 });
+    } finally {
+      await watcher.stop();
+    }
+  });
+
+  test('keeps rotating after failures recreate the context', async () => {
+    const state = { failing: true, opened: 0 };
+    const events = [];
+    const watcher = new Watcher({
+      cinemaUrl: CINEMA, identifier: 'ET1', pollIntervalSeconds: 0.01, maxBackoffSeconds: 0.02, rotateIntervalMs: 300,
+      recreateAfterFailures: 2, pageFactory: flakyPageFactory(state), logger: memoryLogger(), onEvent: type => events.push(type)
+    });
+    try {
+      await watcher.start(() => {});
+      await waitFor(() => watcher.health.recreations >= 1, { timeoutMs: 3000 });
+      state.failing = false;
+      await waitFor(() => events.includes('rotate'), { timeoutMs: 3000 });
+      expect(watcher._rotateTimer).not.toBeNull();
+    } finally {
+      await watcher.stop();
+    }
+  });
+
+  test('HttpWatcher counts an unreachable cinema as a failure', async () => {
+    const mock = new MockBmsServer();
+    await mock.start();
+    try {
+      mock.respondWith('/', { status: 429, body: 'slow down' });
+      const watcher = new HttpWatcher({ cinemaUrl: `${mock.baseUrl}/cinemas/madurai/x/buytickets/GCMM/20250821`, identifier: 'ET1', pollIntervalSeconds: 60, logger: memoryLogger() });
+      await watcher.start(() => {});
+      expect(watcher.health).toEqual(expect.objectContaining({ consecutiveFailures: 1, lastError: 'data endpoint returned 429' }));
+      await watcher.stop();
+    } finally {
+      await mock.stop();
+    }
+  });
+});
+
+describe('WatcherManager health states', () => {
+  test('mirrors watcher health into the task status and broadcasts it', async () => {
+    const manager = new WatcherManager({ logger: memoryLogger() });
+    const events = [];
+    manager.addSseClient(e => events.push(e));
+    manager._startTaskWatcher = async task => { task.watcher = { stop: async () => {} }; };
+
+    const id = await manager.createTask({ cinemaUrl: CINEMA, identifier: 'ET1' });
+    await waitFor(() => manager.tasks.find(t => t.id === id && t.status === 'running'));
+    const task = manager.tasks.find(t => t.id === id);
+
+    manager._onWatcherHealth(task, task.watcher, { state: 'degraded', consecutiveFailures: 3, lastError: 'timeout' });
+    expect(manager.getTasks()[0]).toEqual(expect.objectContaining({ status: 'degraded', health: expect.objectContaining({ lastError: 'timeout' }) }));
+    expect(manager.debugState().watchers.degraded).toBe(1);
+
+    manager._onWatcherHealth(task, task.watcher, { state: 'healthy', consecutiveFailures: 0, lastError: 'timeout' });
+    expect(task.status).toBe('running');
+    expect(events.filter(e => e.type === 'health').map(e => e.task.status)).toEqual(['degraded', 'running']);
+
+    // reports from a replaced watcher are ignored
+    manager._onWatcherHealth(task, { stale: true }, { state: 'degraded', consecutiveFailures: 9 });
+    expect(task.status).toBe('running');
+    await manager.shutdown();
+  });
+});